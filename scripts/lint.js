@@ -0,0 +1,34 @@
+// Syntax check of the application sources and tests. The renderer is an ES
+// module; everything else is CommonJS. Bundled third-party files are skipped.
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VENDORED = ['src/lucide.js', 'src/chart.js'];
+const MODULES = ['src/renderer.js'];
+
+function sourceFiles(dir) {
+  return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+    const file = path.posix.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return sourceFiles(file);
+    }
+    return entry.name.endsWith('.js') && !VENDORED.includes(file) ? [file] : [];
+  });
+}
+
+const files = ['src', 'test', 'scripts'].filter(dir => fs.existsSync(path.join(ROOT, dir))).flatMap(sourceFiles);
+let failed = 0;
+for (const file of files) {
+  const result = MODULES.includes(file)
+    ? spawnSync(process.execPath, ['--input-type=module', '--check'], { input: fs.readFileSync(path.join(ROOT, file)), encoding: 'utf8' })
+    : spawnSync(process.execPath, ['--check', path.join(ROOT, file)], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    failed++;
+    console.error(`${file}\n${result.stderr}`);
+  }
+}
+
+console.log(`${files.length - failed} of ${files.length} files passed`);
+process.exit(failed > 0 ? 1 : 0);
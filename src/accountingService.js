@@ -1,997 +1,1308 @@
-const db = require('./database');
+const { run, get, all, withTransaction } = require('./repository');
 const Auth = require('./auth');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const SettingsService = require('./settingsService');
+const TaxService = require('./taxService');
+
+const { roundMoney } = TaxService;
+
+// Tax code of lines without a billing code, and of new billing codes
+const DEFAULT_TAX_CODE = 'standard';
+
+const NUMBERING_SETTINGS = {
+  prefix: { key: 'invoice.number_prefix', label: 'Invoice number prefix', pattern: /^[A-Z0-9]{1,10}$/ },
+  yearly: { key: 'invoice.number_yearly' },
+  workstation: { key: 'invoice.number_workstation', label: 'Workstation code', pattern: /^[A-Z0-9]{1,4}$/ }
+};
+
+// Credit notes and insurance claims are numbered in sequences of their
+// own, e.g. CN-2026-A-00001 and CLM-2026-A-00001
+const CREDIT_NOTE_PREFIX = 'CN';
+const CLAIM_PREFIX = 'CLM';
+const RESERVED_PREFIXES = { [CREDIT_NOTE_PREFIX]: 'credit note', [CLAIM_PREFIX]: 'insurance claim' };
+
+// How money is paid in or refunded. Credit a patient already holds is paid
+// with applyPatientCredit, as the 'patient_credit' method.
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'check', 'insurance', 'other'];
+const CREDIT_PAYMENT_METHOD = 'patient_credit';
+
+// What has been paid, refunded and credited against an invoice aliased i.
+// The part of a payment that became patient credit was not paid to it.
+const BALANCE_COLUMNS = `
+  COALESCE((SELECT SUM(pm.amount - pm.overpayment) FROM payments pm WHERE pm.invoice_id = i.id), 0) as amount_paid,
+  COALESCE((SELECT SUM(r.amount) FROM refunds r JOIN payments pm ON pm.id = r.payment_id WHERE pm.invoice_id = i.id), 0) as amount_refunded,
+  COALESCE((SELECT SUM(cn.amount) FROM credit_notes cn WHERE cn.invoice_id = i.id), 0) as amount_credited
+`;
+
+// Round the BALANCE_COLUMNS of an invoice and add balance_due, what is
+// still owed on it. Void invoices owe nothing.
+function withBalance(invoice) {
+  if (!invoice) {
+    return invoice;
+  }
+  ['amount_paid', 'amount_refunded', 'amount_credited'].forEach(column => {
+    invoice[column] = roundMoney(invoice[column]);
+  });
+  invoice.balance_due = invoice.status === 'cancelled'
+    ? 0
+    : roundMoney(invoice.total_amount - invoice.amount_paid + invoice.amount_refunded - invoice.amount_credited);
+  return invoice;
+}
+
+async function getInvoiceBalance(invoiceId) {
+  return withBalance(await get(`
+    SELECT i.*, ${BALANCE_COLUMNS}
+    FROM invoices i
+    WHERE i.id = ? AND i.deleted_at IS NULL
+  `, [invoiceId]));
+}
+
+async function getPatientCreditBalance(patientId) {
+  const { balance } = await get('SELECT COALESCE(SUM(amount), 0) as balance FROM patient_credits WHERE patient_id = ?', [patientId]);
+  return roundMoney(balance);
+}
+
+// Amounts entered for payments, refunds and credit notes
+function requireAmount(value, label) {
+  const amount = roundMoney(Number(value));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`${label} must be more than zero`);
+  }
+  return amount;
+}
+
+// Price the items of an invoice: each line's total and tax come from its
+// quantity, unit price and billing code, never from totals sent by the
+// caller. Lines are taxed at their tax code's rate on the invoice date;
+// lines marked exempt, or whose billing code is in an exempt category, carry
+// no tax. With inclusive pricing the line total already contains its tax.
+async function priceInvoiceItems(items, { date, inclusive }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Invoice must have at least one item');
+  }
+
+  const { exemptCategories } = await TaxService.getSettings();
+  const rates = new Map();
+  const priced = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity ?? 1);
+    const unitPrice = Number(item.unitPrice);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error('Item quantity must be a whole number of at least 1');
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw new Error('Item unit price must be zero or more');
+    }
+
+    let billingCode = null;
+    if (item.billingCodeId) {
+      billingCode = await get('SELECT * FROM billing_codes WHERE id = ?', [item.billingCodeId]);
+      if (!billingCode) {
+        throw new Error(`Billing code ${item.billingCodeId} not found`);
+      }
+    }
+
+    const description = item.description || (billingCode && billingCode.description);
+    if (!description) {
+      throw new Error('Item description is required');
+    }
+
+    const taxCode = billingCode ? billingCode.tax_code : DEFAULT_TAX_CODE;
+    const taxExempt = !!item.taxExempt || (!!billingCode && exemptCategories.includes(billingCode.category));
+    if (!taxExempt && !rates.has(taxCode)) {
+      rates.set(taxCode, (await TaxService.resolveRate(taxCode, date)).rate);
+    }
+    const taxRate = taxExempt ? 0 : rates.get(taxCode);
+    const totalPrice = roundMoney(quantity * unitPrice);
+
+    priced.push({
+      billingCodeId: billingCode ? billingCode.id : null,
+      description,
+      quantity,
+      unitPrice,
+      totalPrice,
+      taxCode,
+      taxRate,
+      taxAmount: roundMoney(inclusive ? totalPrice * taxRate / (1 + taxRate) : totalPrice * taxRate),
+      taxExempt
+    });
+  }
+
+  const lineTotal = roundMoney(priced.reduce((sum, item) => sum + item.totalPrice, 0));
+  const taxAmount = roundMoney(priced.reduce((sum, item) => sum + item.taxAmount, 0));
+  const amount = inclusive ? roundMoney(lineTotal - taxAmount) : lineTotal;
+  return { items: priced, inclusive, amount, taxAmount, totalAmount: roundMoney(amount + taxAmount) };
+}
+
+// The date and price basis an invoice is taxed on: today and the current
+// setting for a new invoice, its own for an existing one
+async function taxBasis(invoice = null) {
+  if (invoice) {
+    return { date: invoice.created_at.split(' ')[0], inclusive: !!invoice.tax_inclusive };
+  }
+  return { date: TaxService.today(), inclusive: (await TaxService.getSettings()).pricesIncludeTax };
+}
+
+async function insertInvoiceItems(invoiceId, items) {
+  for (const item of items) {
+    await run(`
+      INSERT INTO invoice_items (
+        invoice_id, billing_code_id, description, quantity, unit_price, total_price,
+        tax_code, tax_rate, tax_amount, tax_exempt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      invoiceId, item.billingCodeId, item.description, item.quantity, item.unitPrice, item.totalPrice,
+      item.taxCode, item.taxRate, item.taxAmount, item.taxExempt ? 1 : 0
+    ]);
+  }
+}
+
+// Each workstation keeps its own sequences, so numbers carry the code of the
+// workstation that issued them; otherwise synced workstations would issue
+// the same numbers. Until a code is chosen, the start of the device id that
+// sync tells workstations apart by is used.
+async function workstationCode() {
+  const code = await SettingsService.get(NUMBERING_SETTINGS.workstation.key);
+  if (code) {
+    return code;
+  }
+  const { value } = await get("SELECT value FROM sync_meta WHERE key = 'device_id'");
+  return value.slice(0, 4).toUpperCase();
+}
+
+// Issue the next number in a sequence, e.g. INV-2026-A-00042, or INV-A-00042
+// when numbering does not restart each year. Must run in the transaction
+// that inserts the document: if that rolls back, so does the counter, so
+// numbers are never skipped or issued twice.
+async function nextDocumentNumber(prefix, yearly) {
+  const year = yearly ? new Date().getFullYear() : 0;
+  const workstation = await workstationCode();
+
+  await run(`
+    INSERT INTO invoice_sequences (prefix, year, last_number) VALUES (?, ?, 1)
+    ON CONFLICT (prefix, year) DO UPDATE SET last_number = last_number + 1
+  `, [prefix, year]);
+  const { last_number: number } = await get('SELECT last_number FROM invoice_sequences WHERE prefix = ? AND year = ?', [prefix, year]);
+
+  return [prefix, year || null, workstation, String(number).padStart(5, '0')].filter(Boolean).join('-');
+}
+
+async function nextInvoiceNumber() {
+  const prefix = await SettingsService.get(NUMBERING_SETTINGS.prefix.key);
+  return nextDocumentNumber(prefix, await SettingsService.get(NUMBERING_SETTINGS.yearly.key));
+}
+
+async function nextCreditNoteNumber() {
+  return nextDocumentNumber(CREDIT_NOTE_PREFIX, await SettingsService.get(NUMBERING_SETTINGS.yearly.key));
+}
+
+async function nextClaimNumber() {
+  return nextDocumentNumber(CLAIM_PREFIX, await SettingsService.get(NUMBERING_SETTINGS.yearly.key));
+}
+
+// Writes an invoice in the caller's transaction. Its audit entries, each the
+// arguments to Auth.logAudit, are returned to be logged once that commits.
+async function insertInvoice(invoiceData, userId) {
+  if (!invoiceData || !invoiceData.patientId) {
+    throw new Error('Missing required invoice fields');
+  }
+  if (!(await get('SELECT id FROM patients WHERE id = ? AND deleted_at IS NULL', [invoiceData.patientId]))) {
+    throw new Error('Patient not found');
+  }
+
+  const pricing = await priceInvoiceItems(invoiceData.items, await taxBasis());
+  const invoiceNumber = await nextInvoiceNumber();
+
+  const { lastID } = await run(`
+    INSERT INTO invoices (
+      patient_id, invoice_number, amount, tax_amount, total_amount,
+      tax_inclusive, due_date, notes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    invoiceData.patientId,
+    invoiceNumber,
+    pricing.amount,
+    pricing.taxAmount,
+    pricing.totalAmount,
+    pricing.inclusive ? 1 : 0,
+    invoiceData.dueDate,
+    invoiceData.notes
+  ]);
+
+  await insertInvoiceItems(lastID, pricing.items);
+  const invoice = { id: lastID, invoiceNumber, amount: pricing.amount, taxAmount: pricing.taxAmount, totalAmount: pricing.totalAmount };
+  return { invoice, audits: [[userId, 'CREATE_INVOICE', 'invoices', lastID, null, { ...invoiceData, ...invoice }]] };
+}
 
 class AccountingService {
+  // The invoice number, the invoice and its items are written in one
+  // transaction. Totals are recalculated from the items.
   static async createInvoice(invoiceData, userId) {
-    return new Promise((resolve, reject) => {
-      // Generate invoice number
-      const invoiceNumber = 'INV-' + Date.now().toString().slice(-8);
-
-      const sql = `
-        INSERT INTO invoices (
-          patient_id, invoice_number, amount, tax_amount, total_amount,
-          due_date, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const taxAmount = invoiceData.amount * 0.15; // 15% VAT for Zimbabwe
-      const totalAmount = invoiceData.amount + taxAmount;
-
-      const values = [
-        invoiceData.patientId,
-        invoiceNumber,
-        invoiceData.amount,
-        taxAmount,
-        totalAmount,
-        invoiceData.dueDate,
-        invoiceData.notes
-      ];
-
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          const invoiceId = this.lastID;
-
-          // Add invoice items
-          if (invoiceData.items && invoiceData.items.length > 0) {
-            let completed = 0;
-            invoiceData.items.forEach(item => {
-              db.run(`
-                INSERT INTO invoice_items (invoice_id, description, quantity, unit_price, total_price)
-                VALUES (?, ?, ?, ?, ?)
-              `, [invoiceId, item.description, item.quantity, item.unitPrice, item.totalPrice], (err) => {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                completed++;
-                if (completed === invoiceData.items.length) {
-                  // Log creation
-                  Auth.logAudit(userId, 'CREATE_INVOICE', 'invoices', invoiceId, null, invoiceData);
-                  resolve({ id: invoiceId, invoiceNumber });
-                }
-              });
-            });
-          } else {
-            // Log creation
-            Auth.logAudit(userId, 'CREATE_INVOICE', 'invoices', invoiceId, null, invoiceData);
-            resolve({ id: invoiceId, invoiceNumber });
-          }
-        }
-      });
-    });
+    const { invoice, audits } = await withTransaction(() => insertInvoice(invoiceData, userId));
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return invoice;
   }
 
-  static async getInvoices(filters = {}, limit = 50, offset = 0) {
-    return new Promise((resolve, reject) => {
-      let sql = `
-        SELECT i.*, p.first_name, p.last_name, p.patient_id
-        FROM invoices i
-        JOIN patients p ON i.patient_id = p.id
-      `;
-
-      const params = [];
-      const conditions = [];
-
-      if (filters.patientId) {
-        conditions.push('i.patient_id = ?');
-        params.push(filters.patientId);
+  // Totals the invoice form shows while it is filled in, worked out as
+  // saving it would. invoiceId is given when editing an invoice.
+  static async previewInvoice(items, invoiceId = null) {
+    let invoice = null;
+    if (invoiceId) {
+      invoice = await get('SELECT created_at, tax_inclusive FROM invoices WHERE id = ? AND deleted_at IS NULL', [invoiceId]);
+      if (!invoice) {
+        throw new Error('Invoice not found');
       }
+    }
+    return priceInvoiceItems(items, await taxBasis(invoice));
+  }
 
-      if (filters.status) {
-        conditions.push('i.status = ?');
-        params.push(filters.status);
-      }
+  static async getNumberingSettings() {
+    const settings = {};
+    for (const [name, { key }] of Object.entries(NUMBERING_SETTINGS)) {
+      settings[name] = await SettingsService.get(key);
+    }
+    settings.workstation = await workstationCode();
+    return settings;
+  }
 
-      if (filters.dateFrom) {
-        conditions.push('DATE(i.created_at) >= ?');
-        params.push(filters.dateFrom);
+  // Changing the prefix, or whether the year is included, starts a new
+  // sequence; numbers already issued are not changed. Synced workstations
+  // must each have a code of their own.
+  static async updateNumberingSettings(settings, userId) {
+    const current = await AccountingService.getNumberingSettings();
+    const updates = {};
+
+    if (settings.prefix !== undefined) {
+      const prefix = String(settings.prefix).trim().toUpperCase();
+      if (!NUMBERING_SETTINGS.prefix.pattern.test(prefix)) {
+        throw new Error(`${NUMBERING_SETTINGS.prefix.label} must be 1 to 10 letters or digits`);
       }
-
-      if (filters.dateTo) {
-        conditions.push('DATE(i.created_at) <= ?');
-        params.push(filters.dateTo);
+      if (RESERVED_PREFIXES[prefix]) {
+        throw new Error(`${prefix} is the prefix of ${RESERVED_PREFIXES[prefix]} numbers`);
       }
-
-      if (conditions.length > 0) {
-        sql += ' WHERE ' + conditions.join(' AND ');
+      updates.prefix = prefix;
+    }
+    if (settings.yearly !== undefined) {
+      updates.yearly = !!settings.yearly;
+    }
+    if (settings.workstation !== undefined) {
+      const workstation = String(settings.workstation).trim().toUpperCase();
+      if (!NUMBERING_SETTINGS.workstation.pattern.test(workstation)) {
+        throw new Error(`${NUMBERING_SETTINGS.workstation.label} must be 1 to 4 letters or digits`);
       }
+      updates.workstation = workstation;
+    }
 
-      sql += ' ORDER BY i.created_at DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+    for (const [name, value] of Object.entries(updates)) {
+      if (value !== current[name]) {
+        await SettingsService.set(NUMBERING_SETTINGS[name].key, value, userId);
+      }
+    }
 
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return { ...current, ...updates };
   }
 
-  static async updateInvoice(id, invoiceData, userId) {
-    return new Promise((resolve, reject) => {
-      // Get old values for audit
-      db.get('SELECT * FROM invoices WHERE id = ?', [id], (err, oldInvoice) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!oldInvoice) {
-          reject(new Error('Invoice not found'));
-          return;
-        }
-
-        const fields = [];
-        const values = [];
-
-        if (invoiceData.patientId !== undefined) {
-          fields.push('patient_id = ?');
-          values.push(invoiceData.patientId);
-        }
-        if (invoiceData.amount !== undefined) {
-          fields.push('amount = ?');
-          values.push(invoiceData.amount);
-        }
-        if (invoiceData.taxAmount !== undefined) {
-          fields.push('tax_amount = ?');
-          values.push(invoiceData.taxAmount);
-        }
-        if (invoiceData.totalAmount !== undefined) {
-          fields.push('total_amount = ?');
-          values.push(invoiceData.totalAmount);
-        }
-        if (invoiceData.status !== undefined) {
-          fields.push('status = ?');
-          values.push(invoiceData.status);
-        }
-        if (invoiceData.dueDate !== undefined) {
-          fields.push('due_date = ?');
-          values.push(invoiceData.dueDate);
-        }
-        if (invoiceData.notes !== undefined) {
-          fields.push('notes = ?');
-          values.push(invoiceData.notes);
-        }
-
-        if (fields.length === 0) {
-          resolve(0);
-          return;
-        }
-
-        values.push(id);
-
-        const sql = `UPDATE invoices SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-
-        db.run(sql, values, function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            // Update invoice items if provided
-            if (invoiceData.items && invoiceData.items.length > 0) {
-              // Delete existing items
-              db.run('DELETE FROM invoice_items WHERE invoice_id = ?', [id], (deleteErr) => {
-                if (deleteErr) {
-                  reject(deleteErr);
-                  return;
-                }
-
-                // Add new items
-                let completed = 0;
-                invoiceData.items.forEach(item => {
-                  db.run(`
-                    INSERT INTO invoice_items (invoice_id, billing_code_id, description, quantity, unit_price, total_price)
-                    VALUES (?, ?, ?, ?, ?, ?)
-                  `, [id, item.billingCodeId, item.description, item.quantity, item.unitPrice, item.totalPrice], (err) => {
-                    if (err) {
-                      reject(err);
-                      return;
-                    }
-                    completed++;
-                    if (completed === invoiceData.items.length) {
-                      // Log update
-                      Auth.logAudit(userId, 'UPDATE_INVOICE', 'invoices', id, oldInvoice, invoiceData);
-                      resolve(this.changes);
-                    }
-                  });
-                });
-              });
-            } else {
-              // Log update
-              Auth.logAudit(userId, 'UPDATE_INVOICE', 'invoices', id, oldInvoice, invoiceData);
-              resolve(this.changes);
-            }
-          }
-        });
-      });
-    });
+  // filters.status is a status or a list of them
+  static async getInvoices(filters = {}, limit = 50, offset = 0) {
+    let sql = `
+      SELECT i.*, p.first_name, p.last_name, p.patient_id, i.patient_id as patient_record_id, p.insurance_provider, ${BALANCE_COLUMNS}
+      FROM invoices i
+      JOIN patients p ON i.patient_id = p.id
+    `;
+
+    const params = [];
+    const conditions = ['i.deleted_at IS NULL'];
+
+    if (filters.patientId) {
+      conditions.push('i.patient_id = ?');
+      params.push(filters.patientId);
+    }
+
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      conditions.push(`i.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    if (filters.dateFrom) {
+      conditions.push('DATE(i.created_at) >= ?');
+      params.push(filters.dateFrom);
+    }
+
+    if (filters.dateTo) {
+      conditions.push('DATE(i.created_at) <= ?');
+      params.push(filters.dateTo);
+    }
+
+    sql += ' WHERE ' + conditions.join(' AND ');
+
+    sql += ' ORDER BY i.created_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    return (await all(sql, params)).map(withBalance);
   }
 
   static async updateInvoicePayment(id, paymentData, userId) {
-    return new Promise((resolve, reject) => {
-      // Get old values for audit
-      db.get('SELECT * FROM invoices WHERE id = ?', [id], (err, oldInvoice) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!oldInvoice) {
-          reject(new Error('Invoice not found'));
-          return;
-        }
-
-        const sql = `
-          UPDATE invoices
-          SET status = ?, payment_date = ?, payment_method = ?, updated_at = CURRENT_TIMESTAMP
-          WHERE id = ?
-        `;
-
-        db.run(sql, [paymentData.status, paymentData.paymentDate, paymentData.paymentMethod, id], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            // Log update
-            Auth.logAudit(userId, 'UPDATE_INVOICE_PAYMENT', 'invoices', id, oldInvoice, paymentData);
-            resolve(this.changes);
-          }
-        });
-      });
-    });
+    // Get old values for audit
+    const oldInvoice = await get('SELECT * FROM invoices WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!oldInvoice) {
+      throw new Error('Invoice not found');
+    }
+
+    const { changes } = await run(`
+      UPDATE invoices
+      SET status = ?, payment_date = ?, payment_method = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [paymentData.status, paymentData.paymentDate, paymentData.paymentMethod, id]);
+
+    // Log update
+    Auth.logAudit(userId, 'UPDATE_INVOICE_PAYMENT', 'invoices', id, oldInvoice, paymentData);
+    return changes;
   }
 
   static async createExpense(expenseData, userId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT INTO expenses (
-          description, category, amount, expense_date, vendor, receipt_path, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const values = [
-        expenseData.description,
-        expenseData.category,
-        expenseData.amount,
-        expenseData.expenseDate,
-        expenseData.vendor,
-        expenseData.receiptPath,
-        expenseData.notes
-      ];
-
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          // Log creation
-          Auth.logAudit(userId, 'CREATE_EXPENSE', 'expenses', this.lastID, null, expenseData);
-          resolve(this.lastID);
-        }
-      });
-    });
+    const { lastID } = await run(`
+      INSERT INTO expenses (
+        description, category, amount, expense_date, vendor, receipt_path, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      expenseData.description,
+      expenseData.category,
+      expenseData.amount,
+      expenseData.expenseDate,
+      expenseData.vendor,
+      expenseData.receiptPath,
+      expenseData.notes
+    ]);
+
+    // Log creation
+    Auth.logAudit(userId, 'CREATE_EXPENSE', 'expenses', lastID, null, expenseData);
+    return lastID;
   }
 
   static async updateExpense(id, expenseData, userId) {
-    return new Promise((resolve, reject) => {
-      // Get old values for audit
-      db.get('SELECT * FROM expenses WHERE id = ?', [id], (err, oldExpense) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!oldExpense) {
-          reject(new Error('Expense not found'));
-          return;
-        }
-
-        const fields = [];
-        const values = [];
-
-        if (expenseData.description !== undefined) {
-          fields.push('description = ?');
-          values.push(expenseData.description);
-        }
-        if (expenseData.category !== undefined) {
-          fields.push('category = ?');
-          values.push(expenseData.category);
-        }
-        if (expenseData.amount !== undefined) {
-          fields.push('amount = ?');
-          values.push(expenseData.amount);
-        }
-        if (expenseData.expenseDate !== undefined) {
-          fields.push('expense_date = ?');
-          values.push(expenseData.expenseDate);
-        }
-        if (expenseData.vendor !== undefined) {
-          fields.push('vendor = ?');
-          values.push(expenseData.vendor);
-        }
-        if (expenseData.receiptPath !== undefined) {
-          fields.push('receipt_path = ?');
-          values.push(expenseData.receiptPath);
-        }
-        if (expenseData.notes !== undefined) {
-          fields.push('notes = ?');
-          values.push(expenseData.notes);
-        }
-
-        if (fields.length === 0) {
-          resolve(0);
-          return;
-        }
-
-        values.push(id);
-
-        const sql = `UPDATE expenses SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-
-        db.run(sql, values, function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            Auth.logAudit(userId, 'UPDATE_EXPENSE', 'expenses', id, oldExpense, expenseData);
-            resolve(this.changes);
-          }
-        });
-      });
-    });
+    // Get old values for audit
+    const oldExpense = await get('SELECT * FROM expenses WHERE id = ?', [id]);
+    if (!oldExpense) {
+      throw new Error('Expense not found');
+    }
+
+    const fields = [];
+    const values = [];
+
+    if (expenseData.description !== undefined) {
+      fields.push('description = ?');
+      values.push(expenseData.description);
+    }
+    if (expenseData.category !== undefined) {
+      fields.push('category = ?');
+      values.push(expenseData.category);
+    }
+    if (expenseData.amount !== undefined) {
+      fields.push('amount = ?');
+      values.push(expenseData.amount);
+    }
+    if (expenseData.expenseDate !== undefined) {
+      fields.push('expense_date = ?');
+      values.push(expenseData.expenseDate);
+    }
+    if (expenseData.vendor !== undefined) {
+      fields.push('vendor = ?');
+      values.push(expenseData.vendor);
+    }
+    if (expenseData.receiptPath !== undefined) {
+      fields.push('receipt_path = ?');
+      values.push(expenseData.receiptPath);
+    }
+    if (expenseData.notes !== undefined) {
+      fields.push('notes = ?');
+      values.push(expenseData.notes);
+    }
+
+    if (fields.length === 0) {
+      return 0;
+    }
+
+    values.push(id);
+
+    const sql = `UPDATE expenses SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    const { changes } = await run(sql, values);
+
+    Auth.logAudit(userId, 'UPDATE_EXPENSE', 'expenses', id, oldExpense, expenseData);
+    return changes;
   }
 
   static async getExpenses(filters = {}, limit = 50, offset = 0) {
-    return new Promise((resolve, reject) => {
-      let sql = 'SELECT * FROM expenses';
-      const params = [];
-      const conditions = [];
+    let sql = 'SELECT * FROM expenses';
+    const params = [];
+    const conditions = [];
 
-      if (filters.category) {
-        conditions.push('category = ?');
-        params.push(filters.category);
-      }
+    if (filters.category) {
+      conditions.push('category = ?');
+      params.push(filters.category);
+    }
 
-      if (filters.dateFrom) {
-        conditions.push('DATE(expense_date) >= ?');
-        params.push(filters.dateFrom);
-      }
+    if (filters.dateFrom) {
+      conditions.push('DATE(expense_date) >= ?');
+      params.push(filters.dateFrom);
+    }
 
-      if (filters.dateTo) {
-        conditions.push('DATE(expense_date) <= ?');
-        params.push(filters.dateTo);
-      }
+    if (filters.dateTo) {
+      conditions.push('DATE(expense_date) <= ?');
+      params.push(filters.dateTo);
+    }
 
-      if (conditions.length > 0) {
-        sql += ' WHERE ' + conditions.join(' AND ');
-      }
+    if (conditions.length > 0) {
+      sql += ' WHERE ' + conditions.join(' AND ');
+    }
 
-      sql += ' ORDER BY expense_date DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+    sql += ' ORDER BY expense_date DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
 
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return all(sql, params);
   }
 
+  // Revenue is what has been collected against invoices, net of refunds;
+  // money held as patient credit counts once it is applied to an invoice.
+  // Pending revenue is the balance still due on open invoices.
   static async getFinancialStats() {
+    const thisMonth = column => `strftime('%Y-%m', ${column}) = strftime('%Y-%m', 'now')`;
+    const collected = (paymentCondition = '1', refundCondition = '1') => get(`
+      SELECT
+        COALESCE((SELECT SUM(pm.amount - pm.overpayment) FROM payments pm
+          JOIN invoices i ON i.id = pm.invoice_id
+          WHERE i.deleted_at IS NULL AND ${paymentCondition}), 0)
+        - COALESCE((SELECT SUM(r.amount) FROM refunds r
+          JOIN payments pm ON pm.id = r.payment_id
+          JOIN invoices i ON i.id = pm.invoice_id
+          WHERE i.deleted_at IS NULL AND ${refundCondition}), 0) as value
+    `);
+
+    const [totalRevenue, totalExpenses, monthlyExpenses, monthlyRevenue] = await Promise.all([
+      collected(),
+      get('SELECT SUM(amount) as value FROM expenses'),
+      get('SELECT SUM(amount) as value FROM expenses WHERE strftime(\'%Y-%m\', expense_date) = strftime(\'%Y-%m\', \'now\')'),
+      collected(thisMonth('pm.payment_date'), thisMonth('r.refund_date'))
+    ].map(query => query.then(row => roundMoney(row.value || 0))));
+
+    const openInvoices = await AccountingService.getInvoices({ status: ['unpaid', 'partial', 'overdue'] }, -1, 0);
+    const pendingRevenue = roundMoney(openInvoices.reduce((sum, invoice) => sum + invoice.balance_due, 0));
+    const pendingInvoiceCount = openInvoices.length;
+
+    return {
+      totalRevenue,
+      pendingRevenue,
+      pendingInvoiceCount,
+      totalExpenses,
+      monthlyExpenses,
+      monthlyRevenue,
+      netProfit: totalRevenue - totalExpenses,
+      monthlyNet: monthlyRevenue - monthlyExpenses
+    };
+  }
+
+  static async generateInvoicePDF(invoiceId) {
+    // Get invoice data with patient and items
+    const invoice = await AccountingService.getInvoiceWithDetails(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    const doc = new PDFDocument();
+    const fileName = `invoice_${invoice.invoice_number}.pdf`;
+    const filePath = path.join(__dirname, '..', 'invoices', fileName);
+
+    // Ensure invoices directory exists
+    const invoicesDir = path.dirname(filePath);
+    if (!fs.existsSync(invoicesDir)) {
+      fs.mkdirSync(invoicesDir, { recursive: true });
+    }
+
+    const stream = fs.createWriteStream(filePath);
+    doc.pipe(stream);
+
+    // Header
+    doc.fontSize(20).text('BLACKISTONE MEDICAL CENTRE', { align: 'center' });
+    doc.fontSize(16).text('INVOICE', { align: 'center' });
+    doc.moveDown();
+
+    // Invoice details
+    doc.fontSize(12);
+    doc.text(`Invoice Number: ${invoice.invoice_number}`);
+    doc.text(`Date: ${new Date(invoice.created_at).toLocaleDateString()}`);
+    doc.text(`Due Date: ${new Date(invoice.due_date).toLocaleDateString()}`);
+    doc.moveDown();
+
+    // Patient details
+    doc.text('Bill To:');
+    doc.text(`${invoice.first_name} ${invoice.last_name}`);
+    doc.text(`Patient ID: ${invoice.patient_id}`);
+    doc.moveDown();
+
+    // Items table
+    const tableTop = doc.y;
+    doc.text('Description', 50, tableTop);
+    doc.text('Qty', 260, tableTop);
+    doc.text('Unit Price', 300, tableTop);
+    doc.text('Tax', 380, tableTop);
+    doc.text('Total', 470, tableTop);
+
+    doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+    let yPosition = tableTop + 25;
+    invoice.items.forEach(item => {
+      doc.text(item.description, 50, yPosition, { width: 200 });
+      doc.text(item.quantity.toString(), 260, yPosition);
+      doc.text(`$${item.unit_price.toFixed(2)}`, 300, yPosition);
+      doc.text(item.tax_exempt ? 'Exempt' : `${(item.tax_rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`, 380, yPosition);
+      doc.text(`$${item.total_price.toFixed(2)}`, 470, yPosition);
+      yPosition += 20;
+    });
+
+    // Totals
+    yPosition += 10;
+    doc.text(`Subtotal (excl. tax): $${invoice.amount.toFixed(2)}`, 350, yPosition);
+    doc.text(`Tax: $${invoice.tax_amount.toFixed(2)}`, 350, yPosition + 20);
+    doc.font('Helvetica-Bold').text(`Total: $${invoice.total_amount.toFixed(2)}`, 350, yPosition + 40);
+    doc.font('Helvetica');
+    yPosition += 60;
+    invoice.creditNotes.forEach(note => {
+      doc.text(`Credit note ${note.credit_note_number}: -$${note.amount.toFixed(2)}`, 350, yPosition);
+      yPosition += 20;
+    });
+    const netPaid = roundMoney(invoice.amount_paid - invoice.amount_refunded);
+    if (netPaid > 0) {
+      doc.text(`Paid: -$${netPaid.toFixed(2)}`, 350, yPosition);
+      yPosition += 20;
+    }
+    doc.font('Helvetica-Bold').text(`Balance Due: $${invoice.balance_due.toFixed(2)}`, 350, yPosition);
+    if (invoice.tax_inclusive) {
+      doc.font('Helvetica').fontSize(10).text('Prices shown include tax.', 50, yPosition + 30);
+    }
+
+    doc.end();
+
     return new Promise((resolve, reject) => {
-      const queries = [
-        'SELECT SUM(total_amount) as totalRevenue FROM invoices WHERE status = \'paid\'',
-        'SELECT SUM(total_amount) as pendingRevenue FROM invoices WHERE status = \'unpaid\'',
-        'SELECT COUNT(*) as pendingInvoiceCount FROM invoices WHERE status = \'unpaid\'',
-        'SELECT SUM(amount) as totalExpenses FROM expenses',
-        'SELECT SUM(amount) as monthlyExpenses FROM expenses WHERE strftime(\'%Y-%m\', expense_date) = strftime(\'%Y-%m\', \'now\')',
-        'SELECT SUM(total_amount) as monthlyRevenue FROM invoices WHERE status = \'paid\' AND strftime(\'%Y-%m\', payment_date) = strftime(\'%Y-%m\', \'now\')'
-      ];
-
-      const results = {};
-
-      let completed = 0;
-      queries.forEach((query, index) => {
-        db.get(query, (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (index === 0) results.totalRevenue = row.totalRevenue || 0;
-          else if (index === 1) results.pendingRevenue = row.pendingRevenue || 0;
-          else if (index === 2) results.pendingInvoiceCount = row.pendingInvoiceCount || 0;
-          else if (index === 3) results.totalExpenses = row.totalExpenses || 0;
-          else if (index === 4) results.monthlyExpenses = row.monthlyExpenses || 0;
-          else if (index === 5) results.monthlyRevenue = row.monthlyRevenue || 0;
-
-          completed++;
-          if (completed === queries.length) {
-            results.netProfit = results.totalRevenue - results.totalExpenses;
-            results.monthlyNet = results.monthlyRevenue - results.monthlyExpenses;
-            resolve(results);
-          }
-        });
+      stream.on('finish', () => {
+        resolve(filePath);
       });
+
+      stream.on('error', reject);
     });
   }
 
-  static async generateInvoicePDF(invoiceId) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Get invoice data with patient and items
-        const invoice = await this.getInvoiceWithDetails(invoiceId);
-        if (!invoice) {
-          reject(new Error('Invoice not found'));
-          return;
-        }
-
-        const doc = new PDFDocument();
-        const fileName = `invoice_${invoice.invoice_number}.pdf`;
-        const filePath = path.join(__dirname, '..', 'invoices', fileName);
-
-        // Ensure invoices directory exists
-        const invoicesDir = path.dirname(filePath);
-        if (!fs.existsSync(invoicesDir)) {
-          fs.mkdirSync(invoicesDir, { recursive: true });
-        }
-
-        const stream = fs.createWriteStream(filePath);
-        doc.pipe(stream);
-
-        // Header
-        doc.fontSize(20).text('BLACKISTONE MEDICAL CENTRE', { align: 'center' });
-        doc.fontSize(16).text('INVOICE', { align: 'center' });
-        doc.moveDown();
-
-        // Invoice details
-        doc.fontSize(12);
-        doc.text(`Invoice Number: ${invoice.invoice_number}`);
-        doc.text(`Date: ${new Date(invoice.created_at).toLocaleDateString()}`);
-        doc.text(`Due Date: ${new Date(invoice.due_date).toLocaleDateString()}`);
-        doc.moveDown();
-
-        // Patient details
-        doc.text('Bill To:');
-        doc.text(`${invoice.first_name} ${invoice.last_name}`);
-        doc.text(`Patient ID: ${invoice.patient_id}`);
-        doc.moveDown();
-
-        // Items table
-        const tableTop = doc.y;
-        doc.text('Description', 50, tableTop);
-        doc.text('Qty', 300, tableTop);
-        doc.text('Unit Price', 350, tableTop);
-        doc.text('Total', 450, tableTop);
-
-        doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-        let yPosition = tableTop + 25;
-        invoice.items.forEach(item => {
-          doc.text(item.description, 50, yPosition);
-          doc.text(item.quantity.toString(), 300, yPosition);
-          doc.text(`$${item.unit_price.toFixed(2)}`, 350, yPosition);
-          doc.text(`$${item.total_price.toFixed(2)}`, 450, yPosition);
-          yPosition += 20;
-        });
-
-        // Totals
-        yPosition += 10;
-        doc.text(`Subtotal: $${invoice.amount.toFixed(2)}`, 350, yPosition);
-        doc.text(`Tax (15%): $${invoice.tax_amount.toFixed(2)}`, 350, yPosition + 20);
-        doc.font('Helvetica-Bold').text(`Total: $${invoice.total_amount.toFixed(2)}`, 350, yPosition + 40);
-
-        doc.end();
-
-        stream.on('finish', () => {
-          resolve(filePath);
-        });
-
-        stream.on('error', reject);
-      } catch (error) {
-        reject(error);
+  // The invoice and its replacement items are written in one transaction.
+  // Totals are recalculated from the items; the invoice keeps its number.
+  static async updateInvoice(invoiceId, invoiceData, userId) {
+    // Get old invoice data for audit
+    const oldInvoice = await AccountingService.getInvoiceWithDetails(invoiceId);
+    if (!oldInvoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (invoiceData.version !== undefined && invoiceData.version !== null &&
+        Number(invoiceData.version) !== oldInvoice.version) {
+      throw new Error('This invoice was changed by someone else since you opened it. Reload the invoice and try again.');
+    }
+
+    const changes = await withTransaction(async () => {
+      const pricing = await priceInvoiceItems(invoiceData.items, await taxBasis(oldInvoice));
+
+      const result = await run(`
+        UPDATE invoices
+        SET amount = ?, tax_amount = ?, total_amount = ?, due_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [pricing.amount, pricing.taxAmount, pricing.totalAmount, invoiceData.dueDate, invoiceData.notes, invoiceId]);
+
+      await run('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId]);
+      await insertInvoiceItems(invoiceId, pricing.items);
+
+      if ((await getInvoiceBalance(invoiceId)).balance_due < 0) {
+        throw new Error('The invoice total cannot be less than what has already been paid and credited against it');
       }
+      await AccountingService.updateInvoiceStatus(invoiceId);
+      return result.changes;
     });
+
+    // Log update
+    Auth.logAudit(userId, 'UPDATE_INVOICE', 'invoices', invoiceId, oldInvoice, invoiceData);
+    return changes;
   }
 
-  static async updateInvoice(invoiceId, invoiceData, userId) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Get old invoice data for audit
-        const oldInvoice = await this.getInvoiceWithDetails(invoiceId);
-        if (!oldInvoice) {
-          reject(new Error('Invoice not found'));
-          return;
-        }
-
-        // Calculate new totals
-        const taxAmount = invoiceData.amount * 0.15; // 15% VAT for Zimbabwe
-        const totalAmount = invoiceData.amount + taxAmount;
-
-        // Update invoice
-        const sql = `
-          UPDATE invoices
-          SET amount = ?, tax_amount = ?, total_amount = ?, due_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
-          WHERE id = ?
-        `;
-
-        db.run(sql, [invoiceData.amount, taxAmount, totalAmount, invoiceData.dueDate, invoiceData.notes, invoiceId], function(err) {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          // Delete existing items
-          db.run('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId], (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            // Add new items
-            if (invoiceData.items && invoiceData.items.length > 0) {
-              let completed = 0;
-              invoiceData.items.forEach(item => {
-                db.run(`
-                  INSERT INTO invoice_items (invoice_id, billing_code_id, description, quantity, unit_price, total_price)
-                  VALUES (?, ?, ?, ?, ?, ?)
-                `, [invoiceId, item.billingCodeId, item.description, item.quantity, item.unitPrice, item.totalPrice], (err) => {
-                  if (err) {
-                    reject(err);
-                    return;
-                  }
-                  completed++;
-                  if (completed === invoiceData.items.length) {
-                    // Log update
-                    Auth.logAudit(userId, 'UPDATE_INVOICE', 'invoices', invoiceId, oldInvoice, invoiceData);
-                    resolve(this.changes);
-                  }
-                });
-              });
-            } else {
-              // Log update
-              Auth.logAudit(userId, 'UPDATE_INVOICE', 'invoices', invoiceId, oldInvoice, invoiceData);
-              resolve(this.changes);
-            }
-          });
-        });
-      } catch (error) {
-        reject(error);
-      }
+  // Cancel an invoice that was raised in error. Payments against it must be
+  // refunded first, and an invoice with credit notes is settled by crediting
+  // the rest rather than voided.
+  static async voidInvoice(invoiceId, reason, userId) {
+    const invoice = await getInvoiceBalance(invoiceId);
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (invoice.status === 'cancelled') {
+      throw new Error('Invoice is already void');
+    }
+
+    if (roundMoney(invoice.amount_paid - invoice.amount_refunded) > 0) {
+      throw new Error('Refund the payments on this invoice before voiding it');
+    }
+
+    if (invoice.amount_credited > 0) {
+      throw new Error('Invoices with credit notes cannot be voided; issue a credit note for the balance instead');
+    }
+
+    if (await get("SELECT id FROM claims WHERE invoice_id = ? AND status != 'rejected'", [invoiceId])) {
+      throw new Error('This invoice has an insurance claim; delete or reject the claim before voiding it');
+    }
+
+    const notes = [invoice.notes, `Voided: ${reason || 'no reason given'}`].filter(Boolean).join('\n');
+
+    const { changes } = await run(`
+      UPDATE invoices SET status = 'cancelled', notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [notes, invoiceId]);
+
+    Auth.logAudit(userId, 'VOID_INVOICE', 'invoices', invoiceId, invoice, { status: 'cancelled', reason });
+    return changes;
+  }
+
+  // Move an invoice to the recycle bin. This is refused once payments,
+  // credit notes or insurance claims have been recorded against it, even if
+  // refunded or rejected.
+  static async deleteInvoice(invoiceId, userId) {
+    const invoice = await get(`
+      SELECT i.*,
+        (SELECT COUNT(*) FROM payments p WHERE p.invoice_id = i.id) as payment_count,
+        (SELECT COUNT(*) FROM credit_notes cn WHERE cn.invoice_id = i.id) as credit_note_count,
+        (SELECT COUNT(*) FROM claims c WHERE c.invoice_id = i.id) as claim_count
+      FROM invoices i
+      WHERE i.id = ? AND i.deleted_at IS NULL
+    `, [invoiceId]);
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (invoice.status === 'paid' || invoice.payment_count > 0) {
+      throw new Error('Invoices with recorded payments cannot be deleted');
+    }
+
+    if (invoice.credit_note_count > 0) {
+      throw new Error('Invoices with credit notes cannot be deleted');
+    }
+
+    if (invoice.claim_count > 0) {
+      throw new Error('Invoices with insurance claims cannot be deleted');
+    }
+
+    const { changes } = await run(`
+      UPDATE invoices SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `, [userId, invoiceId]);
+
+    Auth.logAudit(userId, 'DELETE_INVOICE', 'invoices', invoiceId, invoice, null);
+    return changes;
+  }
+
+  // Remove every invoice, its items, payments, refunds and credit notes,
+  // insurance claims, patient credit, and all appointment billings, in one
+  // transaction. Insurers are kept.
+  static async clearInvoices(userId) {
+    const counts = await withTransaction(async () => {
+      // Children first; payments, credit notes and claims restrict deleting their invoice
+      const remittances = await run('DELETE FROM claim_remittances');
+      const claims = await run('DELETE FROM claims');
+      const credits = await run('DELETE FROM patient_credits');
+      const refunds = await run('DELETE FROM refunds');
+      const creditNotes = await run('DELETE FROM credit_notes');
+      const payments = await run('DELETE FROM payments');
+      const items = await run('DELETE FROM invoice_items');
+      const billings = await run('DELETE FROM appointment_billings');
+      const invoices = await run('DELETE FROM invoices');
+      return {
+        claim_remittances: remittances.changes,
+        claims: claims.changes,
+        patient_credits: credits.changes,
+        refunds: refunds.changes,
+        credit_notes: creditNotes.changes,
+        payments: payments.changes,
+        invoice_items: items.changes,
+        appointment_billings: billings.changes,
+        invoices: invoices.changes
+      };
     });
+
+    Auth.logAudit(userId, 'CLEAR_INVOICES', 'invoices', null, counts, null);
+    return counts;
   }
 
+  // The invoice with its balance, items, payments (each with what has been
+  // refunded of it), refunds, credit notes and insurance claims, and the
+  // credit its patient holds
   static async getInvoiceWithDetails(invoiceId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT i.*, p.first_name, p.last_name, p.patient_id
-        FROM invoices i
-        JOIN patients p ON i.patient_id = p.id
-        WHERE i.id = ?
-      `;
-
-      db.get(sql, [invoiceId], (err, invoice) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!invoice) {
-          resolve(null);
-          return;
-        }
-
-        // Get invoice items with billing codes
-        const itemsSql = `
-          SELECT ii.*, bc.code, bc.description as billing_description, bc.category
-          FROM invoice_items ii
-          LEFT JOIN billing_codes bc ON ii.billing_code_id = bc.id
-          WHERE ii.invoice_id = ?
-        `;
-
-        db.all(itemsSql, [invoiceId], (err, items) => {
-          if (err) {
-            reject(err);
-          } else {
-            invoice.items = items;
-
-            // Get payments for this invoice
-            db.all('SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date DESC', [invoiceId], (err, payments) => {
-              if (err) {
-                reject(err);
-              } else {
-                invoice.payments = payments;
-                resolve(invoice);
-              }
-            });
-          }
-        });
-      });
-    });
+    const invoice = withBalance(await get(`
+      SELECT i.*, p.first_name, p.last_name, p.patient_id, i.patient_id as patient_record_id, ${BALANCE_COLUMNS}
+      FROM invoices i
+      JOIN patients p ON i.patient_id = p.id
+      WHERE i.id = ? AND i.deleted_at IS NULL
+    `, [invoiceId]));
+
+    if (!invoice) {
+      return null;
+    }
+
+    // Get invoice items with billing codes
+    invoice.items = await all(`
+      SELECT ii.*, bc.code, bc.description as billing_description, bc.category
+      FROM invoice_items ii
+      LEFT JOIN billing_codes bc ON ii.billing_code_id = bc.id
+      WHERE ii.invoice_id = ?
+    `, [invoiceId]);
+
+    // Get payments for this invoice
+    invoice.payments = await all(`
+      SELECT pm.*, COALESCE((SELECT SUM(r.amount) FROM refunds r WHERE r.payment_id = pm.id), 0) as refunded
+      FROM payments pm
+      WHERE pm.invoice_id = ?
+      ORDER BY pm.payment_date DESC
+    `, [invoiceId]);
+
+    invoice.refunds = await all(`
+      SELECT r.*, u.name as created_by_name
+      FROM refunds r
+      JOIN payments pm ON pm.id = r.payment_id
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE pm.invoice_id = ?
+      ORDER BY r.refund_date DESC, r.id DESC
+    `, [invoiceId]);
+
+    invoice.creditNotes = await all(`
+      SELECT cn.*, u.name as created_by_name
+      FROM credit_notes cn
+      LEFT JOIN users u ON u.id = cn.created_by
+      WHERE cn.invoice_id = ?
+      ORDER BY cn.id
+    `, [invoiceId]);
+
+    invoice.claims = await all(`
+      SELECT c.id, c.claim_number, c.status, c.claimed_amount, c.created_at, ins.name as insurer_name
+      FROM claims c
+      JOIN insurers ins ON ins.id = c.insurer_id
+      WHERE c.invoice_id = ?
+      ORDER BY c.id
+    `, [invoiceId]);
+
+    invoice.patient_credit = await getPatientCreditBalance(invoice.patient_record_id);
+    return invoice;
   }
 
   // Billing Codes Management
   static async createBillingCode(codeData, userId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT INTO billing_codes (code, description, category, default_price, tax_rate, active)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `;
-
-      const values = [
-        codeData.code,
-        codeData.description,
-        codeData.category,
-        codeData.defaultPrice,
-        codeData.taxRate || 0.15,
-        codeData.active !== undefined ? codeData.active : true
-      ];
-
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          Auth.logAudit(userId, 'CREATE_BILLING_CODE', 'billing_codes', this.lastID, null, codeData);
-          resolve(this.lastID);
-        }
-      });
-    });
+    const taxCode = codeData.taxCode || DEFAULT_TAX_CODE;
+    await TaxService.requireTaxCode(taxCode);
+
+    const { lastID } = await run(`
+      INSERT INTO billing_codes (code, description, category, default_price, tax_code, active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      codeData.code,
+      codeData.description,
+      codeData.category,
+      codeData.defaultPrice,
+      taxCode,
+      codeData.active !== undefined ? codeData.active : true
+    ]);
+
+    Auth.logAudit(userId, 'CREATE_BILLING_CODE', 'billing_codes', lastID, null, codeData);
+    return lastID;
   }
 
+  // Each code comes with the name and rate of its tax code today
   static async getBillingCodes(filters = {}) {
-    return new Promise((resolve, reject) => {
-      let sql = 'SELECT * FROM billing_codes WHERE 1=1';
-      const params = [];
+    let sql = `
+      SELECT bc.*, t.name as tax_name, t.rate as current_tax_rate
+      FROM billing_codes bc
+      LEFT JOIN tax_rates t ON t.code = bc.tax_code AND t.effective_from = (
+        SELECT MAX(effective_from) FROM tax_rates WHERE code = bc.tax_code AND effective_from <= ?
+      )
+      WHERE 1=1
+    `;
+    const params = [TaxService.today()];
 
-      if (filters.category) {
-        sql += ' AND category = ?';
-        params.push(filters.category);
-      }
+    if (filters.category) {
+      sql += ' AND bc.category = ?';
+      params.push(filters.category);
+    }
 
-      if (filters.active !== undefined) {
-        sql += ' AND active = ?';
-        params.push(filters.active ? 1 : 0);
-      }
+    if (filters.active !== undefined) {
+      sql += ' AND bc.active = ?';
+      params.push(filters.active ? 1 : 0);
+    }
 
-      sql += ' ORDER BY category, code';
+    sql += ' ORDER BY bc.category, bc.code';
 
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return all(sql, params);
   }
 
   static async updateBillingCode(id, codeData, userId) {
-    return new Promise((resolve, reject) => {
-      // Get old values for audit
-      db.get('SELECT * FROM billing_codes WHERE id = ?', [id], (err, oldCode) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        if (!oldCode) {
-          reject(new Error('Billing code not found'));
-          return;
-        }
-
-        const fields = [];
-        const values = [];
-
-        if (codeData.code !== undefined) {
-          fields.push('code = ?');
-          values.push(codeData.code);
-        }
-        if (codeData.description !== undefined) {
-          fields.push('description = ?');
-          values.push(codeData.description);
-        }
-        if (codeData.category !== undefined) {
-          fields.push('category = ?');
-          values.push(codeData.category);
-        }
-        if (codeData.defaultPrice !== undefined) {
-          fields.push('default_price = ?');
-          values.push(codeData.defaultPrice);
-        }
-        if (codeData.taxRate !== undefined) {
-          fields.push('tax_rate = ?');
-          values.push(codeData.taxRate);
-        }
-        if (codeData.active !== undefined) {
-          fields.push('active = ?');
-          values.push(codeData.active);
-        }
-
-        if (fields.length === 0) {
-          resolve(0);
-          return;
-        }
-
-        values.push(id);
-
-        const sql = `UPDATE billing_codes SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-
-        db.run(sql, values, function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            Auth.logAudit(userId, 'UPDATE_BILLING_CODE', 'billing_codes', id, oldCode, codeData);
-            resolve(this.changes);
-          }
-        });
-      });
-    });
+    // Get old values for audit
+    const oldCode = await get('SELECT * FROM billing_codes WHERE id = ?', [id]);
+    if (!oldCode) {
+      throw new Error('Billing code not found');
+    }
+
+    const fields = [];
+    const values = [];
+
+    if (codeData.code !== undefined) {
+      fields.push('code = ?');
+      values.push(codeData.code);
+    }
+    if (codeData.description !== undefined) {
+      fields.push('description = ?');
+      values.push(codeData.description);
+    }
+    if (codeData.category !== undefined) {
+      fields.push('category = ?');
+      values.push(codeData.category);
+    }
+    if (codeData.defaultPrice !== undefined) {
+      fields.push('default_price = ?');
+      values.push(codeData.defaultPrice);
+    }
+    if (codeData.taxCode !== undefined) {
+      await TaxService.requireTaxCode(codeData.taxCode);
+      fields.push('tax_code = ?');
+      values.push(codeData.taxCode);
+    }
+    if (codeData.active !== undefined) {
+      fields.push('active = ?');
+      values.push(codeData.active);
+    }
+
+    if (fields.length === 0) {
+      return 0;
+    }
+
+    values.push(id);
+
+    const sql = `UPDATE billing_codes SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    const { changes } = await run(sql, values);
+
+    Auth.logAudit(userId, 'UPDATE_BILLING_CODE', 'billing_codes', id, oldCode, codeData);
+    return changes;
   }
 
   // Appointment Billing
   static async createAppointmentBilling(appointmentId, billingData, userId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT INTO appointment_billings (appointment_id, billing_code_id, quantity, unit_price, total_price)
-        VALUES (?, ?, ?, ?, ?)
-      `;
-
-      const totalPrice = billingData.quantity * billingData.unitPrice;
-
-      const values = [
-        appointmentId,
-        billingData.billingCodeId,
-        billingData.quantity || 1,
-        billingData.unitPrice,
-        totalPrice
-      ];
-
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          Auth.logAudit(userId, 'CREATE_APPOINTMENT_BILLING', 'appointment_billings', this.lastID, null, { appointmentId, ...billingData });
-          resolve(this.lastID);
-        }
-      });
-    });
+    const totalPrice = billingData.quantity * billingData.unitPrice;
+
+    const { lastID } = await run(`
+      INSERT INTO appointment_billings (appointment_id, billing_code_id, quantity, unit_price, total_price)
+      VALUES (?, ?, ?, ?, ?)
+    `, [
+      appointmentId,
+      billingData.billingCodeId,
+      billingData.quantity || 1,
+      billingData.unitPrice,
+      totalPrice
+    ]);
+
+    Auth.logAudit(userId, 'CREATE_APPOINTMENT_BILLING', 'appointment_billings', lastID, null, { appointmentId, ...billingData });
+    return lastID;
   }
 
   static async getAppointmentBillings(appointmentId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT ab.*, bc.code, bc.description, bc.category
-        FROM appointment_billings ab
-        JOIN billing_codes bc ON ab.billing_code_id = bc.id
-        WHERE ab.appointment_id = ?
-        ORDER BY ab.created_at
-      `;
-
-      db.all(sql, [appointmentId], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return all(`
+      SELECT ab.*, bc.code, bc.description, bc.category
+      FROM appointment_billings ab
+      JOIN billing_codes bc ON ab.billing_code_id = bc.id
+      WHERE ab.appointment_id = ?
+      ORDER BY ab.created_at
+    `, [appointmentId]);
   }
 
+  // The invoice is created and the billings marked as billed in one
+  // transaction, so a failure never leaves billings invoiced twice or not at all.
+  // When the patient's insurer covers any of it under its tariff, the
+  // insurer's share is split off onto a draft claim in the same transaction.
   static async generateInvoiceFromAppointment(appointmentId, userId) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Get appointment details
-        const appointment = await new Promise((res, rej) => {
-          db.get(`
-            SELECT a.*, p.first_name, p.last_name, p.patient_id
-            FROM appointments a
-            JOIN patients p ON a.patient_id = p.id
-            WHERE a.id = ?
-          `, [appointmentId], (err, row) => {
-            if (err) rej(err);
-            else res(row);
-          });
-        });
-
-        if (!appointment) {
-          reject(new Error('Appointment not found'));
-          return;
-        }
-
-        // Get unbilled items for this appointment
-        const unbilledItems = await new Promise((res, rej) => {
-          db.all(`
-            SELECT ab.*, bc.code, bc.description, bc.category, bc.tax_rate
-            FROM appointment_billings ab
-            JOIN billing_codes bc ON ab.billing_code_id = bc.id
-            WHERE ab.appointment_id = ? AND ab.billed = 0
-          `, [appointmentId], (err, rows) => {
-            if (err) rej(err);
-            else res(rows);
-          });
-        });
-
-        if (unbilledItems.length === 0) {
-          reject(new Error('No unbilled items found for this appointment'));
-          return;
-        }
-
-        // Calculate totals
-        let subtotal = 0;
-        const items = unbilledItems.map(item => {
-          subtotal += item.total_price;
-          return {
-            billingCodeId: item.billing_code_id,
-            description: `${item.code} - ${item.description}`,
-            quantity: item.quantity,
-            unitPrice: item.unit_price,
-            totalPrice: item.total_price
-          };
-        });
-
-        const taxRate = unbilledItems[0]?.tax_rate || 0.15; // Use first item's tax rate
-        const taxAmount = subtotal * taxRate;
-        const totalAmount = subtotal + taxAmount;
-
-        // Create invoice
-        const invoiceData = {
-          patientId: appointment.patient_id,
-          amount: subtotal,
-          taxAmount: taxAmount,
-          totalAmount: totalAmount,
-          dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
-          notes: `Invoice for appointment on ${new Date(appointment.appointment_date).toLocaleDateString()}`,
-          items: items
-        };
-
-        const invoiceResult = await this.createInvoice(invoiceData, userId);
-
-        // Mark appointment billings as billed
-        for (const item of unbilledItems) {
-          await new Promise((res, rej) => {
-            db.run(
-              'UPDATE appointment_billings SET billed = 1, invoice_id = ? WHERE id = ?',
-              [invoiceResult.id, item.id],
-              (err) => {
-                if (err) rej(err);
-                else res();
-              }
-            );
-          });
-        }
-
-        resolve(invoiceResult);
-      } catch (error) {
-        reject(error);
-      }
-    });
+    const { invoice, audits } = await withTransaction(() => AccountingService.invoiceAppointment(appointmentId, userId));
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return invoice;
+  }
+
+  // Invoices the unbilled services of an appointment, and claims what the
+  // patient's insurer covers, in the caller's transaction. Returns the
+  // invoice and the audit entries to log once that commits.
+  static async invoiceAppointment(appointmentId, userId) {
+    // Get appointment details. The patient's number is aliased so it does
+    // not replace the appointment's patient_id foreign key.
+    const appointment = await get(`
+      SELECT a.*, p.first_name, p.last_name, p.patient_id as patient_number
+      FROM appointments a
+      JOIN patients p ON a.patient_id = p.id
+      WHERE a.id = ? AND a.deleted_at IS NULL
+    `, [appointmentId]);
+
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+
+    // Get unbilled items for this appointment
+    const unbilledItems = await all(`
+      SELECT ab.*, bc.code, bc.description, bc.category
+      FROM appointment_billings ab
+      JOIN billing_codes bc ON ab.billing_code_id = bc.id
+      WHERE ab.appointment_id = ? AND ab.billed = 0
+    `, [appointmentId]);
+
+    if (unbilledItems.length === 0) {
+      throw new Error('No unbilled items found for this appointment');
+    }
+
+    const items = unbilledItems.map(item => ({
+      billingCodeId: item.billing_code_id,
+      description: `${item.code} - ${item.description}`,
+      quantity: item.quantity,
+      unitPrice: item.unit_price
+    }));
+
+    // Create invoice; tax is worked out per line from each billing code
+    const invoiceData = {
+      patientId: appointment.patient_id,
+      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
+      notes: `Invoice for appointment on ${new Date(appointment.appointment_date).toLocaleDateString()}`,
+      items: items
+    };
+
+    const { invoice, audits } = await insertInvoice(invoiceData, userId);
+
+    // Mark appointment billings as billed
+    for (const item of unbilledItems) {
+      await run('UPDATE appointment_billings SET billed = 1, invoice_id = ? WHERE id = ?', [invoice.id, item.id]);
+    }
+
+    // Loaded here, as the claims service depends on this one
+    const ClaimsService = require('./claimsService');
+    const covered = await ClaimsService.claimCoveredShare(invoice.id, userId, { appointmentId });
+    if (!covered.claim) {
+      return { invoice, audits };
+    }
+    return { invoice: { ...invoice, claim: covered.claim }, audits: [...audits, ...covered.audits] };
   }
 
   // Payment Management
+  // The payment and the invoice status it leads to are written in one
+  // transaction. Whatever is paid beyond the balance due is kept as credit
+  // for the patient.
   static async recordPayment(paymentData, userId) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT INTO payments (invoice_id, amount, payment_date, payment_method, reference_number, notes)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `;
-
-      const values = [
-        paymentData.invoiceId,
-        paymentData.amount,
-        paymentData.paymentDate,
-        paymentData.paymentMethod,
-        paymentData.referenceNumber || null,
-        paymentData.notes || null
-      ];
-
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          // Update invoice status based on total payments
-          this.updateInvoiceStatusAfterPayment(paymentData.invoiceId, (updateErr) => {
-            if (updateErr) {
-              console.error('Error updating invoice status:', updateErr);
-            }
-            Auth.logAudit(userId, 'RECORD_PAYMENT', 'payments', this.lastID, null, paymentData);
-            resolve(this.lastID);
-          });
-        }
-      });
-    });
+    const { payment, audits } = await withTransaction(() => AccountingService.insertPayment(paymentData, userId));
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return payment;
   }
 
-  static updateInvoiceStatusAfterPayment(invoiceId, callback) {
-    // Get total payments and invoice amount
-    const sql = `
-      SELECT
-        i.total_amount,
-        COALESCE(SUM(p.amount), 0) as total_paid
-      FROM invoices i
-      LEFT JOIN payments p ON i.id = p.invoice_id
-      WHERE i.id = ?
-      GROUP BY i.id
-    `;
+  // Records a payment in the caller's transaction. Returns it and the audit
+  // entries to log once that commits.
+  static async insertPayment(paymentData, userId) {
+    const amount = requireAmount(paymentData.amount, 'Payment amount');
+    if (!PAYMENT_METHODS.includes(paymentData.paymentMethod)) {
+      throw new Error('Choose how the payment was made');
+    }
+    if (!paymentData.paymentDate) {
+      throw new Error('Payment date is required');
+    }
+
+    const invoice = await getInvoiceBalance(paymentData.invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    if (invoice.status === 'cancelled') {
+      throw new Error('Payments cannot be recorded against a void invoice');
+    }
+
+    const overpayment = roundMoney(Math.max(0, amount - Math.max(0, invoice.balance_due)));
+    const { lastID } = await run(`
+      INSERT INTO payments (invoice_id, amount, overpayment, payment_date, payment_method, reference_number, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      invoice.id,
+      amount,
+      overpayment,
+      paymentData.paymentDate,
+      paymentData.paymentMethod,
+      paymentData.referenceNumber || null,
+      paymentData.notes || null
+    ]);
+
+    if (overpayment > 0) {
+      await run(`
+        INSERT INTO patient_credits (patient_id, amount, kind, payment_id, created_by) VALUES (?, ?, 'overpayment', ?, ?)
+      `, [invoice.patient_id, overpayment, lastID, userId]);
+    }
+
+    await AccountingService.updateInvoiceStatus(invoice.id);
+    return {
+      payment: { id: lastID, overpayment },
+      audits: [[userId, 'RECORD_PAYMENT', 'payments', lastID, null, { ...paymentData, overpayment }]]
+    };
+  }
 
-    db.get(sql, [invoiceId], (err, result) => {
-      if (err) {
-        callback(err);
-        return;
+  // Pay an invoice from the credit its patient holds: by default as much of
+  // the balance due as the credit covers
+  static async applyPatientCredit(invoiceId, amount, userId) {
+    const result = await withTransaction(async () => {
+      const invoice = await getInvoiceBalance(invoiceId);
+      if (!invoice) {
+        throw new Error('Invoice not found');
+      }
+      if (invoice.status === 'cancelled' || invoice.balance_due <= 0) {
+        throw new Error('This invoice has no balance due');
       }
 
-      let newStatus = 'unpaid';
-      if (result.total_paid >= result.total_amount) {
-        newStatus = 'paid';
-      } else if (result.total_paid > 0) {
-        newStatus = 'partial';
+      const credit = await getPatientCreditBalance(invoice.patient_id);
+      if (credit <= 0) {
+        throw new Error('The patient has no credit to apply');
       }
 
-      // Check if overdue
-      db.get('SELECT due_date FROM invoices WHERE id = ?', [invoiceId], (err, invoice) => {
-        if (!err && invoice) {
-          const dueDate = new Date(invoice.due_date);
-          const today = new Date();
-          if (today > dueDate && newStatus !== 'paid') {
-            newStatus = 'overdue';
-          }
-        }
-
-        db.run('UPDATE invoices SET status = ? WHERE id = ?', [newStatus, invoiceId], callback);
-      });
+      const applied = amount === undefined || amount === null || amount === ''
+        ? Math.min(credit, invoice.balance_due)
+        : requireAmount(amount, 'Credit to apply');
+      if (applied > credit) {
+        throw new Error(`The patient only has $${credit.toFixed(2)} of credit`);
+      }
+      if (applied > invoice.balance_due) {
+        throw new Error(`Only $${invoice.balance_due.toFixed(2)} is due on this invoice`);
+      }
+
+      const { lastID } = await run(`
+        INSERT INTO payments (invoice_id, amount, payment_date, payment_method, notes)
+        VALUES (?, ?, ?, ?, 'Paid from patient credit')
+      `, [invoice.id, applied, TaxService.today(), CREDIT_PAYMENT_METHOD]);
+      await run(`
+        INSERT INTO patient_credits (patient_id, amount, kind, payment_id, created_by) VALUES (?, ?, 'applied', ?, ?)
+      `, [invoice.patient_id, -applied, lastID, userId]);
+
+      await AccountingService.updateInvoiceStatus(invoice.id);
+      return { paymentId: lastID, amount: applied, creditRemaining: roundMoney(credit - applied) };
     });
+
+    Auth.logAudit(userId, 'APPLY_PATIENT_CREDIT', 'payments', result.paymentId, null, { invoiceId, ...result });
+    return result;
   }
 
-  static async getPayments(filters = {}) {
-    return new Promise((resolve, reject) => {
-      let sql = `
-        SELECT p.*, i.invoice_number, pt.first_name, pt.last_name
-        FROM payments p
-        JOIN invoices i ON p.invoice_id = i.id
-        JOIN patients pt ON i.patient_id = pt.id
-      `;
-
-      const params = [];
-      const conditions = [];
-
-      if (filters.invoiceId) {
-        conditions.push('p.invoice_id = ?');
-        params.push(filters.invoiceId);
+  // Refund some or all of a payment. A payment made from patient credit is
+  // refunded to that credit; any other is paid back by refundData.refundMethod,
+  // by default the way it was paid. The part of a payment that became patient
+  // credit is refunded with refundPatientCredit instead.
+  static async refundPayment(paymentId, refundData, userId) {
+    const amount = requireAmount(refundData.amount, 'Refund amount');
+    const reason = String(refundData.reason || '').trim();
+    if (!reason) {
+      throw new Error('A reason for the refund is required');
+    }
+
+    const result = await withTransaction(async () => {
+      const payment = await get(`
+        SELECT pm.*, i.patient_id, COALESCE((SELECT SUM(r.amount) FROM refunds r WHERE r.payment_id = pm.id), 0) as refunded
+        FROM payments pm
+        JOIN invoices i ON i.id = pm.invoice_id
+        WHERE pm.id = ?
+      `, [paymentId]);
+      if (!payment) {
+        throw new Error('Payment not found');
       }
 
-      if (filters.paymentMethod) {
-        conditions.push('p.payment_method = ?');
-        params.push(filters.paymentMethod);
+      const refundable = roundMoney(payment.amount - payment.overpayment - payment.refunded);
+      if (amount > refundable) {
+        throw new Error(refundable > 0
+          ? `Only $${refundable.toFixed(2)} of this payment can be refunded`
+          : 'This payment has already been refunded');
       }
 
-      if (filters.dateFrom) {
-        conditions.push('DATE(p.payment_date) >= ?');
-        params.push(filters.dateFrom);
+      const fromCredit = payment.payment_method === CREDIT_PAYMENT_METHOD;
+      const refundMethod = fromCredit ? CREDIT_PAYMENT_METHOD : (refundData.refundMethod || payment.payment_method);
+      if (!fromCredit && !PAYMENT_METHODS.includes(refundMethod)) {
+        throw new Error('Choose how the refund is paid');
       }
 
-      if (filters.dateTo) {
-        conditions.push('DATE(p.payment_date) <= ?');
-        params.push(filters.dateTo);
-      }
+      const { lastID } = await run(`
+        INSERT INTO refunds (payment_id, amount, refund_date, refund_method, reason, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [payment.id, amount, refundData.refundDate || TaxService.today(), refundMethod, reason, userId]);
 
-      if (conditions.length > 0) {
-        sql += ' WHERE ' + conditions.join(' AND ');
+      if (fromCredit) {
+        await run(`
+          INSERT INTO patient_credits (patient_id, amount, kind, payment_id, refund_id, created_by)
+          VALUES (?, ?, 'restored', ?, ?, ?)
+        `, [payment.patient_id, amount, payment.id, lastID, userId]);
       }
 
-      sql += ' ORDER BY p.payment_date DESC';
+      await AccountingService.updateInvoiceStatus(payment.invoice_id);
+      return { id: lastID, paymentId: payment.id, invoiceId: payment.invoice_id, amount, refundMethod };
+    });
 
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
+    Auth.logAudit(userId, 'REFUND_PAYMENT', 'refunds', result.id, null, { ...result, reason });
+    return result;
+  }
+
+  // A patient's credit balance and the entries that make it up, newest first
+  static async getPatientCredit(patientId) {
+    const entries = await all(`
+      SELECT pc.*, pm.invoice_id, i.invoice_number, u.name as created_by_name
+      FROM patient_credits pc
+      LEFT JOIN payments pm ON pm.id = pc.payment_id
+      LEFT JOIN invoices i ON i.id = pm.invoice_id
+      LEFT JOIN users u ON u.id = pc.created_by
+      WHERE pc.patient_id = ?
+      ORDER BY pc.id DESC
+    `, [patientId]);
+    return { patientId, balance: await getPatientCreditBalance(patientId), entries };
+  }
+
+  // Pay credit back to the patient
+  static async refundPatientCredit(patientId, refundData, userId) {
+    const amount = requireAmount(refundData.amount, 'Refund amount');
+    const reason = String(refundData.reason || '').trim();
+    if (!PAYMENT_METHODS.includes(refundData.refundMethod)) {
+      throw new Error('Choose how the refund is paid');
+    }
+    if (!reason) {
+      throw new Error('A reason for the refund is required');
+    }
+
+    const result = await withTransaction(async () => {
+      const credit = await getPatientCreditBalance(patientId);
+      if (amount > credit) {
+        throw new Error(credit > 0 ? `The patient only has $${credit.toFixed(2)} of credit` : 'The patient has no credit to refund');
+      }
+
+      const { lastID } = await run(`
+        INSERT INTO patient_credits (patient_id, amount, kind, refund_method, notes, created_by)
+        VALUES (?, ?, 'refunded', ?, ?, ?)
+      `, [patientId, -amount, refundData.refundMethod, reason, userId]);
+      return { id: lastID, amount, creditRemaining: roundMoney(credit - amount) };
     });
+
+    Auth.logAudit(userId, 'REFUND_PATIENT_CREDIT', 'patient_credits', result.id, null,
+      { patientId, refundMethod: refundData.refundMethod, reason, ...result });
+    return result;
+  }
+
+  // Reduce what an invoice asks for, up to its balance due. The credit note
+  // gives back output tax in the invoice's proportion of tax to total.
+  static async createCreditNote(invoiceId, creditData, userId) {
+    const { creditNote, audits } = await withTransaction(() => AccountingService.insertCreditNote(invoiceId, creditData, userId));
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return creditNote;
+  }
+
+  // Issues a credit note in the caller's transaction. Returns it and the
+  // audit entries to log once that commits.
+  static async insertCreditNote(invoiceId, creditData, userId) {
+    const amount = requireAmount(creditData.amount, 'Credit note amount');
+    const reason = String(creditData.reason || '').trim();
+    if (!reason) {
+      throw new Error('A reason for the credit note is required');
+    }
+
+    const invoice = await getInvoiceBalance(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    if (invoice.status === 'cancelled') {
+      throw new Error('Void invoices cannot be credited');
+    }
+    if (amount > invoice.balance_due) {
+      throw new Error(invoice.balance_due > 0
+        ? `A credit note cannot be more than the $${invoice.balance_due.toFixed(2)} due; refund payments instead`
+        : 'Nothing is due on this invoice; refund payments instead');
+    }
+
+    const taxAmount = invoice.total_amount > 0 ? roundMoney(amount * invoice.tax_amount / invoice.total_amount) : 0;
+    const creditNoteNumber = await nextCreditNoteNumber();
+    const { lastID } = await run(`
+      INSERT INTO credit_notes (credit_note_number, invoice_id, amount, tax_amount, reason, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [creditNoteNumber, invoice.id, amount, taxAmount, reason, userId]);
+
+    await AccountingService.updateInvoiceStatus(invoice.id);
+    const creditNote = { id: lastID, creditNoteNumber, amount, taxAmount };
+    return {
+      creditNote,
+      audits: [[userId, 'CREATE_CREDIT_NOTE', 'credit_notes', lastID, null, { invoiceId, reason, ...creditNote }]]
+    };
+  }
+
+  // Set an invoice's status from its balance: paid once nothing is due,
+  // overdue when something is due after the due date, partial when part
+  // has been paid or credited, otherwise unpaid. Void invoices keep theirs.
+  static async updateInvoiceStatus(invoiceId) {
+    const invoice = await getInvoiceBalance(invoiceId);
+    if (!invoice || invoice.status === 'cancelled') {
+      return;
+    }
+
+    let newStatus = 'unpaid';
+    let paymentDate = null;
+    if (invoice.balance_due <= 0) {
+      newStatus = 'paid';
+      const lastPayment = await get('SELECT MAX(payment_date) as payment_date FROM payments WHERE invoice_id = ?', [invoiceId]);
+      paymentDate = lastPayment.payment_date || invoice.payment_date || TaxService.today();
+    } else if (invoice.due_date && invoice.due_date < TaxService.today()) {
+      newStatus = 'overdue';
+    } else if (invoice.amount_paid - invoice.amount_refunded + invoice.amount_credited > 0) {
+      newStatus = 'partial';
+    }
+
+    if (newStatus !== invoice.status || paymentDate !== invoice.payment_date) {
+      await run('UPDATE invoices SET status = ?, payment_date = ? WHERE id = ?', [newStatus, paymentDate, invoiceId]);
+    }
+  }
+
+  static async getPayments(filters = {}) {
+    let sql = `
+      SELECT p.*, i.invoice_number, pt.first_name, pt.last_name,
+        COALESCE((SELECT SUM(r.amount) FROM refunds r WHERE r.payment_id = p.id), 0) as refunded
+      FROM payments p
+      JOIN invoices i ON p.invoice_id = i.id
+      JOIN patients pt ON i.patient_id = pt.id
+    `;
+
+    const params = [];
+    const conditions = [];
+
+    if (filters.invoiceId) {
+      conditions.push('p.invoice_id = ?');
+      params.push(filters.invoiceId);
+    }
+
+    if (filters.paymentMethod) {
+      conditions.push('p.payment_method = ?');
+      params.push(filters.paymentMethod);
+    }
+
+    if (filters.dateFrom) {
+      conditions.push('DATE(p.payment_date) >= ?');
+      params.push(filters.dateFrom);
+    }
+
+    if (filters.dateTo) {
+      conditions.push('DATE(p.payment_date) <= ?');
+      params.push(filters.dateTo);
+    }
+
+    if (conditions.length > 0) {
+      sql += ' WHERE ' + conditions.join(' AND ');
+    }
+
+    sql += ' ORDER BY p.payment_date DESC';
+
+    return all(sql, params);
   }
 }
 
-module.exports = AccountingService;
\ No newline at end of file
+AccountingService.nextClaimNumber = nextClaimNumber;
+
+module.exports = AccountingService;
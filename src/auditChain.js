@@ -0,0 +1,21 @@
+// Hash chaining for audit_log. Each row stores the hash of the row before it
+// (prev_hash) and a hash over its own contents plus prev_hash (row_hash), so
+// editing or deleting any row breaks the chain from that point on.
+
+const crypto = require('crypto');
+
+function hashAuditEntry(prevHash, entry) {
+  const content = JSON.stringify([
+    prevHash || '',
+    entry.user_id ?? null,
+    entry.action,
+    entry.table_name ?? null,
+    entry.record_id ?? null,
+    entry.old_values ?? null,
+    entry.new_values ?? null,
+    entry.timestamp
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = { hashAuditEntry };
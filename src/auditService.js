@@ -0,0 +1,396 @@
+const { run, get, all } = require('./repository');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const { hashAuditEntry } = require('./auditChain');
+const EncryptionService = require('./encryptionService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Exports are capped so a compliance review cannot exhaust memory
+const MAX_EXPORT_ROWS = 50000;
+
+// Identifiers people use for records, accepted in place of row ids when
+// asking for a record's history (e.g. patient "P12345678")
+const RECORD_KEYS = {
+  patients: 'patient_id',
+  invoices: 'invoice_number',
+  credit_notes: 'credit_note_number',
+  claims: 'claim_number',
+  users: 'username'
+};
+
+// Rows are chained to the row written before them, so writes are queued
+// rather than left to race each other
+let writeQueue = Promise.resolve();
+
+// SQLite CURRENT_TIMESTAMP format, so new and old rows sort and filter alike
+function toDbTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Ids arrive from IPC as strings or numbers; store them the way the INTEGER
+// columns will hand them back so the row hash still matches when verified
+function normalizeId(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return /^-?\d+$/.test(String(value)) ? Number(value) : value;
+}
+
+function parseValues(json) {
+  if (json === null || json === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return json;
+  }
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvField(value) {
+  return `"${formatValue(value).replace(/"/g, '""')}"`;
+}
+
+class AuditService {
+  static log(userId, action, tableName, recordId, oldValues, newValues) {
+    const entry = {
+      user_id: normalizeId(userId),
+      action,
+      table_name: tableName || null,
+      record_id: normalizeId(recordId),
+      old_values: oldValues ? JSON.stringify(oldValues) : null,
+      new_values: newValues ? JSON.stringify(newValues) : null,
+      timestamp: toDbTimestamp(new Date())
+    };
+
+    const write = writeQueue.then(() => AuditService.appendEntry(entry));
+    writeQueue = write.catch((error) => {
+      console.error('Failed to write audit log entry:', error.message);
+    });
+    return write;
+  }
+
+  static async appendEntry(entry) {
+    const last = await get('SELECT row_hash FROM audit_log ORDER BY id DESC LIMIT 1');
+    const prevHash = last ? last.row_hash : null;
+
+    const { lastID } = await run(`
+      INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values, timestamp, prev_hash, row_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.user_id,
+      entry.action,
+      entry.table_name,
+      entry.record_id,
+      entry.old_values,
+      entry.new_values,
+      entry.timestamp,
+      prevHash,
+      hashAuditEntry(prevHash, entry)
+    ]);
+    return lastID;
+  }
+
+  // Field-level changes between the old and new values of an entry. Only
+  // fields that differ are listed; creations and deletions list every field.
+  static diff(oldJson, newJson) {
+    const toObject = (values) => {
+      if (values === null) {
+        return {};
+      }
+      return typeof values === 'object' && !Array.isArray(values) ? values : { value: values };
+    };
+
+    const oldValues = toObject(parseValues(oldJson));
+    const newValues = toObject(parseValues(newJson));
+    const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+    // Encrypted clinical values are compared by content (each write has a
+    // fresh IV) but never shown: the audit log is not a way around clinical access
+    const comparable = (value) => EncryptionService.revealValue(value);
+    const shown = (value) => {
+      if (value === undefined) {
+        return null;
+      }
+      return EncryptionService.isEncryptedValue(value) ? '[encrypted]' : value;
+    };
+
+    return fields
+      .filter(field => JSON.stringify(comparable(oldValues[field])) !== JSON.stringify(comparable(newValues[field])))
+      .map(field => ({
+        field,
+        oldValue: shown(oldValues[field]),
+        newValue: shown(newValues[field])
+      }));
+  }
+
+  static async resolveRecordId(tableName, recordRef) {
+    if (recordRef === null || recordRef === undefined || recordRef === '') {
+      return null;
+    }
+
+    const keyColumn = RECORD_KEYS[tableName];
+    if (!keyColumn) {
+      return normalizeId(recordRef);
+    }
+
+    const row = await get(`SELECT id FROM ${tableName} WHERE ${keyColumn} = ?`, [String(recordRef)]);
+
+    // Deleted records are only reachable by their row id
+    return row ? row.id : normalizeId(recordRef);
+  }
+
+  static async buildConditions(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.userId) {
+      conditions.push('a.user_id = ?');
+      params.push(normalizeId(filters.userId));
+    }
+
+    if (filters.action) {
+      conditions.push('a.action = ?');
+      params.push(filters.action);
+    }
+
+    if (filters.tableName) {
+      conditions.push('a.table_name = ?');
+      params.push(filters.tableName);
+    }
+
+    if (filters.recordId !== undefined && filters.recordId !== null && filters.recordId !== '') {
+      conditions.push('a.record_id = ?');
+      params.push(await AuditService.resolveRecordId(filters.tableName, filters.recordId));
+    }
+
+    if (filters.dateFrom) {
+      conditions.push('DATE(a.timestamp) >= ?');
+      params.push(filters.dateFrom);
+    }
+
+    if (filters.dateTo) {
+      conditions.push('DATE(a.timestamp) <= ?');
+      params.push(filters.dateTo);
+    }
+
+    return {
+      where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
+  static async fetchEntries(filters, order, limit, offset) {
+    const { where, params } = await AuditService.buildConditions(filters);
+
+    const rows = await all(`
+      SELECT a.*, u.username, u.name as user_name
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      ${where}
+      ORDER BY a.id ${order}
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    return rows.map(row => ({
+      ...row,
+      changes: AuditService.diff(row.old_values, row.new_values)
+    }));
+  }
+
+  // One page of entries, newest first, with the total for the pager
+  static async query(filters = {}) {
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const { where, params } = await AuditService.buildConditions(filters);
+
+    const { count: total } = await get(`SELECT COUNT(*) as count FROM audit_log a ${where}`, params);
+
+    const rows = await AuditService.fetchEntries(filters, 'DESC', pageSize, (page - 1) * pageSize);
+    return { rows, total, page, pageSize, totalPages: Math.max(Math.ceil(total / pageSize), 1) };
+  }
+
+  // Every change to one record, oldest first
+  static async getRecordHistory(tableName, recordRef) {
+    if (!tableName || recordRef === undefined || recordRef === null || recordRef === '') {
+      throw new Error('Choose a table and enter a record to show its history');
+    }
+
+    const recordId = await AuditService.resolveRecordId(tableName, recordRef);
+    const entries = await AuditService.fetchEntries({ tableName, recordId }, 'ASC', MAX_EXPORT_ROWS, 0);
+    return { tableName, recordRef, recordId, entries };
+  }
+
+  // Values offered by the viewer's filter drop-downs
+  static async getFilterOptions() {
+    const [actions, tables, users] = await Promise.all([
+      all('SELECT DISTINCT action FROM audit_log ORDER BY action'),
+      all('SELECT DISTINCT table_name FROM audit_log WHERE table_name IS NOT NULL ORDER BY table_name'),
+      all('SELECT id, username, name FROM users ORDER BY name')
+    ]);
+
+    return {
+      actions: actions.map(row => row.action),
+      tables: tables.map(row => row.table_name),
+      users
+    };
+  }
+
+  // Walk the chain from the first row and report the first row whose hash
+  // or link to its predecessor does not match
+  static async verifyChain() {
+    const rows = await all(`
+      SELECT id, user_id, action, table_name, record_id, old_values, new_values, timestamp, prev_hash, row_hash
+      FROM audit_log
+      ORDER BY id
+    `);
+
+    let prevHash = null;
+    for (const row of rows) {
+      if ((row.prev_hash || null) !== prevHash) {
+        return {
+          valid: false,
+          checked: rows.length,
+          brokenAt: row.id,
+          reason: `Entry ${row.id} does not follow the entry before it; entries may have been deleted or reordered`
+        };
+      }
+
+      if (hashAuditEntry(prevHash, row) !== row.row_hash) {
+        return {
+          valid: false,
+          checked: rows.length,
+          brokenAt: row.id,
+          reason: `Entry ${row.id} has been modified since it was written`
+        };
+      }
+
+      prevHash = row.row_hash;
+    }
+
+    return { valid: true, checked: rows.length, brokenAt: null, reason: null, lastHash: prevHash };
+  }
+
+  static async exportCsv(filters, filePath) {
+    const rows = await AuditService.fetchEntries(filters || {}, 'ASC', MAX_EXPORT_ROWS, 0);
+    const headers = [
+      'ID', 'Timestamp (UTC)', 'User ID', 'Username', 'Action', 'Table', 'Record ID',
+      'Changes', 'Old Values', 'New Values', 'Previous Hash', 'Row Hash'
+    ];
+
+    const lines = [
+      headers.map(csvField).join(','),
+      ...rows.map(row => [
+        row.id,
+        row.timestamp,
+        row.user_id,
+        row.username,
+        row.action,
+        row.table_name,
+        row.record_id,
+        row.changes.map(change => `${change.field}: ${formatValue(change.oldValue)} -> ${formatValue(change.newValue)}`).join('; '),
+        row.old_values,
+        row.new_values,
+        row.prev_hash,
+        row.row_hash
+      ].map(csvField).join(','))
+    ];
+
+    await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+    return rows.length;
+  }
+
+  static async exportPdf(filters, filePath, generatedBy) {
+    const rows = await AuditService.fetchEntries(filters || {}, 'ASC', MAX_EXPORT_ROWS, 0);
+    const verification = await AuditService.verifyChain();
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(18).text('BLACKISTONE MEDICAL CENTRE', { align: 'center' });
+      doc.fontSize(14).text('AUDIT LOG REPORT', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Generated: ${new Date().toLocaleString()}${generatedBy ? ` by ${generatedBy}` : ''}`);
+      const filterSummary = Object.entries(filters || {})
+        .filter(([key, value]) => value !== undefined && value !== null && value !== '' && key !== 'page' && key !== 'pageSize')
+        .map(([key, value]) => `${key}=${value}`)
+        .join(', ');
+      doc.text(`Filters: ${filterSummary || 'none'}`);
+      doc.text(`Entries: ${rows.length}`);
+      doc.text(verification.valid
+        ? `Integrity: hash chain verified over ${verification.checked} entries`
+        : `Integrity: CHAIN BROKEN - ${verification.reason}`);
+      doc.moveDown();
+
+      const columns = [
+        { title: 'ID', x: 40, width: 40 },
+        { title: 'Time (UTC)', x: 80, width: 105 },
+        { title: 'User', x: 185, width: 75 },
+        { title: 'Action', x: 260, width: 115 },
+        { title: 'Record', x: 375, width: 80 },
+        { title: 'Changes', x: 455, width: 345 }
+      ];
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      const drawHeader = () => {
+        const top = doc.y;
+        doc.font('Helvetica-Bold');
+        columns.forEach(column => doc.text(column.title, column.x, top, { width: column.width }));
+        doc.font('Helvetica');
+        doc.moveTo(40, top + 13).lineTo(800, top + 13).stroke();
+        doc.y = top + 18;
+      };
+
+      doc.fontSize(8);
+      drawHeader();
+
+      rows.forEach(row => {
+        const changes = row.changes
+          .map(change => `${change.field}: ${formatValue(change.oldValue) || '-'} -> ${formatValue(change.newValue) || '-'}`)
+          .join('\n')
+          .slice(0, 600);
+        const cells = [
+          String(row.id),
+          row.timestamp,
+          row.username || (row.user_id ? `#${row.user_id}` : 'System'),
+          row.action,
+          row.table_name ? `${row.table_name} ${row.record_id ?? ''}` : '',
+          changes
+        ];
+
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width })), 10);
+        if (doc.y + height > bottom) {
+          doc.addPage();
+          drawHeader();
+        }
+
+        const top = doc.y;
+        cells.forEach((cell, index) => doc.text(cell, columns[index].x, top, { width: columns[index].width }));
+        doc.y = top + height + 4;
+      });
+
+      doc.end();
+
+      stream.on('finish', () => resolve(rows.length));
+      stream.on('error', reject);
+    });
+  }
+}
+
+AuditService.RECORD_KEYS = RECORD_KEYS;
+
+module.exports = AuditService;
@@ -1,210 +1,910 @@
 const bcrypt = require('bcryptjs');
-const db = require('./database');
-const SessionManager = require('./sessionManager'); // Import SessionManager
-const path = require('path');
-const sessionManager = new SessionManager(path.join(__dirname, '..')); // Create session manager instance with app directory
+const crypto = require('crypto');
+const { run, get, all, withTransaction } = require('./repository');
+const SettingsService = require('./settingsService');
+const totp = require('./totp');
+const AuditService = require('./auditService');
+
+// Every permission that can be granted to a role, grouped for the role editor
+const PERMISSIONS = [
+  { key: 'dashboard.read', group: 'Dashboard', description: 'View dashboard statistics' },
+
+  { key: 'patients.read', group: 'Patients', description: 'View patient demographics and contact details' },
+  { key: 'patients.clinical.read', group: 'Patients', description: 'View clinical fields (history, medications, results)' },
+  { key: 'patients.create', group: 'Patients', description: 'Register patients' },
+  { key: 'patients.update', group: 'Patients', description: 'Edit patients' },
+  { key: 'patients.delete', group: 'Patients', description: 'Delete patients' },
+
+  { key: 'appointments.read', group: 'Appointments', description: 'View appointments' },
+  { key: 'appointments.create', group: 'Appointments', description: 'Schedule appointments' },
+  { key: 'appointments.update', group: 'Appointments', description: 'Edit appointments' },
+  { key: 'appointments.delete', group: 'Appointments', description: 'Delete appointments' },
+
+  { key: 'billing.read', group: 'Billing', description: 'View billing codes and services billed to appointments' },
+  { key: 'billing.create', group: 'Billing', description: 'Bill services to appointments and invoice them' },
+  { key: 'billing_codes.create', group: 'Billing', description: 'Add billing codes' },
+  { key: 'billing_codes.update', group: 'Billing', description: 'Edit billing codes' },
+
+  { key: 'invoices.read', group: 'Invoices', description: 'View invoices' },
+  { key: 'invoices.create', group: 'Invoices', description: 'Create invoices' },
+  { key: 'invoices.update', group: 'Invoices', description: 'Edit invoices' },
+  { key: 'invoices.void', group: 'Invoices', description: 'Void (cancel) invoices' },
+  { key: 'invoices.delete', group: 'Invoices', description: 'Delete invoices and clear all invoice data' },
+  { key: 'invoices.settings', group: 'Invoices', description: 'Change how invoices are numbered' },
+  { key: 'invoices.credit', group: 'Invoices', description: 'Issue credit notes against invoices' },
+
+  { key: 'tax.read', group: 'Tax', description: 'View tax rates and the VAT return' },
+  { key: 'tax.manage', group: 'Tax', description: 'Change tax rates, exempt categories and tax-inclusive pricing' },
+
+  { key: 'payments.read', group: 'Payments', description: 'View payments' },
+  { key: 'payments.create', group: 'Payments', description: 'Record payments and apply patient credit' },
+  { key: 'payments.refund', group: 'Payments', description: 'Refund payments and patient credit' },
+
+  { key: 'claims.read', group: 'Insurance', description: 'View insurance claims and the claims worklist' },
+  { key: 'claims.manage', group: 'Insurance', description: 'Create, submit and reject insurance claims and post remittances' },
+  { key: 'insurers.manage', group: 'Insurance', description: 'Add and edit insurers and their tariffs' },
+
+  { key: 'expenses.read', group: 'Expenses', description: 'View expenses' },
+  { key: 'expenses.create', group: 'Expenses', description: 'Record expenses' },
+  { key: 'expenses.update', group: 'Expenses', description: 'Edit expenses' },
+
+  { key: 'users.read', group: 'Administration', description: 'View the staff list' },
+  { key: 'users.create', group: 'Administration', description: 'Add users' },
+  { key: 'users.update', group: 'Administration', description: 'Edit users' },
+  { key: 'users.delete', group: 'Administration', description: 'Delete users' },
+  { key: 'roles.manage', group: 'Administration', description: 'Create, edit and delete roles' },
+  { key: 'sessions.manage', group: 'Administration', description: 'View and end sessions, and change login and password policy' },
+  { key: 'audit.read', group: 'Administration', description: 'View the audit log' },
+  { key: 'encryption.manage', group: 'Administration', description: 'Turn on database encryption, rotate its key and change its passphrase' },
+  { key: 'backup.create', group: 'Administration', description: 'Create backups' },
+  { key: 'backup.restore', group: 'Administration', description: 'Restore backups' },
+  { key: 'recycle_bin.manage', group: 'Administration', description: 'Restore or permanently delete records in the recycle bin' },
+  { key: 'sync.read', group: 'Administration', description: 'View sync status, history and conflicts' },
+  { key: 'sync.update', group: 'Administration', description: 'Configure sync, run it and resolve conflicts' },
+  { key: 'system.read', group: 'Administration', description: 'View schema migrations and database health' },
+  { key: 'system.repair', group: 'Administration', description: 'Repair orphaned records found by the database health check' },
+  { key: 'system.maintain', group: 'Administration', description: 'Run database maintenance and change its schedule' }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+// Role that always holds every permission and cannot be edited or deleted
+const ADMIN_ROLE = 'admin';
+
+// Login attempts allowed per username within the window, whether or not the
+// account exists. Account lockout covers repeated failures on real accounts.
+const LOGIN_RATE_LIMIT = { attempts: 10, windowMs: 60 * 1000 };
+const recentLoginAttempts = new Map();
+
+function isLoginRateLimited(username) {
+  const key = String(username || '').toLowerCase();
+  const now = Date.now();
+  const attempts = (recentLoginAttempts.get(key) || []).filter(time => now - time < LOGIN_RATE_LIMIT.windowMs);
+  attempts.push(now);
+  recentLoginAttempts.set(key, attempts);
+  return attempts.length > LOGIN_RATE_LIMIT.attempts;
+}
+
+// Settings keys behind each security setting, with the range an administrator may choose
+const SECURITY_SETTINGS = {
+  maxFailedAttempts: { key: 'login.max_failed_attempts', label: 'Failed attempts before lockout', min: 1, max: 50 },
+  lockoutMinutes: { key: 'login.lockout_minutes', label: 'Lockout duration', min: 1, max: 1440 },
+  minLength: { key: 'password.min_length', label: 'Minimum password length', min: 6, max: 128 },
+  requireUppercase: { key: 'password.require_uppercase' },
+  requireLowercase: { key: 'password.require_lowercase' },
+  requireNumber: { key: 'password.require_number' },
+  requireSymbol: { key: 'password.require_symbol' },
+  historyCount: { key: 'password.history_count', label: 'Password history', min: 0, max: 24 },
+  maxAgeDays: { key: 'password.max_age_days', label: 'Password expiry', min: 0, max: 3650 }
+};
+
+// Accounts whose role reaches financial data or user management may enrol an
+// authenticator app
+const TWO_FACTOR_PERMISSIONS = [
+  'users.create', 'users.update', 'users.delete', 'roles.manage',
+  'invoices.read', 'payments.read', 'expenses.read'
+];
+const TWO_FACTOR_ISSUER = 'Blackistone Medical Centre';
+const RECOVERY_CODE_COUNT = 10;
+
+// Logins that passed the password check and wait for a second factor, keyed
+// by a random challenge handed to the renderer
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const pendingTwoFactorLogins = new Map();
+
+// Recovery codes are random, so a plain digest is enough to store them
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex').toUpperCase();
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+function parseDbTimestamp(value) {
+  return value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+}
+
+function toDbTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
 
 class Auth {
   static async login(username, password) {
-    console.log('Login attempt for:', username);
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
-        console.log('Database query result:', err, user);
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else if (!user) {
-          console.log('User not found');
-          resolve(null);
-        } else {
-          console.log('User found, comparing password...');
-          try {
-            const isValidPassword = await bcrypt.compare(password, user.password_hash);
-            console.log('Password comparison result:', isValidPassword);
-            if (isValidPassword) {
-              // Log successful login
-              Auth.logAudit(user.id, 'LOGIN', 'users', user.id, null, { login: true });
-              
-              // Save session for the user
-              await sessionManager.saveSession({
-                user: {
-                  id: user.id,
-                  username: user.username,
-                  role: user.role,
-                  name: user.name,
-                  email: user.email
-                }
-              });
-              
-              resolve({
-                id: user.id,
-                username: user.username,
-                role: user.role,
-                name: user.name,
-                email: user.email
-              });
-            } else {
-              resolve(null);
-            }
-          } catch (bcryptError) {
-            console.error('bcrypt error:', bcryptError);
-            reject(bcryptError);
-          }
-        }
+    if (isLoginRateLimited(username)) {
+      Auth.logAudit(null, 'LOGIN_FAILED', 'users', null, null, { username, reason: 'rate_limited' });
+      throw new Error('Too many login attempts. Please wait a minute and try again.');
+    }
+
+    const user = await get('SELECT * FROM users WHERE username = ? AND deleted_at IS NULL', [username]);
+
+    if (!user) {
+      Auth.logAudit(null, 'LOGIN_FAILED', 'users', null, null, { username, reason: 'unknown_user' });
+      return null;
+    }
+
+    const lockedUntil = parseDbTimestamp(user.locked_until);
+    if (lockedUntil && lockedUntil > new Date()) {
+      Auth.logAudit(user.id, 'LOGIN_FAILED', 'users', user.id, null, { username, reason: 'account_locked' });
+      throw new Error(Auth.lockedAccountMessage(lockedUntil));
+    }
+
+    const isValidPassword = await bcrypt.compare(password || '', user.password_hash);
+    if (!isValidPassword) {
+      await Auth.recordFailedLogin(user, 'invalid_password');
+      return null;
+    }
+
+    if (user.totp_enabled) {
+      const challenge = crypto.randomBytes(24).toString('hex');
+      pendingTwoFactorLogins.set(challenge, {
+        userId: user.id,
+        expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+        attempts: 0
       });
+      return { twoFactorRequired: true, challenge };
+    }
+
+    return Auth.completeLogin(user, null);
+  }
+
+  // Second step of a login for accounts with two-factor authentication. The
+  // code is either the current authenticator code or an unused recovery code.
+  static async verifyTwoFactorLogin(challenge, code) {
+    const pending = pendingTwoFactorLogins.get(challenge);
+    if (!pending || pending.expiresAt < Date.now()) {
+      pendingTwoFactorLogins.delete(challenge);
+      throw new Error('This login has expired. Please enter your username and password again.');
+    }
+
+    const user = await Auth.getUserRow(pending.userId);
+    const lockedUntil = user && parseDbTimestamp(user.locked_until);
+    if (!user || (lockedUntil && lockedUntil > new Date())) {
+      pendingTwoFactorLogins.delete(challenge);
+      throw new Error(user ? Auth.lockedAccountMessage(lockedUntil) : 'User not found');
+    }
+
+    const method = await Auth.checkSecondFactor(user, code);
+    if (!method) {
+      pending.attempts++;
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        pendingTwoFactorLogins.delete(challenge);
+      }
+      await Auth.recordFailedLogin(user, 'invalid_two_factor_code');
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        throw new Error('Too many incorrect codes. Please enter your username and password again.');
+      }
+      return null;
+    }
+
+    pendingTwoFactorLogins.delete(challenge);
+    return Auth.completeLogin(user, method);
+  }
+
+  // Reset the failure counter, audit the login and build the signed-in user
+  static async completeLogin(user, twoFactorMethod) {
+    await run('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [user.id]);
+
+    // Log successful login
+    Auth.logAudit(user.id, 'LOGIN', 'users', user.id, null,
+      twoFactorMethod ? { login: true, two_factor: twoFactorMethod } : { login: true });
+
+    // The caller (main process) opens the session for the window. Until a
+    // required password change is made the session can do nothing else.
+    const passwordChangeReason = await Auth.getPasswordChangeReason(user);
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      permissions: await Auth.getUserPermissions(user.id),
+      passwordChangeRequired: !!passwordChangeReason,
+      passwordChangeReason
+    };
+  }
+
+  // Count a wrong password or code and lock the account once the limit is reached
+  static async recordFailedLogin(user, reason) {
+    const { maxFailedAttempts, lockoutMinutes } = await Auth.getSecuritySettings();
+    const attempts = (user.failed_login_attempts || 0) + 1;
+    const lockedUntil = attempts >= maxFailedAttempts
+      ? new Date(Date.now() + lockoutMinutes * 60 * 1000)
+      : null;
+
+    // The counter starts again once a lockout has been applied
+    await run('UPDATE users SET failed_login_attempts = ?, locked_until = ? WHERE id = ?',
+      [lockedUntil ? 0 : attempts, lockedUntil ? toDbTimestamp(lockedUntil) : null, user.id]);
+
+    Auth.logAudit(user.id, 'LOGIN_FAILED', 'users', user.id, null, {
+      username: user.username,
+      reason,
+      attempts
     });
+
+    if (lockedUntil) {
+      Auth.logAudit(user.id, 'ACCOUNT_LOCKED', 'users', user.id, null, {
+        attempts,
+        locked_until: toDbTimestamp(lockedUntil)
+      });
+      throw new Error(Auth.lockedAccountMessage(lockedUntil));
+    }
+  }
+
+  static lockedAccountMessage(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+    return `This account is locked after too many failed login attempts. Try again in ${minutes} minute(s) or ask an administrator to unlock it.`;
   }
 
-  static async createUser(username, password, role, name, email, phone) {
-    return new Promise(async (resolve, reject) => {
+  // 'first_login' for accounts that must replace an assigned password,
+  // 'expired' once the password is older than the policy allows, else null
+  static async getPasswordChangeReason(user) {
+    if (user.must_change_password) {
+      return 'first_login';
+    }
+
+    const { maxAgeDays } = await Auth.getSecuritySettings();
+    const changedAt = parseDbTimestamp(user.password_changed_at);
+    if (maxAgeDays > 0 && changedAt && Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000) {
+      return 'expired';
+    }
+
+    return null;
+  }
+
+  // Re-check a signed-in user's password, e.g. to unlock an idle session
+  // Unlocking a locked session is checked like a login: a wrong password
+  // counts towards the lockout, and a locked account cannot unlock. The
+  // caller ends the session when `locked` is set.
+  static async verifyUnlock(userId, password) {
+    const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+    if (!user) {
+      return { success: false, locked: true, error: 'This account no longer exists' };
+    }
+
+    const lockedUntil = parseDbTimestamp(user.locked_until);
+    if (lockedUntil && lockedUntil > new Date()) {
+      Auth.logAudit(user.id, 'UNLOCK_SESSION_FAILED', 'users', user.id, null, { reason: 'account_locked' });
+      return { success: false, locked: true, error: Auth.lockedAccountMessage(lockedUntil) };
+    }
+
+    if (!(await bcrypt.compare(password || '', user.password_hash))) {
       try {
-        const saltRounds = 10;
-        const passwordHash = await bcrypt.hash(password, saltRounds);
-
-        db.run(`
-          INSERT INTO users (username, password_hash, role, name, email, phone)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `, [username, passwordHash, role, name, email, phone], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            // Log user creation
-            Auth.logAudit(null, 'CREATE_USER', 'users', this.lastID, null, { username, role, name });
-            resolve(this.lastID);
-          }
-        });
+        await Auth.recordFailedLogin(user, 'invalid_unlock_password');
       } catch (error) {
-        reject(error);
+        return { success: false, locked: true, error: error.message };
       }
-    });
+      return { success: false, locked: false, error: 'Incorrect password' };
+    }
+
+    await run('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [user.id]);
+    return { success: true, locked: false };
   }
 
-  static async updateUser(id, updates) {
-    return new Promise((resolve, reject) => {
-      // Get old values for audit
-      db.get('SELECT * FROM users WHERE id = ?', [id], (err, oldUser) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  static async verifyPassword(userId, password) {
+    const user = await get('SELECT password_hash FROM users WHERE id = ?', [userId]);
+    if (!user || !password) {
+      return false;
+    }
+    return bcrypt.compare(password, user.password_hash);
+  }
 
-        if (!oldUser) {
-          reject(new Error('User not found'));
-          return;
-        }
+  static async createUser(username, password, role, name, email, phone, userId) {
+    if (!(await Auth.roleExists(role))) {
+      throw new Error(`Unknown role: ${role}`);
+    }
 
-        const fields = [];
-        const values = [];
+    await Auth.validatePassword(password);
 
-        if (updates.name) {
-          fields.push('name = ?');
-          values.push(updates.name);
-        }
-        if (updates.email) {
-          fields.push('email = ?');
-          values.push(updates.email);
-        }
-        if (updates.phone) {
-          fields.push('phone = ?');
-          values.push(updates.phone);
-        }
-        if (updates.role) {
-          fields.push('role = ?');
-          values.push(updates.role);
-        }
-        if (updates.password) {
-          // Hash new password
-          bcrypt.hash(updates.password, 10, (err, hash) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            fields.push('password_hash = ?');
-            values.push(hash);
-            values.push(id);
-            executeUpdate();
-          });
-          return;
-        }
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
 
-        values.push(id);
-        executeUpdate();
-
-        function executeUpdate() {
-          const sql = `UPDATE users SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-
-          db.run(sql, values, function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              // Log update
-              Auth.logAudit(null, 'UPDATE_USER', 'users', id, oldUser, updates);
-              resolve(this.changes);
-            }
-          });
-        }
-      });
+    const { lastID } = await run(`
+      INSERT INTO users (username, password_hash, role, name, email, phone, password_changed_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [username, passwordHash, role, name, email, phone]);
+
+    // Log user creation
+    Auth.logAudit(userId, 'CREATE_USER', 'users', lastID, null, { username, role, name });
+    return lastID;
+  }
+
+  static async updateUser(id, updates, userId) {
+    if (updates.role && !(await Auth.roleExists(updates.role))) {
+      throw new Error(`Unknown role: ${updates.role}`);
+    }
+
+    if (updates.password) {
+      await Auth.validatePassword(updates.password);
+      await Auth.checkPasswordHistory(id, updates.password);
+    }
+
+    // Get old values for audit
+    const oldUser = await get('SELECT * FROM users WHERE id = ?', [id]);
+    if (!oldUser) {
+      throw new Error('User not found');
+    }
+
+    const fields = [];
+    const values = [];
+
+    if (updates.name) {
+      fields.push('name = ?');
+      values.push(updates.name);
+    }
+    if (updates.email) {
+      fields.push('email = ?');
+      values.push(updates.email);
+    }
+    if (updates.phone) {
+      fields.push('phone = ?');
+      values.push(updates.phone);
+    }
+    if (updates.role) {
+      fields.push('role = ?');
+      values.push(updates.role);
+    }
+    if (updates.password) {
+      // Hash new password
+      fields.push('password_hash = ?', 'password_changed_at = CURRENT_TIMESTAMP', 'must_change_password = 0',
+        'failed_login_attempts = 0', 'locked_until = NULL');
+      values.push(await bcrypt.hash(updates.password, 10));
+    }
+    values.push(id);
+
+    const { changes } = await withTransaction(async () => {
+      const result = await run(`UPDATE users SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+      if (updates.password) {
+        await Auth.addPasswordHistory(id, oldUser.password_hash);
+      }
+      return result;
     });
+
+    // Log update without password hashes or the new password
+    const { password, ...auditUpdates } = updates;
+    Auth.logAudit(userId, 'UPDATE_USER', 'users', id, Auth.withoutSecrets(oldUser),
+      password ? { ...auditUpdates, password_changed: true } : auditUpdates);
+    return changes;
   }
 
   static async getUsers() {
-    return new Promise((resolve, reject) => {
-      db.all('SELECT id, username, role, name, email, phone, created_at FROM users ORDER BY name', (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
+    const rows = await all(`
+      SELECT id, username, role, name, email, phone, created_at, locked_until, must_change_password, password_changed_at,
+             totp_enabled
+      FROM users
+      WHERE deleted_at IS NULL
+      ORDER BY name
+    `);
+
+    const now = new Date();
+    return rows.map(row => ({
+      ...row,
+      is_locked: !!row.locked_until && parseDbTimestamp(row.locked_until) > now
+    }));
+  }
+
+  // Clear a lockout before it expires
+  static async unlockUser(id, userId) {
+    const { changes } = await run('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [id]);
+
+    if (changes === 0) {
+      throw new Error('User not found');
+    }
+
+    Auth.logAudit(userId, 'UNLOCK_USER', 'users', id, null, { unlocked: true });
+    return true;
+  }
+
+  // A signed-in user replacing their own password, including the forced
+  // change at first login or after expiry
+  static async changePassword(userId, currentPassword, newPassword) {
+    if (!(await Auth.verifyPassword(userId, currentPassword))) {
+      Auth.logAudit(userId, 'CHANGE_PASSWORD_FAILED', 'users', userId, null, { reason: 'invalid_current_password' });
+      throw new Error('Current password is incorrect');
+    }
+
+    await Auth.validatePassword(newPassword);
+    await Auth.checkPasswordHistory(userId, newPassword);
+
+    const { password_hash: oldHash } = await get('SELECT password_hash FROM users WHERE id = ?', [userId]);
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    await withTransaction(async () => {
+      await run(`
+        UPDATE users
+        SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP, must_change_password = 0,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [passwordHash, userId]);
+      await Auth.addPasswordHistory(userId, oldHash);
+    });
+    Auth.logAudit(userId, 'CHANGE_PASSWORD', 'users', userId, null, { password_changed: true });
+    return true;
+  }
+
+  // Throws with every unmet requirement of the password policy
+  static async validatePassword(password) {
+    const policy = await Auth.getSecuritySettings();
+    const problems = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      problems.push(`be at least ${policy.minLength} characters long`);
+    }
+    password = typeof password === 'string' ? password : '';
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      problems.push('contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      problems.push('contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+      problems.push('contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      problems.push('contain a symbol');
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Password must ${problems.join(', ')}`);
+    }
+  }
+
+  // The current password can never be reused; the policy adds how many
+  // earlier ones are also refused
+  static async checkPasswordHistory(userId, password) {
+    const { historyCount } = await Auth.getSecuritySettings();
+
+    const rows = await all(`
+      SELECT password_hash FROM users WHERE id = ?
+      UNION ALL
+      SELECT password_hash FROM (
+        SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `, [userId, userId, historyCount]);
+
+    for (const { password_hash: hash } of rows) {
+      if (await bcrypt.compare(password, hash)) {
+        throw new Error(historyCount > 0
+          ? `Password must differ from your current password and the previous ${historyCount}`
+          : 'Password must differ from your current password');
+      }
+    }
+  }
+
+  // Keep the replaced hash, trimmed to the longest history the policy allows
+  static async addPasswordHistory(userId, passwordHash) {
+    await withTransaction(async () => {
+      await run('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, passwordHash]);
+      await run(`
+        DELETE FROM password_history
+        WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        )
+      `, [userId, userId, SECURITY_SETTINGS.historyCount.max]);
     });
   }
 
-  static async deleteUser(id) {
-    return new Promise((resolve, reject) => {
-      // Get user for audit
-      db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
-        if (err) {
-          reject(err);
-          return;
+  // Lockout and password policy, keyed by the names in SECURITY_SETTINGS
+  static async getSecuritySettings() {
+    const settings = {};
+    for (const [name, { key }] of Object.entries(SECURITY_SETTINGS)) {
+      settings[name] = await SettingsService.get(key);
+    }
+    return settings;
+  }
+
+  static async updateSecuritySettings(settings, userId) {
+    const current = await Auth.getSecuritySettings();
+    const updates = {};
+
+    for (const [name, definition] of Object.entries(SECURITY_SETTINGS)) {
+      if (settings[name] === undefined) {
+        continue;
+      }
+
+      let value = settings[name];
+      if (definition.min === undefined) {
+        value = !!value;
+      } else {
+        value = Number(value);
+        if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+          throw new Error(`${definition.label} must be a whole number between ${definition.min} and ${definition.max}`);
         }
+      }
 
-        db.run('DELETE FROM users WHERE id = ?', [id], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            // Log deletion
-            Auth.logAudit(null, 'DELETE_USER', 'users', id, user, null);
-            resolve(this.changes);
-          }
-        });
-      });
+      if (value !== current[name]) {
+        updates[name] = value;
+      }
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      await SettingsService.set(SECURITY_SETTINGS[name].key, value, userId);
+    }
+
+    return { ...current, ...updates };
+  }
+
+  static async getUserRow(id) {
+    return get('SELECT * FROM users WHERE id = ?', [id]);
+  }
+
+  static async isTwoFactorEligible(userId) {
+    const permissions = await Auth.getUserPermissions(userId);
+    return TWO_FACTOR_PERMISSIONS.some(permission => permissions.includes(permission));
+  }
+
+  static async getTwoFactorStatus(userId) {
+    const user = await Auth.getUserRow(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { count: remaining } = await get(
+      'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+
+    return {
+      eligible: await Auth.isTwoFactorEligible(userId),
+      enabled: !!user.totp_enabled,
+      enrolledAt: user.totp_enrolled_at,
+      recoveryCodesRemaining: user.totp_enabled ? remaining : 0
+    };
+  }
+
+  // Generate a new secret for the user to scan. Two-factor stays off until
+  // confirmTwoFactorEnrollment receives a code from it.
+  static async beginTwoFactorEnrollment(userId) {
+    const user = await Auth.getUserRow(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!(await Auth.isTwoFactorEligible(userId))) {
+      throw new Error('Two-factor authentication is available to accounts with access to financial data or user management');
+    }
+
+    const secret = totp.generateSecret();
+    await run('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, userId]);
+
+    // Rendered here so the secret never goes to an online QR service
+    const QRCode = require('qrcode');
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.username, TWO_FACTOR_ISSUER);
+    return {
+      secret,
+      otpauthUrl,
+      qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  static async confirmTwoFactorEnrollment(userId, code) {
+    const user = await Auth.getUserRow(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      throw new Error('Start two-factor enrolment before confirming it');
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+      throw new Error('The code is not valid. Check that the time on your device is correct and try again.');
+    }
+
+    const recoveryCodes = await withTransaction(async () => {
+      await run(`
+        UPDATE users SET totp_enabled = 1, totp_enrolled_at = CURRENT_TIMESTAMP, totp_last_step = ?
+        WHERE id = ?
+      `, [step, userId]);
+      return Auth.replaceRecoveryCodes(userId);
+    });
+    Auth.logAudit(userId, 'ENABLE_TWO_FACTOR', 'users', userId, null, { two_factor: true });
+    return { recoveryCodes };
+  }
+
+  // Needs a current authenticator code so a stolen session cannot mint new codes
+  static async regenerateRecoveryCodes(userId, code) {
+    const user = await Auth.getUserRow(userId);
+    if (!user || !user.totp_enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if ((await Auth.checkSecondFactor(user, code, { allowRecoveryCode: false })) !== 'totp') {
+      throw new Error('The authenticator code is not valid');
+    }
+
+    const recoveryCodes = await Auth.replaceRecoveryCodes(userId);
+    Auth.logAudit(userId, 'REGENERATE_RECOVERY_CODES', 'users', userId, null, { count: recoveryCodes.length });
+    return { recoveryCodes };
+  }
+
+  // Administrator action for a user who lost their device and recovery codes
+  static async resetTwoFactor(id, userId) {
+    const user = await Auth.getUserRow(id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await withTransaction(async () => {
+      await run('DELETE FROM user_recovery_codes WHERE user_id = ?', [id]);
+      await run(`
+        UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_enrolled_at = NULL, totp_last_step = NULL
+        WHERE id = ?
+      `, [id]);
+    });
+
+    Auth.logAudit(userId, 'RESET_TWO_FACTOR', 'users', id, { two_factor: !!user.totp_enabled }, { two_factor: false });
+    return true;
+  }
+
+  // Returns 'totp' or 'recovery_code' for an accepted code, null otherwise.
+  // Accepted codes are spent: the time step is recorded and recovery codes
+  // are marked used.
+  static async checkSecondFactor(user, code, { allowRecoveryCode = true } = {}) {
+    const step = user.totp_secret ? totp.verifyCode(user.totp_secret, code) : null;
+    if (step !== null) {
+      if (user.totp_last_step !== null && step <= user.totp_last_step) {
+        return null;
+      }
+
+      await run('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id]);
+      return 'totp';
+    }
+
+    if (!allowRecoveryCode) {
+      return null;
+    }
+
+    const { changes } = await run(`
+      UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `, [user.id, hashRecoveryCode(code)]);
+
+    if (changes > 0) {
+      Auth.logAudit(user.id, 'USE_RECOVERY_CODE', 'users', user.id, null, { recovery_code: true });
+      return 'recovery_code';
+    }
+    return null;
+  }
+
+  // Replace every recovery code; only the new plain codes are returned, once
+  static async replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await withTransaction(async () => {
+      await run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+      for (const code of codes) {
+        await run('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+      }
     });
+
+    return codes;
+  }
+
+  // User row without credentials, for audit entries
+  static withoutSecrets(user) {
+    if (!user) {
+      return user;
+    }
+    const { password_hash, totp_secret, ...rest } = user;
+    return rest;
   }
 
+  // Moves the account to the recycle bin, which stops it signing in. The row
+  // stays so appointments and audit entries keep their user.
+  static async deleteUser(id, userId) {
+    // Get user for audit
+    const user = await get('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (Number(id) === Number(userId)) {
+      throw new Error('You cannot delete your own account');
+    }
+
+    const { changes } = await run(`
+      UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `, [userId, id]);
+
+    // Log deletion
+    Auth.logAudit(userId, 'DELETE_USER', 'users', id, Auth.withoutSecrets(user), null);
+    return changes;
+  }
+
+  // Entries are hash-chained by AuditService; callers need not wait for the write
   static logAudit(userId, action, tableName, recordId, oldValues, newValues) {
-    db.run(`
-      INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [
-      userId,
-      action,
-      tableName,
-      recordId,
-      oldValues ? JSON.stringify(oldValues) : null,
-      newValues ? JSON.stringify(newValues) : null
-    ]);
-  }
-
-  static checkPermission(userRole, requiredRole) {
-    const roleHierarchy = {
-      'receptionist': 1,
-      'accountant': 2,
-      'doctor': 3,
-      'admin': 4
-    };
+    return AuditService.log(userId, action, tableName, recordId, oldValues, newValues);
+  }
+
+  // Permission keys granted to a user through their role
+  static async getUserPermissions(userId) {
+    const user = await get('SELECT role FROM users WHERE id = ? AND deleted_at IS NULL', [userId]);
+
+    // Deleted accounts hold no permissions, even in sessions still open
+    if (!user) {
+      return [];
+    }
+
+    if (user.role === ADMIN_ROLE) {
+      return [...PERMISSION_KEYS];
+    }
+
+    const rows = await all(`
+      SELECT rp.permission
+      FROM role_permissions rp
+      JOIN roles r ON r.id = rp.role_id
+      WHERE r.name = ?
+    `, [user.role]);
+    return rows.map(row => row.permission);
+  }
+
+  // Whether the user's role grants a permission key. Reads the role from the
+  // database each time so role changes apply without signing in again.
+  static async checkPermission(userId, permission) {
+    const permissions = await Auth.getUserPermissions(userId);
+    return permissions.includes(permission);
+  }
+
+  static getPermissionCatalog() {
+    return PERMISSIONS.map(permission => ({ ...permission }));
+  }
+
+  static async getRoles() {
+    const rows = await all(`
+      SELECT r.*,
+             (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count,
+             (SELECT GROUP_CONCAT(rp.permission) FROM role_permissions rp WHERE rp.role_id = r.id) as permission_list
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name
+    `);
+
+    return rows.map(({ permission_list, ...role }) => ({
+      ...role,
+      permissions: role.name === ADMIN_ROLE
+        ? [...PERMISSION_KEYS]
+        : (permission_list ? permission_list.split(',') : [])
+    }));
+  }
+
+  static async roleExists(name) {
+    return !!(await get('SELECT id FROM roles WHERE name = ?', [name]));
+  }
+
+  static validateRoleData(roleData) {
+    const name = (roleData.name || '').trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_-]{1,31}$/.test(name)) {
+      throw new Error('Role name must be 2-32 characters: lowercase letters, digits, "-" or "_", starting with a letter');
+    }
+
+    const permissions = Array.isArray(roleData.permissions) ? roleData.permissions : [];
+    const unknown = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    return { name, description: roleData.description || null, permissions: [...new Set(permissions)] };
+  }
+
+  static async setRolePermissions(roleId, permissions) {
+    await withTransaction(async () => {
+      await run('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+      for (const permission of permissions) {
+        await run('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [roleId, permission]);
+      }
+    });
+  }
+
+  static async createRole(roleData, userId) {
+    const role = Auth.validateRoleData(roleData);
+
+    if (await Auth.roleExists(role.name)) {
+      throw new Error(`A role named "${role.name}" already exists`);
+    }
+
+    const roleId = await withTransaction(async () => {
+      const { lastID } = await run('INSERT INTO roles (name, description) VALUES (?, ?)', [role.name, role.description]);
+      await Auth.setRolePermissions(lastID, role.permissions);
+      return lastID;
+    });
+
+    Auth.logAudit(userId, 'CREATE_ROLE', 'roles', roleId, null, role);
+    return roleId;
+  }
+
+  static async updateRole(id, roleData, userId) {
+    const roles = await Auth.getRoles();
+    const oldRole = roles.find(role => role.id === Number(id));
+    if (!oldRole) {
+      throw new Error('Role not found');
+    }
+
+    if (oldRole.name === ADMIN_ROLE) {
+      throw new Error('The administrator role always has every permission and cannot be changed');
+    }
+
+    // Built-in roles keep their names; only their permissions can change
+    const role = Auth.validateRoleData({ ...roleData, name: oldRole.is_system ? oldRole.name : roleData.name });
+
+    if (role.name !== oldRole.name && await Auth.roleExists(role.name)) {
+      throw new Error(`A role named "${role.name}" already exists`);
+    }
 
-    return roleHierarchy[userRole] >= roleHierarchy[requiredRole];
+    await withTransaction(async () => {
+      await run('UPDATE roles SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [role.name, role.description, id]);
+      await run('UPDATE users SET role = ? WHERE role = ?', [role.name, oldRole.name]);
+      await Auth.setRolePermissions(id, role.permissions);
+    });
+
+    Auth.logAudit(userId, 'UPDATE_ROLE', 'roles', id, oldRole, role);
+    return true;
+  }
+
+  static async deleteRole(id, userId) {
+    const roles = await Auth.getRoles();
+    const role = roles.find(r => r.id === Number(id));
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (role.is_system) {
+      throw new Error('Built-in roles cannot be deleted');
+    }
+
+    if (role.user_count > 0) {
+      throw new Error(`Role "${role.name}" is still assigned to ${role.user_count} user(s)`);
+    }
+
+    await withTransaction(async () => {
+      await run('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+      await run('DELETE FROM roles WHERE id = ?', [id]);
+    });
+
+    Auth.logAudit(userId, 'DELETE_ROLE', 'roles', id, role, null);
+    return true;
+  }
+}
+
+// Thrown when the session user's role does not grant the requested permission.
+// The name survives the IPC boundary so the renderer can tell it apart from
+// ordinary failures.
+class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionError';
+    this.code = 'PERMISSION_DENIED';
   }
 }
 
+Auth.ADMIN_ROLE = ADMIN_ROLE;
+Auth.PermissionError = PermissionError;
+
 module.exports = Auth;
\ No newline at end of file
@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const sqlite3 = require('sqlite3');
+const db = require('./database');
+const Auth = require('./auth');
+const EncryptionService = require('./encryptionService');
+const SettingsService = require('./settingsService');
+
+// Database backups. The live database is copied with SQLite's online backup
+// API, so writes in progress never leave a torn copy, and every copy has to
+// pass PRAGMA integrity_check before it is kept. Backups can be compressed
+// and, when database encryption is on, encrypted under the active data key.
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_DESTINATION = path.join(path.dirname(db.path), 'backups');
+const ENCRYPTED_MAGIC = Buffer.from('BLKBAK01');
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+// Pages copied per backup step; other connections may write between steps
+const BACKUP_STEP_PAGES = 256;
+
+const SCHEDULE_INTERVALS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const BACKUP_SETTINGS = {
+  schedule: { key: 'backup.schedule', label: 'Schedule', options: ['off', 'daily', 'weekly'] },
+  destination: { key: 'backup.destination' },
+  retentionCount: { key: 'backup.retention_count', label: 'Backups to keep', min: 0, max: 365 },
+  compress: { key: 'backup.compress' },
+  encrypt: { key: 'backup.encrypt' }
+};
+
+// Only one backup runs at a time, manual or scheduled
+let runningBackup = null;
+
+function query(connection, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection[method](sql, params, function(err, result) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+      }
+    });
+  });
+}
+
+function openReadOnly(file) {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(connection);
+      }
+    });
+  });
+}
+
+function close(connection) {
+  return new Promise((resolve) => connection.close(() => resolve()));
+}
+
+// Copy the live database to a file through the online backup API
+function copyDatabase(destination) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(destination, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const step = () => {
+        backup.step(BACKUP_STEP_PAGES, (stepErr) => {
+          if (stepErr || backup.failed) {
+            backup.finish(() => reject(stepErr || new Error('The online backup did not complete')));
+          } else if (backup.completed) {
+            backup.finish(() => resolve());
+          } else {
+            setImmediate(step);
+          }
+        });
+      };
+      step();
+    });
+  });
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// SQLite keeps UTC timestamps without a zone designator
+function parseTimestamp(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+// Written as clinic_backup_<UTC time>.db[.gz|.enc], never over an existing file
+async function writeBackupFile(destination, data, { compress, encrypt }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const extension = encrypt ? '.db.enc' : compress ? '.db.gz' : '.db';
+
+  for (let attempt = 1; ; attempt++) {
+    const suffix = attempt > 1 ? `_${attempt}` : '';
+    const filePath = path.join(destination, `clinic_backup_${stamp}${suffix}${extension}`);
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: 'wx', mode: 0o600 });
+      return filePath;
+    } catch (error) {
+      if (error.code !== 'EEXIST' || attempt >= 100) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Encrypted backups are BLKBAK01, a 4 byte header length, a JSON header
+// naming the key, iv and tag, then the ciphertext
+async function packBackup(raw, { compress, encrypt }) {
+  const data = compress ? await gzip(raw) : raw;
+  if (!encrypt) {
+    return data;
+  }
+
+  const { keyId, iv, tag, data: ciphertext } = EncryptionService.encryptBuffer(data);
+  const header = Buffer.from(JSON.stringify({ version: 1, keyId, iv, tag, compressed: !!compress }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+  return Buffer.concat([ENCRYPTED_MAGIC, headerLength, header, ciphertext]);
+}
+
+function withFileName(row) {
+  return row ? { ...row, file_name: row.file_path ? path.basename(row.file_path) : null } : row;
+}
+
+class BackupService {
+  static async getSettings() {
+    const settings = {};
+    for (const [name, { key }] of Object.entries(BACKUP_SETTINGS)) {
+      settings[name] = await SettingsService.get(key);
+    }
+    return settings;
+  }
+
+  static async updateSettings(settings, userId) {
+    const current = await BackupService.getSettings();
+    const updates = {};
+
+    for (const [name, definition] of Object.entries(BACKUP_SETTINGS)) {
+      if (settings[name] === undefined) {
+        continue;
+      }
+
+      let value = settings[name];
+      if (definition.options) {
+        if (!definition.options.includes(value)) {
+          throw new Error(`${definition.label} must be one of: ${definition.options.join(', ')}`);
+        }
+      } else if (definition.min !== undefined) {
+        value = Number(value);
+        if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+          throw new Error(`${definition.label} must be a whole number between ${definition.min} and ${definition.max}`);
+        }
+      } else if (name === 'destination') {
+        value = String(value || '').trim();
+        if (value && !path.isAbsolute(value)) {
+          throw new Error('Choose a full folder path for the backup destination');
+        }
+      } else {
+        value = !!value;
+      }
+
+      if (value !== current[name]) {
+        updates[name] = value;
+      }
+    }
+
+    if (updates.encrypt && !EncryptionService.isEnabled()) {
+      throw new Error('Enable database encryption before turning on encrypted backups');
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      await SettingsService.set(BACKUP_SETTINGS[name].key, value, userId);
+    }
+
+    return { ...current, ...updates };
+  }
+
+  static isRunning() {
+    return runningBackup !== null;
+  }
+
+  // Back up the live database to the configured destination. Failures are
+  // recorded in the history too; the returned row's status says which it was.
+  // Snapshots taken before a restore name the backup restored over them.
+  static async createBackup({ trigger = 'manual', userId = null, restoreSource = null } = {}) {
+    if (runningBackup) {
+      throw new Error('A backup is already in progress');
+    }
+
+    runningBackup = BackupService.writeBackup(trigger, userId, restoreSource);
+    try {
+      return await runningBackup;
+    } finally {
+      runningBackup = null;
+    }
+  }
+
+  static async writeBackup(trigger, userId, restoreSource) {
+    const settings = await BackupService.getSettings();
+    const destination = settings.destination || DEFAULT_DESTINATION;
+    const tempPath = path.join(destination, `.clinic_backup_${process.pid}_${Date.now()}.tmp`);
+    const record = { filePath: null, schemaVersion: null, sizeBytes: null, sha256: null, integrityCheck: null, error: null };
+
+    try {
+      if (settings.encrypt) {
+        if (!EncryptionService.isEnabled()) {
+          throw new Error('Encrypted backups need database encryption to be enabled');
+        }
+        EncryptionService.requireUnlocked();
+      }
+
+      await fs.promises.mkdir(destination, { recursive: true });
+      await copyDatabase(tempPath);
+
+      const inspection = await BackupService.inspectDatabase(tempPath);
+      record.schemaVersion = inspection.schemaVersion;
+      record.integrityCheck = inspection.integrityCheck;
+      if (inspection.integrityCheck !== 'ok') {
+        throw new Error(`Integrity check failed: ${inspection.integrityCheck}`);
+      }
+
+      // Encrypted clinical fields, and encrypted backups, cannot be read
+      // without the keystore, so a copy travels with the backups
+      if (EncryptionService.isEnabled()) {
+        const keystoreCopy = path.join(destination, path.basename(EncryptionService.KEYSTORE_PATH));
+        if (path.resolve(keystoreCopy) !== path.resolve(EncryptionService.KEYSTORE_PATH)) {
+          await fs.promises.copyFile(EncryptionService.KEYSTORE_PATH, keystoreCopy);
+        }
+      }
+
+      const packed = await packBackup(await fs.promises.readFile(tempPath), settings);
+      record.filePath = await writeBackupFile(destination, packed, settings);
+      record.sizeBytes = packed.length;
+      record.sha256 = sha256(packed);
+    } catch (error) {
+      record.error = error.message;
+    } finally {
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    }
+
+    const status = record.error ? 'failed' : 'completed';
+    const { lastID } = await query(db, 'run', `
+      INSERT INTO backups (file_path, trigger, status, schema_version, size_bytes, sha256, compressed,
+        encrypted, integrity_check, error, created_by, restore_source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [record.filePath, trigger, status, record.schemaVersion, record.sizeBytes, record.sha256,
+      settings.compress ? 1 : 0, settings.encrypt ? 1 : 0, record.integrityCheck, record.error, userId,
+      restoreSource]);
+
+    if (status === 'completed') {
+      await Auth.logAudit(userId, 'CREATE_BACKUP', 'backups', lastID, null, {
+        file: path.basename(record.filePath), trigger, compressed: !!settings.compress, encrypted: !!settings.encrypt
+      });
+      await BackupService.applyRetention(settings.retentionCount);
+    } else {
+      await Auth.logAudit(userId, 'BACKUP_FAILED', 'backups', lastID, null, { trigger, error: record.error });
+    }
+
+    return BackupService.getBackup(lastID);
+  }
+
+  // Open a database file read-only for the length of callback, which is
+  // given query(method, sql, params)
+  static async readDatabaseFile(file, callback) {
+    const connection = await openReadOnly(file);
+    try {
+      return await callback((method, sql, params) => query(connection, method, sql, params));
+    } finally {
+      await close(connection);
+    }
+  }
+
+  // Integrity check and schema version of a database file. The version is
+  // null for a database without migration history.
+  static async inspectDatabase(file) {
+    return BackupService.readDatabaseFile(file, async (read) => {
+      const rows = await read('all', 'PRAGMA integrity_check');
+      const integrityCheck = rows.map(row => row.integrity_check).join('; ');
+      const version = await read('get', 'SELECT MAX(version) as version FROM schema_migrations')
+        .catch(() => null);
+      return { integrityCheck, schemaVersion: version ? version.version : null };
+    });
+  }
+
+  // The plain database bytes of a backup file, whatever options wrote it
+  static async readBackupFile(filePath) {
+    const data = await fs.promises.readFile(filePath);
+
+    if (data.subarray(0, ENCRYPTED_MAGIC.length).equals(ENCRYPTED_MAGIC)) {
+      const headerLength = data.readUInt32BE(ENCRYPTED_MAGIC.length);
+      const headerStart = ENCRYPTED_MAGIC.length + 4;
+      const header = JSON.parse(data.subarray(headerStart, headerStart + headerLength).toString('utf8'));
+      let plain;
+      try {
+        plain = EncryptionService.decryptBuffer({ ...header, data: data.subarray(headerStart + headerLength) });
+      } catch (error) {
+        throw new Error(`The backup could not be decrypted: ${error.message}`);
+      }
+      return header.compressed ? gunzip(plain) : plain;
+    }
+
+    if (data.subarray(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)) {
+      return gunzip(data);
+    }
+    return data;
+  }
+
+  // Re-read a stored backup: its checksum must still match and the database
+  // inside must still pass the integrity check
+  static async verifyBackup(id, userId) {
+    const backup = await BackupService.getBackup(id);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    if (backup.status !== 'completed' || backup.removed_at) {
+      throw new Error('Only backups that completed and are still kept can be verified');
+    }
+    if (!fs.existsSync(backup.file_path)) {
+      throw new Error(`Backup file is missing: ${backup.file_path}`);
+    }
+
+    const tempPath = `${backup.file_path}.verify.tmp`;
+    let integrityCheck;
+    try {
+      const checksum = sha256(await fs.promises.readFile(backup.file_path));
+      if (checksum !== backup.sha256) {
+        integrityCheck = 'Checksum mismatch: the backup file has changed since it was written';
+      } else {
+        await fs.promises.writeFile(tempPath, await BackupService.readBackupFile(backup.file_path), { mode: 0o600 });
+        integrityCheck = (await BackupService.inspectDatabase(tempPath)).integrityCheck;
+      }
+    } finally {
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    }
+
+    await query(db, 'run', 'UPDATE backups SET integrity_check = ?, verified_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [integrityCheck, backup.id]);
+    await Auth.logAudit(userId, 'VERIFY_BACKUP', 'backups', backup.id, null,
+      { file: backup.file_name, integrity_check: integrityCheck });
+
+    return BackupService.getBackup(backup.id);
+  }
+
+  // Delete the oldest completed backups beyond the retention count; 0 keeps
+  // all. Pre-restore snapshots are kept so restores can still be rolled back.
+  static async applyRetention(retentionCount) {
+    if (!retentionCount) {
+      return 0;
+    }
+
+    const kept = await query(db, 'all', `
+      SELECT id, file_path FROM backups
+      WHERE status = 'completed' AND removed_at IS NULL AND trigger != 'pre_restore'
+      ORDER BY id DESC
+    `);
+    const expired = kept.slice(retentionCount);
+
+    for (const backup of expired) {
+      await fs.promises.rm(backup.file_path, { force: true });
+      await query(db, 'run', 'UPDATE backups SET removed_at = CURRENT_TIMESTAMP WHERE id = ?', [backup.id]);
+    }
+
+    return expired.length;
+  }
+
+  static async getBackup(id) {
+    const row = await query(db, 'get', `
+      SELECT b.*, u.username as created_by_username
+      FROM backups b
+      LEFT JOIN users u ON u.id = b.created_by
+      WHERE b.id = ?
+    `, [id]);
+    return withFileName(row);
+  }
+
+  static async getHistory(limit = 100) {
+    const rows = await query(db, 'all', `
+      SELECT b.*, u.username as created_by_username
+      FROM backups b
+      LEFT JOIN users u ON u.id = b.created_by
+      ORDER BY b.id DESC
+      LIMIT ?
+    `, [limit]);
+    return rows.map(withFileName);
+  }
+
+  // The snapshot taken before the most recent restore, if it is still kept
+  static async getLastRestore() {
+    const row = await query(db, 'get', `
+      SELECT b.*, u.username as created_by_username
+      FROM backups b
+      LEFT JOIN users u ON u.id = b.created_by
+      WHERE b.trigger = 'pre_restore' AND b.status = 'completed' AND b.removed_at IS NULL
+      ORDER BY b.id DESC LIMIT 1
+    `);
+    return withFileName(row) || null;
+  }
+
+  // The backup history describes files on this machine, not the data inside
+  // any one database, so a restore carries it over into the restored database
+  static async exportHistory() {
+    return query(db, 'all', 'SELECT * FROM backups ORDER BY id');
+  }
+
+  static async importHistory(rows) {
+    for (const row of rows) {
+      const columns = Object.keys(row);
+      await query(db, 'run', `
+        INSERT OR REPLACE INTO backups (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `, columns.map(column => row[column]));
+    }
+  }
+
+  // When the next scheduled backup is due, counted from the last backup that
+  // completed, manual or scheduled. Null when scheduling is off.
+  static async getNextScheduledAt(schedule) {
+    const interval = SCHEDULE_INTERVALS[schedule];
+    if (!interval) {
+      return null;
+    }
+
+    const last = await query(db, 'get',
+      "SELECT MAX(created_at) as created_at FROM backups WHERE status = 'completed' AND trigger != 'pre_restore'");
+    const lastAt = parseTimestamp(last && last.created_at);
+    return lastAt ? new Date(lastAt.getTime() + interval) : new Date();
+  }
+
+  static async getStatus() {
+    const settings = await BackupService.getSettings();
+    const lastBackup = await query(db, 'get', `
+      SELECT id, created_at, trigger FROM backups
+      WHERE status = 'completed' AND trigger != 'pre_restore'
+      ORDER BY id DESC LIMIT 1
+    `);
+    const nextScheduledAt = await BackupService.getNextScheduledAt(settings.schedule);
+
+    return {
+      destination: settings.destination || DEFAULT_DESTINATION,
+      defaultDestination: DEFAULT_DESTINATION,
+      lastBackup: lastBackup || null,
+      lastRestore: await BackupService.getLastRestore(),
+      nextScheduledAt: nextScheduledAt ? nextScheduledAt.toISOString() : null,
+      running: BackupService.isRunning(),
+      encryptionAvailable: EncryptionService.isEnabled()
+    };
+  }
+
+  // Called periodically from the main process. Encrypted backups wait until
+  // the database has been unlocked.
+  static async runScheduledBackupIfDue() {
+    if (BackupService.isRunning()) {
+      return null;
+    }
+
+    const settings = await BackupService.getSettings();
+    const nextScheduledAt = await BackupService.getNextScheduledAt(settings.schedule);
+    if (!nextScheduledAt || nextScheduledAt.getTime() > Date.now()) {
+      return null;
+    }
+    if (settings.encrypt && !EncryptionService.isUnlocked()) {
+      return null;
+    }
+
+    return BackupService.createBackup({ trigger: 'scheduled' });
+  }
+}
+
+BackupService.DEFAULT_DESTINATION = DEFAULT_DESTINATION;
+
+module.exports = BackupService;
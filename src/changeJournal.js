@@ -0,0 +1,106 @@
+// Change journal for point-in-time recovery. Triggers on each journaled table
+// copy the whole row before and after every insert, update and delete into
+// change_journal, so any record, or all of these tables at once, can be put
+// back to how they were at an earlier moment.
+//
+// The triggers list the table's columns, so a migration that adds columns to
+// a journaled table must call installJournalTriggers again.
+
+// Clinical and financial records. Accounts, settings and the audit log are
+// not rewound: they record who did what, including the recovery itself.
+const JOURNAL_TABLES = [
+  'patients',
+  'appointments',
+  'appointment_billings',
+  'invoices',
+  'invoice_items',
+  'payments',
+  'refunds',
+  'credit_notes',
+  'patient_credits',
+  'insurers',
+  'insurer_tariffs',
+  'claims',
+  'claim_items',
+  'claim_remittances',
+  'expenses',
+  'billing_codes'
+];
+
+// SQLite allows a function at most 127 arguments, and patients has over a
+// hundred columns, so the row is built from chunks of columns: a json_object
+// of the first, and a json_insert of each of the rest. json_insert, unlike
+// json_patch, keeps the columns that are NULL.
+const COLUMNS_PER_CALL = 60;
+
+function rowJson(prefix, columns) {
+  const chunks = [];
+  for (let i = 0; i < columns.length; i += COLUMNS_PER_CALL) {
+    chunks.push(columns.slice(i, i + COLUMNS_PER_CALL));
+  }
+
+  return chunks.slice(1).reduce(
+    (json, chunk) => `json_insert(${json}, ${chunk.map(column => `'$.${column}', ${prefix}.${column}`).join(', ')})`,
+    `json_object(${chunks[0].map(column => `'${column}', ${prefix}.${column}`).join(', ')})`
+  );
+}
+
+async function installJournalTriggers(db) {
+  for (const table of JOURNAL_TABLES) {
+    const columns = (await db.all(`PRAGMA table_info(${table})`)).map(info => info.name);
+    await dropTableTriggers(db, table);
+    // Created by a later migration than the one being run
+    if (columns.length === 0) {
+      continue;
+    }
+
+    await db.run(`
+      CREATE TRIGGER trg_${table}_journal_insert AFTER INSERT ON ${table}
+      BEGIN
+        INSERT INTO change_journal (table_name, record_id, operation, old_row, new_row)
+        VALUES ('${table}', NEW.id, 'INSERT', NULL, ${rowJson('NEW', columns)});
+      END
+    `);
+
+    // Like the sync triggers, skips the sync_id a new row is given on insert.
+    // Also skips the version trigger's own update, which changes nothing but
+    // the version: the entry for the edit it follows stands for both.
+    const conditions = [];
+    if (columns.includes('sync_id')) {
+      conditions.push('OLD.sync_id IS NOT NULL');
+    }
+    if (columns.includes('version')) {
+      conditions.push(`(${columns.filter(column => column !== 'version').map(column => `OLD.${column} IS NOT NEW.${column}`).join(' OR ')})`);
+    }
+    await db.run(`
+      CREATE TRIGGER trg_${table}_journal_update AFTER UPDATE ON ${table}
+      ${conditions.length ? `WHEN ${conditions.join(' AND ')}` : ''}
+      BEGIN
+        INSERT INTO change_journal (table_name, record_id, operation, old_row, new_row)
+        VALUES ('${table}', NEW.id, 'UPDATE', ${rowJson('OLD', columns)}, ${rowJson('NEW', columns)});
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER trg_${table}_journal_delete AFTER DELETE ON ${table}
+      BEGIN
+        INSERT INTO change_journal (table_name, record_id, operation, old_row, new_row)
+        VALUES ('${table}', OLD.id, 'DELETE', ${rowJson('OLD', columns)}, NULL);
+      END
+    `);
+  }
+}
+
+async function dropTableTriggers(db, table) {
+  await db.run(`DROP TRIGGER IF EXISTS trg_${table}_journal_insert`);
+  await db.run(`DROP TRIGGER IF EXISTS trg_${table}_journal_update`);
+  await db.run(`DROP TRIGGER IF EXISTS trg_${table}_journal_delete`);
+}
+
+async function dropJournalTriggers(db) {
+  for (const table of JOURNAL_TABLES) {
+    await dropTableTriggers(db, table);
+  }
+}
+
+module.exports = { JOURNAL_TABLES, installJournalTriggers, dropJournalTriggers };
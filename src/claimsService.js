@@ -0,0 +1,724 @@
+const { run, get, all, withTransaction } = require('./repository');
+const Auth = require('./auth');
+const AccountingService = require('./accountingService');
+const TaxService = require('./taxService');
+
+const { roundMoney } = TaxService;
+
+// Insurance claims. A claim asks an insurer to pay what is due on an
+// invoice. It is drafted, submitted, and then either rejected (and may be
+// submitted again) or settled by remittances. Each remittance splits part of
+// what is left of the claim into what the insurer paid, recorded on the
+// invoice as an insurance payment, what it adjusted away, given back to the
+// patient as a credit note, and what the patient must pay themselves, which
+// stays due on the invoice.
+
+const CLAIM_STATUSES = ['draft', 'submitted', 'partially_paid', 'rejected', 'paid'];
+
+// Claims the accountant still has to act on
+const OPEN_STATUSES = ['draft', 'submitted', 'partially_paid', 'rejected'];
+
+// A rejected claim no longer stands in the way of claiming the invoice again
+const ACTIVE_STATUSES = ['draft', 'submitted', 'partially_paid', 'paid'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const INSURER_FIELDS = {
+  name: 'name',
+  payerCode: 'payer_code',
+  phone: 'phone',
+  email: 'email',
+  address: 'address',
+  notes: 'notes',
+  active: 'active'
+};
+
+// What has been settled of a claim aliased c
+const SETTLED_COLUMNS = `
+  COALESCE((SELECT SUM(cr.insurer_paid) FROM claim_remittances cr WHERE cr.claim_id = c.id), 0) as insurer_paid,
+  COALESCE((SELECT SUM(cr.adjustment) FROM claim_remittances cr WHERE cr.claim_id = c.id), 0) as adjustment,
+  COALESCE((SELECT SUM(cr.patient_responsibility) FROM claim_remittances cr WHERE cr.claim_id = c.id), 0) as patient_responsibility
+`;
+
+const CLAIM_SELECT = `
+  SELECT c.*, ins.name as insurer_name, i.invoice_number,
+         p.first_name, p.last_name, p.patient_id as patient_number, ${SETTLED_COLUMNS}
+  FROM claims c
+  JOIN insurers ins ON ins.id = c.insurer_id
+  JOIN invoices i ON i.id = c.invoice_id
+  JOIN patients p ON p.id = c.patient_id
+`;
+
+// Round the SETTLED_COLUMNS and add outstanding, what the insurer has yet
+// to settle, and age_days, days since the claim was submitted (or drafted)
+function withSettlement(claim) {
+  if (!claim) {
+    return claim;
+  }
+  ['insurer_paid', 'adjustment', 'patient_responsibility'].forEach(column => {
+    claim[column] = roundMoney(claim[column]);
+  });
+  claim.outstanding = roundMoney(claim.claimed_amount - claim.insurer_paid - claim.adjustment - claim.patient_responsibility);
+  const since = (claim.submitted_at || claim.created_at).slice(0, 10);
+  claim.age_days = Math.max(0, Math.round((new Date(`${TaxService.today()}T00:00:00Z`) - new Date(`${since}T00:00:00Z`)) / (24 * 60 * 60 * 1000)));
+  return claim;
+}
+
+async function getClaimRow(claimId) {
+  return withSettlement(await get(`${CLAIM_SELECT} WHERE c.id = ?`, [claimId]));
+}
+
+async function requireClaim(claimId) {
+  const claim = await getClaimRow(claimId);
+  if (!claim) {
+    throw new Error('Claim not found');
+  }
+  return claim;
+}
+
+// Amounts of a remittance: each may be zero, none may be negative
+function requireShare(value, label) {
+  const amount = roundMoney(Number(value || 0));
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${label} cannot be negative`);
+  }
+  return amount;
+}
+
+function insurerValues(insurerData) {
+  const values = {};
+  for (const [field, column] of Object.entries(INSURER_FIELDS)) {
+    if (insurerData[field] === undefined) {
+      continue;
+    }
+    if (field === 'active') {
+      values[column] = insurerData.active ? 1 : 0;
+    } else {
+      values[column] = String(insurerData[field] ?? '').trim() || null;
+    }
+  }
+  if ('name' in values && !values.name) {
+    throw new Error('Insurer name is required');
+  }
+  return values;
+}
+
+// Coverage rule values; the patient pays no co-pay and the insurer covers
+// everything, without limit, unless told otherwise
+function tariffValues(tariffData) {
+  const coveragePercent = Number(tariffData.coveragePercent ?? 100);
+  if (!Number.isFinite(coveragePercent) || coveragePercent < 0 || coveragePercent > 100) {
+    throw new Error('Percentage covered must be between 0 and 100');
+  }
+  const copayAmount = requireShare(tariffData.copayAmount, 'Co-payment');
+  const limit = tariffData.annualLimit;
+  const annualLimit = limit === undefined || limit === null || limit === '' ? null : roundMoney(Number(limit));
+  if (annualLimit !== null && !(annualLimit > 0)) {
+    throw new Error('Annual limit must be more than zero, or left empty for no limit');
+  }
+  return { coverage_percent: coveragePercent, copay_amount: copayAmount, annual_limit: annualLimit };
+}
+
+// What an invoice line is claimed at: its total with tax
+function lineAmount(invoice, item) {
+  return invoice.tax_inclusive ? item.total_price : roundMoney(item.total_price + item.tax_amount);
+}
+
+// Split priced lines ({billingCodeId, amount, ...}) between an insurer and
+// the patient under the insurer's tariff. Each line is covered by the rule
+// for its billing code, or else the insurer's rule for all other codes; the
+// patient pays the co-pay, and the insurer its percentage of the rest until
+// the rule's annual limit, less what has been claimed under it for the
+// patient that year, runs out. Lines no rule covers are the patient's.
+async function splitCoverage(insurerId, patientId, lines, year) {
+  const tariffs = await all('SELECT * FROM insurer_tariffs WHERE insurer_id = ?', [insurerId]);
+  const fallback = tariffs.find(tariff => tariff.billing_code_id === null);
+  const byCode = new Map(tariffs.filter(tariff => tariff.billing_code_id !== null).map(tariff => [tariff.billing_code_id, tariff]));
+
+  const used = new Map((await all(`
+    SELECT ci.tariff_id, SUM(ci.amount) as used
+    FROM claim_items ci
+    JOIN claims c ON c.id = ci.claim_id
+    WHERE c.patient_id = ? AND c.insurer_id = ? AND c.status != 'rejected'
+      AND ci.tariff_id IS NOT NULL AND strftime('%Y', c.created_at) = ?
+    GROUP BY ci.tariff_id
+  `, [patientId, insurerId, String(year)])).map(row => [row.tariff_id, row.used]));
+
+  const split = lines.map(line => {
+    const tariff = byCode.get(line.billingCodeId) || fallback;
+    if (!tariff) {
+      return { ...line, tariffId: null, insurerAmount: 0, patientAmount: line.amount, limitReached: false };
+    }
+
+    const copay = Math.min(line.amount, tariff.copay_amount);
+    let insurerAmount = roundMoney((line.amount - copay) * tariff.coverage_percent / 100);
+    let limitReached = false;
+    if (tariff.annual_limit !== null) {
+      const remaining = roundMoney(Math.max(0, tariff.annual_limit - (used.get(tariff.id) || 0)));
+      limitReached = insurerAmount > remaining;
+      insurerAmount = Math.min(insurerAmount, remaining);
+    }
+    used.set(tariff.id, roundMoney((used.get(tariff.id) || 0) + insurerAmount));
+
+    return { ...line, tariffId: tariff.id, insurerAmount, patientAmount: roundMoney(line.amount - insurerAmount), limitReached };
+  });
+
+  return {
+    lines: split,
+    insurerAmount: roundMoney(split.reduce((sum, line) => sum + line.insurerAmount, 0)),
+    patientAmount: roundMoney(split.reduce((sum, line) => sum + line.patientAmount, 0))
+  };
+}
+
+function uniqueNameError(error) {
+  return /UNIQUE constraint failed: insurers\.name/.test(error.message)
+    ? new Error('An insurer with this name already exists')
+    : error;
+}
+
+// Drafts a claim in the caller's transaction. Its audit entries, each the
+// arguments to Auth.logAudit, are returned to be logged once that commits.
+async function insertClaim(invoiceId, claimData, userId, { appointmentId = null, items = null } = {}) {
+  const invoice = await AccountingService.getInvoiceWithDetails(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+  if (invoice.status === 'cancelled') {
+    throw new Error('Void invoices cannot be claimed');
+  }
+  if (invoice.balance_due <= 0) {
+    throw new Error('Nothing is due on this invoice');
+  }
+  if (invoice.claims.some(claim => ACTIVE_STATUSES.includes(claim.status))) {
+    throw new Error('This invoice has already been claimed');
+  }
+
+  const insurer = claimData.insurerId
+    ? await get('SELECT * FROM insurers WHERE id = ? AND active = 1', [claimData.insurerId])
+    : await ClaimsService.findPatientInsurer(invoice.patient_record_id);
+  if (!insurer) {
+    throw new Error(claimData.insurerId
+      ? 'Insurer not found'
+      : 'The patient\'s insurance provider is not a known insurer; choose the insurer to claim from');
+  }
+
+  const amount = claimData.amount === undefined || claimData.amount === null || claimData.amount === ''
+    ? invoice.balance_due
+    : roundMoney(Number(claimData.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Claim amount must be more than zero');
+  }
+  if (amount > invoice.balance_due) {
+    throw new Error(`A claim cannot be for more than the $${invoice.balance_due.toFixed(2)} due on the invoice`);
+  }
+
+  const patient = await get(`
+    SELECT insurance_policy_number, insurance_group_id, insurance_subscriber_id FROM patients WHERE id = ?
+  `, [invoice.patient_record_id]);
+
+  const claimNumber = await AccountingService.nextClaimNumber();
+  const { lastID } = await run(`
+    INSERT INTO claims (
+      claim_number, invoice_id, appointment_id, insurer_id, patient_id,
+      policy_number, group_id, subscriber_id, claimed_amount, notes, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    claimNumber,
+    invoice.id,
+    appointmentId,
+    insurer.id,
+    invoice.patient_record_id,
+    patient.insurance_policy_number,
+    patient.insurance_group_id,
+    patient.insurance_subscriber_id,
+    amount,
+    claimData.notes || null,
+    userId
+  ]);
+
+  // Lines are claimed with their tax
+  const claimItems = items || invoice.items.map(item => ({
+    billingCodeId: item.billing_code_id,
+    code: item.code,
+    description: item.description,
+    quantity: item.quantity,
+    amount: lineAmount(invoice, item)
+  }));
+  for (const item of claimItems) {
+    await run(`
+      INSERT INTO claim_items (claim_id, billing_code_id, code, description, quantity, amount, tariff_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [lastID, item.billingCodeId, item.code, item.description, item.quantity, item.amount, item.tariffId || null]);
+  }
+
+  const claim = { id: lastID, claimNumber, insurerId: insurer.id, amount };
+  return { claim, audits: [[userId, 'CREATE_CLAIM', 'claims', lastID, null, { invoiceId, appointmentId, ...claim }]] };
+}
+
+class ClaimsService {
+  // Insurers
+  static async getInsurers({ activeOnly = false } = {}) {
+    return all(`
+      SELECT ins.*,
+        (SELECT COUNT(*) FROM claims c WHERE c.insurer_id = ins.id AND c.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})) as open_claims
+      FROM insurers ins
+      ${activeOnly ? 'WHERE ins.active = 1' : ''}
+      ORDER BY ins.name
+    `, OPEN_STATUSES);
+  }
+
+  static async createInsurer(insurerData, userId) {
+    const values = insurerValues({ ...insurerData, name: insurerData.name ?? '' });
+    const columns = Object.keys(values);
+
+    let lastID;
+    try {
+      ({ lastID } = await run(`
+        INSERT INTO insurers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      `, Object.values(values)));
+    } catch (error) {
+      throw uniqueNameError(error);
+    }
+
+    Auth.logAudit(userId, 'CREATE_INSURER', 'insurers', lastID, null, values);
+    return lastID;
+  }
+
+  // Insurers are deactivated rather than deleted, as claims refer to them
+  static async updateInsurer(id, insurerData, userId) {
+    const oldInsurer = await get('SELECT * FROM insurers WHERE id = ?', [id]);
+    if (!oldInsurer) {
+      throw new Error('Insurer not found');
+    }
+
+    const values = insurerValues(insurerData);
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return 0;
+    }
+
+    let changes;
+    try {
+      ({ changes } = await run(`
+        UPDATE insurers SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...Object.values(values), id]));
+    } catch (error) {
+      throw uniqueNameError(error);
+    }
+
+    Auth.logAudit(userId, 'UPDATE_INSURER', 'insurers', id, oldInsurer, values);
+    return changes;
+  }
+
+  // The active insurer a patient names as their insurance provider
+  static async findPatientInsurer(patientId) {
+    return get(`
+      SELECT ins.* FROM insurers ins
+      JOIN patients p ON TRIM(p.insurance_provider) = ins.name
+      WHERE p.id = ? AND ins.active = 1
+    `, [patientId]);
+  }
+
+  // Tariffs: the rule for all other codes first, then by billing code
+  static async getTariffs(insurerId) {
+    return all(`
+      SELECT t.*, bc.code, bc.description
+      FROM insurer_tariffs t
+      LEFT JOIN billing_codes bc ON bc.id = t.billing_code_id
+      WHERE t.insurer_id = ?
+      ORDER BY t.billing_code_id IS NOT NULL, bc.code
+    `, [insurerId]);
+  }
+
+  // Set the insurer's rule for a billing code, or for all other codes when
+  // none is given. What has been claimed under the rule this year still
+  // counts towards its new annual limit.
+  static async saveTariff(insurerId, tariffData, userId) {
+    if (!(await get('SELECT id FROM insurers WHERE id = ?', [insurerId]))) {
+      throw new Error('Insurer not found');
+    }
+    const billingCodeId = tariffData.billingCodeId || null;
+    if (billingCodeId && !(await get('SELECT id FROM billing_codes WHERE id = ?', [billingCodeId]))) {
+      throw new Error('Billing code not found');
+    }
+    const values = tariffValues(tariffData);
+
+    const oldTariff = await get(`
+      SELECT * FROM insurer_tariffs WHERE insurer_id = ? AND IFNULL(billing_code_id, 0) = ?
+    `, [insurerId, billingCodeId || 0]);
+    if (oldTariff) {
+      await run(`
+        UPDATE insurer_tariffs SET coverage_percent = ?, copay_amount = ?, annual_limit = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [values.coverage_percent, values.copay_amount, values.annual_limit, oldTariff.id]);
+      Auth.logAudit(userId, 'UPDATE_TARIFF', 'insurer_tariffs', oldTariff.id, oldTariff, values);
+      return oldTariff.id;
+    }
+
+    const { lastID } = await run(`
+      INSERT INTO insurer_tariffs (insurer_id, billing_code_id, coverage_percent, copay_amount, annual_limit)
+      VALUES (?, ?, ?, ?, ?)
+    `, [insurerId, billingCodeId, values.coverage_percent, values.copay_amount, values.annual_limit]);
+    Auth.logAudit(userId, 'CREATE_TARIFF', 'insurer_tariffs', lastID, null, { insurerId, billingCodeId, ...values });
+    return lastID;
+  }
+
+  static async deleteTariff(tariffId, userId) {
+    const tariff = await get('SELECT * FROM insurer_tariffs WHERE id = ?', [tariffId]);
+    if (!tariff) {
+      throw new Error('Tariff rule not found');
+    }
+
+    await run('DELETE FROM insurer_tariffs WHERE id = ?', [tariffId]);
+    Auth.logAudit(userId, 'DELETE_TARIFF', 'insurer_tariffs', tariffId, tariff, null);
+    return { success: true };
+  }
+
+  // Estimate what the patient's insurer would pay of services
+  // ({billingCodeId, quantity, unitPrice}, at the billing code's price unless
+  // given) and what the patient would, for a visit on date
+  static async estimateCoverage({ patientId, items = [], date } = {}) {
+    const patient = await get('SELECT id, insurance_provider, insurance_policy_number FROM patients WHERE id = ? AND deleted_at IS NULL', [patientId]);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const insurer = await ClaimsService.findPatientInsurer(patientId);
+    const estimate = {
+      insuranceProvider: patient.insurance_provider,
+      policyNumber: patient.insurance_policy_number,
+      insurer: insurer ? { id: insurer.id, name: insurer.name } : null,
+      lines: [],
+      total: 0,
+      insurerAmount: 0,
+      patientAmount: 0
+    };
+    if (items.length === 0) {
+      return estimate;
+    }
+
+    const priceItems = [];
+    for (const item of items) {
+      const billingCode = await get('SELECT default_price FROM billing_codes WHERE id = ?', [item.billingCodeId]);
+      if (!billingCode) {
+        throw new Error(`Billing code ${item.billingCodeId} not found`);
+      }
+      priceItems.push({ ...item, unitPrice: item.unitPrice ?? billingCode.default_price });
+    }
+    const pricing = await AccountingService.previewInvoice(priceItems);
+    const lines = pricing.items.map(item => ({
+      billingCodeId: item.billingCodeId,
+      description: item.description,
+      quantity: item.quantity,
+      amount: pricing.inclusive ? item.totalPrice : roundMoney(item.totalPrice + item.taxAmount)
+    }));
+
+    const year = DATE_PATTERN.test(String(date).slice(0, 10)) ? String(date).slice(0, 4) : TaxService.today().slice(0, 4);
+    const split = insurer
+      ? await splitCoverage(insurer.id, patientId, lines, year)
+      : { lines: lines.map(line => ({ ...line, insurerAmount: 0, patientAmount: line.amount })), insurerAmount: 0, patientAmount: pricing.totalAmount };
+    return { ...estimate, ...split, total: pricing.totalAmount };
+  }
+
+  // Claims, oldest first, with what has been settled of each. status may be
+  // one status or a list.
+  static async getClaims(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      conditions.push(`c.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.insurerId) {
+      conditions.push('c.insurer_id = ?');
+      params.push(filters.insurerId);
+    }
+    if (filters.invoiceId) {
+      conditions.push('c.invoice_id = ?');
+      params.push(filters.invoiceId);
+    }
+    if (filters.patientId) {
+      conditions.push('c.patient_id = ?');
+      params.push(filters.patientId);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const claims = await all(`${CLAIM_SELECT}${where} ORDER BY COALESCE(c.submitted_at, c.created_at), c.id`, params);
+    return claims.map(withSettlement);
+  }
+
+  // The accountant's worklist: open claims, leaving out rejected ones whose
+  // invoice has been claimed again, and how many claims and how much money
+  // sit in each status
+  static async getWorklist(filters = {}) {
+    const summary = await all(`
+      SELECT c.status, COUNT(*) as count, SUM(c.claimed_amount) as claimed
+      FROM claims c
+      GROUP BY c.status
+    `);
+
+    const byStatus = Object.fromEntries(CLAIM_STATUSES.map(status => [status, { count: 0, claimed: 0 }]));
+    summary.forEach(row => {
+      byStatus[row.status] = { count: row.count, claimed: roundMoney(row.claimed) };
+    });
+
+    const reclaimed = new Set((await all(`
+      SELECT DISTINCT invoice_id FROM claims WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+    `, ACTIVE_STATUSES)).map(row => row.invoice_id));
+    const claims = (await ClaimsService.getClaims({ ...filters, status: filters.status || OPEN_STATUSES }))
+      .filter(claim => claim.status !== 'rejected' || !reclaimed.has(claim.invoice_id));
+    return {
+      summary: byStatus,
+      outstanding: roundMoney(claims.filter(claim => claim.status !== 'rejected').reduce((sum, claim) => sum + claim.outstanding, 0)),
+      claims
+    };
+  }
+
+  static async getClaim(claimId) {
+    const claim = await requireClaim(claimId);
+
+    claim.items = await all('SELECT * FROM claim_items WHERE claim_id = ? ORDER BY id', [claimId]);
+    claim.remittances = await all(`
+      SELECT cr.*, pm.reference_number as payment_reference, cn.credit_note_number, u.name as created_by_name
+      FROM claim_remittances cr
+      LEFT JOIN payments pm ON pm.id = cr.payment_id
+      LEFT JOIN credit_notes cn ON cn.id = cr.credit_note_id
+      LEFT JOIN users u ON u.id = cr.created_by
+      WHERE cr.claim_id = ?
+      ORDER BY cr.remittance_date, cr.id
+    `, [claimId]);
+
+    return claim;
+  }
+
+  // Draft a claim for what is due on an invoice, or part of it, from the
+  // insurer the patient names unless another is chosen. Policy details and
+  // the invoice lines, or the given share of each, are copied onto the claim.
+  static async createClaimFromInvoice(invoiceId, claimData = {}, userId, { appointmentId = null, items = null } = {}) {
+    const { claim, audits } = await withTransaction(() => insertClaim(invoiceId, claimData, userId, { appointmentId, items }));
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return claim;
+  }
+
+  // Claim the share of an invoice the patient's insurer covers under its
+  // tariff, leaving the co-payment and anything not covered due from the
+  // patient. Runs in the caller's transaction and returns the draft claim,
+  // or null when the patient has no known insurer or it covers none of the
+  // invoice, with the audit entries to log once that commits.
+  static async claimCoveredShare(invoiceId, userId, { appointmentId = null } = {}) {
+    const invoice = await AccountingService.getInvoiceWithDetails(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    const insurer = await ClaimsService.findPatientInsurer(invoice.patient_record_id);
+    if (!insurer) {
+      return { claim: null, audits: [] };
+    }
+
+    const split = await splitCoverage(insurer.id, invoice.patient_record_id, invoice.items.map(item => ({
+      billingCodeId: item.billing_code_id,
+      code: item.code,
+      description: item.description,
+      quantity: item.quantity,
+      amount: lineAmount(invoice, item)
+    })), TaxService.today().slice(0, 4));
+    if (split.insurerAmount <= 0) {
+      return { claim: null, audits: [] };
+    }
+
+    return insertClaim(invoiceId, {
+      insurerId: insurer.id,
+      amount: Math.min(split.insurerAmount, invoice.balance_due),
+      notes: `Covered under the ${insurer.name} tariff; the patient pays $${split.patientAmount.toFixed(2)}`
+    }, userId, {
+      appointmentId,
+      items: split.lines
+        .filter(line => line.insurerAmount > 0)
+        .map(line => ({ ...line, amount: line.insurerAmount }))
+    });
+  }
+
+  // Claim the services billed to an appointment. Services not yet invoiced
+  // are invoiced first; otherwise the latest of its invoices not already
+  // claimed is.
+  static async createClaimFromAppointment(appointmentId, claimData = {}, userId) {
+    const { claim, audits } = await withTransaction(async () => {
+      const unbilled = await get('SELECT COUNT(*) as count FROM appointment_billings WHERE appointment_id = ? AND billed = 0', [appointmentId]);
+      let invoiceId;
+      let invoiceAudits = [];
+      if (unbilled.count > 0) {
+        const invoiced = await AccountingService.invoiceAppointment(appointmentId, userId);
+        // Already claimed when the insurer's tariff covers any of it
+        if (invoiced.invoice.claim) {
+          return { claim: invoiced.invoice.claim, audits: invoiced.audits };
+        }
+        invoiceId = invoiced.invoice.id;
+        invoiceAudits = invoiced.audits;
+      } else {
+        const invoice = await get(`
+          SELECT i.id FROM invoices i
+          WHERE i.id IN (SELECT invoice_id FROM appointment_billings WHERE appointment_id = ?)
+            AND i.deleted_at IS NULL AND i.status != 'cancelled'
+            AND NOT EXISTS (SELECT 1 FROM claims c WHERE c.invoice_id = i.id AND c.status != 'rejected')
+          ORDER BY i.id DESC
+        `, [appointmentId]);
+        if (!invoice) {
+          throw new Error('Nothing billed to this appointment is left to claim');
+        }
+        invoiceId = invoice.id;
+      }
+
+      const drafted = await insertClaim(invoiceId, claimData, userId, { appointmentId });
+      return { claim: drafted.claim, audits: [...invoiceAudits, ...drafted.audits] };
+    });
+
+    audits.forEach(audit => Auth.logAudit(...audit));
+    return claim;
+  }
+
+  // Send a draft claim, or a rejected one again, to the insurer
+  static async submitClaim(claimId, userId) {
+    const claim = await requireClaim(claimId);
+    if (!['draft', 'rejected'].includes(claim.status)) {
+      throw new Error('Only draft and rejected claims can be submitted');
+    }
+    if (claim.status === 'rejected' && await get(`
+      SELECT id FROM claims WHERE invoice_id = ? AND id != ? AND status != 'rejected'
+    `, [claim.invoice_id, claimId])) {
+      throw new Error('The invoice has been claimed again since this claim was rejected');
+    }
+
+    await run(`
+      UPDATE claims SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, rejection_reason = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [claimId]);
+
+    Auth.logAudit(userId, claim.status === 'rejected' ? 'RESUBMIT_CLAIM' : 'SUBMIT_CLAIM', 'claims', claimId,
+      { status: claim.status }, { status: 'submitted' });
+    return { success: true };
+  }
+
+  // What the insurer has not settled stays due from the patient on the invoice
+  static async rejectClaim(claimId, reason, userId) {
+    const claim = await requireClaim(claimId);
+    const rejectionReason = String(reason || '').trim();
+    if (!rejectionReason) {
+      throw new Error('A reason for the rejection is required');
+    }
+    if (!['submitted', 'partially_paid'].includes(claim.status)) {
+      throw new Error('Only submitted claims can be rejected');
+    }
+
+    await run(`
+      UPDATE claims SET status = 'rejected', rejection_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [rejectionReason, claimId]);
+
+    Auth.logAudit(userId, 'REJECT_CLAIM', 'claims', claimId, { status: claim.status }, { status: 'rejected', reason: rejectionReason });
+    return { success: true };
+  }
+
+  // Post what an insurer's remittance advice says about a claim. The
+  // payment, credit note, remittance and claim status are written in one
+  // transaction.
+  static async postRemittance(claimId, remittanceData, userId) {
+    const insurerPaid = requireShare(remittanceData.insurerPaid, 'Amount paid by the insurer');
+    const adjustment = requireShare(remittanceData.adjustment, 'Adjustment');
+    const patientResponsibility = requireShare(remittanceData.patientResponsibility, 'Patient responsibility');
+    const remittanceDate = remittanceData.remittanceDate || TaxService.today();
+    if (!DATE_PATTERN.test(remittanceDate)) {
+      throw new Error('Remittance date must be a date (YYYY-MM-DD)');
+    }
+    const settled = roundMoney(insurerPaid + adjustment + patientResponsibility);
+    if (settled <= 0) {
+      throw new Error('Enter what the insurer paid, adjusted or left to the patient');
+    }
+
+    const { remittance, audits } = await withTransaction(async () => {
+      const claim = await requireClaim(claimId);
+      if (!['submitted', 'partially_paid'].includes(claim.status)) {
+        throw new Error('Remittances can only be posted to submitted claims');
+      }
+      if (settled > claim.outstanding) {
+        throw new Error(`The remittance settles $${settled.toFixed(2)}, but only $${claim.outstanding.toFixed(2)} of the claim is outstanding`);
+      }
+
+      const invoice = await AccountingService.getInvoiceWithDetails(claim.invoice_id);
+      if (!invoice || invoice.status === 'cancelled') {
+        throw new Error('The claimed invoice is void or deleted');
+      }
+      if (roundMoney(insurerPaid + adjustment) > invoice.balance_due) {
+        throw new Error(`The insurer's payment and adjustment come to more than the $${invoice.balance_due.toFixed(2)} due on the invoice`);
+      }
+
+      const audits = [];
+      let paymentId = null;
+      if (insurerPaid > 0) {
+        const paid = await AccountingService.insertPayment({
+          invoiceId: claim.invoice_id,
+          amount: insurerPaid,
+          paymentDate: remittanceDate,
+          paymentMethod: 'insurance',
+          referenceNumber: remittanceData.referenceNumber || claim.claim_number,
+          notes: `${claim.insurer_name} remittance for claim ${claim.claim_number}`
+        }, userId);
+        paymentId = paid.payment.id;
+        audits.push(...paid.audits);
+      }
+
+      let creditNoteId = null;
+      if (adjustment > 0) {
+        const credited = await AccountingService.insertCreditNote(claim.invoice_id, {
+          amount: adjustment,
+          reason: `Adjusted by ${claim.insurer_name} on claim ${claim.claim_number}`
+        }, userId);
+        creditNoteId = credited.creditNote.id;
+        audits.push(...credited.audits);
+      }
+
+      const { lastID } = await run(`
+        INSERT INTO claim_remittances (
+          claim_id, remittance_date, insurer_paid, adjustment, patient_responsibility,
+          reference_number, notes, payment_id, credit_note_id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        claimId, remittanceDate, insurerPaid, adjustment, patientResponsibility,
+        remittanceData.referenceNumber || null, remittanceData.notes || null, paymentId, creditNoteId, userId
+      ]);
+
+      // Settled once nothing is outstanding; partly paid once the insurer has paid anything
+      const outstanding = roundMoney(claim.outstanding - settled);
+      const status = outstanding <= 0
+        ? 'paid'
+        : (claim.insurer_paid + insurerPaid > 0 ? 'partially_paid' : claim.status);
+      await run(`
+        UPDATE claims SET status = ?, settled_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, [status, status === 'paid' ? remittanceDate : null, claimId]);
+
+      return { remittance: { id: lastID, claimId, status, outstanding, paymentId, creditNoteId }, audits };
+    });
+
+    audits.forEach(audit => Auth.logAudit(...audit));
+    Auth.logAudit(userId, 'POST_REMITTANCE', 'claim_remittances', remittance.id, null,
+      { ...remittanceData, insurerPaid, adjustment, patientResponsibility, ...remittance });
+    return remittance;
+  }
+
+  // Only drafts can be deleted; claims sent to an insurer are kept
+  static async deleteClaim(claimId, userId) {
+    const claim = await requireClaim(claimId);
+    if (claim.status !== 'draft') {
+      throw new Error('Only draft claims can be deleted');
+    }
+
+    await run('DELETE FROM claims WHERE id = ?', [claimId]);
+    Auth.logAudit(userId, 'DELETE_CLAIM', 'claims', claimId, claim, null);
+    return { success: true };
+  }
+}
+
+ClaimsService.CLAIM_STATUSES = CLAIM_STATUSES;
+
+module.exports = ClaimsService;
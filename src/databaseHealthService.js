@@ -0,0 +1,433 @@
+const fs = require('fs');
+const db = require('./database');
+const { run, get, all, withTransaction } = require('./repository');
+const Auth = require('./auth');
+const BackupService = require('./backupService');
+const SettingsService = require('./settingsService');
+
+// Rows whose foreign key points at a parent that no longer exists. They were
+// left behind by deletes made before foreign keys were enforced, and drop out
+// of every listing that joins to the parent. The relations and their ON DELETE
+// policies are read from the schema itself.
+
+// Orphans of a RESTRICT relation to patients are clinical or financial
+// records; they are kept and moved to this placeholder patient instead
+const PLACEHOLDER_PATIENT = {
+  patient_id: 'P00000000',
+  first_name: 'Unknown',
+  last_name: 'Patient',
+  notes: 'Created by the database health check for records whose patient had been deleted'
+};
+
+// Orphan ids listed per relation; the counts are always complete
+const SAMPLE_SIZE = 20;
+
+// Rows changed per statement, well under SQLite's limit on bound parameters
+const BATCH_SIZE = 500;
+
+// Maintenance tasks, in the order a scheduled run performs them. VACUUM
+// rewrites the whole file, so it is skipped when the integrity check fails.
+const MAINTENANCE_TASKS = {
+  integrity_check: {
+    label: 'Integrity check',
+    async run() {
+      const rows = await all('PRAGMA integrity_check(100)');
+      const result = rows.map(row => row.integrity_check).join('; ');
+      if (result !== 'ok') {
+        throw new Error(result);
+      }
+      return result;
+    }
+  },
+  analyze: {
+    label: 'ANALYZE',
+    async run() {
+      await run('ANALYZE');
+      return 'Query planner statistics updated';
+    }
+  },
+  vacuum: {
+    label: 'VACUUM',
+    async run() {
+      const { freelist_count: freePages } = await get('PRAGMA freelist_count');
+      await run('VACUUM');
+      return `${freePages} free page(s) reclaimed`;
+    }
+  },
+  checkpoint: {
+    label: 'WAL checkpoint',
+    async run() {
+      const { journal_mode: journalMode } = await get('PRAGMA journal_mode');
+      if (journalMode !== 'wal') {
+        return `Not needed in ${journalMode} journal mode`;
+      }
+      const { busy, log, checkpointed } = await get('PRAGMA wal_checkpoint(TRUNCATE)');
+      if (busy) {
+        throw new Error(`The checkpoint was blocked; ${checkpointed} of ${log} frames were written`);
+      }
+      return `${checkpointed} frame(s) written to the database`;
+    }
+  }
+};
+
+const SCHEDULE_INTERVALS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const MAINTENANCE_SETTINGS = {
+  schedule: { key: 'maintenance.schedule', label: 'Schedule', options: ['off', 'daily', 'weekly'] },
+  vacuum: { key: 'maintenance.vacuum' }
+};
+
+// Scheduled runs only VACUUM once this share of the file is free pages
+const VACUUM_FREE_RATIO = 0.1;
+
+// Only one maintenance task runs at a time
+let runningTask = null;
+
+// What repairing an orphan of a relation does, following its ON DELETE policy
+function repairFor(relation) {
+  if (relation.onDelete === 'CASCADE') {
+    return 'delete';
+  }
+  if (relation.onDelete === 'SET NULL') {
+    return 'clear';
+  }
+  return relation.parent === 'patients' ? 'reassign' : 'keep';
+}
+
+async function getRelations() {
+  const tables = await all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `);
+  const relations = [];
+
+  for (const { name } of tables) {
+    const keys = await all(`PRAGMA foreign_key_list(${name})`);
+    keys.forEach(key => {
+      const relation = {
+        id: key.id,
+        table: name,
+        column: key.from,
+        parent: key.table,
+        onDelete: key.on_delete
+      };
+      relations.push({ ...relation, repair: repairFor(relation) });
+    });
+  }
+
+  return relations;
+}
+
+// Orphaned row ids grouped by relation, from PRAGMA foreign_key_check
+async function findOrphans(relations) {
+  const violations = await all('PRAGMA foreign_key_check');
+  const orphans = new Map();
+
+  violations.forEach(violation => {
+    const relation = relations.find(candidate => candidate.table === violation.table && candidate.id === violation.fkid);
+    if (!relation) {
+      return;
+    }
+    if (!orphans.has(relation)) {
+      orphans.set(relation, []);
+    }
+    orphans.get(relation).push(violation.rowid);
+  });
+
+  return orphans;
+}
+
+async function getPlaceholderPatientId() {
+  const existing = await get('SELECT id FROM patients WHERE patient_id = ?', [PLACEHOLDER_PATIENT.patient_id]);
+  if (existing) {
+    return existing.id;
+  }
+
+  const columns = Object.keys(PLACEHOLDER_PATIENT);
+  const result = await run(
+    `INSERT INTO patients (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(PLACEHOLDER_PATIENT)
+  );
+  return result.lastID;
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseTimestamp(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+class DatabaseHealthService {
+  static async checkForeignKeys() {
+    const { foreign_keys: enforced } = await get('PRAGMA foreign_keys');
+    const relations = await getRelations();
+    const orphans = await findOrphans(relations);
+
+    const report = relations.map(relation => {
+      const { id, ...details } = relation;
+      const rowIds = orphans.get(relation) || [];
+      return { ...details, orphanCount: rowIds.length, sampleIds: rowIds.slice(0, SAMPLE_SIZE) };
+    });
+
+    return {
+      enforced: !!enforced,
+      relations: report,
+      totalOrphans: report.reduce((sum, relation) => sum + relation.orphanCount, 0)
+    };
+  }
+
+  // Repair every orphan whose relation allows it, in one transaction.
+  // Deleting an orphan cascades to its own children, so the check runs again
+  // until nothing more can be repaired.
+  static async repairOrphans(userId) {
+    const relations = await getRelations();
+    const repaired = {};
+    let placeholderPatientId = null;
+
+    try {
+      await withTransaction(async () => {
+        for (;;) {
+          const orphans = await findOrphans(relations);
+          const repairable = Array.from(orphans.entries()).filter(([relation]) => relation.repair !== 'keep');
+          if (repairable.length === 0) {
+            break;
+          }
+
+          for (const [relation, rowIds] of repairable) {
+            if (relation.repair === 'reassign') {
+              placeholderPatientId = placeholderPatientId || await getPlaceholderPatientId();
+            }
+
+            for (let start = 0; start < rowIds.length; start += BATCH_SIZE) {
+              const batch = rowIds.slice(start, start + BATCH_SIZE);
+              const placeholders = batch.map(() => '?').join(', ');
+              if (relation.repair === 'delete') {
+                await run(`DELETE FROM ${relation.table} WHERE rowid IN (${placeholders})`, batch);
+              } else if (relation.repair === 'clear') {
+                await run(`UPDATE ${relation.table} SET ${relation.column} = NULL WHERE rowid IN (${placeholders})`, batch);
+              } else {
+                await run(`UPDATE ${relation.table} SET ${relation.column} = ? WHERE rowid IN (${placeholders})`,
+                  [placeholderPatientId, ...batch]);
+              }
+            }
+
+            const key = `${relation.table}.${relation.column}`;
+            repaired[key] = { repair: relation.repair, count: ((repaired[key] && repaired[key].count) || 0) + rowIds.length };
+          }
+        }
+      });
+    } catch (error) {
+      throw new Error(`Orphaned records could not be repaired: ${error.message}`);
+    }
+
+    const remaining = await DatabaseHealthService.checkForeignKeys();
+    if (Object.keys(repaired).length > 0) {
+      await Auth.logAudit(userId, 'REPAIR_ORPHANS', null, null, null, {
+        repaired,
+        placeholder_patient_id: placeholderPatientId,
+        remaining: remaining.totalOrphans
+      });
+    }
+
+    return { repaired, placeholderPatientId, remaining };
+  }
+
+  // Size of the database and its WAL file, free space VACUUM would reclaim,
+  // and the row count of every table
+  static async getDatabaseStats() {
+    const { page_size: pageSize } = await get('PRAGMA page_size');
+    const { page_count: pageCount } = await get('PRAGMA page_count');
+    const { freelist_count: freePages } = await get('PRAGMA freelist_count');
+    const { journal_mode: journalMode } = await get('PRAGMA journal_mode');
+    const { wal_autocheckpoint: walAutocheckpoint } = await get('PRAGMA wal_autocheckpoint');
+
+    const tables = await all(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+    const rowCounts = [];
+    for (const { name } of tables) {
+      const { count } = await get(`SELECT COUNT(*) as count FROM ${name}`);
+      rowCounts.push({ table: name, rows: count });
+    }
+
+    return {
+      path: db.path,
+      fileSize: fileSize(db.path),
+      pageSize,
+      pageCount,
+      freePages,
+      reclaimableBytes: freePages * pageSize,
+      wal: {
+        enabled: journalMode === 'wal',
+        journalMode,
+        autocheckpointPages: walAutocheckpoint,
+        fileSize: fileSize(`${db.path}-wal`)
+      },
+      tables: rowCounts
+    };
+  }
+
+  static async getMaintenanceSettings() {
+    const settings = {};
+    for (const [name, { key }] of Object.entries(MAINTENANCE_SETTINGS)) {
+      settings[name] = await SettingsService.get(key);
+    }
+    return settings;
+  }
+
+  static async updateMaintenanceSettings(settings, userId) {
+    const current = await DatabaseHealthService.getMaintenanceSettings();
+    const updates = {};
+
+    if (settings.schedule !== undefined) {
+      if (!MAINTENANCE_SETTINGS.schedule.options.includes(settings.schedule)) {
+        throw new Error(`${MAINTENANCE_SETTINGS.schedule.label} must be one of: ${MAINTENANCE_SETTINGS.schedule.options.join(', ')}`);
+      }
+      updates.schedule = settings.schedule;
+    }
+    if (settings.vacuum !== undefined) {
+      updates.vacuum = !!settings.vacuum;
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      if (value !== current[name]) {
+        await SettingsService.set(MAINTENANCE_SETTINGS[name].key, value, userId);
+      }
+    }
+
+    return { ...current, ...updates };
+  }
+
+  static isRunning() {
+    return runningTask !== null;
+  }
+
+  // Run one maintenance task and record it in the history. Failures are
+  // recorded too; the returned row's status says which it was.
+  static async runTask(task, { trigger = 'manual', userId = null } = {}) {
+    const definition = MAINTENANCE_TASKS[task];
+    if (!definition) {
+      throw new Error(`Unknown maintenance task: ${task}`);
+    }
+    if (runningTask) {
+      throw new Error(`${MAINTENANCE_TASKS[runningTask].label} is already running`);
+    }
+    if (BackupService.isRunning()) {
+      throw new Error('Maintenance cannot run while a backup is in progress');
+    }
+
+    runningTask = task;
+    const sizeBefore = fileSize(db.path);
+    const startedAt = Date.now();
+    let status = 'completed';
+    let result = null;
+    let error = null;
+    try {
+      result = await definition.run();
+    } catch (taskError) {
+      status = 'failed';
+      error = taskError.message;
+    } finally {
+      runningTask = null;
+    }
+
+    const { lastID } = await run(`
+      INSERT INTO maintenance_runs (task, trigger, status, result, error, size_before, size_after, duration_ms, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [task, trigger, status, result, error, sizeBefore, fileSize(db.path), Date.now() - startedAt, userId]);
+    await Auth.logAudit(userId, 'RUN_MAINTENANCE', 'maintenance_runs', lastID, null, { task, trigger, status });
+
+    return get('SELECT * FROM maintenance_runs WHERE id = ?', [lastID]);
+  }
+
+  // Every task in order. VACUUM is left out when the integrity check fails,
+  // and scheduled runs only VACUUM when enough of the file is free.
+  static async runMaintenance({ trigger = 'manual', userId = null } = {}) {
+    const settings = await DatabaseHealthService.getMaintenanceSettings();
+    const runs = [];
+
+    for (const task of Object.keys(MAINTENANCE_TASKS)) {
+      if (task === 'vacuum') {
+        const integrityFailed = runs.some(entry => entry.task === 'integrity_check' && entry.status === 'failed');
+        const stats = await DatabaseHealthService.getDatabaseStats();
+        const worthVacuuming = stats.pageCount > 0 && stats.freePages / stats.pageCount >= VACUUM_FREE_RATIO;
+        if (integrityFailed || (trigger === 'scheduled' && (!settings.vacuum || !worthVacuuming))) {
+          continue;
+        }
+      }
+      runs.push(await DatabaseHealthService.runTask(task, { trigger, userId }));
+    }
+
+    return runs;
+  }
+
+  static async getMaintenanceHistory(limit = 100) {
+    return all(`
+      SELECT m.*, u.username as created_by_username
+      FROM maintenance_runs m
+      LEFT JOIN users u ON u.id = m.created_by
+      ORDER BY m.id DESC LIMIT ?
+    `, [limit]);
+  }
+
+  // When scheduled maintenance is next due, counted from the last scheduled
+  // run. Null when scheduling is off.
+  static async getNextScheduledAt(schedule) {
+    const interval = SCHEDULE_INTERVALS[schedule];
+    if (!interval) {
+      return null;
+    }
+
+    const last = await get("SELECT MAX(created_at) as created_at FROM maintenance_runs WHERE trigger = 'scheduled'");
+    const lastAt = parseTimestamp(last && last.created_at);
+    return lastAt ? new Date(lastAt.getTime() + interval) : new Date();
+  }
+
+  static async getMaintenanceStatus() {
+    const settings = await DatabaseHealthService.getMaintenanceSettings();
+    const lastRuns = await all(`
+      SELECT m.task, m.status, m.result, m.error, m.created_at
+      FROM maintenance_runs m
+      WHERE m.id IN (SELECT MAX(id) FROM maintenance_runs GROUP BY task)
+    `);
+    const nextScheduledAt = await DatabaseHealthService.getNextScheduledAt(settings.schedule);
+
+    return {
+      stats: await DatabaseHealthService.getDatabaseStats(),
+      lastRuns,
+      nextScheduledAt: nextScheduledAt ? nextScheduledAt.toISOString() : null,
+      running: runningTask
+    };
+  }
+
+  // Called periodically from the main process
+  static async runScheduledMaintenanceIfDue() {
+    if (runningTask || BackupService.isRunning()) {
+      return null;
+    }
+
+    const settings = await DatabaseHealthService.getMaintenanceSettings();
+    const nextScheduledAt = await DatabaseHealthService.getNextScheduledAt(settings.schedule);
+    if (!nextScheduledAt || nextScheduledAt.getTime() > Date.now()) {
+      return null;
+    }
+
+    return DatabaseHealthService.runMaintenance({ trigger: 'scheduled' });
+  }
+}
+
+DatabaseHealthService.MAINTENANCE_TASKS = Object.keys(MAINTENANCE_TASKS);
+
+module.exports = DatabaseHealthService;
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { run, all, withTransaction } = require('./repository');
+
+// Application-level encryption of clinical columns. Values are encrypted with
+// AES-256-GCM under a random data key; data keys are kept in a keystore file
+// next to the database, wrapped with a key derived from the administrator's
+// passphrase. Nothing secret is written unwrapped, so the database and the
+// keystore together are still unreadable without the passphrase.
+//
+// Rotation adds a new data key and re-encrypts the live data with it. Older
+// keys are retired, not deleted: audit entries written under them cannot be
+// rewritten without breaking the audit hash chain.
+
+const KEYSTORE_PATH = path.join(path.dirname(db.path), 'clinic.keystore');
+const KEYSTORE_VERSION = 1;
+const VALUE_PREFIX = 'enc:v1:';
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// scrypt cost for deriving the key-encryption key; stored per keystore so it
+// can be raised later without breaking existing keystores
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const KDF_MAX_MEMORY = 64 * 1024 * 1024;
+
+const MAX_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_LOCKOUT_MS = 60 * 1000;
+
+// Unwrapped data keys (key id -> Buffer), held in memory only while unlocked
+let dataKeys = null;
+let activeKeyId = null;
+// Set while enable() encrypts the stored data, before the keystore is saved
+let enabling = false;
+let failedUnlocks = 0;
+let unlockBlockedUntil = 0;
+
+function readKeystore() {
+  if (!fs.existsSync(KEYSTORE_PATH)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(KEYSTORE_PATH, 'utf8'));
+}
+
+const STAGED_KEYSTORE_PATH = `${KEYSTORE_PATH}.tmp`;
+
+// Written to a temporary file first so a crash never leaves a half-written
+// keystore; it takes effect when saveStagedKeystore renames it into place
+function stageKeystore(keystore) {
+  fs.writeFileSync(STAGED_KEYSTORE_PATH, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+}
+
+function saveStagedKeystore() {
+  fs.renameSync(STAGED_KEYSTORE_PATH, KEYSTORE_PATH);
+}
+
+function writeKeystore(keystore) {
+  stageKeystore(keystore);
+  saveStagedKeystore();
+}
+
+function deriveWrappingKey(passphrase, kdf) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(passphrase), Buffer.from(kdf.salt, 'hex'), 32,
+      { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: KDF_MAX_MEMORY }, (err, key) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(key);
+        }
+      });
+  });
+}
+
+function newKdf() {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...KDF_PARAMS };
+}
+
+function wrapKey(wrappingKey, keyId, dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  cipher.setAAD(Buffer.from(keyId));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), wrappedKey: wrapped.toString('hex') };
+}
+
+// Throws when the wrapping key is wrong: the GCM tag does not verify
+function unwrapKey(wrappingKey, entry) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(entry.iv, 'hex'));
+  decipher.setAAD(Buffer.from(entry.id));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(entry.wrappedKey, 'hex')), decipher.final()]);
+}
+
+function unwrapAll(keystore, wrappingKey) {
+  const keys = new Map();
+  try {
+    keystore.keys.forEach(entry => keys.set(entry.id, unwrapKey(wrappingKey, entry)));
+  } catch (error) {
+    throw new Error('Incorrect encryption passphrase');
+  }
+  return keys;
+}
+
+function validatePassphrase(passphrase) {
+  if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The encryption passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+class EncryptionService {
+  // Encryption is on once a keystore exists
+  static isEnabled() {
+    return fs.existsSync(KEYSTORE_PATH);
+  }
+
+  static isUnlocked() {
+    return dataKeys !== null;
+  }
+
+  static getStatus() {
+    const keystore = readKeystore();
+    if (!keystore) {
+      return { enabled: false, unlocked: false };
+    }
+
+    const activeKey = keystore.keys.find(entry => entry.status === 'active');
+    return {
+      enabled: true,
+      unlocked: EncryptionService.isUnlocked(),
+      keyCount: keystore.keys.length,
+      activeKeyCreatedAt: activeKey ? activeKey.createdAt : null,
+      passphraseChangedAt: keystore.passphraseChangedAt || null
+    };
+  }
+
+  // Encrypt the clinical data already stored, then save the keystore. The
+  // keystore is staged first, so the keys exist on disk before any value is
+  // encrypted with them, but only takes effect once the data has been
+  // encrypted: if that fails, nothing is encrypted and encryption stays off.
+  static async enable(passphrase) {
+    if (EncryptionService.isEnabled()) {
+      throw new Error('Database encryption is already enabled');
+    }
+    validatePassphrase(passphrase);
+
+    const kdf = newKdf();
+    const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const dataKey = crypto.randomBytes(32);
+    const now = new Date().toISOString();
+
+    stageKeystore({
+      version: KEYSTORE_VERSION,
+      kdf,
+      passphraseChangedAt: now,
+      keys: [{ id: keyId, status: 'active', createdAt: now, ...wrapKey(wrappingKey, keyId, dataKey) }]
+    });
+
+    dataKeys = new Map([[keyId, dataKey]]);
+    activeKeyId = keyId;
+    enabling = true;
+    let encrypted;
+    try {
+      encrypted = await EncryptionService.encryptStoredData();
+    } catch (error) {
+      dataKeys = null;
+      activeKeyId = null;
+      fs.rmSync(STAGED_KEYSTORE_PATH, { force: true });
+      throw error;
+    } finally {
+      enabling = false;
+    }
+
+    saveStagedKeystore();
+    return encrypted;
+  }
+
+  // Startup unlock. Also encrypts any plaintext that arrived while locked,
+  // such as records pulled from another clinic by sync.
+  static async unlock(passphrase) {
+    const keystore = readKeystore();
+    if (!keystore) {
+      throw new Error('Database encryption is not enabled');
+    }
+
+    if (Date.now() < unlockBlockedUntil) {
+      const seconds = Math.ceil((unlockBlockedUntil - Date.now()) / 1000);
+      throw new Error(`Too many incorrect passphrases. Try again in ${seconds} seconds.`);
+    }
+
+    let keys;
+    try {
+      keys = unwrapAll(keystore, await deriveWrappingKey(passphrase, keystore.kdf));
+    } catch (error) {
+      failedUnlocks++;
+      if (failedUnlocks >= MAX_UNLOCK_ATTEMPTS) {
+        failedUnlocks = 0;
+        unlockBlockedUntil = Date.now() + UNLOCK_LOCKOUT_MS;
+      }
+      throw error;
+    }
+
+    failedUnlocks = 0;
+    dataKeys = keys;
+    activeKeyId = keystore.keys.find(entry => entry.status === 'active').id;
+    await EncryptionService.encryptStoredData();
+  }
+
+  // Add a new data key and re-encrypt every clinical value with it. The
+  // keystore is saved first, so an interrupted rotation leaves data that the
+  // retired key still opens.
+  static async rotateKey(passphrase) {
+    EncryptionService.requireUnlocked();
+    const keystore = readKeystore();
+    const wrappingKey = await deriveWrappingKey(passphrase, keystore.kdf);
+    // Only checks the passphrase; the keys are already unlocked
+    unwrapAll(keystore, wrappingKey);
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const dataKey = crypto.randomBytes(32);
+    keystore.keys.forEach(entry => {
+      entry.status = 'retired';
+    });
+    keystore.keys.push({
+      id: keyId, status: 'active', createdAt: new Date().toISOString(),
+      ...wrapKey(wrappingKey, keyId, dataKey)
+    });
+    writeKeystore(keystore);
+
+    dataKeys.set(keyId, dataKey);
+    activeKeyId = keyId;
+    const reencrypted = await EncryptionService.encryptStoredData({ reencrypt: true });
+    return { keyId, reencrypted };
+  }
+
+  // Re-wrap the data keys under a new passphrase; stored data is untouched
+  static async changePassphrase(currentPassphrase, newPassphrase) {
+    validatePassphrase(newPassphrase);
+    const keystore = readKeystore();
+    if (!keystore) {
+      throw new Error('Database encryption is not enabled');
+    }
+
+    const keys = unwrapAll(keystore, await deriveWrappingKey(currentPassphrase, keystore.kdf));
+    keystore.kdf = newKdf();
+    const wrappingKey = await deriveWrappingKey(newPassphrase, keystore.kdf);
+    keystore.keys = keystore.keys.map(entry => ({
+      id: entry.id, status: entry.status, createdAt: entry.createdAt,
+      ...wrapKey(wrappingKey, entry.id, keys.get(entry.id))
+    }));
+    keystore.passphraseChangedAt = new Date().toISOString();
+    writeKeystore(keystore);
+  }
+
+  static requireUnlocked() {
+    if (!EncryptionService.isUnlocked()) {
+      throw new Error('The clinic database is locked. Unlock it with the encryption passphrase first.');
+    }
+  }
+
+  static isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  // Values are stored as enc:v1:<key id>:<iv>:<tag>:<ciphertext>. Null and
+  // already encrypted values pass through, as does everything while
+  // encryption is off.
+  static encryptValue(value) {
+    if (value === null || value === undefined || EncryptionService.isEncryptedValue(value) ||
+        !(enabling || EncryptionService.isEnabled())) {
+      return value;
+    }
+    EncryptionService.requireUnlocked();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKeys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return VALUE_PREFIX + [activeKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64')].join(':');
+  }
+
+  // Plaintext written before encryption was enabled passes through unchanged
+  static decryptValue(value) {
+    if (!EncryptionService.isEncryptedValue(value)) {
+      return value;
+    }
+    EncryptionService.requireUnlocked();
+
+    const [keyId, iv, tag, ciphertext] = value.slice(VALUE_PREFIX.length).split(':');
+    const key = dataKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key ${keyId} is not in the keystore`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // For displays that must not fail on an unreadable value, such as the audit log
+  static revealValue(value) {
+    try {
+      return EncryptionService.decryptValue(value);
+    } catch (error) {
+      return '[encrypted]';
+    }
+  }
+
+  // Whole files, such as backups, under the active data key. The key id, iv
+  // and tag are returned for the caller to store alongside the ciphertext.
+  static encryptBuffer(buffer) {
+    EncryptionService.requireUnlocked();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKeys.get(activeKeyId), iv);
+    const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return { keyId: activeKeyId, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data };
+  }
+
+  static decryptBuffer({ keyId, iv, tag, data }) {
+    EncryptionService.requireUnlocked();
+
+    const key = dataKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key ${keyId} is not in the keystore`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  }
+
+  // Encrypt the clinical columns of every patient row still holding
+  // plaintext, or with reencrypt every value under the active key. One
+  // transaction, so the table is never left half converted.
+  static async encryptStoredData({ reencrypt = false } = {}) {
+    EncryptionService.requireUnlocked();
+    // Required here because the patient service encrypts through this module
+    const { ENCRYPTED_FIELDS } = require('./patientService');
+
+    const columns = ENCRYPTED_FIELDS.join(', ');
+    const rows = await all(`SELECT id, ${columns} FROM patients`);
+    let updated = 0;
+
+    await withTransaction(async () => {
+      for (const row of rows) {
+        const changes = {};
+        ENCRYPTED_FIELDS.forEach(field => {
+          const value = row[field];
+          if (value === null || value === undefined) {
+            return;
+          }
+          if (!EncryptionService.isEncryptedValue(value)) {
+            changes[field] = EncryptionService.encryptValue(value);
+          } else if (reencrypt && !value.startsWith(`${VALUE_PREFIX}${activeKeyId}:`)) {
+            changes[field] = EncryptionService.encryptValue(EncryptionService.decryptValue(value));
+          }
+        });
+
+        const fields = Object.keys(changes);
+        if (fields.length > 0) {
+          await run(`UPDATE patients SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => changes[field]), row.id]);
+          updated++;
+        }
+      }
+    });
+
+    return updated;
+  }
+}
+
+EncryptionService.KEYSTORE_PATH = KEYSTORE_PATH;
+EncryptionService.MIN_PASSPHRASE_LENGTH = MIN_PASSPHRASE_LENGTH;
+
+module.exports = EncryptionService;
@@ -0,0 +1,288 @@
+const { run, get, all, withTransaction } = require('./repository');
+const Auth = require('./auth');
+const AuditService = require('./auditService');
+const BackupService = require('./backupService');
+const EncryptionService = require('./encryptionService');
+const { JOURNAL_TABLES } = require('./changeJournal');
+
+// The migration that started the journal; nothing before it can be recovered
+const JOURNAL_VERSION = 12;
+
+// Identifiers people use for records, looked up in the journal as well so
+// deleted records can still be found by them
+const RECORD_KEYS = {
+  patients: 'patient_id',
+  invoices: 'invoice_number',
+  credit_notes: 'credit_note_number',
+  claims: 'claim_number'
+};
+
+// SQLite CURRENT_TIMESTAMP format, as the journal stores it
+function toDbTimestamp(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error('Choose a valid date and time');
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function requireJournaledTable(tableName) {
+  if (!JOURNAL_TABLES.includes(tableName)) {
+    throw new Error(`Changes to ${tableName} are not journaled`);
+  }
+}
+
+function parseRow(json) {
+  return json ? JSON.parse(json) : null;
+}
+
+// Encrypted clinical values are shown as such, as in the audit log
+function displayRow(row) {
+  if (!row) {
+    return null;
+  }
+  const shown = {};
+  Object.entries(row).forEach(([column, value]) => {
+    shown[column] = EncryptionService.isEncryptedValue(value) ? '[encrypted]' : value;
+  });
+  return shown;
+}
+
+function toEntry(row) {
+  const oldRow = parseRow(row.old_row);
+  const newRow = parseRow(row.new_row);
+  const changedFields = oldRow && newRow
+    ? Object.keys(newRow).filter(column => JSON.stringify(oldRow[column]) !== JSON.stringify(newRow[column]))
+    : [];
+
+  return {
+    id: row.id,
+    tableName: row.table_name,
+    recordId: row.record_id,
+    operation: row.operation,
+    changedAt: row.changed_at,
+    changedFields,
+    oldRow: displayRow(oldRow),
+    newRow: displayRow(newRow)
+  };
+}
+
+// A synced record goes back with a version above any it has had, so other
+// workstations take the restored row as a new change rather than one they
+// have already applied
+async function nextVersion(tableName, row, existing) {
+  const synced = row.sync_id
+    ? await get('SELECT version FROM sync_versions WHERE table_name = ? AND sync_id = ?', [tableName, row.sync_id])
+    : null;
+  return Math.max(existing ? existing.version : 0, synced ? synced.version : 0, row.version || 0) + 1;
+}
+
+// Put a row back as given, or delete it when row is null. Updated in place
+// rather than replaced, so rows that reference it are left alone.
+async function writeRow(tableName, recordId, row, columnCache) {
+  if (!columnCache.has(tableName)) {
+    columnCache.set(tableName, (await all(`PRAGMA table_info(${tableName})`)).map(info => info.name));
+  }
+  const versioned = columnCache.get(tableName).includes('version');
+  const existing = await get(`SELECT id${versioned ? ', version' : ''} FROM ${tableName} WHERE id = ?`, [recordId]);
+
+  if (!row) {
+    if (existing) {
+      await run(`DELETE FROM ${tableName} WHERE id = ?`, [recordId]);
+    }
+    return;
+  }
+
+  if (versioned) {
+    row = { ...row, version: await nextVersion(tableName, row, existing) };
+  }
+  const columns = columnCache.get(tableName).filter(column => column !== 'id' && column in row);
+  const values = columns.map(column => row[column]);
+
+  if (existing) {
+    await run(`UPDATE ${tableName} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...values, recordId]);
+  } else {
+    await run(`INSERT INTO ${tableName} (id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [recordId, ...values]);
+  }
+}
+
+// Point-in-time recovery from the change journal: single records by undoing
+// their later changes, or every journaled table at once by undoing all
+// changes made after the chosen moment, newest first
+class JournalService {
+  static async getCoverage() {
+    const migration = await get('SELECT applied_at FROM schema_migrations WHERE version = ?', [JOURNAL_VERSION]);
+    const count = await get('SELECT COUNT(*) as count FROM change_journal');
+    return { since: migration ? migration.applied_at : null, entries: count.count, tables: JOURNAL_TABLES };
+  }
+
+  static async requireCovered(at) {
+    const { since } = await JournalService.getCoverage();
+    if (!since || at < since) {
+      throw new Error(`Changes can only be recovered back to ${since || 'when the journal was started'}`);
+    }
+  }
+
+  static async resolveRecordId(tableName, recordRef) {
+    const recordId = await AuditService.resolveRecordId(tableName, recordRef);
+    const keyColumn = RECORD_KEYS[tableName];
+    if (!keyColumn || recordId === null || await get(`SELECT id FROM ${tableName} WHERE id = ?`, [recordId])) {
+      return recordId;
+    }
+
+    const journaled = await get(`
+      SELECT record_id FROM change_journal
+      WHERE table_name = ? AND json_extract(COALESCE(old_row, new_row), '$.${keyColumn}') = ?
+      ORDER BY id DESC LIMIT 1
+    `, [tableName, String(recordRef)]);
+    return journaled ? journaled.record_id : recordId;
+  }
+
+  static async getRecordHistory(tableName, recordRef) {
+    requireJournaledTable(tableName);
+    const recordId = await JournalService.resolveRecordId(tableName, String(recordRef || '').trim());
+    if (recordId === null) {
+      throw new Error('Enter a record to show its versions');
+    }
+
+    const current = await get(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId]);
+    const entries = await all(`
+      SELECT * FROM change_journal
+      WHERE table_name = ? AND record_id = ?
+      ORDER BY id DESC
+    `, [tableName, recordId]);
+
+    return {
+      tableName,
+      recordId,
+      current: displayRow(current),
+      entries: entries.map(toEntry),
+      coverage: await JournalService.getCoverage()
+    };
+  }
+
+  // A record as it was at a moment: the state before the first change made
+  // after it, or the current row if it has not changed since. Null if the
+  // record did not exist then.
+  static async getRecordAt(tableName, recordId, at) {
+    const nextChange = await get(`
+      SELECT operation, old_row FROM change_journal
+      WHERE table_name = ? AND record_id = ? AND changed_at > ?
+      ORDER BY id ASC LIMIT 1
+    `, [tableName, recordId, at]);
+
+    if (nextChange) {
+      return parseRow(nextChange.old_row);
+    }
+    return (await get(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId])) || null;
+  }
+
+  // Restore one record to a moment in time, or to how it was just before a
+  // given journal entry
+  static async restoreRecord(tableName, recordRef, { at = null, beforeEntryId = null } = {}, userId) {
+    requireJournaledTable(tableName);
+    const recordId = await JournalService.resolveRecordId(tableName, String(recordRef || '').trim());
+    if (recordId === null) {
+      throw new Error('Enter a record to restore');
+    }
+
+    let target;
+    let restoredTo;
+    if (beforeEntryId) {
+      const entry = await get('SELECT * FROM change_journal WHERE id = ? AND table_name = ? AND record_id = ?',
+        [beforeEntryId, tableName, recordId]);
+      if (!entry) {
+        throw new Error('Journal entry not found for this record');
+      }
+      target = parseRow(entry.old_row);
+      restoredTo = `before change #${entry.id} (${entry.changed_at})`;
+    } else {
+      restoredTo = toDbTimestamp(at);
+      await JournalService.requireCovered(restoredTo);
+      target = await JournalService.getRecordAt(tableName, recordId, restoredTo);
+    }
+
+    const current = (await get(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId])) || null;
+
+    try {
+      await withTransaction(async () => {
+        await writeRow(tableName, recordId, target, new Map());
+      });
+    } catch (error) {
+      throw new Error(`The record could not be restored: ${error.message}`);
+    }
+
+    await Auth.logAudit(userId, 'RESTORE_RECORD', tableName, recordId, current,
+      { ...(target || { deleted: true }), restored_to: restoredTo });
+
+    return { tableName, recordId, restoredTo, deleted: !target, record: displayRow(target) };
+  }
+
+  // What restoring every journaled table to a moment would undo
+  static async previewDatabaseRestore(at) {
+    const restoredTo = toDbTimestamp(at);
+    await JournalService.requireCovered(restoredTo);
+
+    const rows = await all(`
+      SELECT table_name, operation, COUNT(*) as count FROM change_journal
+      WHERE changed_at > ?
+      GROUP BY table_name, operation
+    `, [restoredTo]);
+
+    const tables = {};
+    rows.forEach(row => {
+      tables[row.table_name] = tables[row.table_name] || { INSERT: 0, UPDATE: 0, DELETE: 0 };
+      tables[row.table_name][row.operation] = row.count;
+    });
+
+    return { restoredTo, total: rows.reduce((sum, row) => sum + row.count, 0), tables };
+  }
+
+  // Undo every journaled change made after a moment, in one transaction.
+  // The database is snapshotted first, so this can be rolled back like a
+  // restore from a backup.
+  static async restoreDatabaseTo(at, userId) {
+    const restoredTo = toDbTimestamp(at);
+    await JournalService.requireCovered(restoredTo);
+
+    const snapshot = await BackupService.createBackup({
+      trigger: 'pre_restore',
+      userId,
+      restoreSource: `Point in time ${restoredTo} UTC`
+    });
+    if (snapshot.status !== 'completed') {
+      throw new Error(`The pre-restore snapshot failed, nothing was changed: ${snapshot.error}`);
+    }
+
+    const entries = await all(`
+      SELECT id, table_name, record_id, old_row FROM change_journal
+      WHERE changed_at > ?
+      ORDER BY id DESC
+    `, [restoredTo]);
+    const columnCache = new Map();
+
+    try {
+      await withTransaction(async () => {
+        for (const entry of entries) {
+          await writeRow(entry.table_name, entry.record_id, parseRow(entry.old_row), columnCache);
+        }
+      });
+    } catch (error) {
+      throw new Error(`The database could not be restored to ${restoredTo}: ${error.message}`);
+    }
+
+    await Auth.logAudit(userId, 'RESTORE_POINT_IN_TIME', 'backups', snapshot.id, null, {
+      restored_to: restoredTo,
+      changes_undone: entries.length,
+      snapshot: snapshot.file_name
+    });
+
+    return { restoredTo, undone: entries.length, snapshot };
+  }
+}
+
+JournalService.JOURNAL_TABLES = JOURNAL_TABLES;
+
+module.exports = JournalService;
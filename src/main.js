@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, session, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, session, Notification, webContents, powerMonitor } = require('electron');
 const path = require('node:path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
@@ -31,7 +31,7 @@ class CredentialManager {
   async saveCredentials(credentials) {
     const key = await this.loadKey();
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', key);
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
 
     let encrypted = cipher.update(JSON.stringify(credentials), 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -50,7 +50,7 @@ class CredentialManager {
       const key = await this.loadKey();
       const data = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
 
-      const decipher = crypto.createDecipher('aes-256-cbc', key);
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(data.iv, 'hex'));
       let decrypted = decipher.update(data.encrypted, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
 
@@ -65,19 +65,40 @@ const credentialManager = new CredentialManager();
 
 // Import SessionManager from separate file
 const SessionManager = require('./sessionManager');
-const sessionManager = new SessionManager(app.getPath('userData'));
+const sessionManager = new SessionManager();
 
 // Import our services (lazy-loaded)
-let Auth, PatientService, AppointmentService, AccountingService;
+let db, Auth, PatientService, AppointmentService, AccountingService, SyncService, PostgresRemote, Migrator, SettingsService;
+let AuditService, PatientAccessService, EncryptionService, BackupService, RestoreService, JournalService, RecycleBinService;
+let DatabaseHealthService, TaxService, ReceivablesService, ClaimsService;
 let dbInitialized = false;
 
-function initializeDatabase() {
+async function initializeDatabase() {
   if (!dbInitialized) {
     try {
+      // Wait for pending schema migrations before any service touches the database
+      db = require('./database');
+      await db.ready;
+      Migrator = require('./migrator');
       Auth = require('./auth');
       PatientService = require('./patientService');
       AppointmentService = require('./appointmentService');
       AccountingService = require('./accountingService');
+      SyncService = require('./syncService');
+      ({ PostgresRemote } = require('./syncRemote'));
+      SettingsService = require('./settingsService');
+      AuditService = require('./auditService');
+      PatientAccessService = require('./patientAccessService');
+      EncryptionService = require('./encryptionService');
+      BackupService = require('./backupService');
+      RestoreService = require('./restoreService');
+      JournalService = require('./journalService');
+      RecycleBinService = require('./recycleBinService');
+      DatabaseHealthService = require('./databaseHealthService');
+      TaxService = require('./taxService');
+      ReceivablesService = require('./receivablesService');
+      ClaimsService = require('./claimsService');
+      sessionManager.setIdleTimeout(await SettingsService.get('session.idle_timeout_minutes'));
       dbInitialized = true;
       console.log('Database services initialized');
     } catch (error) {
@@ -154,8 +175,10 @@ const createWindow = () => {
     });
   }
 
-  // Handle window closed
+  // Handle window closed; its session goes with it
+  const windowContentsId = mainWindow.webContents.id;
   mainWindow.on('closed', () => {
+    sessionManager.revokeForWindow(windowContentsId);
     mainWindow = null;
   });
 
@@ -196,8 +219,30 @@ app.whenReady().then(() => {
     path.join(__dirname, 'devtools-preload.js')
   ]);
 
+  // Open the database and apply migrations up front so a failure is reported
+  // once, before the user tries to log in
+  initializeDatabase().catch((error) => {
+    dialog.showErrorBox('Database Error', `The database could not be opened:\n\n${error.message}`);
+    app.quit();
+  });
+
   createWindow();
 
+  // Lock sessions left idle, and all of them when the machine is locked or suspended
+  setInterval(() => lockSessions(sessionManager.lockIdleSessions()), 30 * 1000);
+
+  // Check hourly whether a scheduled backup is due, and once shortly after startup
+  setTimeout(runScheduledBackup, 60 * 1000);
+  setInterval(runScheduledBackup, 60 * 60 * 1000);
+  setTimeout(purgeRecycleBin, 2 * 60 * 1000);
+  setInterval(purgeRecycleBin, 60 * 60 * 1000);
+  setTimeout(runScheduledMaintenance, 3 * 60 * 1000);
+  setInterval(runScheduledMaintenance, 60 * 60 * 1000);
+  setTimeout(markOverdueInvoices, 30 * 1000);
+  setInterval(markOverdueInvoices, 60 * 60 * 1000);
+  powerMonitor.on('lock-screen', () => lockSessions(sessionManager.lockAll()));
+  powerMonitor.on('suspend', () => lockSessions(sessionManager.lockAll()));
+
   // On OS X it's common to re-create a window in the app when the
   // dock icon is clicked and there are no other windows open.
   app.on('activate', () => {
@@ -216,513 +261,1985 @@ app.on('window-all-closed', () => {
   }
 });
 
-// Validate IPC sender function
-function validateSender(event) {
-  // In a real app, validate the sender's origin/frame
-  // For now, basic validation - ensure it's from our main window
-  if (!mainWindow || event.sender !== mainWindow.webContents) {
-    throw new Error('Unauthorized IPC access');
+// Scheduled backups run in the main process whether or not anyone is logged in
+async function runScheduledBackup() {
+  try {
+    await initializeDatabase();
+    if (RestoreService.isRestoring()) {
+      return;
+    }
+    const backup = await BackupService.runScheduledBackupIfDue();
+    if (backup && backup.status === 'failed') {
+      console.error('Scheduled backup failed:', backup.error);
+    }
+  } catch (error) {
+    console.error('Scheduled backup failed:', error);
+  }
+}
+
+// Records deleted longer ago than the recycle bin retention are purged
+async function purgeRecycleBin() {
+  try {
+    await initializeDatabase();
+    if (RestoreService.isRestoring()) {
+      return;
+    }
+    const result = await RecycleBinService.purgeExpired();
+    if (result.purged > 0) {
+      console.log(`Purged ${result.purged} expired records from the recycle bin`);
+    }
+  } catch (error) {
+    console.error('Recycle bin purge failed:', error);
+  }
+}
+
+// Integrity check, ANALYZE and, when worthwhile, VACUUM on the maintenance schedule
+async function runScheduledMaintenance() {
+  try {
+    await initializeDatabase();
+    if (RestoreService.isRestoring()) {
+      return;
+    }
+    const runs = await DatabaseHealthService.runScheduledMaintenanceIfDue();
+    (runs || []).filter(run => run.status === 'failed').forEach(run => {
+      console.error(`Scheduled ${run.task} failed:`, run.error);
+    });
+  } catch (error) {
+    console.error('Scheduled maintenance failed:', error);
+  }
+}
+
+// Unpaid invoices past their due date are marked overdue
+async function markOverdueInvoices() {
+  try {
+    await initializeDatabase();
+    if (RestoreService.isRestoring()) {
+      return;
+    }
+    const result = await ReceivablesService.markOverdueInvoices();
+    if (result.marked > 0) {
+      console.log(`Marked ${result.marked} invoices overdue`);
+    }
+  } catch (error) {
+    console.error('Marking overdue invoices failed:', error);
+  }
+}
+
+// Validate IPC sender function
+function validateSender(event) {
+  // In a real app, validate the sender's origin/frame
+  // For now, basic validation - ensure it's from our main window
+  if (!mainWindow || event.sender !== mainWindow.webContents) {
+    throw new Error('Unauthorized IPC access');
+  }
+}
+
+// Send an event to the window a session belongs to, if it is still open
+function notifyWindow(webContentsId, channel, ...args) {
+  const target = webContents.fromId(webContentsId);
+  if (target && !target.isDestroyed()) {
+    target.send(channel, ...args);
+  }
+}
+
+// Lock idle sessions and tell their windows to show the lock screen
+function lockSessions(sessions) {
+  sessions.forEach(lockedSession => {
+    if (Auth) {
+      Auth.logAudit(lockedSession.user.id, 'LOCK_SESSION', 'users', lockedSession.user.id, null, { idle: true });
+    }
+    notifyWindow(lockedSession.webContentsId, 'session:locked');
+  });
+}
+
+// Permission each IPC channel requires, checked against the session user's
+// role. Channels missing from this list are denied.
+const CHANNEL_PERMISSIONS = {
+  'auth:createUser': 'users.create',
+  'auth:getUsers': 'users.read',
+  'auth:updateUser': 'users.update',
+  'auth:deleteUser': 'users.delete',
+  'auth:unlockUser': 'users.update',
+  'auth:resetTwoFactor': 'users.update',
+  'auth:getSecuritySettings': 'sessions.manage',
+  'auth:updateSecuritySettings': 'sessions.manage',
+  'auth:getRoles': 'users.read',
+  'auth:getPermissionCatalog': 'roles.manage',
+  'auth:createRole': 'roles.manage',
+  'auth:updateRole': 'roles.manage',
+  'auth:deleteRole': 'roles.manage',
+  'session:getActive': 'sessions.manage',
+  'session:revoke': 'sessions.manage',
+  'session:getSettings': 'sessions.manage',
+  'session:updateSettings': 'sessions.manage',
+  'patients:getAll': 'patients.read',
+  'patients:getById': 'patients.read',
+  'patients:breakGlass': 'patients.clinical.read',
+  'patients:getAccessReport': 'audit.read',
+  'patients:create': 'patients.create',
+  'patients:update': 'patients.update',
+  'patients:delete': 'patients.delete',
+  'patients:getStats': 'dashboard.read',
+  'appointments:getAll': 'appointments.read',
+  'appointments:create': 'appointments.create',
+  'appointments:update': 'appointments.update',
+  'appointments:delete': 'appointments.delete',
+  'appointments:getStats': 'dashboard.read',
+  'appointments:getAvailableDoctors': 'appointments.read',
+  'accounting:createInvoice': 'invoices.create',
+  'accounting:getInvoices': 'invoices.read',
+  'accounting:updateInvoicePayment': 'payments.create',
+  'accounting:createExpense': 'expenses.create',
+  'accounting:updateExpense': 'expenses.update',
+  'accounting:getExpenses': 'expenses.read',
+  'accounting:getFinancialStats': 'dashboard.read',
+  'accounting:generateInvoicePDF': 'invoices.read',
+  'accounting:getInvoiceWithDetails': 'invoices.read',
+  'accounting:updateInvoice': 'invoices.update',
+  'accounting:voidInvoice': 'invoices.void',
+  'accounting:deleteInvoice': 'invoices.delete',
+  'accounting:createBillingCode': 'billing_codes.create',
+  'accounting:getBillingCodes': 'billing.read',
+  'accounting:updateBillingCode': 'billing_codes.update',
+  'accounting:createAppointmentBilling': 'billing.create',
+  'accounting:getAppointmentBillings': 'billing.read',
+  'accounting:generateInvoiceFromAppointment': 'billing.create',
+  'accounting:recordPayment': 'payments.create',
+  'accounting:getPayments': 'payments.read',
+  'accounting:applyPatientCredit': 'payments.create',
+  'accounting:refundPayment': 'payments.refund',
+  'accounting:getPatientCredit': 'payments.read',
+  'accounting:refundPatientCredit': 'payments.refund',
+  'accounting:createCreditNote': 'invoices.credit',
+  'accounting:clearInvoices': 'invoices.delete',
+  'accounting:getNumberingSettings': 'invoices.read',
+  'accounting:previewInvoice': 'invoices.read',
+  'tax:getRates': 'tax.read',
+  'tax:getCodes': 'billing.read',
+  'tax:addRate': 'tax.manage',
+  'tax:deleteRate': 'tax.manage',
+  'tax:getSettings': 'tax.read',
+  'tax:updateSettings': 'tax.manage',
+  'tax:getVatReport': 'tax.read',
+  'receivables:getPatientLedger': 'invoices.read',
+  'receivables:exportStatement': 'invoices.read',
+  'receivables:getAgingReport': 'invoices.read',
+  'receivables:exportAgingReport': 'invoices.read',
+  'insurers:getAll': 'patients.read',
+  'insurers:create': 'insurers.manage',
+  'insurers:update': 'insurers.manage',
+  'insurers:getTariffs': 'insurers.manage',
+  'insurers:saveTariff': 'insurers.manage',
+  'insurers:deleteTariff': 'insurers.manage',
+  'insurers:estimateCoverage': 'billing.read',
+  'claims:getWorklist': 'claims.read',
+  'claims:get': 'claims.read',
+  'claims:createFromInvoice': 'claims.manage',
+  'claims:createFromAppointment': 'claims.manage',
+  'claims:submit': 'claims.manage',
+  'claims:reject': 'claims.manage',
+  'claims:postRemittance': 'claims.manage',
+  'claims:delete': 'claims.manage',
+  'accounting:updateNumberingSettings': 'invoices.settings',
+  'audit:getLog': 'audit.read',
+  'audit:getFilterOptions': 'audit.read',
+  'audit:getRecordHistory': 'audit.read',
+  'audit:verify': 'audit.read',
+  'audit:export': 'audit.read',
+  'system:getMigrations': 'system.read',
+  'system:checkForeignKeys': 'system.read',
+  'system:repairOrphans': 'system.repair',
+  'system:getMaintenanceStatus': 'system.read',
+  'system:getMaintenanceHistory': 'system.read',
+  'system:getMaintenanceSettings': 'system.read',
+  'system:updateMaintenanceSettings': 'system.maintain',
+  'system:runMaintenanceTask': 'system.maintain',
+  'system:runMaintenance': 'system.maintain',
+  'encryption:enable': 'encryption.manage',
+  'encryption:rotateKey': 'encryption.manage',
+  'encryption:changePassphrase': 'encryption.manage',
+  'backup:create': 'backup.create',
+  'backup:getHistory': 'backup.create',
+  'backup:getStatus': 'backup.create',
+  'backup:verify': 'backup.create',
+  'backup:getSettings': 'backup.create',
+  'backup:updateSettings': 'backup.create',
+  'backup:chooseDestination': 'backup.create',
+  'backup:restore': 'backup.restore',
+  'backup:previewRestore': 'backup.restore',
+  'backup:cancelRestore': 'backup.restore',
+  'backup:rollbackRestore': 'backup.restore',
+  'journal:getCoverage': 'backup.restore',
+  'journal:getRecordHistory': 'backup.restore',
+  'journal:restoreRecord': 'backup.restore',
+  'journal:previewDatabaseRestore': 'backup.restore',
+  'journal:restoreDatabase': 'backup.restore',
+  'recycleBin:getItems': 'recycle_bin.manage',
+  'recycleBin:restore': 'recycle_bin.manage',
+  'recycleBin:purge': 'recycle_bin.manage',
+  'recycleBin:getSettings': 'recycle_bin.manage',
+  'recycleBin:updateSettings': 'recycle_bin.manage',
+  'sync:saveCredentials': 'sync.update',
+  'sync:loadCredentials': 'sync.update',
+  'sync:testConnection': 'sync.update',
+  'sync:performSync': 'sync.update',
+  'sync:getStatus': 'sync.read',
+  'sync:getLog': 'sync.read',
+  'sync:getConflicts': 'sync.read',
+  'sync:getConflictDetails': 'sync.read',
+  'sync:resolveConflict': 'sync.update'
+};
+
+// The calling window's unlocked session. Until a required password change is
+// made, only the password change itself may use it.
+async function requireSession(event, { passwordChange = false } = {}) {
+  await initializeDatabase();
+  const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+  if (!activeSession) {
+    throw new Auth.PermissionError('No active session found');
+  }
+
+  if (!sessionManager.touch(activeSession)) {
+    throw new Auth.PermissionError('Session is locked');
+  }
+
+  if (activeSession.user.passwordChangeRequired && !passwordChange) {
+    throw new Auth.PermissionError('You must change your password before continuing');
+  }
+
+  return activeSession;
+}
+
+// Resolve the session of the calling window and check its user may use the
+// channel. Denials are audited. Called before the handler's try block so the
+// PermissionError reaches the renderer as is instead of being rewrapped.
+async function authorize(event, channel) {
+  const { user: currentUser } = await requireSession(event);
+  const permission = CHANNEL_PERMISSIONS[channel];
+  if (!permission || !(await Auth.checkPermission(currentUser.id, permission))) {
+    Auth.logAudit(currentUser.id, 'PERMISSION_DENIED', null, null, null, {
+      channel,
+      permission: permission || null,
+      role: currentUser.role
+    });
+    throw new Auth.PermissionError(permission
+      ? `You do not have the "${permission}" permission`
+      : `You do not have permission to use ${channel}`);
+  }
+
+  return currentUser;
+}
+
+// IPC handlers for authentication
+ipcMain.handle('auth:login', async (event, username, password) => {
+  validateSender(event);
+  try {
+    await initializeDatabase();
+    // An encrypted database has to be unlocked before anyone signs in
+    if (EncryptionService.isEnabled()) {
+      EncryptionService.requireUnlocked();
+    }
+    const result = await Auth.login(username, password);
+    // Handlers authorize against this window's session; a failed attempt, or
+    // one still waiting for its second factor, ends whatever session the
+    // window had
+    if (result && !result.twoFactorRequired) {
+      sessionManager.createSession(event.sender.id, result);
+    } else {
+      sessionManager.revokeForWindow(event.sender.id);
+    }
+    return result;
+  } catch (error) {
+    console.error('Login error:', error);
+    sessionManager.revokeForWindow(event.sender.id);
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:logout', async (event, reason) => {
+  validateSender(event);
+  try {
+    const endedSession = sessionManager.revokeForWindow(event.sender.id);
+    if (endedSession) {
+      await initializeDatabase();
+      const action = reason === 'switch_user' ? 'SWITCH_USER' : 'LOGOUT';
+      Auth.logAudit(endedSession.user.id, action, 'users', endedSession.user.id, null, { logout: true });
+    }
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:verifyTwoFactor', async (event, challenge, code) => {
+  validateSender(event);
+  try {
+    await initializeDatabase();
+    const result = await Auth.verifyTwoFactorLogin(challenge, code);
+    if (result) {
+      sessionManager.createSession(event.sender.id, result);
+    }
+    return result;
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    throw new Error(error.message);
+  }
+});
+
+// Requests about the signed-in user's own account need a session but no
+// permission. Changing the password is the only one allowed while a change
+// is required.
+ipcMain.handle('auth:changePassword', async (event, currentPassword, newPassword) => {
+  validateSender(event);
+  const activeSession = await requireSession(event, { passwordChange: true });
+  try {
+    await Auth.changePassword(activeSession.user.id, currentPassword, newPassword);
+    activeSession.user = {
+      ...activeSession.user,
+      passwordChangeRequired: false,
+      passwordChangeReason: null
+    };
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getTwoFactorStatus', async (event) => {
+  validateSender(event);
+  const { user } = await requireSession(event);
+  try {
+    return await Auth.getTwoFactorStatus(user.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:beginTwoFactorEnrollment', async (event) => {
+  validateSender(event);
+  const { user } = await requireSession(event);
+  try {
+    return await Auth.beginTwoFactorEnrollment(user.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:confirmTwoFactorEnrollment', async (event, code) => {
+  validateSender(event);
+  const { user } = await requireSession(event);
+  try {
+    return await Auth.confirmTwoFactorEnrollment(user.id, code);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:regenerateRecoveryCodes', async (event, code) => {
+  validateSender(event);
+  const { user } = await requireSession(event);
+  try {
+    return await Auth.regenerateRecoveryCodes(user.id, code);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:resetTwoFactor', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:resetTwoFactor');
+  try {
+    return await Auth.resetTwoFactor(id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getCurrentUser', async (event) => {
+  validateSender(event);
+  try {
+    await initializeDatabase();
+    const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+    if (!activeSession) {
+      return null;
+    }
+    return {
+      ...activeSession.user,
+      permissions: await Auth.getUserPermissions(activeSession.user.id),
+      locked: activeSession.locked
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Session lock, activity and administration
+ipcMain.handle('session:heartbeat', async (event) => {
+  validateSender(event);
+  const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+  if (!activeSession) {
+    return { active: false, locked: false };
+  }
+  const active = sessionManager.touch(activeSession);
+  return { active, locked: activeSession.locked };
+});
+
+ipcMain.handle('session:lock', async (event) => {
+  validateSender(event);
+  const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+  if (activeSession) {
+    sessionManager.lock(activeSession);
+    await initializeDatabase();
+    Auth.logAudit(activeSession.user.id, 'LOCK_SESSION', 'users', activeSession.user.id, null, { manual: true });
+  }
+  return { success: true };
+});
+
+ipcMain.handle('session:unlock', async (event, password) => {
+  validateSender(event);
+  try {
+    await initializeDatabase();
+    const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+    if (!activeSession) {
+      throw new Error('No active session found');
+    }
+
+    const { user } = activeSession;
+    const result = await Auth.verifyUnlock(user.id, password);
+    if (result.locked) {
+      // A login would be refused, so the session ends
+      sessionManager.revoke(activeSession);
+      return { success: false, ended: true, error: result.error };
+    }
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    sessionManager.unlock(activeSession);
+    Auth.logAudit(user.id, 'UNLOCK_SESSION', 'users', user.id, null, null);
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('session:getActive', async (event) => {
+  validateSender(event);
+  await authorize(event, 'session:getActive');
+  const currentSession = sessionManager.getSessionForWindow(event.sender.id);
+  return sessionManager.listSessions().map(info => ({
+    ...info,
+    current: currentSession ? info.id === currentSession.id : false
+  }));
+});
+
+ipcMain.handle('session:revoke', async (event, sessionId) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'session:revoke');
+  try {
+    const target = sessionManager.getSessionById(sessionId);
+    if (!target) {
+      throw new Error('Session not found');
+    }
+
+    sessionManager.revoke(target);
+    Auth.logAudit(currentUser.id, 'REVOKE_SESSION', 'users', target.user.id, { sessionId: target.id, username: target.user.username }, null);
+    notifyWindow(target.webContentsId, 'session:ended', 'Your session was ended by an administrator');
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('session:getSettings', async (event) => {
+  validateSender(event);
+  await authorize(event, 'session:getSettings');
+  try {
+    return { idleTimeoutMinutes: await SettingsService.get('session.idle_timeout_minutes') };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('session:updateSettings', async (event, settings) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'session:updateSettings');
+  try {
+    const minutes = Number(settings.idleTimeoutMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 720) {
+      throw new Error('Idle timeout must be a whole number of minutes between 0 (never lock) and 720');
+    }
+
+    await SettingsService.set('session.idle_timeout_minutes', minutes, currentUser.id);
+    sessionManager.setIdleTimeout(minutes);
+    return { idleTimeoutMinutes: minutes };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:createUser', async (event, userData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:createUser');
+  try {
+    await initializeDatabase();
+    return await Auth.createUser(userData.username, userData.password, userData.role, userData.name, userData.email, userData.phone, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getUsers', async (event) => {
+  validateSender(event);
+  await authorize(event, 'auth:getUsers');
+  try {
+    await initializeDatabase();
+    return await Auth.getUsers();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:updateUser', async (event, id, updates) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:updateUser');
+  try {
+    await initializeDatabase();
+    return await Auth.updateUser(id, updates, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:deleteUser', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:deleteUser');
+  try {
+    await initializeDatabase();
+    const changes = await Auth.deleteUser(id, currentUser.id);
+    for (const endedSession of sessionManager.revokeForUser(id)) {
+      notifyWindow(endedSession.webContentsId, 'session:ended', 'Your account was deleted by an administrator');
+    }
+    return { success: true, changes };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Roles and permissions
+ipcMain.handle('auth:unlockUser', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:unlockUser');
+  try {
+    return await Auth.unlockUser(id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getSecuritySettings', async (event) => {
+  validateSender(event);
+  await authorize(event, 'auth:getSecuritySettings');
+  try {
+    return await Auth.getSecuritySettings();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:updateSecuritySettings', async (event, settings) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:updateSecuritySettings');
+  try {
+    return await Auth.updateSecuritySettings(settings, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getRoles', async (event) => {
+  validateSender(event);
+  await authorize(event, 'auth:getRoles');
+  try {
+    return await Auth.getRoles();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:getPermissionCatalog', async (event) => {
+  validateSender(event);
+  await authorize(event, 'auth:getPermissionCatalog');
+  return Auth.getPermissionCatalog();
+});
+
+ipcMain.handle('auth:createRole', async (event, roleData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:createRole');
+  try {
+    return await Auth.createRole(roleData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:updateRole', async (event, id, roleData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:updateRole');
+  try {
+    return await Auth.updateRole(id, roleData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('auth:deleteRole', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'auth:deleteRole');
+  try {
+    return await Auth.deleteRole(id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for patients
+ipcMain.handle('patients:getAll', async (event, searchTerm) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:getAll');
+  try {
+    await initializeDatabase();
+    const patients = await PatientService.getPatients(searchTerm);
+    // Lists never carry sensitive fields; those are only shown per patient after breaking the glass
+    if (await Auth.checkPermission(currentUser.id, 'patients.clinical.read')) {
+      return patients.map(patient => PatientService.withoutSensitiveFields(patient));
+    }
+    return patients.map(patient => PatientService.withoutClinicalFields(patient));
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Opening a patient record is logged with the screen it was opened from
+ipcMain.handle('patients:getById', async (event, id, context) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:getById');
+  try {
+    await initializeDatabase();
+    const activeSession = sessionManager.getSessionForWindow(event.sender.id);
+    return await PatientAccessService.viewPatient(currentUser.id, id, context, {
+      clinicalAccess: await Auth.checkPermission(currentUser.id, 'patients.clinical.read'),
+      sensitiveAccess: sessionManager.hasSensitiveAccess(activeSession, id)
+    });
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Show a patient's sensitive fields for a stated reason. The grant lasts for
+// the rest of this window's session.
+ipcMain.handle('patients:breakGlass', async (event, id, reason, context) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:breakGlass');
+  try {
+    const fields = await PatientAccessService.breakGlass(currentUser.id, id, reason, context);
+    sessionManager.grantSensitiveAccess(sessionManager.getSessionForWindow(event.sender.id), id);
+    return fields;
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('patients:getAccessReport', async (event, patientRef) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:getAccessReport');
+  try {
+    const report = await PatientAccessService.getAccessReport(patientRef);
+    Auth.logAudit(currentUser.id, 'VIEW_ACCESS_REPORT', 'patients', report.patient.id, null,
+      { patient_id: report.patient.patientId });
+    return report;
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('patients:create', async (event, patientData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:create');
+  try {
+    await initializeDatabase();
+    // Clinical fields are hidden from roles without clinical access, so they cannot set them either
+    if (!(await Auth.checkPermission(currentUser.id, 'patients.clinical.read'))) {
+      patientData = PatientService.withoutClinicalFields(patientData);
+    }
+    return await PatientService.createPatient(patientData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('patients:update', async (event, id, patientData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:update');
+  try {
+    await initializeDatabase();
+    // Clinical fields were blank on this user's form; dropping them keeps the stored values
+    if (!(await Auth.checkPermission(currentUser.id, 'patients.clinical.read'))) {
+      patientData = PatientService.withoutClinicalFields(patientData);
+    } else if (!sessionManager.hasSensitiveAccess(sessionManager.getSessionForWindow(event.sender.id), id)) {
+      patientData = PatientService.withoutSensitiveFields(patientData);
+    }
+    const result = await PatientService.updatePatient(id, patientData, currentUser.id);
+    return result;
+  } catch (error) {
+    console.error('Patient update error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('patients:delete', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'patients:delete');
+  try {
+    await initializeDatabase();
+    const result = await PatientService.deletePatient(id, currentUser.id);
+    return result;
+  } catch (error) {
+    console.error('Patient delete error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('patients:getStats', async (event) => {
+  validateSender(event);
+  await authorize(event, 'patients:getStats');
+  try {
+    await initializeDatabase();
+    return await PatientService.getPatientStats();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for appointments
+ipcMain.handle('appointments:getAll', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'appointments:getAll');
+  try {
+    await initializeDatabase();
+    return await AppointmentService.getAppointments(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('appointments:create', async (event, appointmentData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'appointments:create');
+  try {
+    await initializeDatabase();
+    return await AppointmentService.createAppointment(appointmentData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('appointments:update', async (event, id, appointmentData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'appointments:update');
+  try {
+    await initializeDatabase();
+    return await AppointmentService.updateAppointment(id, appointmentData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('appointments:delete', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'appointments:delete');
+  try {
+    await initializeDatabase();
+    const changes = await AppointmentService.deleteAppointment(id, currentUser.id);
+    return { success: true, changes: changes };
+  } catch (error) {
+    console.error('Appointment delete error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('appointments:getStats', async (event) => {
+  validateSender(event);
+  await authorize(event, 'appointments:getStats');
+  try {
+    await initializeDatabase();
+    return await AppointmentService.getAppointmentStats();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('appointments:getAvailableDoctors', async (event, date) => {
+  validateSender(event);
+  await authorize(event, 'appointments:getAvailableDoctors');
+  try {
+    await initializeDatabase();
+    return await AppointmentService.getAvailableDoctors(date);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for accounting
+ipcMain.handle('accounting:createInvoice', async (event, invoiceData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:createInvoice');
+  try {
+    await initializeDatabase();
+    return await AccountingService.createInvoice(invoiceData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getNumberingSettings', async (event) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getNumberingSettings');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getNumberingSettings();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:updateNumberingSettings', async (event, settings) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:updateNumberingSettings');
+  try {
+    await initializeDatabase();
+    return await AccountingService.updateNumberingSettings(settings, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:previewInvoice', async (event, items, invoiceId) => {
+  validateSender(event);
+  await authorize(event, 'accounting:previewInvoice');
+  try {
+    await initializeDatabase();
+    return await AccountingService.previewInvoice(items, invoiceId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getInvoices', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getInvoices');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getInvoices(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:updateInvoicePayment', async (event, id, paymentData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:updateInvoicePayment');
+  try {
+    await initializeDatabase();
+    if (paymentData.status === 'cancelled' && !(await Auth.checkPermission(currentUser.id, 'invoices.void'))) {
+      throw new Auth.PermissionError('You do not have the "invoices.void" permission');
+    }
+    return await AccountingService.updateInvoicePayment(id, paymentData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:createExpense', async (event, expenseData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:createExpense');
+  try {
+    await initializeDatabase();
+    return await AccountingService.createExpense(expenseData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:updateExpense', async (event, id, expenseData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:updateExpense');
+  try {
+    await initializeDatabase();
+    return await AccountingService.updateExpense(id, expenseData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getExpenses', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getExpenses');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getExpenses(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getFinancialStats', async (event) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getFinancialStats');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getFinancialStats();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:generateInvoicePDF', async (event, invoiceId) => {
+  validateSender(event);
+  await authorize(event, 'accounting:generateInvoicePDF');
+  try {
+    await initializeDatabase();
+    return await AccountingService.generateInvoicePDF(invoiceId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getInvoiceWithDetails', async (event, invoiceId) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getInvoiceWithDetails');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getInvoiceWithDetails(invoiceId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:updateInvoice', async (event, invoiceId, invoiceData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:updateInvoice');
+  try {
+    await initializeDatabase();
+    return await AccountingService.updateInvoice(invoiceId, invoiceData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:voidInvoice', async (event, invoiceId, reason) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:voidInvoice');
+  try {
+    return await AccountingService.voidInvoice(invoiceId, reason, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:deleteInvoice', async (event, invoiceId) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:deleteInvoice');
+  try {
+    return await AccountingService.deleteInvoice(invoiceId, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Billing Codes
+ipcMain.handle('accounting:createBillingCode', async (event, codeData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:createBillingCode');
+  try {
+    await initializeDatabase();
+    return await AccountingService.createBillingCode(codeData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getBillingCodes', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getBillingCodes');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getBillingCodes(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:updateBillingCode', async (event, id, codeData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:updateBillingCode');
+  try {
+    await initializeDatabase();
+    return await AccountingService.updateBillingCode(id, codeData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Appointment Billing
+ipcMain.handle('accounting:createAppointmentBilling', async (event, appointmentId, billingData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:createAppointmentBilling');
+  try {
+    await initializeDatabase();
+    return await AccountingService.createAppointmentBilling(appointmentId, billingData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getAppointmentBillings', async (event, appointmentId) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getAppointmentBillings');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getAppointmentBillings(appointmentId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:generateInvoiceFromAppointment', async (event, appointmentId) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:generateInvoiceFromAppointment');
+  try {
+    await initializeDatabase();
+    return await AccountingService.generateInvoiceFromAppointment(appointmentId, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Payments
+ipcMain.handle('accounting:recordPayment', async (event, paymentData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:recordPayment');
+  try {
+    await initializeDatabase();
+    return await AccountingService.recordPayment(paymentData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getPayments', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getPayments');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getPayments(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:applyPatientCredit', async (event, invoiceId, amount) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:applyPatientCredit');
+  try {
+    await initializeDatabase();
+    return await AccountingService.applyPatientCredit(invoiceId, amount, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:refundPayment', async (event, paymentId, refundData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:refundPayment');
+  try {
+    await initializeDatabase();
+    return await AccountingService.refundPayment(paymentId, refundData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:getPatientCredit', async (event, patientId) => {
+  validateSender(event);
+  await authorize(event, 'accounting:getPatientCredit');
+  try {
+    await initializeDatabase();
+    return await AccountingService.getPatientCredit(patientId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('accounting:refundPatientCredit', async (event, patientId, refundData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:refundPatientCredit');
+  try {
+    await initializeDatabase();
+    return await AccountingService.refundPatientCredit(patientId, refundData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Credit notes
+ipcMain.handle('accounting:createCreditNote', async (event, invoiceId, creditData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'accounting:createCreditNote');
+  try {
+    await initializeDatabase();
+    return await AccountingService.createCreditNote(invoiceId, creditData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for tax rates and the VAT return
+ipcMain.handle('tax:getRates', async (event) => {
+  validateSender(event);
+  await authorize(event, 'tax:getRates');
+  try {
+    await initializeDatabase();
+    return await TaxService.getTaxRates();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:getCodes', async (event) => {
+  validateSender(event);
+  await authorize(event, 'tax:getCodes');
+  try {
+    await initializeDatabase();
+    return await TaxService.getTaxCodes();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:addRate', async (event, rateData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'tax:addRate');
+  try {
+    await initializeDatabase();
+    return await TaxService.addTaxRate(rateData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:deleteRate', async (event, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'tax:deleteRate');
+  try {
+    await initializeDatabase();
+    return await TaxService.deleteTaxRate(id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:getSettings', async (event) => {
+  validateSender(event);
+  await authorize(event, 'tax:getSettings');
+  try {
+    await initializeDatabase();
+    return await TaxService.getSettings();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:updateSettings', async (event, settings) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'tax:updateSettings');
+  try {
+    await initializeDatabase();
+    return await TaxService.updateSettings(settings, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('tax:getVatReport', async (event, options) => {
+  validateSender(event);
+  await authorize(event, 'tax:getVatReport');
+  try {
+    await initializeDatabase();
+    return await TaxService.getVatReport(options);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for patient accounts
+ipcMain.handle('receivables:getPatientLedger', async (event, patientId, options) => {
+  validateSender(event);
+  await authorize(event, 'receivables:getPatientLedger');
+  try {
+    await initializeDatabase();
+    return await ReceivablesService.getPatientLedger(patientId, options);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Save the patient's statement of account as a PDF where the user picks
+ipcMain.handle('receivables:exportStatement', async (event, patientId, options) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'receivables:exportStatement');
+  try {
+    await initializeDatabase();
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `statement_${patientId}_${new Date().toISOString().split('T')[0]}.pdf`,
+      filters: [{ name: 'PDF Documents', extensions: ['pdf'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const statement = await ReceivablesService.generateStatementPDF(patientId, options, result.filePath);
+    Auth.logAudit(currentUser.id, 'EXPORT_STATEMENT', 'patients', patientId, null, {
+      dateFrom: options?.dateFrom || null,
+      dateTo: options?.dateTo || null,
+      closingBalance: statement.closingBalance
+    });
+    return { success: true, path: statement.path };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('receivables:getAgingReport', async (event, options) => {
+  validateSender(event);
+  await authorize(event, 'receivables:getAgingReport');
+  try {
+    await initializeDatabase();
+    return await ReceivablesService.getAgingReport(options);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Write the aging report to a CSV or PDF file the user picks
+ipcMain.handle('receivables:exportAgingReport', async (event, options, format) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'receivables:exportAgingReport');
+  try {
+    await initializeDatabase();
+    const extension = format === 'pdf' ? 'pdf' : 'csv';
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `ar_aging_${new Date().toISOString().split('T')[0]}.${extension}`,
+      filters: [extension === 'pdf'
+        ? { name: 'PDF Documents', extensions: ['pdf'] }
+        : { name: 'CSV Files', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const count = extension === 'pdf'
+      ? await ReceivablesService.exportAgingPdf(options, result.filePath, currentUser.username)
+      : await ReceivablesService.exportAgingCsv(options, result.filePath);
+
+    Auth.logAudit(currentUser.id, 'EXPORT_AGING_REPORT', 'invoices', null, null, { format: extension, options, count });
+    return { success: true, path: result.filePath, count };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// IPC handlers for insurers and insurance claims
+ipcMain.handle('insurers:getAll', async (event, options) => {
+  validateSender(event);
+  await authorize(event, 'insurers:getAll');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.getInsurers(options);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:create', async (event, insurerData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'insurers:create');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.createInsurer(insurerData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:update', async (event, id, insurerData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'insurers:update');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.updateInsurer(id, insurerData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:getTariffs', async (event, insurerId) => {
+  validateSender(event);
+  await authorize(event, 'insurers:getTariffs');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.getTariffs(insurerId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:saveTariff', async (event, insurerId, tariffData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'insurers:saveTariff');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.saveTariff(insurerId, tariffData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:deleteTariff', async (event, tariffId) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'insurers:deleteTariff');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.deleteTariff(tariffId, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('insurers:estimateCoverage', async (event, request) => {
+  validateSender(event);
+  await authorize(event, 'insurers:estimateCoverage');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.estimateCoverage(request);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('claims:getWorklist', async (event, filters) => {
+  validateSender(event);
+  await authorize(event, 'claims:getWorklist');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.getWorklist(filters);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('claims:get', async (event, claimId) => {
+  validateSender(event);
+  await authorize(event, 'claims:get');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.getClaim(claimId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('claims:createFromInvoice', async (event, invoiceId, claimData) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'claims:createFromInvoice');
+  try {
+    await initializeDatabase();
+    return await ClaimsService.createClaimFromInvoice(invoiceId, claimData, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
   }
-}
+});
 
-// IPC handlers for authentication
-ipcMain.handle('auth:login', async (event, username, password) => {
+ipcMain.handle('claims:createFromAppointment', async (event, appointmentId, claimData) => {
   validateSender(event);
-  console.log('IPC auth:login called with username:', username);
+  const currentUser = await authorize(event, 'claims:createFromAppointment');
   try {
-    initializeDatabase();
-    console.log('Database initialized for login');
-    const result = await Auth.login(username, password);
-    console.log('Login result:', result);
-    return result;
+    await initializeDatabase();
+    return await ClaimsService.createClaimFromAppointment(appointmentId, claimData, currentUser.id);
   } catch (error) {
-    console.error('Login error:', error);
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('auth:createUser', async (event, userData) => {
+ipcMain.handle('claims:submit', async (event, claimId) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'claims:submit');
   try {
-    initializeDatabase();
-    return await Auth.createUser(userData.username, userData.password, userData.role, userData.name, userData.email, userData.phone);
+    await initializeDatabase();
+    return await ClaimsService.submitClaim(claimId, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('auth:getUsers', async (event) => {
+ipcMain.handle('claims:reject', async (event, claimId, reason) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'claims:reject');
   try {
-    initializeDatabase();
-    return await Auth.getUsers();
+    await initializeDatabase();
+    return await ClaimsService.rejectClaim(claimId, reason, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('auth:updateUser', async (event, id, updates) => {
+ipcMain.handle('claims:postRemittance', async (event, claimId, remittanceData) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'claims:postRemittance');
   try {
-    initializeDatabase();
-    return await Auth.updateUser(id, updates);
+    await initializeDatabase();
+    return await ClaimsService.postRemittance(claimId, remittanceData, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('auth:deleteUser', async (event, id) => {
+ipcMain.handle('claims:delete', async (event, claimId) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'claims:delete');
   try {
-    initializeDatabase();
-    return await Auth.deleteUser(id);
+    await initializeDatabase();
+    return await ClaimsService.deleteClaim(claimId, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// IPC handlers for patients
-ipcMain.handle('patients:getAll', async (event, searchTerm) => {
+// IPC handlers for audit log
+ipcMain.handle('audit:getLog', async (event, filters) => {
   validateSender(event);
+  await authorize(event, 'audit:getLog');
   try {
-    initializeDatabase();
-    return await PatientService.getPatients(searchTerm);
+    return await AuditService.query(filters || {});
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('patients:getById', async (event, id) => {
+ipcMain.handle('audit:getFilterOptions', async (event) => {
   validateSender(event);
+  await authorize(event, 'audit:getFilterOptions');
   try {
-    initializeDatabase();
-    return await PatientService.getPatientById(id);
+    return await AuditService.getFilterOptions();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('patients:create', async (event, patientData) => {
+ipcMain.handle('audit:getRecordHistory', async (event, tableName, recordRef) => {
   validateSender(event);
+  await authorize(event, 'audit:getRecordHistory');
   try {
-    initializeDatabase();
-    // Get current user from session (simplified - in real app, store in secure session)
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await PatientService.createPatient(patientData, currentUser.id);
+    return await AuditService.getRecordHistory(tableName, recordRef);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('patients:update', async (event, id, patientData) => {
+ipcMain.handle('audit:verify', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'audit:verify');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    const result = await PatientService.updatePatient(id, patientData, currentUser.id);
+    const result = await AuditService.verifyChain();
+    Auth.logAudit(currentUser.id, 'VERIFY_AUDIT_LOG', 'audit_log', result.brokenAt, null,
+      { valid: result.valid, checked: result.checked });
     return result;
   } catch (error) {
-    console.error('Patient update error:', error);
-    return { success: false, error: error.message };
+    throw new Error(error.message);
   }
 });
 
-ipcMain.handle('patients:delete', async (event, id) => {
+// Write the filtered log to a file the user picks. Exports are themselves audited.
+ipcMain.handle('audit:export', async (event, filters, format) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'audit:export');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
+    const extension = format === 'pdf' ? 'pdf' : 'csv';
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `audit_log_${new Date().toISOString().split('T')[0]}.${extension}`,
+      filters: [extension === 'pdf'
+        ? { name: 'PDF Documents', extensions: ['pdf'] }
+        : { name: 'CSV Files', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
     }
-    const result = await PatientService.deletePatient(id, currentUser.id);
-    return result;
+
+    const count = extension === 'pdf'
+      ? await AuditService.exportPdf(filters, result.filePath, currentUser.username)
+      : await AuditService.exportCsv(filters, result.filePath);
+
+    Auth.logAudit(currentUser.id, 'EXPORT_AUDIT_LOG', 'audit_log', null, null, { format: extension, filters, count });
+    return { success: true, path: result.filePath, count };
   } catch (error) {
-    console.error('Patient delete error:', error);
-    return { success: false, error: error.message };
+    throw new Error(error.message);
   }
 });
 
-ipcMain.handle('patients:getStats', async (event) => {
+// Database encryption. Status and unlock come before login: the clinical
+// data cannot be read until someone who knows the passphrase unlocks it.
+ipcMain.handle('encryption:getStatus', async (event) => {
   validateSender(event);
   try {
-    initializeDatabase();
-    return await PatientService.getPatientStats();
+    await initializeDatabase();
+    return EncryptionService.getStatus();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// IPC handlers for appointments
-ipcMain.handle('appointments:getAll', async (event, filters) => {
+ipcMain.handle('encryption:unlock', async (event, passphrase) => {
   validateSender(event);
   try {
-    initializeDatabase();
-    return await AppointmentService.getAppointments(filters);
+    await initializeDatabase();
+    await EncryptionService.unlock(passphrase);
+    Auth.logAudit(null, 'UNLOCK_DATABASE', null, null, null, { unlocked: true });
+    return EncryptionService.getStatus();
   } catch (error) {
+    Auth.logAudit(null, 'UNLOCK_DATABASE_FAILED', null, null, null, { reason: error.message });
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('appointments:create', async (event, appointmentData) => {
+ipcMain.handle('encryption:enable', async (event, passphrase) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'encryption:enable');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AppointmentService.createAppointment(appointmentData, currentUser.id);
+    const encrypted = await EncryptionService.enable(passphrase);
+    Auth.logAudit(currentUser.id, 'ENABLE_ENCRYPTION', null, null, null, { patients_encrypted: encrypted });
+    return EncryptionService.getStatus();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('appointments:update', async (event, id, appointmentData) => {
+ipcMain.handle('encryption:rotateKey', async (event, passphrase) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'encryption:rotateKey');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AppointmentService.updateAppointment(id, appointmentData, currentUser.id);
+    const result = await EncryptionService.rotateKey(passphrase);
+    Auth.logAudit(currentUser.id, 'ROTATE_ENCRYPTION_KEY', null, null, null,
+      { key_id: result.keyId, patients_reencrypted: result.reencrypted });
+    return EncryptionService.getStatus();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('appointments:delete', async (event, id) => {
+ipcMain.handle('encryption:changePassphrase', async (event, currentPassphrase, newPassphrase) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'encryption:changePassphrase');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    const changes = await AppointmentService.deleteAppointment(id, currentUser.id);
-    return { success: true, changes: changes };
+    await EncryptionService.changePassphrase(currentPassphrase, newPassphrase);
+    Auth.logAudit(currentUser.id, 'CHANGE_ENCRYPTION_PASSPHRASE', null, null, null, { changed: true });
+    return EncryptionService.getStatus();
   } catch (error) {
-    console.error('Appointment delete error:', error);
-    return { success: false, error: error.message };
+    throw new Error(error.message);
   }
 });
 
-ipcMain.handle('appointments:getStats', async (event) => {
+// Schema migration status
+ipcMain.handle('system:getMigrations', async (event) => {
   validateSender(event);
+  await authorize(event, 'system:getMigrations');
   try {
-    initializeDatabase();
-    return await AppointmentService.getAppointmentStats();
+    await initializeDatabase();
+    return await Migrator.getStatus(db);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('appointments:getAvailableDoctors', async (event, date) => {
+// Database health: orphaned records left by deletes made before foreign keys were enforced
+ipcMain.handle('system:checkForeignKeys', async (event) => {
   validateSender(event);
+  await authorize(event, 'system:checkForeignKeys');
   try {
-    initializeDatabase();
-    return await AppointmentService.getAvailableDoctors(date);
+    await initializeDatabase();
+    return await DatabaseHealthService.checkForeignKeys();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// IPC handlers for accounting
-ipcMain.handle('accounting:createInvoice', async (event, invoiceData) => {
+ipcMain.handle('system:repairOrphans', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'system:repairOrphans');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.createInvoice(invoiceData, currentUser.id);
+    await initializeDatabase();
+    return await DatabaseHealthService.repairOrphans(currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getInvoices', async (event, filters) => {
+// Database maintenance: integrity check, VACUUM, ANALYZE and WAL checkpoints
+ipcMain.handle('system:getMaintenanceStatus', async (event) => {
   validateSender(event);
+  await authorize(event, 'system:getMaintenanceStatus');
   try {
-    initializeDatabase();
-    return await AccountingService.getInvoices(filters);
+    await initializeDatabase();
+    return await DatabaseHealthService.getMaintenanceStatus();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:updateInvoicePayment', async (event, id, paymentData) => {
+ipcMain.handle('system:getMaintenanceHistory', async (event) => {
   validateSender(event);
+  await authorize(event, 'system:getMaintenanceHistory');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.updateInvoicePayment(id, paymentData, currentUser.id);
+    await initializeDatabase();
+    return await DatabaseHealthService.getMaintenanceHistory();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:createExpense', async (event, expenseData) => {
+ipcMain.handle('system:getMaintenanceSettings', async (event) => {
   validateSender(event);
+  await authorize(event, 'system:getMaintenanceSettings');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.createExpense(expenseData, currentUser.id);
+    await initializeDatabase();
+    return await DatabaseHealthService.getMaintenanceSettings();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:updateExpense', async (event, id, expenseData) => {
+ipcMain.handle('system:updateMaintenanceSettings', async (event, settings) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'system:updateMaintenanceSettings');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.updateExpense(id, expenseData, currentUser.id);
+    await initializeDatabase();
+    return await DatabaseHealthService.updateMaintenanceSettings(settings, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getExpenses', async (event, filters) => {
+ipcMain.handle('system:runMaintenanceTask', async (event, task) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'system:runMaintenanceTask');
   try {
-    initializeDatabase();
-    return await AccountingService.getExpenses(filters);
+    await initializeDatabase();
+    return await DatabaseHealthService.runTask(task, { userId: currentUser.id });
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getFinancialStats', async (event) => {
+ipcMain.handle('system:runMaintenance', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'system:runMaintenance');
   try {
-    initializeDatabase();
-    return await AccountingService.getFinancialStats();
+    await initializeDatabase();
+    return await DatabaseHealthService.runMaintenance({ userId: currentUser.id });
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:generateInvoicePDF', async (event, invoiceId) => {
+// Backup and restore functionality
+ipcMain.handle('backup:create', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'backup:create');
   try {
-    initializeDatabase();
-    return await AccountingService.generateInvoicePDF(invoiceId);
+    await initializeDatabase();
+    const backup = await BackupService.createBackup({ trigger: 'manual', userId: currentUser.id });
+    if (backup.status === 'failed') {
+      throw new Error(backup.error);
+    }
+    return { success: true, path: backup.file_path, backup };
+  } catch (error) {
+    throw new Error('Backup failed: ' + error.message);
+  }
+});
+
+ipcMain.handle('backup:getHistory', async (event) => {
+  validateSender(event);
+  await authorize(event, 'backup:getHistory');
+  try {
+    await initializeDatabase();
+    return await BackupService.getHistory();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getInvoiceWithDetails', async (event, invoiceId) => {
+ipcMain.handle('backup:getStatus', async (event) => {
   validateSender(event);
+  await authorize(event, 'backup:getStatus');
   try {
-    initializeDatabase();
-    return await AccountingService.getInvoiceWithDetails(invoiceId);
+    await initializeDatabase();
+    return await BackupService.getStatus();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:updateInvoice', async (event, invoiceId, invoiceData) => {
+ipcMain.handle('backup:verify', async (event, id) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'backup:verify');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.updateInvoice(invoiceId, invoiceData, currentUser.id);
+    await initializeDatabase();
+    return await BackupService.verifyBackup(id, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// Billing Codes
-ipcMain.handle('accounting:createBillingCode', async (event, codeData) => {
+ipcMain.handle('backup:getSettings', async (event) => {
   validateSender(event);
+  await authorize(event, 'backup:getSettings');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.createBillingCode(codeData, currentUser.id);
+    await initializeDatabase();
+    return await BackupService.getSettings();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getBillingCodes', async (event, filters) => {
+ipcMain.handle('backup:updateSettings', async (event, settings) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'backup:updateSettings');
   try {
-    initializeDatabase();
-    return await AccountingService.getBillingCodes(filters);
+    await initializeDatabase();
+    return await BackupService.updateSettings(settings || {}, currentUser.id);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:updateBillingCode', async (event, id, codeData) => {
+ipcMain.handle('backup:chooseDestination', async (event) => {
   validateSender(event);
+  await authorize(event, 'backup:chooseDestination');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.updateBillingCode(id, codeData, currentUser.id);
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose Backup Folder',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    return result.canceled ? null : result.filePaths[0];
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// Appointment Billing
-ipcMain.handle('accounting:createAppointmentBilling', async (event, appointmentId, billingData) => {
+// Without a backup id the user picks a backup file
+ipcMain.handle('backup:previewRestore', async (event, backupId) => {
   validateSender(event);
+  await authorize(event, 'backup:previewRestore');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
+    await initializeDatabase();
+    if (backupId) {
+      return await RestoreService.prepareRestore({ backupId });
     }
-    return await AccountingService.createAppointmentBilling(appointmentId, billingData, currentUser.id);
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose Backup to Restore',
+      defaultPath: (await BackupService.getStatus()).destination,
+      properties: ['openFile'],
+      filters: [{ name: 'Database Backups', extensions: ['db', 'gz', 'enc'] }]
+    });
+    if (result.canceled) {
+      return null;
+    }
+    return await RestoreService.prepareRestore({ filePath: result.filePaths[0] });
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:getAppointmentBillings', async (event, appointmentId) => {
+ipcMain.handle('backup:cancelRestore', async (event) => {
   validateSender(event);
+  await authorize(event, 'backup:cancelRestore');
   try {
-    initializeDatabase();
-    return await AccountingService.getAppointmentBillings(appointmentId);
+    await RestoreService.cancelRestore();
+    return { success: true };
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-ipcMain.handle('accounting:generateInvoiceFromAppointment', async (event, appointmentId) => {
+// Everyone is signed out afterwards: the restored database has its own users
+function endSessionsAfterRestore(event) {
+  for (const endedSession of sessionManager.revokeAll()) {
+    if (endedSession.webContentsId !== event.sender.id) {
+      notifyWindow(endedSession.webContentsId, 'session:ended', 'The database was restored from a backup. Please log in again.');
+    }
+  }
+}
+
+ipcMain.handle('backup:restore', async (event, token) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'backup:restore');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.generateInvoiceFromAppointment(appointmentId, currentUser.id);
+    await initializeDatabase();
+    const result = await RestoreService.restore(token, currentUser.id);
+    endSessionsAfterRestore(event);
+    sessionManager.setIdleTimeout(await SettingsService.get('session.idle_timeout_minutes'));
+    return { success: true, ...result };
   } catch (error) {
-    throw new Error(error.message);
+    throw new Error('Restore failed: ' + error.message);
   }
 });
 
-// Payments
-ipcMain.handle('accounting:recordPayment', async (event, paymentData) => {
+ipcMain.handle('backup:rollbackRestore', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'backup:rollbackRestore');
   try {
-    initializeDatabase();
-    const currentUser = await sessionManager.getCurrentUser();
-    if (!currentUser) {
-      throw new Error('No active session found');
-    }
-    return await AccountingService.recordPayment(paymentData, currentUser.id);
+    await initializeDatabase();
+    const result = await RestoreService.rollbackLastRestore(currentUser.id);
+    endSessionsAfterRestore(event);
+    sessionManager.setIdleTimeout(await SettingsService.get('session.idle_timeout_minutes'));
+    return { success: true, ...result };
   } catch (error) {
-    throw new Error(error.message);
+    throw new Error('Rollback failed: ' + error.message);
   }
 });
 
-ipcMain.handle('accounting:getPayments', async (event, filters) => {
+// Point-in-time recovery from the change journal
+ipcMain.handle('journal:getCoverage', async (event) => {
   validateSender(event);
+  await authorize(event, 'journal:getCoverage');
   try {
-    initializeDatabase();
-    return await AccountingService.getPayments(filters);
+    await initializeDatabase();
+    return await JournalService.getCoverage();
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// IPC handlers for audit log
-ipcMain.handle('audit:getLog', async (event, filters) => {
+ipcMain.handle('journal:getRecordHistory', async (event, tableName, recordRef) => {
   validateSender(event);
+  await authorize(event, 'journal:getRecordHistory');
   try {
-    // Simple implementation - in real app, add filtering
-    const db = require('./database');
-    return new Promise((resolve, reject) => {
-      db.all('SELECT * FROM audit_log ORDER BY timestamp DESC LIMIT 100', (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    await initializeDatabase();
+    return await JournalService.getRecordHistory(tableName, recordRef);
   } catch (error) {
     throw new Error(error.message);
   }
 });
 
-// Backup and restore functionality
-ipcMain.handle('backup:create', async (event) => {
+ipcMain.handle('journal:restoreRecord', async (event, tableName, recordRef, target) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'journal:restoreRecord');
   try {
-    const db = require('./database');
-    const fs = require('fs');
-    const path = require('path');
+    await initializeDatabase();
+    return await JournalService.restoreRecord(tableName, recordRef, target || {}, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-    const dbPath = path.join(process.resourcesPath || path.join(__dirname, '..'), 'clinic.db');
-    const backupPath = path.join(process.resourcesPath || path.join(__dirname, '..'), `backup_${Date.now()}.db`);
+ipcMain.handle('journal:previewDatabaseRestore', async (event, at) => {
+  validateSender(event);
+  await authorize(event, 'journal:previewDatabaseRestore');
+  try {
+    await initializeDatabase();
+    return await JournalService.previewDatabaseRestore(at);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-    fs.copyFileSync(dbPath, backupPath);
+ipcMain.handle('journal:restoreDatabase', async (event, at) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'journal:restoreDatabase');
+  try {
+    await initializeDatabase();
+    if (RestoreService.isRestoring()) {
+      throw new Error('A restore is already in progress');
+    }
+    return await JournalService.restoreDatabaseTo(at, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-    return { success: true, path: backupPath };
+// Recycle bin for deleted patients, appointments, invoices and users
+ipcMain.handle('recycleBin:getItems', async (event, type) => {
+  validateSender(event);
+  await authorize(event, 'recycleBin:getItems');
+  try {
+    await initializeDatabase();
+    return await RecycleBinService.getItems(type || null);
   } catch (error) {
-    throw new Error('Backup failed: ' + error.message);
+    throw new Error(error.message);
   }
 });
 
-ipcMain.handle('backup:restore', async (event) => {
+ipcMain.handle('recycleBin:restore', async (event, type, id) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'recycleBin:restore');
   try {
-    const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ['openFile'],
-      filters: [{ name: 'Database Files', extensions: ['db'] }]
-    });
+    await initializeDatabase();
+    return await RecycleBinService.restore(type, id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-    if (!result.canceled) {
-      const db = require('./database');
-      const fs = require('fs');
-      const path = require('path');
+ipcMain.handle('recycleBin:purge', async (event, type, id) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'recycleBin:purge');
+  try {
+    await initializeDatabase();
+    return await RecycleBinService.purge(type, id, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-      const dbPath = path.join(process.resourcesPath || path.join(__dirname, '..'), 'clinic.db');
-      fs.copyFileSync(result.filePaths[0], dbPath);
+ipcMain.handle('recycleBin:getSettings', async (event) => {
+  validateSender(event);
+  await authorize(event, 'recycleBin:getSettings');
+  try {
+    await initializeDatabase();
+    return await RecycleBinService.getSettings();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
 
-      return { success: true };
-    }
+ipcMain.handle('recycleBin:updateSettings', async (event, settings) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'recycleBin:updateSettings');
+  try {
+    await initializeDatabase();
+    return await RecycleBinService.updateSettings(settings || {}, currentUser.id);
   } catch (error) {
-    throw new Error('Restore failed: ' + error.message);
+    throw new Error(error.message);
   }
 });
 
 // Sync credential management handlers
 ipcMain.handle('sync:saveCredentials', async (event, credentials) => {
   validateSender(event);
+  await authorize(event, 'sync:saveCredentials');
   try {
     await credentialManager.saveCredentials(credentials);
     return { success: true };
@@ -733,6 +2250,7 @@ ipcMain.handle('sync:saveCredentials', async (event, credentials) => {
 
 ipcMain.handle('sync:loadCredentials', async (event) => {
   validateSender(event);
+  await authorize(event, 'sync:loadCredentials');
   try {
     const credentials = await credentialManager.loadCredentials();
     return credentials;
@@ -743,17 +2261,91 @@ ipcMain.handle('sync:loadCredentials', async (event) => {
 
 ipcMain.handle('sync:testConnection', async (event, credentials) => {
   validateSender(event);
+  await authorize(event, 'sync:testConnection');
   try {
-    // For offline implementation, just validate credential format
-    // In online version, this will test actual database connection
-    const isValid = validateCredentials(credentials);
-    return { success: isValid };
+    validateCredentials(credentials);
+    await initializeDatabase();
+    const remote = new PostgresRemote(credentials);
+    await remote.connect();
+    await remote.close();
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// Validate credential format (placeholder for actual connection test)
+ipcMain.handle('sync:performSync', async (event) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'sync:performSync');
+  try {
+    await initializeDatabase();
+    const credentials = await credentialManager.loadCredentials();
+    if (!credentials) {
+      throw new Error('Sync is not configured');
+    }
+    validateCredentials(credentials);
+    return await SyncService.performSync(new PostgresRemote(credentials), currentUser.id);
+  } catch (error) {
+    throw new Error('Sync failed: ' + error.message);
+  }
+});
+
+ipcMain.handle('sync:getStatus', async (event) => {
+  validateSender(event);
+  await authorize(event, 'sync:getStatus');
+  try {
+    await initializeDatabase();
+    return await SyncService.getSyncStatus();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('sync:getLog', async (event) => {
+  validateSender(event);
+  await authorize(event, 'sync:getLog');
+  try {
+    await initializeDatabase();
+    return await SyncService.getSyncLog();
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('sync:getConflicts', async (event, status) => {
+  validateSender(event);
+  await authorize(event, 'sync:getConflicts');
+  try {
+    await initializeDatabase();
+    return await SyncService.getConflicts(status);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('sync:getConflictDetails', async (event, conflictId) => {
+  validateSender(event);
+  await authorize(event, 'sync:getConflictDetails');
+  try {
+    await initializeDatabase();
+    return await SyncService.getConflictDetails(conflictId);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+ipcMain.handle('sync:resolveConflict', async (event, conflictId, resolution, theirsFields) => {
+  validateSender(event);
+  const currentUser = await authorize(event, 'sync:resolveConflict');
+  try {
+    await initializeDatabase();
+    return await SyncService.resolveConflict(conflictId, resolution, theirsFields, currentUser.id);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+});
+
+// Validate credential format before connecting
 function validateCredentials(credentials) {
   if (!credentials.host || !credentials.database || !credentials.user || !credentials.password) {
     throw new Error('All fields are required');
@@ -770,33 +2362,10 @@ function validateCredentials(credentials) {
 // Clear invoices and related data
 ipcMain.handle('accounting:clearInvoices', async (event) => {
   validateSender(event);
+  const currentUser = await authorize(event, 'accounting:clearInvoices');
   try {
-    const db = require('./database');
-
-    // Clear invoice-related tables in correct order (respecting foreign keys)
-    // Use proper promise chaining for SQLite operations
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM payments', (err) => {
-        if (err) reject(err);
-        else {
-          db.run('DELETE FROM invoice_items', (err) => {
-            if (err) reject(err);
-            else {
-              db.run('DELETE FROM appointment_billings', (err) => {
-                if (err) reject(err);
-                else {
-                  db.run('DELETE FROM invoices', (err) => {
-                    if (err) reject(err);
-                    else resolve();
-                  });
-                }
-              });
-            }
-          });
-        }
-      });
-    });
-
+    await initializeDatabase();
+    await AccountingService.clearInvoices(currentUser.id);
     return { success: true, message: 'All invoices and related data cleared successfully' };
   } catch (error) {
     throw new Error('Failed to clear invoices: ' + error.message);
@@ -0,0 +1,312 @@
+// Baseline schema: the tables the app has always created at startup.
+// Uses IF NOT EXISTS so databases created before migrations existed adopt it as-is.
+
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+
+  async up(db) {
+    // Users table for authentication and roles
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'doctor', 'receptionist', 'accountant')),
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Patients table with comprehensive medical fields
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS patients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id TEXT UNIQUE NOT NULL,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        date_of_birth DATE,
+        gender TEXT CHECK (gender IN ('Male', 'Female', 'Other')),
+        phone TEXT,
+        email TEXT,
+        address TEXT,
+        emergency_contact_name TEXT,
+        emergency_contact_phone TEXT,
+        medical_history TEXT,
+        allergies TEXT,
+        current_medications TEXT,
+        notes TEXT,
+
+        -- Insurance & Billing Information
+        insurance_provider TEXT,
+        insurance_policy_number TEXT,
+        insurance_group_id TEXT,
+        insurance_subscriber_id TEXT,
+        primary_care_physician TEXT,
+        preferred_pharmacy TEXT,
+        billing_address TEXT,
+
+        -- Demographic & Social Information
+        marital_status TEXT CHECK (marital_status IN ('Single', 'Married', 'Divorced', 'Widowed', 'Other')),
+        occupation TEXT,
+        employer TEXT,
+        education_level TEXT,
+        language_preferences TEXT,
+        interpreter_needed BOOLEAN DEFAULT 0,
+        race_ethnicity TEXT,
+        religion TEXT,
+
+        -- Lifestyle & Preventive Care
+        smoking_status TEXT CHECK (smoking_status IN ('Never', 'Former', 'Current')),
+        alcohol_consumption TEXT,
+        exercise_habits TEXT,
+        diet_nutrition TEXT,
+        sleep_patterns TEXT,
+        stress_levels TEXT,
+        mental_health_screening TEXT,
+        immunization_history TEXT,
+        cancer_screening_history TEXT,
+
+        -- Family & Genetic History
+        family_medical_history TEXT,
+        genetic_testing_results TEXT,
+        hereditary_conditions TEXT,
+        consanguinity TEXT,
+
+        -- Vital Signs & Biometrics (stored as JSON for multiple readings)
+        vital_signs_history TEXT, -- JSON array of {date, height, weight, bmi, bp_systolic, bp_diastolic, heart_rate, temperature, measurements}
+
+        -- Advanced Medical Information
+        chronic_conditions TEXT,
+        hospitalization_records TEXT,
+        laboratory_results TEXT,
+        imaging_studies TEXT,
+        medication_allergies TEXT,
+        drug_interactions TEXT,
+
+        -- Communication & Preferences
+        preferred_contact_method TEXT CHECK (preferred_contact_method IN ('Phone', 'Email', 'Text', 'Mail')),
+        emergency_notification_preferences TEXT,
+        advance_directives TEXT,
+        power_of_attorney TEXT,
+        dnr_orders TEXT,
+        organ_donation TEXT,
+
+        -- Quality of Life & Functional Assessment
+        adl_assessment TEXT, -- Activities of Daily Living
+        iadl_assessment TEXT, -- Instrumental Activities of Daily Living
+        pain_assessment TEXT,
+        functional_independence TEXT,
+        quality_of_life_scores TEXT,
+        patient_satisfaction TEXT,
+
+        -- Research & Population Health
+        clinical_trials_participation TEXT,
+        population_health_risk_score REAL,
+        health_risk_assessment TEXT,
+        preventive_care_reminders TEXT,
+
+        -- Digital Health Integration
+        wearable_device_data TEXT,
+        telemedicine_history TEXT,
+        patient_portal_access BOOLEAN DEFAULT 0,
+        mobile_health_apps TEXT,
+
+        -- Regulatory & Compliance
+        hipaa_authorization BOOLEAN DEFAULT 1,
+        consent_forms TEXT,
+        privacy_preferences TEXT,
+        data_sharing_permissions TEXT,
+
+        -- Orthopedic-specific fields (keeping existing ones)
+        orthopedic_history TEXT,
+        previous_surgeries TEXT,
+        implant_types TEXT,
+        current_condition TEXT,
+        pain_level INTEGER CHECK (pain_level >= 0 AND pain_level <= 10),
+        range_of_motion TEXT,
+        functional_assessment TEXT,
+        treatment_plan TEXT,
+        rehabilitation_notes TEXT,
+        follow_up_schedule TEXT,
+        imaging_results TEXT,
+        surgical_procedures TEXT,
+        outcome_measures TEXT,
+        comorbidities TEXT,
+        lifestyle_factors TEXT,
+        activity_level TEXT,
+
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Appointments table with orthopedic enhancements
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS appointments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        doctor_id INTEGER NOT NULL,
+        appointment_date DATETIME NOT NULL,
+        appointment_type TEXT CHECK (appointment_type IN ('consultation', 'follow-up', 'surgery', 'therapy', 'assessment')),
+        status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled', 'no-show')),
+        notes TEXT,
+
+        -- Orthopedic-specific appointment fields
+        pre_op_assessment TEXT,
+        post_op_care TEXT,
+        therapy_session TEXT,
+        pain_assessment TEXT,
+        mobility_assessment TEXT,
+        treatment_progress TEXT,
+        next_appointment_notes TEXT,
+
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients (id),
+        FOREIGN KEY (doctor_id) REFERENCES users (id)
+      )
+    `);
+
+    // Invoices table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        invoice_number TEXT UNIQUE NOT NULL,
+        amount REAL NOT NULL,
+        tax_amount REAL DEFAULT 0,
+        total_amount REAL NOT NULL,
+        status TEXT DEFAULT 'unpaid' CHECK (status IN ('paid', 'unpaid', 'overdue', 'cancelled')),
+        due_date DATE,
+        payment_date DATE,
+        payment_method TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients (id)
+      )
+    `);
+
+    // Invoice items table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS invoice_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoice_id INTEGER NOT NULL,
+        billing_code_id INTEGER,
+        description TEXT NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        unit_price REAL NOT NULL,
+        total_price REAL NOT NULL,
+        FOREIGN KEY (invoice_id) REFERENCES invoices (id),
+        FOREIGN KEY (billing_code_id) REFERENCES billing_codes (id)
+      )
+    `);
+
+    // Billing codes table - defines billable services
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS billing_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        description TEXT NOT NULL,
+        category TEXT NOT NULL,
+        default_price REAL NOT NULL,
+        tax_rate REAL DEFAULT 0.15,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Appointment billings table - links appointments to billing items
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS appointment_billings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        appointment_id INTEGER NOT NULL,
+        billing_code_id INTEGER NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        unit_price REAL NOT NULL,
+        total_price REAL NOT NULL,
+        billed BOOLEAN DEFAULT 0,
+        invoice_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments (id),
+        FOREIGN KEY (billing_code_id) REFERENCES billing_codes (id),
+        FOREIGN KEY (invoice_id) REFERENCES invoices (id)
+      )
+    `);
+
+    // Payments table - tracks all payments made
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoice_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        payment_date DATE NOT NULL,
+        payment_method TEXT CHECK (payment_method IN ('cash', 'card', 'bank_transfer', 'check', 'insurance', 'other')),
+        reference_number TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices (id)
+      )
+    `);
+
+    // Billing rules table - defines automatic billing triggers
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS billing_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger_type TEXT CHECK (trigger_type IN ('appointment_completed', 'appointment_scheduled', 'manual')),
+        billing_code_id INTEGER NOT NULL,
+        condition_json TEXT, -- JSON string for complex conditions
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (billing_code_id) REFERENCES billing_codes (id)
+      )
+    `);
+
+    // Expenses table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        description TEXT NOT NULL,
+        category TEXT NOT NULL,
+        amount REAL NOT NULL,
+        expense_date DATE NOT NULL,
+        vendor TEXT,
+        receipt_path TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Audit log table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        action TEXT NOT NULL,
+        table_name TEXT,
+        record_id INTEGER,
+        old_values TEXT,
+        new_values TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+  },
+
+  async down(db) {
+    const tables = [
+      'audit_log', 'expenses', 'billing_rules', 'payments', 'appointment_billings',
+      'billing_codes', 'invoice_items', 'invoices', 'appointments', 'patients', 'users'
+    ];
+
+    for (const table of tables) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,109 @@
+// Columns added to patients and invoice_items after the first release.
+// Databases created by those early builds are missing them; newer ones already
+// have them from the baseline CREATE TABLE statements.
+
+const PATIENT_COLUMNS = [
+  // Insurance & Billing
+  ['insurance_provider', 'TEXT'],
+  ['insurance_policy_number', 'TEXT'],
+  ['insurance_group_id', 'TEXT'],
+  ['insurance_subscriber_id', 'TEXT'],
+  ['primary_care_physician', 'TEXT'],
+  ['preferred_pharmacy', 'TEXT'],
+  ['billing_address', 'TEXT'],
+
+  // Demographics & Social
+  ['marital_status', "TEXT CHECK (marital_status IN ('Single', 'Married', 'Divorced', 'Widowed', 'Other'))"],
+  ['occupation', 'TEXT'],
+  ['employer', 'TEXT'],
+  ['education_level', 'TEXT'],
+  ['language_preferences', 'TEXT'],
+  ['interpreter_needed', 'BOOLEAN DEFAULT 0'],
+  ['race_ethnicity', 'TEXT'],
+  ['religion', 'TEXT'],
+
+  // Lifestyle & Preventive Care
+  ['smoking_status', "TEXT CHECK (smoking_status IN ('Never', 'Former', 'Current'))"],
+  ['alcohol_consumption', 'TEXT'],
+  ['exercise_habits', 'TEXT'],
+  ['diet_nutrition', 'TEXT'],
+  ['sleep_patterns', 'TEXT'],
+  ['stress_levels', 'TEXT'],
+  ['mental_health_screening', 'TEXT'],
+  ['immunization_history', 'TEXT'],
+  ['cancer_screening_history', 'TEXT'],
+
+  // Family & Genetic
+  ['family_medical_history', 'TEXT'],
+  ['genetic_testing_results', 'TEXT'],
+  ['hereditary_conditions', 'TEXT'],
+  ['consanguinity', 'TEXT'],
+
+  // Vital Signs
+  ['vital_signs_history', 'TEXT'],
+
+  // Advanced Medical
+  ['chronic_conditions', 'TEXT'],
+  ['hospitalization_records', 'TEXT'],
+  ['laboratory_results', 'TEXT'],
+  ['imaging_studies', 'TEXT'],
+  ['medication_allergies', 'TEXT'],
+  ['drug_interactions', 'TEXT'],
+
+  // Communication & Preferences
+  ['preferred_contact_method', "TEXT CHECK (preferred_contact_method IN ('Phone', 'Email', 'Text', 'Mail'))"],
+  ['emergency_notification_preferences', 'TEXT'],
+  ['advance_directives', 'TEXT'],
+  ['power_of_attorney', 'TEXT'],
+  ['dnr_orders', 'TEXT'],
+  ['organ_donation', 'TEXT'],
+
+  // Quality of Life
+  ['adl_assessment', 'TEXT'],
+  ['iadl_assessment', 'TEXT'],
+  ['pain_assessment', 'TEXT'],
+  ['functional_independence', 'TEXT'],
+  ['quality_of_life_scores', 'TEXT'],
+  ['patient_satisfaction', 'TEXT'],
+
+  // Research & Population Health
+  ['clinical_trials_participation', 'TEXT'],
+  ['population_health_risk_score', 'REAL'],
+  ['health_risk_assessment', 'TEXT'],
+  ['preventive_care_reminders', 'TEXT'],
+
+  // Digital Health
+  ['wearable_device_data', 'TEXT'],
+  ['telemedicine_history', 'TEXT'],
+  ['patient_portal_access', 'BOOLEAN DEFAULT 0'],
+  ['mobile_health_apps', 'TEXT'],
+
+  // Regulatory & Compliance
+  ['hipaa_authorization', 'BOOLEAN DEFAULT 1'],
+  ['consent_forms', 'TEXT'],
+  ['privacy_preferences', 'TEXT'],
+  ['data_sharing_permissions', 'TEXT']
+];
+
+module.exports = {
+  version: 2,
+  name: 'patient_extended_columns',
+
+  async up(db) {
+    for (const [column, definition] of PATIENT_COLUMNS) {
+      if (!(await db.columnExists('patients', column))) {
+        await db.run(`ALTER TABLE patients ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    if (!(await db.columnExists('invoice_items', 'billing_code_id'))) {
+      await db.run('ALTER TABLE invoice_items ADD COLUMN billing_code_id INTEGER REFERENCES billing_codes (id)');
+    }
+
+    // Existing patients default to HIPAA authorization granted
+    await db.run('UPDATE patients SET hipaa_authorization = 1 WHERE hipaa_authorization IS NULL');
+  },
+
+  // The columns are part of the baseline schema on newer databases, so they are kept
+  async down() {}
+};
@@ -0,0 +1,114 @@
+// Change tracking for two-way sync with the central PostgreSQL database.
+// Every synced table gets a sync_id that identifies the row on all
+// workstations, and triggers that record local changes for the next push.
+
+const SYNC_TABLES = ['patients', 'appointments', 'invoices', 'payments', 'expenses'];
+
+module.exports = {
+  version: 3,
+  name: 'sync_tracking',
+
+  async up(db) {
+    // Sync metadata (device id and other key/value settings)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      )
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO sync_meta (key, value)
+      VALUES ('device_id', lower(hex(randomblob(16))))
+    `);
+
+    // One row per local insert/update/delete on a synced table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        record_id INTEGER NOT NULL,
+        sync_id TEXT,
+        operation TEXT NOT NULL CHECK (operation IN ('upsert', 'delete')),
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Sync watermarks per table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_state (
+        table_name TEXT PRIMARY KEY,
+        last_pushed_change_id INTEGER DEFAULT 0,
+        last_pulled_revision INTEGER DEFAULT 0,
+        last_synced_at DATETIME
+      )
+    `);
+
+    // One row per sync run
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        status TEXT DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+        pushed_count INTEGER DEFAULT 0,
+        pulled_count INTEGER DEFAULT 0,
+        skipped_count INTEGER DEFAULT 0,
+        error_message TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    for (const table of SYNC_TABLES) {
+      if (!(await db.columnExists(table, 'sync_id'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN sync_id TEXT`);
+      }
+
+      await db.run(`UPDATE ${table} SET sync_id = lower(hex(randomblob(16))) WHERE sync_id IS NULL`);
+      await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_sync_id ON ${table} (sync_id)`);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_insert AFTER INSERT ON ${table}
+        BEGIN
+          UPDATE ${table} SET sync_id = lower(hex(randomblob(16))) WHERE id = NEW.id AND sync_id IS NULL;
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', NEW.id, (SELECT sync_id FROM ${table} WHERE id = NEW.id), 'upsert');
+        END
+      `);
+
+      // Skips the sync_id assignment in the insert trigger
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_update AFTER UPDATE ON ${table}
+        WHEN OLD.sync_id IS NOT NULL
+        BEGIN
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', NEW.id, NEW.sync_id, 'upsert');
+        END
+      `);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_delete AFTER DELETE ON ${table}
+        BEGIN
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', OLD.id, OLD.sync_id, 'delete');
+        END
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const table of SYNC_TABLES) {
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_insert`);
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_update`);
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_delete`);
+      await db.run(`DROP INDEX IF EXISTS idx_${table}_sync_id`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN sync_id`);
+    }
+
+    await db.run('DROP TABLE IF EXISTS sync_log');
+    await db.run('DROP TABLE IF EXISTS sync_state');
+    await db.run('DROP TABLE IF EXISTS sync_changes');
+    await db.run('DROP TABLE IF EXISTS sync_meta');
+  }
+};
@@ -0,0 +1,73 @@
+// Row versions and conflict tracking for sync. A push carries the version the
+// record was edited from, so concurrent edits on two workstations are detected
+// instead of the last push silently winning.
+
+const SYNC_TABLES = ['patients', 'appointments', 'invoices', 'payments', 'expenses'];
+
+module.exports = {
+  version: 4,
+  name: 'sync_conflicts',
+
+  async up(db) {
+    if (!(await db.columnExists('sync_log', 'conflict_count'))) {
+      await db.run('ALTER TABLE sync_log ADD COLUMN conflict_count INTEGER DEFAULT 0');
+    }
+
+    // Version of each synced record as last agreed with the central database.
+    // Pushes send it as the base version so stale edits are detected.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_versions (
+        table_name TEXT NOT NULL,
+        sync_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        PRIMARY KEY (table_name, sync_id)
+      )
+    `);
+
+    // Concurrent edits to the same record from different workstations
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sync_conflicts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        sync_id TEXT NOT NULL,
+        record_id INTEGER,
+        local_data TEXT, -- JSON {fields, refs}; NULL when deleted locally
+        remote_data TEXT, -- JSON {fields, refs}; NULL when deleted remotely
+        local_version INTEGER,
+        remote_version INTEGER,
+        status TEXT DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        resolution TEXT CHECK (resolution IN ('mine', 'theirs', 'merge')),
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        resolved_by INTEGER,
+        FOREIGN KEY (resolved_by) REFERENCES users (id)
+      )
+    `);
+
+    for (const table of SYNC_TABLES) {
+      if (!(await db.columnExists(table, 'version'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+      }
+
+      // Updates that set the version themselves (sync, conflict resolution) are left alone
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_version AFTER UPDATE ON ${table}
+        WHEN NEW.version = OLD.version AND OLD.sync_id IS NOT NULL
+        BEGIN
+          UPDATE ${table} SET version = OLD.version + 1 WHERE id = NEW.id;
+        END
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const table of SYNC_TABLES) {
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_version`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN version`);
+    }
+
+    await db.run('DROP TABLE IF EXISTS sync_conflicts');
+    await db.run('DROP TABLE IF EXISTS sync_versions');
+    await db.run('ALTER TABLE sync_log DROP COLUMN conflict_count');
+  }
+};
@@ -0,0 +1,130 @@
+// Configurable roles. Each role holds a set of permission keys such as
+// 'patients.read' or 'invoices.void'; users.role names one of them.
+// The administrator role implicitly holds every permission.
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every part of the system',
+    permissions: []
+  },
+  {
+    name: 'doctor',
+    description: 'Clinical staff',
+    permissions: [
+      'dashboard.read',
+      'users.read',
+      'patients.read', 'patients.clinical.read', 'patients.create', 'patients.update', 'patients.delete',
+      'appointments.read', 'appointments.create', 'appointments.update', 'appointments.delete',
+      'billing.read', 'billing.create'
+    ]
+  },
+  {
+    name: 'receptionist',
+    description: 'Front desk: registration and scheduling',
+    permissions: [
+      'dashboard.read',
+      'users.read',
+      'patients.read', 'patients.create', 'patients.update',
+      'appointments.read', 'appointments.create', 'appointments.update', 'appointments.delete',
+      'billing.read', 'billing.create'
+    ]
+  },
+  {
+    name: 'accountant',
+    description: 'Billing, payments and expenses',
+    permissions: [
+      'dashboard.read',
+      'patients.read',
+      'billing.read', 'billing.create', 'billing_codes.create', 'billing_codes.update',
+      'invoices.read', 'invoices.create', 'invoices.update', 'invoices.void',
+      'payments.read', 'payments.create',
+      'expenses.read', 'expenses.create', 'expenses.update'
+    ]
+  }
+];
+
+const USER_COLUMNS = 'id, username, password_hash, role, name, email, phone, created_at, updated_at';
+
+module.exports = {
+  version: 5,
+  name: 'roles_permissions',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        is_system BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE
+      )
+    `);
+
+    for (const role of DEFAULT_ROLES) {
+      const result = await db.run(
+        'INSERT INTO roles (name, description, is_system) VALUES (?, ?, 1)',
+        [role.name, role.description]
+      );
+      for (const permission of role.permissions) {
+        await db.run('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [result.lastID, permission]);
+      }
+    }
+
+    // Rebuild users without the CHECK constraint that pinned role to the four built-in names
+    await db.run(`
+      CREATE TABLE users_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`INSERT INTO users_new (${USER_COLUMNS}) SELECT ${USER_COLUMNS} FROM users`);
+    await db.run('DROP TABLE users');
+    await db.run('ALTER TABLE users_new RENAME TO users');
+  },
+
+  async down(db) {
+    // Users on custom roles fall back to the least privileged built-in role
+    await db.run(`
+      UPDATE users SET role = 'receptionist'
+      WHERE role NOT IN ('admin', 'doctor', 'receptionist', 'accountant')
+    `);
+
+    await db.run(`
+      CREATE TABLE users_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'doctor', 'receptionist', 'accountant')),
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`INSERT INTO users_new (${USER_COLUMNS}) SELECT ${USER_COLUMNS} FROM users`);
+    await db.run('DROP TABLE users');
+    await db.run('ALTER TABLE users_new RENAME TO users');
+
+    await db.run('DROP TABLE IF EXISTS role_permissions');
+    await db.run('DROP TABLE IF EXISTS roles');
+  }
+};
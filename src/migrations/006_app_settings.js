@@ -0,0 +1,23 @@
+// Key/value application settings that administrators can change at runtime,
+// such as the idle timeout before a session is locked.
+
+module.exports = {
+  version: 6,
+  name: 'app_settings',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT, -- JSON encoded
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        FOREIGN KEY (updated_by) REFERENCES users (id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS app_settings');
+  }
+};
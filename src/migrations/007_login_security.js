@@ -0,0 +1,58 @@
+// Login hardening: failed-attempt counters and temporary lockout on users,
+// password age and forced change, and a history of previous password hashes
+// so they cannot be reused.
+
+const bcrypt = require('bcryptjs');
+
+// The password the default administrator account is seeded with
+const SEEDED_ADMIN_PASSWORD = 'admin123';
+
+module.exports = {
+  version: 7,
+  name: 'login_security',
+
+  async up(db) {
+    if (!(await db.columnExists('users', 'failed_login_attempts'))) {
+      await db.run('ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER DEFAULT 0');
+    }
+    if (!(await db.columnExists('users', 'locked_until'))) {
+      await db.run('ALTER TABLE users ADD COLUMN locked_until DATETIME');
+    }
+    if (!(await db.columnExists('users', 'password_changed_at'))) {
+      await db.run('ALTER TABLE users ADD COLUMN password_changed_at DATETIME');
+    }
+    if (!(await db.columnExists('users', 'must_change_password'))) {
+      await db.run('ALTER TABLE users ADD COLUMN must_change_password BOOLEAN DEFAULT 0');
+    }
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history (user_id, id)');
+
+    // Existing passwords start their expiry period now rather than expiring
+    // the moment the application is upgraded
+    await db.run('UPDATE users SET password_changed_at = CURRENT_TIMESTAMP WHERE password_changed_at IS NULL');
+
+    // A seeded administrator still on the default password must change it
+    const admin = await db.get("SELECT id, password_hash FROM users WHERE username = 'admin'");
+    if (admin && await bcrypt.compare(SEEDED_ADMIN_PASSWORD, admin.password_hash)) {
+      await db.run('UPDATE users SET must_change_password = 1 WHERE id = ?', [admin.id]);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_password_history_user');
+    await db.run('DROP TABLE IF EXISTS password_history');
+    await db.run('ALTER TABLE users DROP COLUMN must_change_password');
+    await db.run('ALTER TABLE users DROP COLUMN password_changed_at');
+    await db.run('ALTER TABLE users DROP COLUMN locked_until');
+    await db.run('ALTER TABLE users DROP COLUMN failed_login_attempts');
+  }
+};
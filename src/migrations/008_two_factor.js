@@ -0,0 +1,45 @@
+// TOTP two-factor authentication. The shared secret lives on the user row
+// (totp_enabled stays 0 until enrolment is confirmed with a valid code) and
+// single-use recovery codes are stored hashed in their own table.
+
+module.exports = {
+  version: 8,
+  name: 'two_factor',
+
+  async up(db) {
+    if (!(await db.columnExists('users', 'totp_secret'))) {
+      await db.run('ALTER TABLE users ADD COLUMN totp_secret TEXT');
+    }
+    if (!(await db.columnExists('users', 'totp_enabled'))) {
+      await db.run('ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT 0');
+    }
+    if (!(await db.columnExists('users', 'totp_enrolled_at'))) {
+      await db.run('ALTER TABLE users ADD COLUMN totp_enrolled_at DATETIME');
+    }
+    // Time step of the last accepted code, so a code cannot be replayed
+    if (!(await db.columnExists('users', 'totp_last_step'))) {
+      await db.run('ALTER TABLE users ADD COLUMN totp_last_step INTEGER');
+    }
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes (user_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_user_recovery_codes_user');
+    await db.run('DROP TABLE IF EXISTS user_recovery_codes');
+    await db.run('ALTER TABLE users DROP COLUMN totp_last_step');
+    await db.run('ALTER TABLE users DROP COLUMN totp_enrolled_at');
+    await db.run('ALTER TABLE users DROP COLUMN totp_enabled');
+    await db.run('ALTER TABLE users DROP COLUMN totp_secret');
+  }
+};
@@ -0,0 +1,41 @@
+// Tamper-evident audit log: every row is chained to the one before it by
+// hash (see auditChain.js), and the columns the audit viewer filters on are
+// indexed. Rows written before this migration are chained in id order.
+
+const { hashAuditEntry } = require('../auditChain');
+
+module.exports = {
+  version: 9,
+  name: 'audit_chain',
+
+  async up(db) {
+    if (!(await db.columnExists('audit_log', 'prev_hash'))) {
+      await db.run('ALTER TABLE audit_log ADD COLUMN prev_hash TEXT');
+    }
+    if (!(await db.columnExists('audit_log', 'row_hash'))) {
+      await db.run('ALTER TABLE audit_log ADD COLUMN row_hash TEXT');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp)');
+
+    const rows = await db.all('SELECT * FROM audit_log ORDER BY id');
+    let prevHash = null;
+    for (const row of rows) {
+      const rowHash = hashAuditEntry(prevHash, row);
+      await db.run('UPDATE audit_log SET prev_hash = ?, row_hash = ? WHERE id = ?', [prevHash, rowHash, row.id]);
+      prevHash = rowHash;
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_audit_log_timestamp');
+    await db.run('DROP INDEX IF EXISTS idx_audit_log_action');
+    await db.run('DROP INDEX IF EXISTS idx_audit_log_user');
+    await db.run('DROP INDEX IF EXISTS idx_audit_log_record');
+    await db.run('ALTER TABLE audit_log DROP COLUMN row_hash');
+    await db.run('ALTER TABLE audit_log DROP COLUMN prev_hash');
+  }
+};
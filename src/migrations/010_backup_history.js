@@ -0,0 +1,37 @@
+// History of database backups: where each one was written, how, and whether
+// its integrity check passed. Backups pruned by the retention policy keep
+// their row with removed_at set.
+
+module.exports = {
+  version: 10,
+  name: 'backup_history',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS backups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_path TEXT,
+        trigger TEXT NOT NULL, -- manual or scheduled
+        status TEXT NOT NULL, -- completed or failed
+        schema_version INTEGER,
+        size_bytes INTEGER,
+        sha256 TEXT,
+        compressed BOOLEAN DEFAULT 0,
+        encrypted BOOLEAN DEFAULT 0,
+        integrity_check TEXT,
+        error TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        verified_at DATETIME,
+        removed_at DATETIME,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_backups_created_at ON backups (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_backups_created_at');
+    await db.run('DROP TABLE IF EXISTS backups');
+  }
+};
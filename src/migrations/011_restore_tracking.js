@@ -0,0 +1,18 @@
+// Restores keep a snapshot of the database they replaced, recorded as a
+// backup with trigger 'pre_restore'. restore_source names the backup that
+// was restored over it, so the restore can be rolled back from the snapshot.
+
+module.exports = {
+  version: 11,
+  name: 'restore_tracking',
+
+  async up(db) {
+    if (!(await db.columnExists('backups', 'restore_source'))) {
+      await db.run('ALTER TABLE backups ADD COLUMN restore_source TEXT');
+    }
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE backups DROP COLUMN restore_source');
+  }
+};
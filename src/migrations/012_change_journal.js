@@ -0,0 +1,34 @@
+// Row-level change journal for point-in-time recovery; see changeJournal.js.
+// Changes can be recovered back to when this migration ran.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+module.exports = {
+  version: 12,
+  name: 'change_journal',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS change_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        record_id INTEGER NOT NULL,
+        operation TEXT NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+        old_row TEXT,
+        new_row TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_change_journal_record ON change_journal (table_name, record_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_change_journal_changed_at ON change_journal (changed_at)');
+
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    await db.run('DROP INDEX IF EXISTS idx_change_journal_changed_at');
+    await db.run('DROP INDEX IF EXISTS idx_change_journal_record');
+    await db.run('DROP TABLE IF EXISTS change_journal');
+  }
+};
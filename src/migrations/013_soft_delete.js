@@ -0,0 +1,38 @@
+// Soft deletion. Deleted patients, appointments, invoices and users keep
+// their rows with deleted_at/deleted_by set and wait in the recycle bin until
+// an administrator restores or purges them, or the retention period ends.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+const SOFT_DELETE_TABLES = ['patients', 'appointments', 'invoices', 'users'];
+
+module.exports = {
+  version: 13,
+  name: 'soft_delete',
+
+  async up(db) {
+    for (const table of SOFT_DELETE_TABLES) {
+      if (!(await db.columnExists(table, 'deleted_at'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME`);
+      }
+      if (!(await db.columnExists(table, 'deleted_by'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN deleted_by INTEGER REFERENCES users (id)`);
+      }
+      await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table} (deleted_at)`);
+    }
+
+    // The journal triggers list each table's columns
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    for (const table of SOFT_DELETE_TABLES) {
+      await db.run(`DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN deleted_by`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN deleted_at`);
+    }
+
+    await installJournalTriggers(db);
+  }
+};
@@ -0,0 +1,62 @@
+// Foreign keys are enforced from this version on (database.js turns on
+// PRAGMA foreign_keys). Every relation gets an explicit ON DELETE policy:
+// CASCADE for rows that only exist for their parent, RESTRICT where the child
+// is a clinical or financial record that must outlive a mistaken delete, and
+// SET NULL for "who did this" columns.
+
+const { rebuildTable } = require('../tableRebuild');
+
+const POLICIES = {
+  patients: { deleted_by: 'SET NULL' },
+  users: { deleted_by: 'SET NULL' },
+  appointments: { patient_id: 'CASCADE', doctor_id: 'RESTRICT', deleted_by: 'SET NULL' },
+  invoices: { patient_id: 'RESTRICT', deleted_by: 'SET NULL' },
+  invoice_items: { invoice_id: 'CASCADE', billing_code_id: 'RESTRICT' },
+  appointment_billings: { appointment_id: 'CASCADE', billing_code_id: 'RESTRICT', invoice_id: 'SET NULL' },
+  payments: { invoice_id: 'RESTRICT' },
+  billing_rules: { billing_code_id: 'CASCADE' },
+  audit_log: { user_id: 'RESTRICT' },
+  password_history: { user_id: 'CASCADE' },
+  user_recovery_codes: { user_id: 'CASCADE' },
+  app_settings: { updated_by: 'SET NULL' },
+  sync_log: { user_id: 'SET NULL' },
+  sync_conflicts: { resolved_by: 'SET NULL' },
+  backups: { created_by: 'SET NULL' }
+};
+
+// Set (or with action null, remove) the ON DELETE clause of the foreign key
+// on column, whether declared as a table constraint or on the column itself
+function setOnDelete(sql, column, action) {
+  const clause = action ? ` ON DELETE ${action}` : '';
+  const patterns = [
+    new RegExp(`(FOREIGN KEY \\(${column}\\) REFERENCES \\w+ \\(id\\))( ON DELETE (CASCADE|RESTRICT|SET NULL))?`),
+    new RegExp(`(\\b${column} INTEGER REFERENCES \\w+ \\(id\\))( ON DELETE (CASCADE|RESTRICT|SET NULL))?`)
+  ];
+
+  for (const pattern of patterns) {
+    if (pattern.test(sql)) {
+      return sql.replace(pattern, `$1${clause}`);
+    }
+  }
+  throw new Error(`No foreign key on ${column} to give an ON DELETE policy`);
+}
+
+async function applyPolicies(db, withActions) {
+  for (const [table, columns] of Object.entries(POLICIES)) {
+    await rebuildTable(db, table, sql => Object.entries(columns).reduce(
+      (rebuilt, [column, action]) => setOnDelete(rebuilt, column, withActions ? action : null), sql));
+  }
+}
+
+module.exports = {
+  version: 14,
+  name: 'foreign_key_policies',
+
+  async up(db) {
+    await applyPolicies(db, true);
+  },
+
+  async down(db) {
+    await applyPolicies(db, false);
+  }
+};
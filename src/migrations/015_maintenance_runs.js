@@ -0,0 +1,33 @@
+// History of database maintenance: integrity checks, VACUUM, ANALYZE and WAL
+// checkpoints, run by an administrator or on the maintenance schedule.
+// size_before and size_after are the database file size in bytes.
+
+module.exports = {
+  version: 15,
+  name: 'maintenance_runs',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS maintenance_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task TEXT NOT NULL, -- integrity_check, analyze, vacuum or checkpoint
+        trigger TEXT NOT NULL, -- manual or scheduled
+        status TEXT NOT NULL, -- completed or failed
+        result TEXT,
+        error TEXT,
+        size_before INTEGER,
+        size_after INTEGER,
+        duration_ms INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_maintenance_runs_created_at ON maintenance_runs (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_maintenance_runs_created_at');
+    await db.run('DROP TABLE IF EXISTS maintenance_runs');
+  }
+};
@@ -0,0 +1,57 @@
+// Line-level tax and sequential invoice numbers. Each invoice item keeps the
+// tax rate and tax it was charged, or is marked tax exempt, and
+// invoice_sequences holds the last number issued per prefix and year (year 0
+// when numbers do not restart each year).
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+const ITEM_COLUMNS = [
+  { name: 'tax_rate', definition: 'REAL DEFAULT 0' },
+  { name: 'tax_amount', definition: 'REAL DEFAULT 0' },
+  { name: 'tax_exempt', definition: 'BOOLEAN DEFAULT 0' }
+];
+
+module.exports = {
+  version: 16,
+  name: 'invoice_engine',
+
+  async up(db) {
+    for (const column of ITEM_COLUMNS) {
+      if (!(await db.columnExists('invoice_items', column.name))) {
+        await db.run(`ALTER TABLE invoice_items ADD COLUMN ${column.name} ${column.definition}`);
+      }
+    }
+
+    // Earlier invoices charged one rate on their whole amount
+    await db.run(`
+      UPDATE invoice_items SET tax_rate = COALESCE((
+        SELECT CASE WHEN i.amount > 0 THEN ROUND(i.tax_amount / i.amount, 4) ELSE 0 END
+        FROM invoices i WHERE i.id = invoice_items.invoice_id
+      ), 0)
+      WHERE tax_amount = 0 AND tax_rate = 0
+    `);
+    await db.run('UPDATE invoice_items SET tax_amount = ROUND(total_price * tax_rate, 2) WHERE tax_amount = 0');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        prefix TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        last_number INTEGER NOT NULL,
+        PRIMARY KEY (prefix, year)
+      )
+    `);
+
+    // The journal triggers list each table's columns
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    await db.run('DROP TABLE IF EXISTS invoice_sequences');
+    for (const column of ITEM_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE invoice_items DROP COLUMN ${column.name}`);
+    }
+
+    await installJournalTriggers(db);
+  }
+};
@@ -0,0 +1,67 @@
+// Tax rates as configuration. Each tax code (standard, zero rated, ...) has
+// rates with the date they take effect; a line is taxed at the rate in effect
+// on its invoice's date. Billing codes and invoice items name their tax code,
+// and invoices record whether their prices included tax.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+module.exports = {
+  version: 17,
+  name: 'tax_rates',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS tax_rates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        rate REAL NOT NULL CHECK (rate >= 0 AND rate < 1),
+        effective_from DATE NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (code, effective_from),
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    if (!(await db.columnExists('billing_codes', 'tax_code'))) {
+      await db.run("ALTER TABLE billing_codes ADD COLUMN tax_code TEXT NOT NULL DEFAULT 'standard'");
+    }
+    if (!(await db.columnExists('invoice_items', 'tax_code'))) {
+      await db.run('ALTER TABLE invoice_items ADD COLUMN tax_code TEXT');
+    }
+    if (!(await db.columnExists('invoices', 'tax_inclusive'))) {
+      await db.run('ALTER TABLE invoices ADD COLUMN tax_inclusive BOOLEAN DEFAULT 0');
+    }
+
+    // Zimbabwe VAT and zero rating, plus a code for any other rate billing
+    // codes were given before rates were configurable
+    await db.run(`
+      INSERT OR IGNORE INTO tax_rates (code, name, rate, effective_from)
+      VALUES ('standard', 'Standard VAT', 0.15, '2000-01-01'), ('zero', 'Zero rated', 0, '2000-01-01')
+    `);
+    const otherRates = await db.all('SELECT DISTINCT tax_rate FROM billing_codes WHERE tax_rate IS NOT NULL AND tax_rate NOT IN (0, 0.15)');
+    for (const { tax_rate: rate } of otherRates) {
+      const percent = Math.round(rate * 10000) / 100;
+      const code = `rate_${String(percent).replace('.', '_')}`;
+      await db.run(`
+        INSERT OR IGNORE INTO tax_rates (code, name, rate, effective_from) VALUES (?, ?, ?, '2000-01-01')
+      `, [code, `VAT ${percent}%`, rate]);
+      await db.run('UPDATE billing_codes SET tax_code = ? WHERE tax_rate = ?', [code, rate]);
+    }
+    await db.run("UPDATE billing_codes SET tax_code = 'zero' WHERE tax_rate = 0");
+
+    // The journal triggers list each table's columns
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    await db.run('ALTER TABLE invoices DROP COLUMN tax_inclusive');
+    await db.run('ALTER TABLE invoice_items DROP COLUMN tax_code');
+    await db.run('ALTER TABLE billing_codes DROP COLUMN tax_code');
+    await db.run('DROP TABLE IF EXISTS tax_rates');
+
+    await installJournalTriggers(db);
+  }
+};
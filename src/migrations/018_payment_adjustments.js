@@ -0,0 +1,137 @@
+// Partial payments, refunds, credit notes and patient credit. Invoices may
+// be 'partial'ly paid, and patient credit can be applied as a payment. The
+// part of a payment beyond what its invoice owed is recorded on the payment
+// as overpayment and becomes credit for the patient.
+
+const { rebuildTable } = require('../tableRebuild');
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+const INVOICE_STATUSES = {
+  before: "status IN ('paid', 'unpaid', 'overdue', 'cancelled')",
+  after: "status IN ('paid', 'partial', 'unpaid', 'overdue', 'cancelled')"
+};
+
+const PAYMENT_METHODS = {
+  before: "payment_method IN ('cash', 'card', 'bank_transfer', 'check', 'insurance', 'other')",
+  after: "payment_method IN ('cash', 'card', 'bank_transfer', 'check', 'insurance', 'other', 'patient_credit')"
+};
+
+// Permissions this version adds, given to the built-in accountant role
+const ACCOUNTANT_PERMISSIONS = ['invoices.credit', 'payments.refund'];
+
+function replaceConstraint(sql, { before, after }, forward) {
+  const [from, to] = forward ? [before, after] : [after, before];
+  if (!sql.includes(from)) {
+    throw new Error(`Constraint not found: ${from}`);
+  }
+  return sql.replace(from, to);
+}
+
+async function rebuildConstraints(db, forward) {
+  await rebuildTable(db, 'invoices', sql => replaceConstraint(sql, INVOICE_STATUSES, forward));
+  await rebuildTable(db, 'payments', sql => replaceConstraint(sql, PAYMENT_METHODS, forward));
+}
+
+module.exports = {
+  version: 18,
+  name: 'payment_adjustments',
+
+  async up(db) {
+    await rebuildConstraints(db, true);
+
+    if (!(await db.columnExists('payments', 'overpayment'))) {
+      await db.run('ALTER TABLE payments ADD COLUMN overpayment REAL NOT NULL DEFAULT 0');
+    }
+
+    // A credit note reduces what an invoice asks for; tax_amount is the
+    // output tax it gives back
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS credit_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        credit_note_number TEXT UNIQUE NOT NULL,
+        invoice_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK (amount > 0),
+        tax_amount REAL NOT NULL DEFAULT 0,
+        reason TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payment_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK (amount > 0),
+        refund_date DATE NOT NULL,
+        refund_method TEXT NOT NULL CHECK (refund_method IN ('cash', 'card', 'bank_transfer', 'check', 'insurance', 'other', 'patient_credit')),
+        reason TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Ledger of each patient's credit: overpayments and refunds of payments
+    // made from credit add to it; credit applied to invoices or paid back
+    // to the patient takes from it
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS patient_credits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('overpayment', 'applied', 'restored', 'refunded')),
+        payment_id INTEGER,
+        refund_id INTEGER,
+        refund_method TEXT,
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients (id) ON DELETE RESTRICT,
+        FOREIGN KEY (payment_id) REFERENCES payments (id) ON DELETE RESTRICT,
+        FOREIGN KEY (refund_id) REFERENCES refunds (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes (invoice_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds (payment_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patient_credits_patient ON patient_credits (patient_id)');
+
+    // Invoices paid in part were left unpaid or overdue, as 'partial' was refused
+    await db.run(`
+      UPDATE invoices SET status = 'partial'
+      WHERE status = 'unpaid'
+        AND (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = invoices.id) > 0
+    `);
+
+    for (const permission of ACCOUNTANT_PERMISSIONS) {
+      await db.run(`
+        INSERT OR IGNORE INTO role_permissions (role_id, permission)
+        SELECT id, ? FROM roles WHERE name = 'accountant'
+      `, [permission]);
+    }
+
+    // The new tables are journaled too
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await db.run(`DELETE FROM role_permissions WHERE permission IN (${ACCOUNTANT_PERMISSIONS.map(() => '?').join(', ')})`,
+      ACCOUNTANT_PERMISSIONS);
+    await dropJournalTriggers(db);
+    await db.run('DROP TABLE IF EXISTS patient_credits');
+    await db.run('DROP TABLE IF EXISTS refunds');
+    await db.run('DROP TABLE IF EXISTS credit_notes');
+    await db.run('ALTER TABLE payments DROP COLUMN overpayment');
+
+    await db.run("UPDATE invoices SET status = 'unpaid' WHERE status = 'partial'");
+    await db.run("UPDATE payments SET payment_method = 'other' WHERE payment_method = 'patient_credit'");
+    await rebuildConstraints(db, false);
+
+    await installJournalTriggers(db);
+  }
+};
@@ -0,0 +1,135 @@
+// Insurance claims. Insurers are kept as master data; patients name theirs
+// in insurance_provider, matched to an insurer by name. A claim asks an
+// insurer to pay (part of) an invoice, lists the services claimed, and is
+// settled by remittances, each splitting what is left of the claim into
+// what the insurer paid, what it adjusted away and what the patient owes.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+// Permissions this version adds, given to the built-in accountant role
+const ACCOUNTANT_PERMISSIONS = ['claims.read', 'claims.manage', 'insurers.manage'];
+
+module.exports = {
+  version: 19,
+  name: 'insurance_claims',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS insurers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        payer_code TEXT,
+        phone TEXT,
+        email TEXT,
+        address TEXT,
+        notes TEXT,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Policy details are copied from the patient when the claim is made
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS claims (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_number TEXT UNIQUE NOT NULL,
+        invoice_id INTEGER NOT NULL,
+        appointment_id INTEGER,
+        insurer_id INTEGER NOT NULL,
+        patient_id INTEGER NOT NULL,
+        policy_number TEXT,
+        group_id TEXT,
+        subscriber_id TEXT,
+        status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'partially_paid', 'rejected', 'paid')),
+        claimed_amount REAL NOT NULL CHECK (claimed_amount > 0),
+        submitted_at DATETIME,
+        settled_at DATETIME,
+        rejection_reason TEXT,
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE RESTRICT,
+        FOREIGN KEY (appointment_id) REFERENCES appointments (id) ON DELETE SET NULL,
+        FOREIGN KEY (insurer_id) REFERENCES insurers (id) ON DELETE RESTRICT,
+        FOREIGN KEY (patient_id) REFERENCES patients (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Copies of the invoice lines claimed; invoice items are replaced when
+    // an invoice is edited
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS claim_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_id INTEGER NOT NULL,
+        billing_code_id INTEGER,
+        code TEXT,
+        description TEXT NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        amount REAL NOT NULL,
+        FOREIGN KEY (claim_id) REFERENCES claims (id) ON DELETE CASCADE,
+        FOREIGN KEY (billing_code_id) REFERENCES billing_codes (id) ON DELETE SET NULL
+      )
+    `);
+
+    // The insurer's payment is recorded on the invoice as an insurance
+    // payment, and its adjustment as a credit note
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS claim_remittances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_id INTEGER NOT NULL,
+        remittance_date DATE NOT NULL,
+        insurer_paid REAL NOT NULL DEFAULT 0 CHECK (insurer_paid >= 0),
+        adjustment REAL NOT NULL DEFAULT 0 CHECK (adjustment >= 0),
+        patient_responsibility REAL NOT NULL DEFAULT 0 CHECK (patient_responsibility >= 0),
+        reference_number TEXT,
+        notes TEXT,
+        payment_id INTEGER,
+        credit_note_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (claim_id) REFERENCES claims (id) ON DELETE RESTRICT,
+        FOREIGN KEY (payment_id) REFERENCES payments (id) ON DELETE RESTRICT,
+        FOREIGN KEY (credit_note_id) REFERENCES credit_notes (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_claims_invoice ON claims (invoice_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_claims_insurer ON claims (insurer_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_claims_status ON claims (status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_claim_items_claim ON claim_items (claim_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_claim_remittances_claim ON claim_remittances (claim_id)');
+
+    // Insurers patients already name; names differing only in case are one insurer
+    await db.run(`
+      INSERT OR IGNORE INTO insurers (name)
+      SELECT DISTINCT TRIM(insurance_provider) FROM patients
+      WHERE insurance_provider IS NOT NULL AND TRIM(insurance_provider) != ''
+      ORDER BY 1
+    `);
+
+    for (const permission of ACCOUNTANT_PERMISSIONS) {
+      await db.run(`
+        INSERT OR IGNORE INTO role_permissions (role_id, permission)
+        SELECT id, ? FROM roles WHERE name = 'accountant'
+      `, [permission]);
+    }
+
+    // The new tables are journaled too
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await db.run(`DELETE FROM role_permissions WHERE permission IN (${ACCOUNTANT_PERMISSIONS.map(() => '?').join(', ')})`,
+      ACCOUNTANT_PERMISSIONS);
+    await dropJournalTriggers(db);
+    await db.run('DROP TABLE IF EXISTS claim_remittances');
+    await db.run('DROP TABLE IF EXISTS claim_items');
+    await db.run('DROP TABLE IF EXISTS claims');
+    await db.run('DROP TABLE IF EXISTS insurers');
+    await installJournalTriggers(db);
+  }
+};
@@ -0,0 +1,49 @@
+// Insurer tariffs: how much of each billing code an insurer covers. A rule
+// for a billing code applies to that code; a rule without one applies to
+// every code without a rule of its own. Claim items record the rule they
+// were claimed under, so what an insurer has paid towards an annual limit
+// can be added up.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+module.exports = {
+  version: 20,
+  name: 'insurer_tariffs',
+
+  async up(db) {
+    // The patient first pays copay_amount of each service; the insurer
+    // covers coverage_percent of the rest, up to annual_limit a patient
+    // per calendar year when one is set
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS insurer_tariffs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        insurer_id INTEGER NOT NULL,
+        billing_code_id INTEGER,
+        coverage_percent REAL NOT NULL DEFAULT 100 CHECK (coverage_percent >= 0 AND coverage_percent <= 100),
+        copay_amount REAL NOT NULL DEFAULT 0 CHECK (copay_amount >= 0),
+        annual_limit REAL CHECK (annual_limit IS NULL OR annual_limit > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (insurer_id) REFERENCES insurers (id) ON DELETE CASCADE,
+        FOREIGN KEY (billing_code_id) REFERENCES billing_codes (id) ON DELETE CASCADE
+      )
+    `);
+
+    // One rule per billing code, and one for all other codes, per insurer
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_insurer_tariffs_code ON insurer_tariffs (insurer_id, IFNULL(billing_code_id, 0))');
+
+    if (!(await db.columnExists('claim_items', 'tariff_id'))) {
+      await db.run('ALTER TABLE claim_items ADD COLUMN tariff_id INTEGER REFERENCES insurer_tariffs (id) ON DELETE SET NULL');
+    }
+
+    // The new table and column are journaled too
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    await db.run('ALTER TABLE claim_items DROP COLUMN tariff_id');
+    await db.run('DROP TABLE IF EXISTS insurer_tariffs');
+    await installJournalTriggers(db);
+  }
+};
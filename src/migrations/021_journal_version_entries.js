@@ -0,0 +1,24 @@
+// The journal no longer records the version trigger's own update, which
+// changes nothing but a synced record's version, so record histories show
+// each edit once. The entries it wrote until now are removed.
+
+const { installJournalTriggers } = require('../changeJournal');
+
+module.exports = {
+  version: 21,
+  name: 'journal_version_entries',
+
+  async up(db) {
+    await installJournalTriggers(db);
+    await db.run(`
+      DELETE FROM change_journal
+      WHERE operation = 'UPDATE'
+        AND json_extract(old_row, '$.version') IS NOT json_extract(new_row, '$.version')
+        AND json_remove(old_row, '$.version') = json_remove(new_row, '$.version')
+    `);
+  },
+
+  // The removed entries only repeated the edits before them, and the
+  // triggers work as well on the older schema
+  async down() {}
+};
@@ -0,0 +1,78 @@
+// Refunds, credit notes and patient credit are synced, like the invoices and
+// payments whose balances they change, so every workstation works out the
+// same balance due. They get the sync_id, change triggers and version of
+// migrations 003 and 004.
+
+const { installJournalTriggers, dropJournalTriggers } = require('../changeJournal');
+
+const ADJUSTMENT_TABLES = ['refunds', 'credit_notes', 'patient_credits'];
+
+module.exports = {
+  version: 22,
+  name: 'sync_adjustments',
+
+  async up(db) {
+    for (const table of ADJUSTMENT_TABLES) {
+      if (!(await db.columnExists(table, 'sync_id'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN sync_id TEXT`);
+      }
+      if (!(await db.columnExists(table, 'version'))) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+      }
+
+      await db.run(`UPDATE ${table} SET sync_id = lower(hex(randomblob(16))) WHERE sync_id IS NULL`);
+      await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_sync_id ON ${table} (sync_id)`);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_insert AFTER INSERT ON ${table}
+        BEGIN
+          UPDATE ${table} SET sync_id = lower(hex(randomblob(16))) WHERE id = NEW.id AND sync_id IS NULL;
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', NEW.id, (SELECT sync_id FROM ${table} WHERE id = NEW.id), 'upsert');
+        END
+      `);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_update AFTER UPDATE ON ${table}
+        WHEN OLD.sync_id IS NOT NULL
+        BEGIN
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', NEW.id, NEW.sync_id, 'upsert');
+        END
+      `);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_delete AFTER DELETE ON ${table}
+        BEGIN
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES ('${table}', OLD.id, OLD.sync_id, 'delete');
+        END
+      `);
+
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_${table}_version AFTER UPDATE ON ${table}
+        WHEN NEW.version = OLD.version AND OLD.sync_id IS NOT NULL
+        BEGIN
+          UPDATE ${table} SET version = OLD.version + 1 WHERE id = NEW.id;
+        END
+      `);
+    }
+
+    // The new columns are journaled too
+    await installJournalTriggers(db);
+  },
+
+  async down(db) {
+    await dropJournalTriggers(db);
+    for (const table of ADJUSTMENT_TABLES) {
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_version`);
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_insert`);
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_update`);
+      await db.run(`DROP TRIGGER IF EXISTS trg_${table}_sync_delete`);
+      await db.run(`DROP INDEX IF EXISTS idx_${table}_sync_id`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN version`);
+      await db.run(`ALTER TABLE ${table} DROP COLUMN sync_id`);
+    }
+    await installJournalTriggers(db);
+  }
+};
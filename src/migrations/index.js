@@ -0,0 +1,26 @@
+// Schema migrations in the order they are applied. Each one is required
+// explicitly so that webpack bundles it with the main process.
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_patient_extended_columns'),
+  require('./003_sync_tracking'),
+  require('./004_sync_conflicts'),
+  require('./005_roles_permissions'),
+  require('./006_app_settings'),
+  require('./007_login_security'),
+  require('./008_two_factor'),
+  require('./009_audit_chain'),
+  require('./010_backup_history'),
+  require('./011_restore_tracking'),
+  require('./012_change_journal'),
+  require('./013_soft_delete'),
+  require('./014_foreign_key_policies'),
+  require('./015_maintenance_runs'),
+  require('./016_invoice_engine'),
+  require('./017_tax_rates'),
+  require('./018_payment_adjustments'),
+  require('./019_insurance_claims'),
+  require('./020_insurer_tariffs'),
+  require('./021_journal_version_entries'),
+  require('./022_sync_adjustments')
+];
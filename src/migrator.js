@@ -0,0 +1,177 @@
+const migrations = require('./migrations');
+
+// Promise wrapper handed to each migration's up/down
+function createRunner(db) {
+  const runner = {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ lastID: this.lastID, changes: this.changes });
+          }
+        });
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        });
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      });
+    },
+
+    async columnExists(table, column) {
+      const columns = await runner.all(`PRAGMA table_info(${table})`);
+      return columns.some(info => info.name === column);
+    }
+  };
+
+  return runner;
+}
+
+class Migrator {
+  static get latestVersion() {
+    return migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+  }
+
+  static async ensureMigrationsTable(runner) {
+    await runner.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // Migrations that rebuild a table drop it while other tables still refer
+  // to it, so foreign keys are not enforced while they run. The pragma has no
+  // effect inside a transaction, hence around the whole run.
+  static async withoutForeignKeys(runner, callback) {
+    const { foreign_keys: enforced } = await runner.get('PRAGMA foreign_keys');
+    await runner.run('PRAGMA foreign_keys = OFF');
+    try {
+      return await callback();
+    } finally {
+      await runner.run(`PRAGMA foreign_keys = ${enforced ? 'ON' : 'OFF'}`);
+    }
+  }
+
+  static async getAppliedVersions(runner) {
+    const rows = await runner.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+  }
+
+  // Apply every pending migration in order, each in its own transaction.
+  // Returns the versions that were applied.
+  static async migrate(db) {
+    const runner = createRunner(db);
+    await Migrator.ensureMigrationsTable(runner);
+
+    const applied = await Migrator.getAppliedVersions(runner);
+    const currentVersion = applied.length > 0 ? applied[applied.length - 1] : 0;
+
+    if (currentVersion > Migrator.latestVersion) {
+      throw new Error(`Database schema version ${currentVersion} is newer than this application supports (${Migrator.latestVersion}). Please update the application.`);
+    }
+
+    const pending = migrations
+      .filter(migration => !applied.includes(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    await Migrator.withoutForeignKeys(runner, async () => {
+      for (const migration of pending) {
+        await runner.run('BEGIN TRANSACTION');
+        try {
+          await migration.up(runner);
+          await runner.run(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+          await runner.run('COMMIT');
+          console.log(`Applied migration ${migration.version}: ${migration.name}`);
+        } catch (error) {
+          await runner.run('ROLLBACK');
+          throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+      }
+    });
+
+    return pending.map(migration => migration.version);
+  }
+
+  // Revert applied migrations above targetVersion, newest first
+  static async rollback(db, targetVersion) {
+    const runner = createRunner(db);
+    await Migrator.ensureMigrationsTable(runner);
+
+    const applied = await Migrator.getAppliedVersions(runner);
+    const toRevert = migrations
+      .filter(migration => migration.version > targetVersion && applied.includes(migration.version))
+      .sort((a, b) => b.version - a.version);
+
+    await Migrator.withoutForeignKeys(runner, async () => {
+      for (const migration of toRevert) {
+        await runner.run('BEGIN TRANSACTION');
+        try {
+          await migration.down(runner);
+          await runner.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+          await runner.run('COMMIT');
+          console.log(`Reverted migration ${migration.version}: ${migration.name}`);
+        } catch (error) {
+          await runner.run('ROLLBACK');
+          throw new Error(`Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+      }
+    });
+
+    return toRevert.map(migration => migration.version);
+  }
+
+  static async getStatus(db) {
+    const runner = createRunner(db);
+    await Migrator.ensureMigrationsTable(runner);
+
+    const rows = await runner.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    const appliedByVersion = new Map(rows.map(row => [row.version, row]));
+
+    const known = migrations.map(migration => {
+      const applied = appliedByVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: applied ? 'applied' : 'pending',
+        applied_at: applied ? applied.applied_at : null
+      };
+    });
+
+    const currentVersion = rows.length > 0 ? rows[rows.length - 1].version : 0;
+
+    return {
+      currentVersion,
+      latestVersion: Migrator.latestVersion,
+      migrations: known
+    };
+  }
+}
+
+module.exports = Migrator;
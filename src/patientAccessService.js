@@ -0,0 +1,150 @@
+const { all } = require('./repository');
+const Auth = require('./auth');
+const AuditService = require('./auditService');
+const PatientService = require('./patientService');
+
+// Screens a patient record can be opened from, as recorded in the access log
+const ACCESS_CONTEXTS = {
+  details: 'Patient details',
+  edit: 'Edit patient form',
+  export: 'Patient export'
+};
+
+const ACCESS_ACTIONS = ['VIEW_PATIENT', 'BREAK_GLASS'];
+const MIN_REASON_LENGTH = 10;
+
+function normalizeContext(context) {
+  return Object.prototype.hasOwnProperty.call(ACCESS_CONTEXTS, context) ? context : 'other';
+}
+
+// Read access to patient records. Every opened record is written to the
+// audit log so a per-patient access report can show who saw what, when and
+// from which screen.
+class PatientAccessService {
+  // The patient as the user may see it, after logging the view. Sensitive
+  // fields stay withheld unless this session has broken the glass for the
+  // patient; the flag tells the renderer to offer that.
+  static async viewPatient(userId, patientId, context, { clinicalAccess, sensitiveAccess }) {
+    const patient = await PatientService.getPatientById(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    await Auth.logAudit(userId, 'VIEW_PATIENT', 'patients', patient.id, null, {
+      patient_id: patient.patient_id,
+      context: normalizeContext(context),
+      clinical: clinicalAccess,
+      sensitive: clinicalAccess && sensitiveAccess
+    });
+
+    if (!clinicalAccess) {
+      return PatientService.withoutClinicalFields(patient);
+    }
+    if (!sensitiveAccess) {
+      return { ...PatientService.withoutSensitiveFields(patient), sensitive_fields_withheld: true };
+    }
+    return patient;
+  }
+
+  // Emergency access to a patient's sensitive fields. The reason is required
+  // and kept with the audit entry for later review.
+  static async breakGlass(userId, patientId, reason, context) {
+    const justification = String(reason || '').trim();
+    if (justification.length < MIN_REASON_LENGTH) {
+      throw new Error(`Enter a reason of at least ${MIN_REASON_LENGTH} characters to view restricted fields`);
+    }
+
+    const patient = await PatientService.getPatientById(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    await Auth.logAudit(userId, 'BREAK_GLASS', 'patients', patient.id, null, {
+      patient_id: patient.patient_id,
+      context: normalizeContext(context),
+      reason: justification,
+      fields: PatientService.SENSITIVE_FIELDS
+    });
+
+    const fields = {};
+    PatientService.SENSITIVE_FIELDS.forEach(field => {
+      fields[field] = patient[field];
+    });
+    return fields;
+  }
+
+  // Everyone who opened a patient's record, newest first, with a per-user summary
+  static async getAccessReport(patientRef) {
+    const patientId = await AuditService.resolveRecordId('patients', String(patientRef || '').trim());
+    if (!patientId) {
+      throw new Error('Enter a patient ID to run the access report');
+    }
+
+    const patient = await PatientService.getPatientById(patientId);
+
+    const rows = await all(`
+      SELECT a.id, a.user_id, a.action, a.new_values, a.timestamp, u.username, u.name as user_name
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE a.table_name = 'patients' AND a.record_id = ?
+        AND a.action IN (${ACCESS_ACTIONS.map(() => '?').join(', ')})
+      ORDER BY a.id DESC
+    `, [patientId, ...ACCESS_ACTIONS]);
+
+    const accesses = rows.map(row => {
+      let details = {};
+      try {
+        details = JSON.parse(row.new_values) || {};
+      } catch (error) {
+        details = {};
+      }
+
+      return {
+        id: row.id,
+        timestamp: row.timestamp,
+        userId: row.user_id,
+        username: row.username,
+        userName: row.user_name,
+        action: row.action,
+        context: details.context || 'other',
+        contextLabel: ACCESS_CONTEXTS[details.context] || 'Other',
+        clinical: !!details.clinical || row.action === 'BREAK_GLASS',
+        breakGlass: row.action === 'BREAK_GLASS',
+        reason: details.reason || null
+      };
+    });
+
+    const users = new Map();
+    accesses.forEach(access => {
+      const key = access.userId || 0;
+      if (!users.has(key)) {
+        users.set(key, {
+          userId: access.userId,
+          username: access.username,
+          userName: access.userName,
+          views: 0,
+          breakGlass: 0,
+          lastAccess: access.timestamp
+        });
+      }
+      const summary = users.get(key);
+      if (access.breakGlass) {
+        summary.breakGlass++;
+      } else {
+        summary.views++;
+      }
+    });
+
+    return {
+      patient: patient
+        ? { id: patient.id, patientId: patient.patient_id, name: `${patient.first_name} ${patient.last_name}` }
+        : { id: patientId, patientId: String(patientRef), name: null },
+      accesses,
+      users: Array.from(users.values())
+    };
+  }
+}
+
+PatientAccessService.ACCESS_CONTEXTS = ACCESS_CONTEXTS;
+
+module.exports = PatientAccessService;
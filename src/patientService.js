@@ -1,324 +1,349 @@
-const db = require('./database');
+const { run, get, all } = require('./repository');
 const Auth = require('./auth');
+const EncryptionService = require('./encryptionService');
+
+// Clinical columns, only visible to roles with the patients.clinical.read permission
+const CLINICAL_FIELDS = [
+  'medical_history', 'allergies', 'current_medications',
+  'mental_health_screening', 'immunization_history', 'cancer_screening_history',
+  'family_medical_history', 'genetic_testing_results', 'hereditary_conditions', 'consanguinity',
+  'vital_signs_history',
+  'chronic_conditions', 'hospitalization_records', 'laboratory_results', 'imaging_studies',
+  'medication_allergies', 'drug_interactions',
+  'advance_directives', 'dnr_orders',
+  'adl_assessment', 'iadl_assessment', 'pain_assessment', 'functional_independence',
+  'orthopedic_history', 'previous_surgeries', 'implant_types', 'current_condition', 'pain_level',
+  'range_of_motion', 'functional_assessment', 'treatment_plan', 'rehabilitation_notes',
+  'imaging_results', 'surgical_procedures', 'outcome_measures', 'comorbidities'
+];
+
+// Clinical columns stored encrypted: all but pain_level, an INTEGER column
+// whose CHECK (0 to 10) would reject ciphertext. It is still withheld from
+// roles without clinical access.
+const ENCRYPTED_FIELDS = CLINICAL_FIELDS.filter(field => field !== 'pain_level');
+
+// Clinical columns sensitive enough that even clinical roles must give a
+// reason ("break the glass") before each patient's values are shown
+const SENSITIVE_FIELDS = [
+  'family_medical_history', 'mental_health_screening',
+  'genetic_testing_results', 'hereditary_conditions', 'consanguinity'
+];
+
+// Patient rows use snake_case columns, form payloads camelCase keys
+function toDbKey(key) {
+  return key.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '');
+}
 
-class PatientService {
-  static async createPatient(patientData, userId) {
-    return new Promise((resolve, reject) => {
-      // Generate unique patient ID
-      const patientId = 'P' + Date.now().toString().slice(-8);
-
-      // Build dynamic SQL based on provided fields
-      const fields = ['patient_id', 'first_name', 'last_name'];
-      const values = [patientId, patientData.firstName, patientData.lastName];
-      const placeholders = ['?', '?', '?'];
-
-      // Map of database fields to input data
-      const fieldMapping = {
-        dateOfBirth: 'date_of_birth',
-        gender: 'gender',
-        phone: 'phone',
-        email: 'email',
-        address: 'address',
-        emergencyContactName: 'emergency_contact_name',
-        emergencyContactPhone: 'emergency_contact_phone',
-        medicalHistory: 'medical_history',
-        allergies: 'allergies',
-        currentMedications: 'current_medications',
-        notes: 'notes',
-        insuranceProvider: 'insurance_provider',
-        insurancePolicyNumber: 'insurance_policy_number',
-        insuranceGroupId: 'insurance_group_id',
-        insuranceSubscriberId: 'insurance_subscriber_id',
-        primaryCarePhysician: 'primary_care_physician',
-        preferredPharmacy: 'preferred_pharmacy',
-        billingAddress: 'billing_address',
-        maritalStatus: 'marital_status',
-        occupation: 'occupation',
-        employer: 'employer',
-        educationLevel: 'education_level',
-        languagePreferences: 'language_preferences',
-        interpreterNeeded: 'interpreter_needed',
-        raceEthnicity: 'race_ethnicity',
-        religion: 'religion',
-        smokingStatus: 'smoking_status',
-        alcoholConsumption: 'alcohol_consumption',
-        exerciseHabits: 'exercise_habits',
-        dietNutrition: 'diet_nutrition',
-        sleepPatterns: 'sleep_patterns',
-        stressLevels: 'stress_levels',
-        mentalHealthScreening: 'mental_health_screening',
-        immunizationHistory: 'immunization_history',
-        cancerScreeningHistory: 'cancer_screening_history',
-        familyMedicalHistory: 'family_medical_history',
-        geneticTestingResults: 'genetic_testing_results',
-        hereditaryConditions: 'hereditary_conditions',
-        consanguinity: 'consanguinity',
-        chronicConditions: 'chronic_conditions',
-        hospitalizationRecords: 'hospitalization_records',
-        laboratoryResults: 'laboratory_results',
-        imagingStudies: 'imaging_studies',
-        medicationAllergies: 'medication_allergies',
-        drugInteractions: 'drug_interactions',
-        preferredContactMethod: 'preferred_contact_method',
-        emergencyNotificationPreferences: 'emergency_notification_preferences',
-        advanceDirectives: 'advance_directives',
-        powerOfAttorney: 'power_of_attorney',
-        dnrOrders: 'dnr_orders',
-        organDonation: 'organ_donation',
-        adlAssessment: 'adl_assessment',
-        iadlAssessment: 'iadl_assessment',
-        painAssessment: 'pain_assessment',
-        functionalIndependence: 'functional_independence',
-        qualityOfLifeScores: 'quality_of_life_scores',
-        patientSatisfaction: 'patient_satisfaction',
-        clinicalTrialsParticipation: 'clinical_trials_participation',
-        populationHealthRiskScore: 'population_health_risk_score',
-        healthRiskAssessment: 'health_risk_assessment',
-        preventiveCareReminders: 'preventive_care_reminders',
-        telemedicineHistory: 'telemedicine_history',
-        patientPortalAccess: 'patient_portal_access',
-        mobileHealthApps: 'mobile_health_apps',
-        hipaaAuthorization: 'hipaa_authorization',
-        consentForms: 'consent_forms',
-        privacyPreferences: 'privacy_preferences',
-        dataSharingPermissions: 'data_sharing_permissions'
-      };
-
-      // Add provided fields
-      Object.keys(fieldMapping).forEach(key => {
-        if (patientData[key] !== undefined && patientData[key] !== null) {
-          fields.push(fieldMapping[key]);
-          values.push(patientData[key]);
-          placeholders.push('?');
-        }
-      });
+// Copy of a patient row or form payload without the given columns
+function withoutFields(data, fields) {
+  if (!data) {
+    return data;
+  }
 
-      const sql = `INSERT INTO patients (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
+  const result = {};
+  Object.keys(data).forEach(key => {
+    if (!fields.includes(toDbKey(key))) {
+      result[key] = data[key];
+    }
+  });
+  return result;
+}
 
-      db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          // Log creation
-          Auth.logAudit(userId, 'CREATE_PATIENT', 'patients', this.lastID, null, patientData);
-          resolve({ id: this.lastID, patientId });
-        }
-      });
-    });
+// Copy of a patient row or form payload with every encrypted clinical value transformed
+function mapClinicalValues(data, transform) {
+  if (!data) {
+    return data;
   }
 
-  static async getPatients(searchTerm = '', limit = 50, offset = 0, filters = {}) {
-    return new Promise((resolve, reject) => {
-      let sql = `
-        SELECT id, patient_id, first_name, last_name, date_of_birth, gender,
-               phone, email, address, medical_history, allergies, current_medications,
-               emergency_contact_name, emergency_contact_phone, notes, created_at,
-               insurance_provider, marital_status, occupation, smoking_status,
-               preferred_contact_method, chronic_conditions
-        FROM patients
-      `;
-
-      const params = [];
-      const conditions = [];
-
-      if (searchTerm) {
-        conditions.push(`(first_name LIKE ? OR last_name LIKE ? OR patient_id LIKE ? OR phone LIKE ? OR email LIKE ?)`);
-        const searchPattern = `%${searchTerm}%`;
-        params.push(searchPattern, searchPattern, searchPattern, searchPattern, searchPattern);
-      }
+  const result = {};
+  Object.keys(data).forEach(key => {
+    result[key] = ENCRYPTED_FIELDS.includes(toDbKey(key)) ? transform(data[key]) : data[key];
+  });
+  return result;
+}
 
-      // Add filter conditions
-      if (filters.gender) {
-        conditions.push('gender = ?');
-        params.push(filters.gender);
-      }
-      if (filters.smokingStatus) {
-        conditions.push('smoking_status = ?');
-        params.push(filters.smokingStatus);
-      }
-      if (filters.insuranceProvider) {
-        conditions.push('insurance_provider LIKE ?');
-        params.push(`%${filters.insuranceProvider}%`);
-      }
-      if (filters.chronicConditions) {
-        conditions.push('chronic_conditions LIKE ?');
-        params.push(`%${filters.chronicConditions}%`);
+class PatientService {
+  static async createPatient(patientData, userId) {
+    // Stored and audited encrypted
+    patientData = PatientService.encryptClinicalFields(patientData);
+
+    // Generate unique patient ID
+    const patientId = 'P' + Date.now().toString().slice(-8);
+
+    // Build dynamic SQL based on provided fields
+    const fields = ['patient_id', 'first_name', 'last_name'];
+    const values = [patientId, patientData.firstName, patientData.lastName];
+    const placeholders = ['?', '?', '?'];
+
+    // Map of database fields to input data
+    const fieldMapping = {
+      dateOfBirth: 'date_of_birth',
+      gender: 'gender',
+      phone: 'phone',
+      email: 'email',
+      address: 'address',
+      emergencyContactName: 'emergency_contact_name',
+      emergencyContactPhone: 'emergency_contact_phone',
+      medicalHistory: 'medical_history',
+      allergies: 'allergies',
+      currentMedications: 'current_medications',
+      notes: 'notes',
+      insuranceProvider: 'insurance_provider',
+      insurancePolicyNumber: 'insurance_policy_number',
+      insuranceGroupId: 'insurance_group_id',
+      insuranceSubscriberId: 'insurance_subscriber_id',
+      primaryCarePhysician: 'primary_care_physician',
+      preferredPharmacy: 'preferred_pharmacy',
+      billingAddress: 'billing_address',
+      maritalStatus: 'marital_status',
+      occupation: 'occupation',
+      employer: 'employer',
+      educationLevel: 'education_level',
+      languagePreferences: 'language_preferences',
+      interpreterNeeded: 'interpreter_needed',
+      raceEthnicity: 'race_ethnicity',
+      religion: 'religion',
+      smokingStatus: 'smoking_status',
+      alcoholConsumption: 'alcohol_consumption',
+      exerciseHabits: 'exercise_habits',
+      dietNutrition: 'diet_nutrition',
+      sleepPatterns: 'sleep_patterns',
+      stressLevels: 'stress_levels',
+      mentalHealthScreening: 'mental_health_screening',
+      immunizationHistory: 'immunization_history',
+      cancerScreeningHistory: 'cancer_screening_history',
+      familyMedicalHistory: 'family_medical_history',
+      geneticTestingResults: 'genetic_testing_results',
+      hereditaryConditions: 'hereditary_conditions',
+      consanguinity: 'consanguinity',
+      chronicConditions: 'chronic_conditions',
+      hospitalizationRecords: 'hospitalization_records',
+      laboratoryResults: 'laboratory_results',
+      imagingStudies: 'imaging_studies',
+      medicationAllergies: 'medication_allergies',
+      drugInteractions: 'drug_interactions',
+      preferredContactMethod: 'preferred_contact_method',
+      emergencyNotificationPreferences: 'emergency_notification_preferences',
+      advanceDirectives: 'advance_directives',
+      powerOfAttorney: 'power_of_attorney',
+      dnrOrders: 'dnr_orders',
+      organDonation: 'organ_donation',
+      adlAssessment: 'adl_assessment',
+      iadlAssessment: 'iadl_assessment',
+      painAssessment: 'pain_assessment',
+      functionalIndependence: 'functional_independence',
+      qualityOfLifeScores: 'quality_of_life_scores',
+      patientSatisfaction: 'patient_satisfaction',
+      clinicalTrialsParticipation: 'clinical_trials_participation',
+      populationHealthRiskScore: 'population_health_risk_score',
+      healthRiskAssessment: 'health_risk_assessment',
+      preventiveCareReminders: 'preventive_care_reminders',
+      telemedicineHistory: 'telemedicine_history',
+      patientPortalAccess: 'patient_portal_access',
+      mobileHealthApps: 'mobile_health_apps',
+      hipaaAuthorization: 'hipaa_authorization',
+      consentForms: 'consent_forms',
+      privacyPreferences: 'privacy_preferences',
+      dataSharingPermissions: 'data_sharing_permissions'
+    };
+
+    // Add provided fields
+    Object.keys(fieldMapping).forEach(key => {
+      if (patientData[key] !== undefined && patientData[key] !== null) {
+        fields.push(fieldMapping[key]);
+        values.push(patientData[key]);
+        placeholders.push('?');
       }
+    });
 
-      if (conditions.length > 0) {
-        sql += ' WHERE ' + conditions.join(' AND ');
-      }
+    const sql = `INSERT INTO patients (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
+    const { lastID } = await run(sql, values);
 
-      sql += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
-      params.push(limit, offset);
+    // Log creation
+    Auth.logAudit(userId, 'CREATE_PATIENT', 'patients', lastID, null, patientData);
+    return { id: lastID, patientId };
+  }
 
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+  static async getPatients(searchTerm = '', limit = 50, offset = 0, filters = {}) {
+    let sql = `
+      SELECT id, patient_id, first_name, last_name, date_of_birth, gender,
+             phone, email, address, medical_history, allergies, current_medications,
+             emergency_contact_name, emergency_contact_phone, notes, created_at,
+             insurance_provider, marital_status, occupation, smoking_status,
+             preferred_contact_method, chronic_conditions
+      FROM patients
+    `;
+
+    const params = [];
+    const conditions = ['deleted_at IS NULL'];
+
+    if (searchTerm) {
+      conditions.push(`(first_name LIKE ? OR last_name LIKE ? OR patient_id LIKE ? OR phone LIKE ? OR email LIKE ?)`);
+      const searchPattern = `%${searchTerm}%`;
+      params.push(searchPattern, searchPattern, searchPattern, searchPattern, searchPattern);
+    }
+
+    // Add filter conditions
+    if (filters.gender) {
+      conditions.push('gender = ?');
+      params.push(filters.gender);
+    }
+    if (filters.smokingStatus) {
+      conditions.push('smoking_status = ?');
+      params.push(filters.smokingStatus);
+    }
+    if (filters.insuranceProvider) {
+      conditions.push('insurance_provider LIKE ?');
+      params.push(`%${filters.insuranceProvider}%`);
+    }
+    // Encrypted values cannot be matched in SQL; they are filtered after decryption
+    const filterClinical = filters.chronicConditions && EncryptionService.isEnabled();
+    if (filters.chronicConditions && !filterClinical) {
+      conditions.push('chronic_conditions LIKE ?');
+      params.push(`%${filters.chronicConditions}%`);
+    }
+
+    sql += ' WHERE ' + conditions.join(' AND ');
+
+    sql += ' ORDER BY created_at DESC';
+    if (!filterClinical) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+
+    const rows = await all(sql, params);
+    let patients = rows.map(row => PatientService.decryptClinicalFields(row));
+    if (filterClinical) {
+      const term = filters.chronicConditions.toLowerCase();
+      patients = patients
+        .filter(patient => (patient.chronic_conditions || '').toLowerCase().includes(term))
+        .slice(offset, offset + limit);
+    }
+    return patients;
   }
 
   static async getPatientById(id) {
-    return new Promise((resolve, reject) => {
-      db.get(`
-        SELECT * FROM patients WHERE id = ?
-      `, [id], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    const row = await get('SELECT * FROM patients WHERE id = ? AND deleted_at IS NULL', [id]);
+    return PatientService.decryptClinicalFields(row);
   }
 
   static async updatePatient(id, patientData, userId) {
-    return new Promise((resolve, reject) => {
-      // Validate input
-      if (!id || !patientData || !userId) {
-        reject(new Error('Missing required parameters'));
-        return;
-      }
-
-      // Get old values for audit
-      db.get('SELECT * FROM patients WHERE id = ?', [id], (err, oldPatient) => {
-        if (err) {
-          console.error('Database error in updatePatient:', err);
-          reject(new Error('Database error occurred'));
-          return;
+    // Validate input
+    if (!id || !patientData || !userId) {
+      throw new Error('Missing required parameters');
+    }
+
+    // Stored and audited encrypted, like the old values read back for the audit entry
+    patientData = PatientService.encryptClinicalFields(patientData);
+
+    // Get old values for audit
+    let oldPatient;
+    try {
+      oldPatient = await get('SELECT * FROM patients WHERE id = ? AND deleted_at IS NULL', [id]);
+    } catch (err) {
+      console.error('Database error in updatePatient:', err);
+      throw new Error('Database error occurred');
+    }
+
+    if (!oldPatient) {
+      throw new Error('Patient not found');
+    }
+
+    // The form sends the version it was loaded at; a mismatch means the record
+    // was changed elsewhere (another user or a sync) in the meantime
+    if (patientData.version !== undefined && patientData.version !== null &&
+        Number(patientData.version) !== oldPatient.version) {
+      throw new Error('This patient was changed by someone else since you opened it. Reload the record and try again.');
+    }
+
+    const validFields = Object.keys(oldPatient).filter(key =>
+      !['id', 'patient_id', 'created_at', 'updated_at', 'sync_id', 'version', 'deleted_at', 'deleted_by'].includes(key)
+    );
+
+    const fields = [];
+    const values = [];
+
+    Object.keys(patientData).forEach(key => {
+      if (patientData[key] !== undefined && patientData[key] !== null) {
+        const dbKey = toDbKey(key);
+
+        // Validate field exists in database
+        if (validFields.includes(dbKey)) {
+          fields.push(`${dbKey} = ?`);
+          values.push(patientData[key]);
+        } else {
+          console.warn(`Unknown field: ${key} -> ${dbKey}`);
         }
+      }
+    });
 
-        if (!oldPatient) {
-          reject(new Error('Patient not found'));
-          return;
-        }
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
 
-        // Validate patient data
-        const validFields = Object.keys(oldPatient).filter(key =>
-          !['id', 'patient_id', 'created_at', 'updated_at'].includes(key)
-        );
-
-        const fieldsToUpdate = Object.keys(patientData).filter(key =>
-          patientData[key] !== undefined && patientData[key] !== null
-        );
-
-        // Validate fields
-        for (const field of fieldsToUpdate) {
-          const dbKey = field
-            .replace(/([A-Z])/g, '_$1')
-            .toLowerCase()
-            .replace(/^_/, ''); // Remove leading underscore if present
-          
-          if (!validFields.includes(dbKey)) {
-            console.warn(`Unknown field: ${field} -> ${dbKey}`);
-            continue;
-          }
-        }
+    values.push(id);
 
-        const fields = [];
-        const values = [];
-
-        Object.keys(patientData).forEach(key => {
-          if (patientData[key] !== undefined && patientData[key] !== null) {
-            const dbKey = key
-              .replace(/([A-Z])/g, '_$1')
-              .toLowerCase()
-              .replace(/^_/, ''); // Remove leading underscore if present
-            
-            // Validate field exists in database
-            if (validFields.includes(dbKey)) {
-              fields.push(`${dbKey} = ?`);
-              values.push(patientData[key]);
-            } else {
-              console.warn(`Unknown field: ${key} -> ${dbKey}`);
-            }
-          }
-        });
-
-        if (fields.length === 0) {
-          reject(new Error('No valid fields to update'));
-          return;
-        }
+    const sql = `UPDATE patients SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    let result;
+    try {
+      result = await run(sql, values);
+    } catch (err) {
+      console.error('Database error in updatePatient:', err);
+      throw new Error('Failed to update patient');
+    }
 
-        values.push(id);
-
-        const sql = `UPDATE patients SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-
-        db.run(sql, values, function(err) {
-          if (err) {
-            console.error('Database error in updatePatient:', err);
-            reject(new Error('Failed to update patient'));
-          } else {
-            // Log update
-            Auth.logAudit(userId, 'UPDATE_PATIENT', 'patients', id, oldPatient, patientData);
-            resolve({ success: true, changes: this.changes });
-          }
-        });
-      });
-    });
+    // Log update
+    Auth.logAudit(userId, 'UPDATE_PATIENT', 'patients', id, oldPatient, patientData);
+    return { success: true, changes: result.changes };
   }
 
+  // Moves the patient to the recycle bin; RecycleBinService restores or purges it
   static async deletePatient(id, userId) {
-    return new Promise((resolve, reject) => {
-      // Get patient for audit
-      db.get('SELECT * FROM patients WHERE id = ?', [id], (err, patient) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+    // Get patient for audit
+    const patient = await get('SELECT * FROM patients WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const { changes } = await run(`
+      UPDATE patients SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `, [userId, id]);
+
+    // Log deletion
+    Auth.logAudit(userId, 'DELETE_PATIENT', 'patients', id, patient, null);
+    return { success: true, changes };
+  }
 
-        if (!patient) {
-          reject(new Error('Patient not found'));
-          return;
-        }
+  static async getPatientStats() {
+    const [total, today, thisMonth] = await Promise.all([
+      get('SELECT COUNT(*) as total FROM patients WHERE deleted_at IS NULL'),
+      get('SELECT COUNT(*) as today FROM patients WHERE deleted_at IS NULL AND DATE(created_at) = DATE(\'now\')'),
+      get('SELECT COUNT(*) as thisMonth FROM patients WHERE deleted_at IS NULL AND strftime(\'%Y-%m\', created_at) = strftime(\'%Y-%m\', \'now\')')
+    ]);
 
-        db.run('DELETE FROM patients WHERE id = ?', [id], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            // Log deletion
-            Auth.logAudit(userId, 'DELETE_PATIENT', 'patients', id, patient, null);
-            resolve({ success: true, changes: this.changes });
-          }
-        });
-      });
-    });
+    return { total: total.total, today: today.today, thisMonth: thisMonth.thisMonth };
   }
 
-  static async getPatientStats() {
-    return new Promise((resolve, reject) => {
-      const queries = [
-        'SELECT COUNT(*) as total FROM patients',
-        'SELECT COUNT(*) as today FROM patients WHERE DATE(created_at) = DATE(\'now\')',
-        'SELECT COUNT(*) as thisMonth FROM patients WHERE strftime(\'%Y-%m\', created_at) = strftime(\'%Y-%m\', \'now\')'
-      ];
-
-      const results = {};
-
-      let completed = 0;
-      queries.forEach((query, index) => {
-        db.get(query, (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (index === 0) results.total = row.total;
-          else if (index === 1) results.today = row.today;
-          else if (index === 2) results.thisMonth = row.thisMonth;
-
-          completed++;
-          if (completed === queries.length) {
-            resolve(results);
-          }
-        });
-      });
-    });
+  static encryptClinicalFields(data) {
+    return mapClinicalValues(data, value => EncryptionService.encryptValue(value));
+  }
+
+  static decryptClinicalFields(data) {
+    return mapClinicalValues(data, value => EncryptionService.decryptValue(value));
+  }
+
+  static withoutClinicalFields(data) {
+    return withoutFields(data, CLINICAL_FIELDS);
+  }
+
+  static withoutSensitiveFields(data) {
+    return withoutFields(data, SENSITIVE_FIELDS);
   }
 }
 
+PatientService.CLINICAL_FIELDS = CLINICAL_FIELDS;
+PatientService.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+PatientService.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+
 module.exports = PatientService;
\ No newline at end of file
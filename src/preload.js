@@ -9,12 +9,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getUsers: () => ipcRenderer.invoke('auth:getUsers'),
   updateUser: (id, updates) => ipcRenderer.invoke('auth:updateUser', id, updates),
   deleteUser: (id) => ipcRenderer.invoke('auth:deleteUser', id),
-  logout: () => ipcRenderer.invoke('auth:logout'),
+  logout: (reason) => ipcRenderer.invoke('auth:logout', reason),
   getCurrentUser: () => ipcRenderer.invoke('auth:getCurrentUser'),
+  verifyTwoFactor: (challenge, code) => ipcRenderer.invoke('auth:verifyTwoFactor', challenge, code),
+  changePassword: (currentPassword, newPassword) => ipcRenderer.invoke('auth:changePassword', currentPassword, newPassword),
+  getTwoFactorStatus: () => ipcRenderer.invoke('auth:getTwoFactorStatus'),
+  beginTwoFactorEnrollment: () => ipcRenderer.invoke('auth:beginTwoFactorEnrollment'),
+  confirmTwoFactorEnrollment: (code) => ipcRenderer.invoke('auth:confirmTwoFactorEnrollment', code),
+  regenerateRecoveryCodes: (code) => ipcRenderer.invoke('auth:regenerateRecoveryCodes', code),
+  resetTwoFactor: (id) => ipcRenderer.invoke('auth:resetTwoFactor', id),
+  unlockUser: (id) => ipcRenderer.invoke('auth:unlockUser', id),
+  getSecuritySettings: () => ipcRenderer.invoke('auth:getSecuritySettings'),
+  updateSecuritySettings: (settings) => ipcRenderer.invoke('auth:updateSecuritySettings', settings),
+
+  // Roles & permissions
+  getRoles: () => ipcRenderer.invoke('auth:getRoles'),
+  getPermissionCatalog: () => ipcRenderer.invoke('auth:getPermissionCatalog'),
+  createRole: (roleData) => ipcRenderer.invoke('auth:createRole', roleData),
+  updateRole: (id, roleData) => ipcRenderer.invoke('auth:updateRole', id, roleData),
+  deleteRole: (id) => ipcRenderer.invoke('auth:deleteRole', id),
 
   // Patients
   getPatients: (searchTerm) => ipcRenderer.invoke('patients:getAll', searchTerm),
-  getPatientById: (id) => ipcRenderer.invoke('patients:getById', id),
+  getPatientById: (id, context) => ipcRenderer.invoke('patients:getById', id, context),
+  breakGlassPatient: (id, reason, context) => ipcRenderer.invoke('patients:breakGlass', id, reason, context),
+  getPatientAccessReport: (patientRef) => ipcRenderer.invoke('patients:getAccessReport', patientRef),
   savePatient: (patientData) => ipcRenderer.invoke('patients:create', patientData),
   updatePatient: (id, patientData) => ipcRenderer.invoke('patients:update', id, patientData),
   deletePatient: (id) => ipcRenderer.invoke('patients:delete', id),
@@ -33,6 +52,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getInvoices: (filters) => ipcRenderer.invoke('accounting:getInvoices', filters),
   getInvoiceWithDetails: (invoiceId) => ipcRenderer.invoke('accounting:getInvoiceWithDetails', invoiceId),
   updateInvoice: (invoiceId, invoiceData) => ipcRenderer.invoke('accounting:updateInvoice', invoiceId, invoiceData),
+  voidInvoice: (invoiceId, reason) => ipcRenderer.invoke('accounting:voidInvoice', invoiceId, reason),
+  deleteInvoice: (invoiceId) => ipcRenderer.invoke('accounting:deleteInvoice', invoiceId),
+  clearInvoices: () => ipcRenderer.invoke('accounting:clearInvoices'),
+  getNumberingSettings: () => ipcRenderer.invoke('accounting:getNumberingSettings'),
+  previewInvoice: (items, invoiceId) => ipcRenderer.invoke('accounting:previewInvoice', items, invoiceId),
+  updateNumberingSettings: (settings) => ipcRenderer.invoke('accounting:updateNumberingSettings', settings),
   updateInvoicePayment: (id, paymentData) => ipcRenderer.invoke('accounting:updateInvoicePayment', id, paymentData),
   createExpense: (expenseData) => ipcRenderer.invoke('accounting:createExpense', expenseData),
   updateExpense: (id, expenseData) => ipcRenderer.invoke('accounting:updateExpense', id, expenseData),
@@ -45,6 +70,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getBillingCodes: (filters) => ipcRenderer.invoke('accounting:getBillingCodes', filters),
   updateBillingCode: (id, codeData) => ipcRenderer.invoke('accounting:updateBillingCode', id, codeData),
 
+  // Tax
+  getTaxRates: () => ipcRenderer.invoke('tax:getRates'),
+  getTaxCodes: () => ipcRenderer.invoke('tax:getCodes'),
+  addTaxRate: (rateData) => ipcRenderer.invoke('tax:addRate', rateData),
+  deleteTaxRate: (id) => ipcRenderer.invoke('tax:deleteRate', id),
+  getTaxSettings: () => ipcRenderer.invoke('tax:getSettings'),
+  updateTaxSettings: (settings) => ipcRenderer.invoke('tax:updateSettings', settings),
+  getVatReport: (options) => ipcRenderer.invoke('tax:getVatReport', options),
+
   // Appointment Billing
   createAppointmentBilling: (appointmentId, billingData) => ipcRenderer.invoke('accounting:createAppointmentBilling', appointmentId, billingData),
   getAppointmentBillings: (appointmentId) => ipcRenderer.invoke('accounting:getAppointmentBillings', appointmentId),
@@ -53,13 +87,87 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Payments
   recordPayment: (paymentData) => ipcRenderer.invoke('accounting:recordPayment', paymentData),
   getPayments: (filters) => ipcRenderer.invoke('accounting:getPayments', filters),
+  applyPatientCredit: (invoiceId, amount) => ipcRenderer.invoke('accounting:applyPatientCredit', invoiceId, amount),
+  refundPayment: (paymentId, refundData) => ipcRenderer.invoke('accounting:refundPayment', paymentId, refundData),
+  getPatientCredit: (patientId) => ipcRenderer.invoke('accounting:getPatientCredit', patientId),
+  refundPatientCredit: (patientId, refundData) => ipcRenderer.invoke('accounting:refundPatientCredit', patientId, refundData),
+  createCreditNote: (invoiceId, creditData) => ipcRenderer.invoke('accounting:createCreditNote', invoiceId, creditData),
+
+  // Receivables
+  getPatientLedger: (patientId, options) => ipcRenderer.invoke('receivables:getPatientLedger', patientId, options),
+  exportStatement: (patientId, options) => ipcRenderer.invoke('receivables:exportStatement', patientId, options),
+  getAgingReport: (options) => ipcRenderer.invoke('receivables:getAgingReport', options),
+  exportAgingReport: (options, format) => ipcRenderer.invoke('receivables:exportAgingReport', options, format),
+
+  // Insurers and insurance claims
+  getInsurers: (options) => ipcRenderer.invoke('insurers:getAll', options),
+  createInsurer: (insurerData) => ipcRenderer.invoke('insurers:create', insurerData),
+  updateInsurer: (id, insurerData) => ipcRenderer.invoke('insurers:update', id, insurerData),
+  getTariffs: (insurerId) => ipcRenderer.invoke('insurers:getTariffs', insurerId),
+  saveTariff: (insurerId, tariffData) => ipcRenderer.invoke('insurers:saveTariff', insurerId, tariffData),
+  deleteTariff: (tariffId) => ipcRenderer.invoke('insurers:deleteTariff', tariffId),
+  estimateCoverage: (request) => ipcRenderer.invoke('insurers:estimateCoverage', request),
+  getClaimsWorklist: (filters) => ipcRenderer.invoke('claims:getWorklist', filters),
+  getClaim: (claimId) => ipcRenderer.invoke('claims:get', claimId),
+  createClaimFromInvoice: (invoiceId, claimData) => ipcRenderer.invoke('claims:createFromInvoice', invoiceId, claimData),
+  createClaimFromAppointment: (appointmentId, claimData) => ipcRenderer.invoke('claims:createFromAppointment', appointmentId, claimData),
+  submitClaim: (claimId) => ipcRenderer.invoke('claims:submit', claimId),
+  rejectClaim: (claimId, reason) => ipcRenderer.invoke('claims:reject', claimId, reason),
+  postRemittance: (claimId, remittanceData) => ipcRenderer.invoke('claims:postRemittance', claimId, remittanceData),
+  deleteClaim: (claimId) => ipcRenderer.invoke('claims:delete', claimId),
 
   // Audit
   getAuditLog: (filters) => ipcRenderer.invoke('audit:getLog', filters),
+  getAuditFilterOptions: () => ipcRenderer.invoke('audit:getFilterOptions'),
+  getRecordHistory: (tableName, recordRef) => ipcRenderer.invoke('audit:getRecordHistory', tableName, recordRef),
+  verifyAuditLog: () => ipcRenderer.invoke('audit:verify'),
+  exportAuditLog: (filters, format) => ipcRenderer.invoke('audit:export', filters, format),
+
+  // Schema migrations
+  getMigrations: () => ipcRenderer.invoke('system:getMigrations'),
+  checkForeignKeys: () => ipcRenderer.invoke('system:checkForeignKeys'),
+  repairOrphans: () => ipcRenderer.invoke('system:repairOrphans'),
+  getMaintenanceStatus: () => ipcRenderer.invoke('system:getMaintenanceStatus'),
+  getMaintenanceHistory: () => ipcRenderer.invoke('system:getMaintenanceHistory'),
+  getMaintenanceSettings: () => ipcRenderer.invoke('system:getMaintenanceSettings'),
+  updateMaintenanceSettings: (settings) => ipcRenderer.invoke('system:updateMaintenanceSettings', settings),
+  runMaintenanceTask: (task) => ipcRenderer.invoke('system:runMaintenanceTask', task),
+  runMaintenance: () => ipcRenderer.invoke('system:runMaintenance'),
+
+  // Database encryption
+  getEncryptionStatus: () => ipcRenderer.invoke('encryption:getStatus'),
+  unlockDatabase: (passphrase) => ipcRenderer.invoke('encryption:unlock', passphrase),
+  enableEncryption: (passphrase) => ipcRenderer.invoke('encryption:enable', passphrase),
+  rotateEncryptionKey: (passphrase) => ipcRenderer.invoke('encryption:rotateKey', passphrase),
+  changeEncryptionPassphrase: (currentPassphrase, newPassphrase) =>
+    ipcRenderer.invoke('encryption:changePassphrase', currentPassphrase, newPassphrase),
 
   // Backup/Restore
   createBackup: () => ipcRenderer.invoke('backup:create'),
-  restoreBackup: () => ipcRenderer.invoke('backup:restore'),
+  getBackupHistory: () => ipcRenderer.invoke('backup:getHistory'),
+  getBackupStatus: () => ipcRenderer.invoke('backup:getStatus'),
+  verifyBackup: (id) => ipcRenderer.invoke('backup:verify', id),
+  getBackupSettings: () => ipcRenderer.invoke('backup:getSettings'),
+  updateBackupSettings: (settings) => ipcRenderer.invoke('backup:updateSettings', settings),
+  chooseBackupDestination: () => ipcRenderer.invoke('backup:chooseDestination'),
+  previewRestore: (backupId) => ipcRenderer.invoke('backup:previewRestore', backupId),
+  cancelRestore: () => ipcRenderer.invoke('backup:cancelRestore'),
+  restoreBackup: (token) => ipcRenderer.invoke('backup:restore', token),
+  rollbackRestore: () => ipcRenderer.invoke('backup:rollbackRestore'),
+
+  // Point-in-time recovery
+  getJournalCoverage: () => ipcRenderer.invoke('journal:getCoverage'),
+  getRecordVersions: (tableName, recordRef) => ipcRenderer.invoke('journal:getRecordHistory', tableName, recordRef),
+  restoreRecord: (tableName, recordRef, target) => ipcRenderer.invoke('journal:restoreRecord', tableName, recordRef, target),
+  previewPointInTimeRestore: (at) => ipcRenderer.invoke('journal:previewDatabaseRestore', at),
+  restoreDatabaseToPointInTime: (at) => ipcRenderer.invoke('journal:restoreDatabase', at),
+
+  // Recycle bin
+  getRecycleBinItems: (type) => ipcRenderer.invoke('recycleBin:getItems', type),
+  restoreDeletedRecord: (type, id) => ipcRenderer.invoke('recycleBin:restore', type, id),
+  purgeDeletedRecord: (type, id) => ipcRenderer.invoke('recycleBin:purge', type, id),
+  getRecycleBinSettings: () => ipcRenderer.invoke('recycleBin:getSettings'),
+  updateRecycleBinSettings: (settings) => ipcRenderer.invoke('recycleBin:updateSettings', settings),
 
   // Secure event handling - avoid exposing raw ipcRenderer.on
   onUpdateCounter: (callback) => {
@@ -73,5 +181,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     loadCredentials: () => ipcRenderer.invoke('sync:loadCredentials'),
     testConnection: (credentials) => ipcRenderer.invoke('sync:testConnection', credentials),
     performSync: () => ipcRenderer.invoke('sync:performSync'),
+    getStatus: () => ipcRenderer.invoke('sync:getStatus'),
+    getLog: () => ipcRenderer.invoke('sync:getLog'),
+    getConflicts: (status) => ipcRenderer.invoke('sync:getConflicts', status),
+    getConflictDetails: (conflictId) => ipcRenderer.invoke('sync:getConflictDetails', conflictId),
+    resolveConflict: (conflictId, resolution, theirsFields) => ipcRenderer.invoke('sync:resolveConflict', conflictId, resolution, theirsFields),
+  },
+
+  // Sessions
+  session: {
+    heartbeat: () => ipcRenderer.invoke('session:heartbeat'),
+    lock: () => ipcRenderer.invoke('session:lock'),
+    unlock: (password) => ipcRenderer.invoke('session:unlock', password),
+    getActive: () => ipcRenderer.invoke('session:getActive'),
+    revoke: (sessionId) => ipcRenderer.invoke('session:revoke', sessionId),
+    getSettings: () => ipcRenderer.invoke('session:getSettings'),
+    updateSettings: (settings) => ipcRenderer.invoke('session:updateSettings', settings),
+    onLocked: (callback) => {
+      ipcRenderer.on('session:locked', () => callback());
+    },
+    onEnded: (callback) => {
+      ipcRenderer.on('session:ended', (_event, message) => callback(String(message || '')));
+    }
   }
 });
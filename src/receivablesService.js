@@ -0,0 +1,441 @@
+const { get, all } = require('./repository');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const Auth = require('./auth');
+const AccountingService = require('./accountingService');
+const TaxService = require('./taxService');
+
+const { roundMoney } = TaxService;
+
+// Accounts receivable: what patients owe and since when.
+//
+// A patient's ledger lists what was billed to them (debits) and what they
+// paid or were credited (credits), so its balance is what they owe, or
+// negative when they hold credit. Payments made from patient credit only
+// move money they already paid, so they and their refunds are left out.
+
+// Open balances by days past their due date
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days30', label: '1-30 days', maxDays: 30 },
+  { key: 'days60', label: '31-60 days', maxDays: 60 },
+  { key: 'days90', label: '61-90 days', maxDays: 90 },
+  { key: 'days120', label: '91-120 days', maxDays: 120 },
+  { key: 'over120', label: 'Over 120 days', maxDays: Infinity }
+];
+
+// What the aging report can total open balances by
+const AGING_GROUPS = ['patient', 'insurer'];
+
+// Invoices with something left to pay
+const OPEN_STATUSES = ['unpaid', 'partial', 'overdue'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEDGER_SQL = `
+  SELECT * FROM (
+    SELECT DATE(i.created_at) as date, i.created_at as recorded_at, 'invoice' as type, i.id as invoice_id,
+           i.invoice_number as reference, 'Invoice' as description, i.total_amount as debit, 0 as credit
+    FROM invoices i
+    WHERE i.patient_id = ? AND i.deleted_at IS NULL AND i.status != 'cancelled'
+
+    UNION ALL
+    SELECT DATE(cn.created_at), cn.created_at, 'credit_note', i.id,
+           cn.credit_note_number, 'Credit note on ' || i.invoice_number || ': ' || cn.reason, 0, cn.amount
+    FROM credit_notes cn
+    JOIN invoices i ON i.id = cn.invoice_id
+    WHERE i.patient_id = ? AND i.deleted_at IS NULL
+
+    UNION ALL
+    SELECT pm.payment_date, pm.created_at, 'payment', i.id,
+           i.invoice_number, 'Payment (' || pm.payment_method || ')'
+             || CASE WHEN pm.overpayment > 0 THEN ', ' || printf('%.2f', pm.overpayment) || ' kept as credit' ELSE '' END,
+           0, pm.amount
+    FROM payments pm
+    JOIN invoices i ON i.id = pm.invoice_id
+    WHERE i.patient_id = ? AND pm.payment_method != 'patient_credit'
+
+    UNION ALL
+    SELECT r.refund_date, r.created_at, 'refund', i.id,
+           i.invoice_number, 'Refund (' || r.refund_method || '): ' || r.reason, r.amount, 0
+    FROM refunds r
+    JOIN payments pm ON pm.id = r.payment_id
+    JOIN invoices i ON i.id = pm.invoice_id
+    WHERE i.patient_id = ? AND pm.payment_method != 'patient_credit'
+
+    UNION ALL
+    SELECT DATE(pc.created_at), pc.created_at, 'credit_refund', NULL,
+           NULL, 'Credit paid back (' || pc.refund_method || '): ' || COALESCE(pc.notes, ''), -pc.amount, 0
+    FROM patient_credits pc
+    WHERE pc.patient_id = ? AND pc.kind = 'refunded'
+  )
+  ORDER BY date, recorded_at
+`;
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function agingBucketOf(daysOverdue) {
+  return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+}
+
+function emptyAging() {
+  return Object.fromEntries([...AGING_BUCKETS.map(bucket => [bucket.key, 0]), ['total', 0]]);
+}
+
+// Open invoices with the days each is past due on asOf, and their
+// balances summed into the aging buckets
+function ageInvoices(invoices, asOf) {
+  const aging = emptyAging();
+  const aged = invoices
+    .filter(invoice => invoice.balance_due > 0)
+    .map(invoice => {
+      const daysOverdue = invoice.due_date ? Math.max(0, daysBetween(invoice.due_date, asOf)) : 0;
+      const bucket = agingBucketOf(daysOverdue);
+      aging[bucket] += invoice.balance_due;
+      aging.total += invoice.balance_due;
+      return { ...invoice, days_overdue: daysOverdue, aging_bucket: bucket };
+    });
+
+  Object.keys(aging).forEach(key => {
+    aging[key] = roundMoney(aging[key]);
+  });
+  return { invoices: aged, aging };
+}
+
+function csvField(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+function requireDate(value, label) {
+  if (value && !DATE_PATTERN.test(value)) {
+    throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+  }
+}
+
+class ReceivablesService {
+  // A patient's ledger between two dates (either may be left out), with the
+  // balance brought forward, a running balance, their credit and the aging
+  // of what they owe today
+  static async getPatientLedger(patientId, { dateFrom = null, dateTo = null } = {}) {
+    requireDate(dateFrom, 'Start date');
+    requireDate(dateTo, 'End date');
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+      throw new Error('The start date must not be after the end date');
+    }
+
+    const patient = await get(`
+      SELECT id, patient_id, first_name, last_name, phone, email, address, billing_address, insurance_provider
+      FROM patients WHERE id = ?
+    `, [patientId]);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const rows = await all(LEDGER_SQL, Array(5).fill(patientId));
+
+    let balance = 0;
+    let openingBalance = 0;
+    const entries = [];
+    for (const row of rows) {
+      if (dateTo && row.date > dateTo) {
+        break;
+      }
+      balance = roundMoney(balance + row.debit - row.credit);
+      if (dateFrom && row.date < dateFrom) {
+        openingBalance = balance;
+      } else {
+        entries.push({ ...row, balance });
+      }
+    }
+
+    const asOf = TaxService.today();
+    const openInvoices = await AccountingService.getInvoices({ patientId, status: OPEN_STATUSES }, -1, 0);
+    const { invoices, aging } = ageInvoices(openInvoices, asOf);
+    const { credit } = await get('SELECT COALESCE(SUM(amount), 0) as credit FROM patient_credits WHERE patient_id = ?', [patientId]);
+
+    return {
+      patient,
+      dateFrom,
+      dateTo,
+      openingBalance,
+      entries,
+      closingBalance: balance,
+      creditBalance: roundMoney(credit),
+      asOf,
+      aging,
+      openInvoices: invoices.map(invoice => ({
+        id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        created_at: invoice.created_at,
+        due_date: invoice.due_date,
+        total_amount: invoice.total_amount,
+        balance_due: invoice.balance_due,
+        days_overdue: invoice.days_overdue,
+        aging_bucket: invoice.aging_bucket
+      }))
+    };
+  }
+
+  // Statement of account for the patient, laid out like the invoice PDF
+  static async generateStatementPDF(patientId, options, filePath) {
+    const ledger = await ReceivablesService.getPatientLedger(patientId, options || {});
+    const { patient } = ledger;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50 });
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(20).text('BLACKISTONE MEDICAL CENTRE', { align: 'center' });
+      doc.fontSize(16).text('STATEMENT OF ACCOUNT', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(12);
+      doc.text(`Statement Date: ${new Date().toLocaleDateString()}`);
+      doc.text(`Period: ${ledger.dateFrom || 'first transaction'} to ${ledger.dateTo || ledger.asOf}`);
+      doc.moveDown();
+
+      doc.text('Account Of:');
+      doc.text(`${patient.first_name} ${patient.last_name}`);
+      doc.text(`Patient ID: ${patient.patient_id}`);
+      const address = patient.billing_address || patient.address;
+      if (address) {
+        doc.text(address);
+      }
+      doc.moveDown();
+
+      const columns = [
+        { title: 'Date', x: 50, width: 70 },
+        { title: 'Reference', x: 120, width: 95 },
+        { title: 'Description', x: 215, width: 150 },
+        { title: 'Charges', x: 365, width: 60 },
+        { title: 'Credits', x: 425, width: 60 },
+        { title: 'Balance', x: 485, width: 65 }
+      ];
+      const bottom = doc.page.height - doc.page.margins.bottom;
+      const money = value => (value ? `$${value.toFixed(2)}` : '');
+
+      const drawHeader = () => {
+        const top = doc.y;
+        doc.font('Helvetica-Bold');
+        columns.forEach(column => doc.text(column.title, column.x, top, { width: column.width }));
+        doc.font('Helvetica');
+        doc.moveTo(50, top + 13).lineTo(550, top + 13).stroke();
+        doc.y = top + 18;
+      };
+
+      const drawRow = cells => {
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width })), 10);
+        if (doc.y + height > bottom) {
+          doc.addPage();
+          drawHeader();
+        }
+        const top = doc.y;
+        cells.forEach((cell, index) => doc.text(cell, columns[index].x, top, { width: columns[index].width }));
+        doc.y = top + height + 4;
+      };
+
+      doc.fontSize(9);
+      drawHeader();
+      if (ledger.dateFrom) {
+        drawRow([ledger.dateFrom, '', 'Balance brought forward', '', '', `$${ledger.openingBalance.toFixed(2)}`]);
+      }
+      ledger.entries.forEach(entry => {
+        drawRow([entry.date, entry.reference || '', entry.description, money(entry.debit), money(entry.credit), `$${entry.balance.toFixed(2)}`]);
+      });
+
+      // Totals and aging
+      doc.moveDown();
+      doc.fontSize(12).font('Helvetica-Bold');
+      doc.text(ledger.closingBalance < 0
+        ? `Balance: $${(-ledger.closingBalance).toFixed(2)} in credit`
+        : `Balance Due: $${ledger.closingBalance.toFixed(2)}`, 50);
+      doc.font('Helvetica');
+      doc.moveDown(0.5);
+
+      doc.fontSize(9);
+      const agingTop = doc.y;
+      const agingWidth = 500 / AGING_BUCKETS.length;
+      AGING_BUCKETS.forEach((bucket, index) => {
+        doc.font('Helvetica-Bold').text(bucket.label, 50 + index * agingWidth, agingTop, { width: agingWidth });
+        doc.font('Helvetica').text(`$${ledger.aging[bucket.key].toFixed(2)}`, 50 + index * agingWidth, agingTop + 14, { width: agingWidth });
+      });
+      doc.y = agingTop + 34;
+      doc.text(`Aged on ${ledger.asOf} by days past each invoice's due date.`, 50);
+
+      doc.end();
+      stream.on('finish', () => resolve({ path: filePath, closingBalance: ledger.closingBalance }));
+      stream.on('error', reject);
+    });
+  }
+
+  // Invoices otherwise only turn overdue when a payment is recorded against
+  // them; this is run on a schedule to catch the rest
+  static async markOverdueInvoices() {
+    const due = await all(`
+      SELECT id, status FROM invoices
+      WHERE deleted_at IS NULL AND status IN ('unpaid', 'partial') AND due_date < ?
+    `, [TaxService.today()]);
+
+    let marked = 0;
+    for (const invoice of due) {
+      await AccountingService.updateInvoiceStatus(invoice.id);
+      const { status } = await get('SELECT status FROM invoices WHERE id = ?', [invoice.id]);
+      if (status === 'overdue') {
+        Auth.logAudit(null, 'MARK_INVOICE_OVERDUE', 'invoices', invoice.id, { status: invoice.status }, { status, automatic: true });
+        marked++;
+      }
+    }
+    return { marked };
+  }
+
+  // Open balances aged into buckets, one row per patient or per insurer
+  // (patients without one are grouped as self-pay), largest balance first
+  static async getAgingReport({ groupBy = 'patient' } = {}) {
+    if (!AGING_GROUPS.includes(groupBy)) {
+      throw new Error(`The aging report can be grouped by ${AGING_GROUPS.join(' or ')}`);
+    }
+
+    const asOf = TaxService.today();
+    const openInvoices = await AccountingService.getInvoices({ status: OPEN_STATUSES }, -1, 0);
+    const { invoices, aging: totals } = ageInvoices(openInvoices, asOf);
+
+    const groups = new Map();
+    for (const invoice of invoices) {
+      const key = groupBy === 'patient' ? invoice.patient_record_id : (invoice.insurance_provider || null);
+      if (!groups.has(key)) {
+        groups.set(key, groupBy === 'patient'
+          ? { key, name: `${invoice.first_name} ${invoice.last_name}`, reference: invoice.patient_id, invoices: [] }
+          : { key, name: invoice.insurance_provider || 'Self-pay', reference: null, invoices: [] });
+      }
+      groups.get(key).invoices.push(invoice);
+    }
+
+    const rows = [...groups.values()].map(group => {
+      const { aging } = ageInvoices(group.invoices, asOf);
+      const patients = new Set(group.invoices.map(invoice => invoice.patient_record_id));
+      return {
+        key: group.key,
+        name: group.name,
+        reference: group.reference,
+        invoiceCount: group.invoices.length,
+        patientCount: patients.size,
+        aging
+      };
+    });
+    rows.sort((a, b) => b.aging.total - a.aging.total || a.name.localeCompare(b.name));
+
+    return {
+      asOf,
+      groupBy,
+      buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      groups: rows,
+      invoiceCount: invoices.length,
+      totals
+    };
+  }
+
+  static async exportAgingCsv(options, filePath) {
+    const report = await ReceivablesService.getAgingReport(options || {});
+    const headers = [
+      report.groupBy === 'patient' ? 'Patient' : 'Insurer',
+      report.groupBy === 'patient' ? 'Patient ID' : 'Patients',
+      'Invoices',
+      ...AGING_BUCKETS.map(bucket => bucket.label),
+      'Total'
+    ];
+
+    const lines = [
+      headers.map(csvField).join(','),
+      ...report.groups.map(group => [
+        group.name,
+        report.groupBy === 'patient' ? group.reference : group.patientCount,
+        group.invoiceCount,
+        ...AGING_BUCKETS.map(bucket => group.aging[bucket.key].toFixed(2)),
+        group.aging.total.toFixed(2)
+      ].map(csvField).join(',')),
+      ['Total', '', report.invoiceCount, ...AGING_BUCKETS.map(bucket => report.totals[bucket.key].toFixed(2)), report.totals.total.toFixed(2)]
+        .map(csvField).join(',')
+    ];
+
+    await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+    return report.groups.length;
+  }
+
+  static async exportAgingPdf(options, filePath, generatedBy) {
+    const report = await ReceivablesService.getAgingReport(options || {});
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+      const stream = fs.createWriteStream(filePath);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(18).text('BLACKISTONE MEDICAL CENTRE', { align: 'center' });
+      doc.fontSize(14).text('ACCOUNTS RECEIVABLE AGING REPORT', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Generated: ${new Date().toLocaleString()}${generatedBy ? ` by ${generatedBy}` : ''}`);
+      doc.text(`Aged on ${report.asOf} by days past each invoice's due date, grouped by ${report.groupBy}`);
+      doc.text(`Open invoices: ${report.invoiceCount}`);
+      doc.moveDown();
+
+      const columns = [
+        { title: report.groupBy === 'patient' ? 'Patient' : 'Insurer', x: 40, width: 170, align: 'left' },
+        { title: 'Invoices', x: 210, width: 50, align: 'right' },
+        ...AGING_BUCKETS.map((bucket, index) => ({ title: bucket.label, x: 265 + index * 75, width: 70, align: 'right' })),
+        { title: 'Total', x: 715, width: 85, align: 'right' }
+      ];
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      const drawHeader = () => {
+        const top = doc.y;
+        doc.font('Helvetica-Bold');
+        columns.forEach(column => doc.text(column.title, column.x, top, { width: column.width, align: column.align }));
+        doc.font('Helvetica');
+        doc.moveTo(40, top + 13).lineTo(800, top + 13).stroke();
+        doc.y = top + 18;
+      };
+
+      const drawRow = cells => {
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width })), 10);
+        if (doc.y + height > bottom) {
+          doc.addPage();
+          drawHeader();
+        }
+        const top = doc.y;
+        cells.forEach((cell, index) => doc.text(cell, columns[index].x, top, { width: columns[index].width, align: columns[index].align }));
+        doc.y = top + height + 4;
+      };
+
+      const amounts = aging => [...AGING_BUCKETS.map(bucket => `$${aging[bucket.key].toFixed(2)}`), `$${aging.total.toFixed(2)}`];
+
+      doc.fontSize(9);
+      drawHeader();
+      report.groups.forEach(group => {
+        drawRow([group.reference ? `${group.name} (${group.reference})` : group.name, String(group.invoiceCount), ...amounts(group.aging)]);
+      });
+
+      doc.moveTo(40, doc.y).lineTo(800, doc.y).stroke();
+      doc.y += 4;
+      doc.font('Helvetica-Bold');
+      drawRow(['Total', String(report.invoiceCount), ...amounts(report.totals)]);
+      doc.font('Helvetica');
+
+      doc.end();
+
+      stream.on('finish', () => resolve(report.groups.length));
+      stream.on('error', reject);
+    });
+  }
+}
+
+ReceivablesService.AGING_BUCKETS = AGING_BUCKETS;
+ReceivablesService.ageInvoices = ageInvoices;
+
+module.exports = ReceivablesService;
@@ -0,0 +1,262 @@
+const { run, get, all, withTransaction } = require('./repository');
+const Auth = require('./auth');
+const SettingsService = require('./settingsService');
+
+// Deleted patients, appointments, invoices and users keep their rows with
+// deleted_at set. From the recycle bin an administrator restores them or
+// purges them for good; purging is refused while other records still depend
+// on them, and records older than the retention period are purged hourly.
+
+const RETENTION_SETTING = { key: 'recycle_bin.retention_days', label: 'Recycle bin retention', min: 0, max: 3650 };
+
+// Columns whose foreign keys restrict deleting a user, so the account is
+// only soft deleted while any of them point at it. Other references to users
+// are set to null when one is purged.
+const USER_REFERENCES = [
+  { table: 'appointments', column: 'doctor_id', label: 'appointments' },
+  { table: 'audit_log', column: 'user_id', label: 'audit log entries' }
+];
+
+async function count(sql, params) {
+  return (await get(sql, params)).count;
+}
+
+async function requirePatientNotDeleted(patientId) {
+  const patient = await get('SELECT deleted_at FROM patients WHERE id = ?', [patientId]);
+  if (patient && patient.deleted_at) {
+    throw new Error('The patient is in the recycle bin; restore the patient first');
+  }
+}
+
+// Per record type: how deleted records are listed, what must hold before
+// one is restored or purged, and how it is purged. Rows that only exist for
+// the purged record go with it through the ON DELETE CASCADE foreign keys.
+const RECORD_TYPES = {
+  patients: {
+    label: 'Patient',
+    action: 'PATIENT',
+    list: `
+      SELECT r.id, r.patient_id || ' ' || r.first_name || ' ' || r.last_name as description, r.deleted_at, u.name as deleted_by_name
+      FROM patients r
+      LEFT JOIN users u ON u.id = r.deleted_by
+      WHERE r.deleted_at IS NOT NULL
+    `,
+    async checkRestore() {},
+    async checkPurge(patient) {
+      if (await count('SELECT COUNT(*) as count FROM invoices WHERE patient_id = ?', [patient.id]) > 0) {
+        throw new Error('Patients with invoices cannot be permanently deleted; their financial records must be kept');
+      }
+    },
+    async purge(patient) {
+      await run('DELETE FROM patients WHERE id = ?', [patient.id]);
+    }
+  },
+  appointments: {
+    label: 'Appointment',
+    action: 'APPOINTMENT',
+    list: `
+      SELECT r.id, p.first_name || ' ' || p.last_name || ', ' || r.appointment_date as description, r.deleted_at, u.name as deleted_by_name
+      FROM appointments r
+      JOIN patients p ON p.id = r.patient_id
+      LEFT JOIN users u ON u.id = r.deleted_by
+      WHERE r.deleted_at IS NOT NULL
+    `,
+    async checkRestore(appointment) {
+      await requirePatientNotDeleted(appointment.patient_id);
+    },
+    async checkPurge(appointment) {
+      if (await count('SELECT COUNT(*) as count FROM appointment_billings WHERE appointment_id = ? AND invoice_id IS NOT NULL', [appointment.id]) > 0) {
+        throw new Error('Appointments that have been invoiced cannot be permanently deleted');
+      }
+    },
+    async purge(appointment) {
+      await run('DELETE FROM appointments WHERE id = ?', [appointment.id]);
+    }
+  },
+  invoices: {
+    label: 'Invoice',
+    action: 'INVOICE',
+    list: `
+      SELECT r.id, r.invoice_number || ' - ' || p.first_name || ' ' || p.last_name as description, r.deleted_at, u.name as deleted_by_name
+      FROM invoices r
+      JOIN patients p ON p.id = r.patient_id
+      LEFT JOIN users u ON u.id = r.deleted_by
+      WHERE r.deleted_at IS NOT NULL
+    `,
+    async checkRestore(invoice) {
+      await requirePatientNotDeleted(invoice.patient_id);
+    },
+    async checkPurge(invoice) {
+      if (await count('SELECT COUNT(*) as count FROM payments WHERE invoice_id = ?', [invoice.id]) > 0) {
+        throw new Error('Invoices with payments cannot be permanently deleted');
+      }
+      if (await count('SELECT COUNT(*) as count FROM credit_notes WHERE invoice_id = ?', [invoice.id]) > 0) {
+        throw new Error('Invoices with credit notes cannot be permanently deleted');
+      }
+      if (await count('SELECT COUNT(*) as count FROM claims WHERE invoice_id = ?', [invoice.id]) > 0) {
+        throw new Error('Invoices with insurance claims cannot be permanently deleted');
+      }
+    },
+    // Services it billed become unbilled again, so they can be invoiced anew
+    async purge(invoice) {
+      await run('UPDATE appointment_billings SET billed = 0, invoice_id = NULL WHERE invoice_id = ?', [invoice.id]);
+      await run('DELETE FROM invoices WHERE id = ?', [invoice.id]);
+    }
+  },
+  users: {
+    label: 'User',
+    action: 'USER',
+    list: `
+      SELECT r.id, r.name || ' (' || r.username || ')' as description, r.deleted_at, u.name as deleted_by_name
+      FROM users r
+      LEFT JOIN users u ON u.id = r.deleted_by
+      WHERE r.deleted_at IS NOT NULL
+    `,
+    async checkRestore() {},
+    async checkPurge(user) {
+      const references = [];
+      for (const { table, column, label } of USER_REFERENCES) {
+        if (await count(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} = ?`, [user.id]) > 0) {
+          references.push(label);
+        }
+      }
+      if (references.length > 0) {
+        throw new Error(`This user is referenced by ${references.join(', ')} and stays deleted rather than purged`);
+      }
+    },
+    async purge(user) {
+      await run('DELETE FROM users WHERE id = ?', [user.id]);
+    }
+  }
+};
+
+function getRecordType(type) {
+  const recordType = RECORD_TYPES[type];
+  if (!recordType) {
+    throw new Error(`Unknown record type: ${type}`);
+  }
+  return recordType;
+}
+
+async function getDeletedRow(type, id) {
+  const row = await get(`SELECT * FROM ${type} WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+  if (!row) {
+    throw new Error(`${getRecordType(type).label} not found in the recycle bin`);
+  }
+  return row;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC and kept in the same format
+function addDays(timestamp, days) {
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Audit entries never carry credentials
+function forAudit(type, row) {
+  return type === 'users' ? Auth.withoutSecrets(row) : row;
+}
+
+class RecycleBinService {
+  static async getSettings() {
+    return { retentionDays: await SettingsService.get(RETENTION_SETTING.key) };
+  }
+
+  static async updateSettings(settings, userId) {
+    const value = Number(settings.retentionDays);
+    if (!Number.isInteger(value) || value < RETENTION_SETTING.min || value > RETENTION_SETTING.max) {
+      throw new Error(`${RETENTION_SETTING.label} must be a whole number between ${RETENTION_SETTING.min} and ${RETENTION_SETTING.max}`);
+    }
+
+    if (value !== (await RecycleBinService.getSettings()).retentionDays) {
+      await SettingsService.set(RETENTION_SETTING.key, value, userId);
+    }
+    return { retentionDays: value };
+  }
+
+  // Deleted records, newest first, optionally of one type. purge_after is
+  // when automatic purging will remove each one, if it is turned on.
+  static async getItems(type = null) {
+    const types = type ? [type] : Object.keys(RECORD_TYPES);
+    const { retentionDays } = await RecycleBinService.getSettings();
+    const items = [];
+
+    for (const name of types) {
+      const recordType = getRecordType(name);
+      const rows = await all(recordType.list);
+      rows.forEach(row => items.push({
+        ...row,
+        type: name,
+        type_label: recordType.label,
+        purge_after: retentionDays > 0 ? addDays(row.deleted_at, retentionDays) : null
+      }));
+    }
+
+    return items.sort((a, b) => (b.deleted_at || '').localeCompare(a.deleted_at || ''));
+  }
+
+  static async restore(type, id, userId) {
+    const recordType = getRecordType(type);
+    const row = await getDeletedRow(type, id);
+    await recordType.checkRestore(row);
+
+    await run(`UPDATE ${type} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [id]);
+    await Auth.logAudit(userId, `RESTORE_${recordType.action}`, type, row.id, forAudit(type, row), { deleted_at: null });
+
+    return { success: true };
+  }
+
+  // Remove a deleted record and whatever only existed for it, in one
+  // transaction, once nothing that must be kept refers to it
+  static async purge(type, id, userId, { automatic = false } = {}) {
+    const recordType = getRecordType(type);
+    const row = await getDeletedRow(type, id);
+    await recordType.checkPurge(row);
+
+    try {
+      await withTransaction(async () => {
+        await recordType.purge(row);
+      });
+    } catch (error) {
+      throw new Error(`The ${recordType.label.toLowerCase()} could not be purged: ${error.message}`);
+    }
+
+    await Auth.logAudit(userId, `PURGE_${recordType.action}`, type, row.id, forAudit(type, row),
+      automatic ? { automatic: true } : null);
+
+    return { success: true };
+  }
+
+  // Purge records deleted longer ago than the retention period. Records that
+  // cannot be purged stay in the recycle bin and are counted as kept.
+  static async purgeExpired() {
+    const { retentionDays } = await RecycleBinService.getSettings();
+    const result = { purged: 0, kept: 0 };
+    if (!retentionDays) {
+      return result;
+    }
+
+    for (const type of Object.keys(RECORD_TYPES)) {
+      const expired = await all(`
+        SELECT id FROM ${type}
+        WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', '-' || ? || ' days')
+      `, [retentionDays]);
+
+      for (const { id } of expired) {
+        try {
+          await RecycleBinService.purge(type, id, null, { automatic: true });
+          result.purged++;
+        } catch (error) {
+          result.kept++;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+RecycleBinService.RECORD_TYPES = Object.keys(RECORD_TYPES);
+
+module.exports = RecycleBinService;
@@ -224,6 +224,7 @@ const loginScreen = document.getElementById('login-screen');
 const mainScreen = document.getElementById('main-screen');
 const loginForm = document.getElementById('login-form');
 const logoutBtn = document.getElementById('logout-btn');
+const lockScreen = document.getElementById('lock-screen');
 const currentUserSpan = document.getElementById('current-user');
 const navBtns = document.querySelectorAll('.nav-btn');
 
@@ -271,10 +272,26 @@ document.addEventListener('DOMContentLoaded', () => {
 function setupEventListeners() {
   // Login form
   loginForm.addEventListener('submit', handleLogin);
+  document.getElementById('two-factor-form').addEventListener('submit', handleTwoFactorSubmit);
+  document.getElementById('database-unlock-form').addEventListener('submit', handleDatabaseUnlock);
+  document.getElementById('two-factor-back-btn').addEventListener('click', showPasswordStep);
+  document.getElementById('two-factor-btn').addEventListener('click', openTwoFactorModal);
 
   // Logout
   logoutBtn.addEventListener('click', handleLogout);
 
+  // Session lock and switch user
+  document.getElementById('lock-btn').addEventListener('click', lockSession);
+  document.getElementById('switch-user-btn').addEventListener('click', switchUser);
+  document.getElementById('lock-switch-user-btn').addEventListener('click', switchUser);
+  document.getElementById('unlock-form').addEventListener('submit', handleUnlock);
+  document.getElementById('session-settings-form').addEventListener('submit', handleSessionSettingsSubmit);
+  document.getElementById('security-settings-form').addEventListener('submit', handleSecuritySettingsSubmit);
+  document.getElementById('enable-encryption-form').addEventListener('submit', handleEnableEncryption);
+  document.getElementById('rotate-encryption-key-form').addEventListener('submit', handleRotateEncryptionKey);
+  document.getElementById('change-encryption-passphrase-form').addEventListener('submit', handleChangeEncryptionPassphrase);
+  setupSessionActivityTracking();
+
   // Sidebar toggle
   const sidebarToggle = document.getElementById('sidebar-toggle');
   if (sidebarToggle) {
@@ -305,6 +322,24 @@ function setupEventListeners() {
   document.getElementById('add-billing-code-btn').addEventListener('click', () => openBillingCodeModal());
   document.getElementById('record-payment-btn').addEventListener('click', () => openPaymentModal());
   document.getElementById('clear-invoices-btn').addEventListener('click', clearAllInvoices);
+  document.getElementById('invoice-numbering-form').addEventListener('submit', handleInvoiceNumberingSubmit);
+  document.getElementById('invoice-number-prefix').addEventListener('input', updateInvoiceNumberExample);
+  document.getElementById('invoice-number-yearly').addEventListener('change', updateInvoiceNumberExample);
+  document.getElementById('invoice-number-workstation').addEventListener('input', updateInvoiceNumberExample);
+  document.getElementById('tax-settings-form').addEventListener('submit', handleTaxSettingsSubmit);
+  document.getElementById('tax-rate-form').addEventListener('submit', handleTaxRateSubmit);
+  document.getElementById('vat-report-form').addEventListener('submit', handleVatReportSubmit);
+  document.getElementById('aging-report-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAgingReport();
+  });
+  document.getElementById('aging-export-csv-btn').addEventListener('click', () => exportAgingReport('csv'));
+  document.getElementById('aging-export-pdf-btn').addEventListener('click', () => exportAgingReport('pdf'));
+  document.getElementById('claims-filter-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadClaimsWorklist();
+  });
+  document.getElementById('insurer-form').addEventListener('submit', handleInsurerSubmit);
 
   // Accounting tabs
   document.querySelectorAll('.accounting-tabs .tab-btn').forEach(btn => {
@@ -318,8 +353,43 @@ function setupEventListeners() {
 
   // Admin actions
   document.getElementById('add-user-btn').addEventListener('click', () => openUserModal());
+  document.getElementById('add-role-btn').addEventListener('click', () => openRoleModal());
   document.getElementById('backup-btn').addEventListener('click', createBackup);
-  document.getElementById('restore-btn').addEventListener('click', restoreBackup);
+  document.getElementById('backup-settings-form').addEventListener('submit', handleBackupSettingsSubmit);
+  document.getElementById('recycle-bin-settings-form').addEventListener('submit', handleRecycleBinSettingsSubmit);
+  document.getElementById('recycle-bin-type-filter').addEventListener('change', loadRecycleBin);
+  document.getElementById('check-foreign-keys-btn').addEventListener('click', loadForeignKeyCheck);
+  document.getElementById('repair-orphans-btn').addEventListener('click', repairOrphans);
+  document.querySelectorAll('.maintenance-task-btn').forEach(btn => {
+    btn.addEventListener('click', () => runMaintenanceTask(btn.dataset.task));
+  });
+  document.getElementById('run-maintenance-btn').addEventListener('click', runMaintenance);
+  document.getElementById('maintenance-settings-form').addEventListener('submit', handleMaintenanceSettingsSubmit);
+  document.getElementById('backup-destination-btn').addEventListener('click', chooseBackupDestination);
+  document.getElementById('backup-destination-reset-btn').addEventListener('click', () => {
+    document.getElementById('backup-destination').value = '';
+  });
+
+  // Audit log
+  document.getElementById('audit-apply-filters-btn').addEventListener('click', () => loadAuditLog(1));
+  document.getElementById('audit-clear-filters-btn').addEventListener('click', clearAuditFilters);
+  document.getElementById('audit-prev-btn').addEventListener('click', () => loadAuditLog(auditPage - 1));
+  document.getElementById('audit-next-btn').addEventListener('click', () => loadAuditLog(auditPage + 1));
+  document.getElementById('audit-record-history-btn').addEventListener('click', showAuditRecordHistory);
+  document.getElementById('audit-access-report-btn').addEventListener('click', () => {
+    showPatientAccessReport(document.getElementById('audit-record-filter').value);
+  });
+  document.getElementById('audit-export-csv-btn').addEventListener('click', () => exportAuditLog('csv'));
+  document.getElementById('audit-export-pdf-btn').addEventListener('click', () => exportAuditLog('pdf'));
+  document.getElementById('audit-verify-btn').addEventListener('click', verifyAuditLog);
+  document.getElementById('restore-btn').addEventListener('click', () => restoreBackup());
+  document.getElementById('rollback-restore-btn').addEventListener('click', rollbackRestore);
+  document.getElementById('record-recovery-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    showRecordVersions(document.getElementById('record-recovery-table').value,
+      document.getElementById('record-recovery-ref').value);
+  });
+  document.getElementById('point-in-time-form').addEventListener('submit', previewPointInTimeRestore);
 
   // Patient form
   document.getElementById('patient-form').addEventListener('submit', handlePatientSubmit);
@@ -381,39 +451,316 @@ async function handleLogin(e) {
     const result = await window.electronAPI.login(username, password);
     console.log('Renderer: Login result received:', result);
 
-    if (result) {
-      currentUser = result;
-      showMainApp();
-      loadDashboard();
+    if (result && result.twoFactorRequired) {
+      showTwoFactorStep(result.challenge);
+    } else if (result) {
+      completeLogin(result);
     } else {
       showError('Invalid username or password');
     }
   } catch (error) {
     console.error('Renderer: Login failed:', error);
-    showError('Login failed: ' + error.message);
+    showError('Login failed: ' + remoteErrorMessage(error));
+  }
+}
+
+function completeLogin(user) {
+  currentUser = user;
+  showMainApp();
+  if (user.passwordChangeRequired) {
+    openChangePasswordModal(user.passwordChangeReason);
+  } else {
+    openStartScreen();
+  }
+}
+
+// Second login step for accounts with two-factor authentication. The
+// challenge ties the code to the password check that just succeeded.
+let twoFactorChallenge = null;
+
+function showTwoFactorStep(challenge) {
+  twoFactorChallenge = challenge;
+  document.getElementById('login-error').textContent = '';
+  loginForm.style.display = 'none';
+  const form = document.getElementById('two-factor-form');
+  form.reset();
+  form.style.display = '';
+  document.getElementById('two-factor-code').focus();
+}
+
+function showPasswordStep() {
+  twoFactorChallenge = null;
+  document.getElementById('two-factor-form').style.display = 'none';
+  document.getElementById('database-unlock-form').style.display = 'none';
+  loginForm.style.display = '';
+  document.getElementById('password').value = '';
+}
+
+async function handleTwoFactorSubmit(e) {
+  e.preventDefault();
+
+  try {
+    const result = await window.electronAPI.verifyTwoFactor(
+      twoFactorChallenge,
+      document.getElementById('two-factor-code').value
+    );
+
+    if (result) {
+      showPasswordStep();
+      loginForm.reset();
+      completeLogin(result);
+    } else {
+      document.getElementById('two-factor-code').select();
+      showError('Invalid verification code');
+    }
+  } catch (error) {
+    // Expired or exhausted challenges need the password again
+    showPasswordStep();
+    showError('Login failed: ' + remoteErrorMessage(error));
+  }
+}
+
+function openStartScreen() {
+  if (checkScreenPermission('dashboard')) {
+    loadDashboard();
+  } else {
+    const firstScreen = Object.keys(SCREEN_PERMISSIONS).find(screen => checkScreenPermission(screen));
+    if (firstScreen) {
+      switchScreen(firstScreen);
+    }
   }
 }
 
-function handleLogout() {
+// Shown after login when the account's password was assigned by someone else
+// or has expired. The main process refuses every other request until the
+// password is changed, so the only way out is changing it or logging out.
+function openChangePasswordModal(reason) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'change-password-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 480px;">
+      <div class="modal-header">
+        <h3>Change Password</h3>
+      </div>
+      <p>${reason === 'expired'
+        ? 'Your password has expired. Choose a new password to continue.'
+        : 'You must replace the password you were given before using the system.'}</p>
+      <form id="change-password-form">
+        <div class="form-group">
+          <label for="current-password">Current Password *</label>
+          <input type="password" id="current-password" required autocomplete="current-password">
+        </div>
+        <div class="form-group">
+          <label for="new-password">New Password *</label>
+          <input type="password" id="new-password" required autocomplete="new-password">
+        </div>
+        <div class="form-group">
+          <label for="confirm-new-password">Confirm New Password *</label>
+          <input type="password" id="confirm-new-password" required autocomplete="new-password">
+        </div>
+        <div id="change-password-error" class="error-message" role="alert" aria-live="polite"></div>
+        <div class="form-actions">
+          <button type="button" class="btn btn-secondary" id="change-password-logout">Logout</button>
+          <button type="submit" class="btn btn-primary">Change Password</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+  modal.querySelector('#current-password').focus();
+
+  modal.querySelector('#change-password-logout').addEventListener('click', () => {
+    modal.remove();
+    handleLogout();
+  });
+
+  modal.querySelector('#change-password-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = modal.querySelector('#change-password-error');
+    const newPassword = modal.querySelector('#new-password').value;
+    errorDiv.textContent = '';
+
+    if (newPassword !== modal.querySelector('#confirm-new-password').value) {
+      errorDiv.textContent = 'The new passwords do not match';
+      return;
+    }
+
+    try {
+      await window.electronAPI.changePassword(modal.querySelector('#current-password').value, newPassword);
+      currentUser = { ...currentUser, passwordChangeRequired: false, passwordChangeReason: null };
+      modal.remove();
+      showSuccess('Password changed');
+      openStartScreen();
+    } catch (error) {
+      errorDiv.textContent = remoteErrorMessage(error);
+    }
+  });
+}
+
+async function handleLogout() {
+  await endSession();
+}
+
+// Sign out and return to the login form so another user can sign in on this
+// workstation. Cached data belongs to the previous user and is dropped.
+async function switchUser() {
+  await endSession('switch_user');
+}
+
+async function endSession(reason) {
+  try {
+    await window.electronAPI.logout(reason);
+  } catch (error) {
+    console.error('Error ending session:', error);
+  }
   currentUser = null;
+  dataCache.clear();
+  loginForm.reset();
   showLoginScreen();
 }
 
-function checkAuthStatus() {
-  // Check if user is already logged in (from main process)
-  // For now, show login screen
+async function checkAuthStatus() {
+  // An encrypted database is unlocked with its passphrase before anyone logs in
+  try {
+    const encryption = await window.electronAPI.getEncryptionStatus();
+    if (encryption.enabled && !encryption.unlocked) {
+      showLoginScreen();
+      showDatabaseUnlockStep();
+      return;
+    }
+  } catch (error) {
+    console.error('Error checking database encryption:', error);
+  }
+
+  // A reload keeps the window's session in the main process
+  try {
+    const user = await window.electronAPI.getCurrentUser();
+    if (user) {
+      currentUser = user;
+      showMainApp();
+      if (user.locked) {
+        showLockScreen();
+      } else if (user.passwordChangeRequired) {
+        openChangePasswordModal(user.passwordChangeReason);
+      } else {
+        openStartScreen();
+      }
+      return;
+    }
+  } catch (error) {
+    console.error('Error restoring session:', error);
+  }
   showLoginScreen();
 }
 
 function showLoginScreen() {
+  hideLockScreen();
+  showPasswordStep();
   loginScreen.classList.add('active');
   mainScreen.classList.remove('active');
 }
 
+// Session locking. The main process locks idle sessions on its own and tells
+// this window; the overlay only asks for the password again.
+const ACTIVITY_HEARTBEAT_INTERVAL = 30 * 1000;
+let lastHeartbeatAt = 0;
+
+function setupSessionActivityTracking() {
+  const reportActivity = () => {
+    if (!currentUser || lockScreen.classList.contains('active')) {
+      return;
+    }
+    const now = Date.now();
+    if (now - lastHeartbeatAt < ACTIVITY_HEARTBEAT_INTERVAL) {
+      return;
+    }
+    lastHeartbeatAt = now;
+    window.electronAPI.session.heartbeat()
+      .then(status => {
+        if (status.locked) {
+          showLockScreen();
+        } else if (!status.active) {
+          handleSessionEnded('Your session has ended. Please log in again.');
+        }
+      })
+      .catch(error => console.error('Error reporting session activity:', error));
+  };
+
+  ['mousemove', 'mousedown', 'keydown', 'wheel'].forEach(eventName => {
+    document.addEventListener(eventName, reportActivity, { passive: true });
+  });
+
+  window.electronAPI.session.onLocked(() => showLockScreen());
+  window.electronAPI.session.onEnded(message => handleSessionEnded(message));
+}
+
+function handleSessionEnded(message) {
+  if (!currentUser) {
+    return;
+  }
+  currentUser = null;
+  dataCache.clear();
+  showLoginScreen();
+  showError(message);
+}
+
+async function lockSession() {
+  try {
+    await window.electronAPI.session.lock();
+  } catch (error) {
+    console.error('Error locking session:', error);
+  }
+  showLockScreen();
+}
+
+function showLockScreen() {
+  if (!currentUser) {
+    return;
+  }
+  document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
+  document.getElementById('lock-user').textContent = `Signed in as ${currentUser.name} (${currentUser.username})`;
+  document.getElementById('unlock-error').textContent = '';
+  document.getElementById('unlock-form').reset();
+  lockScreen.classList.add('active');
+  document.getElementById('unlock-password').focus();
+}
+
+function hideLockScreen() {
+  lockScreen.classList.remove('active');
+  document.getElementById('unlock-form').reset();
+}
+
+async function handleUnlock(e) {
+  e.preventDefault();
+  const errorDiv = document.getElementById('unlock-error');
+  errorDiv.textContent = '';
+
+  try {
+    const result = await window.electronAPI.session.unlock(document.getElementById('unlock-password').value);
+    if (result.success) {
+      lastHeartbeatAt = Date.now();
+      hideLockScreen();
+    } else if (result.ended) {
+      hideLockScreen();
+      handleSessionEnded(result.error);
+    } else {
+      errorDiv.textContent = result.error;
+      document.getElementById('unlock-password').select();
+    }
+  } catch (error) {
+    errorDiv.textContent = error.message;
+  }
+}
+
 function showMainApp() {
   loginScreen.classList.remove('active');
   mainScreen.classList.add('active');
   currentUserSpan.textContent = `${currentUser.name} (${currentUser.role})`;
+  applyPermissionVisibility();
+  updateTwoFactorButton();
 }
 
 // Screen switching
@@ -450,10 +797,10 @@ function switchScreen(screenName) {
       loadAppointments();
       break;
     case 'accounting':
-      loadInvoices();
+      openFirstPermittedTab('accounting');
       break;
     case 'admin':
-      loadUsers();
+      openFirstPermittedTab('admin');
       break;
   }
 }
@@ -476,13 +823,30 @@ function switchTab(section, tabName) {
   switch (tabName) {
     case 'invoices':
       loadInvoices();
+      if (hasPermission('invoices.settings')) {
+        loadInvoiceNumberingSettings();
+      }
       break;
     case 'billing-codes':
       loadBillingCodes();
       break;
+    case 'tax':
+      loadTaxSettings();
+      loadTaxRates();
+      setDefaultVatReportDates();
+      break;
     case 'payments':
       loadPayments();
       break;
+    case 'receivables':
+      loadAgingReport();
+      break;
+    case 'claims':
+      loadClaimsWorklist();
+      break;
+    case 'insurers':
+      loadInsurers();
+      break;
     case 'expenses':
       loadExpenses();
       break;
@@ -491,10 +855,47 @@ function switchTab(section, tabName) {
       break;
     case 'users':
       loadUsers();
+      if (hasPermission('roles.manage')) {
+        loadRoles();
+      }
       break;
     case 'audit':
+      loadAuditFilterOptions();
       loadAuditLog();
       break;
+    case 'sync':
+      loadSyncSettings();
+      loadSyncStatus();
+      break;
+    case 'conflicts':
+      loadConflicts();
+      break;
+    case 'schema':
+      loadMigrations();
+      break;
+    case 'health':
+      loadForeignKeyCheck();
+      loadMaintenanceSettings();
+      loadMaintenanceStatus();
+      loadMaintenanceHistory();
+      break;
+    case 'security':
+      loadSecuritySettings();
+      loadSessions();
+      break;
+    case 'encryption':
+      loadEncryptionStatus();
+      break;
+    case 'backup':
+      loadBackupSettings();
+      loadBackupStatus();
+      loadBackupHistory();
+      loadJournalCoverage();
+      break;
+    case 'recycle-bin':
+      loadRecycleBinSettings();
+      loadRecycleBin();
+      break;
   }
 }
 
@@ -526,17 +927,89 @@ function switchFormTab(tabName) {
   document.getElementById(`${tabName}-tab`).classList.add('active');
 }
 
-// Permission checking
+// Permission checking. The main process enforces the same permissions; these
+// maps only decide what is shown.
+const SCREEN_PERMISSIONS = {
+  dashboard: ['dashboard.read'],
+  patients: ['patients.read'],
+  appointments: ['appointments.read'],
+  accounting: ['invoices.read', 'billing_codes.create', 'tax.read', 'payments.read', 'expenses.read'],
+  admin: ['users.create', 'users.update', 'users.delete', 'roles.manage', 'audit.read',
+    'backup.create', 'backup.restore', 'sync.read', 'sync.update', 'system.read', 'sessions.manage']
+};
+
+const TAB_PERMISSIONS = {
+  invoices: ['invoices.read'],
+  'billing-codes': ['billing_codes.create', 'billing_codes.update'],
+  tax: ['tax.read'],
+  payments: ['payments.read'],
+  receivables: ['invoices.read'],
+  claims: ['claims.read'],
+  insurers: ['insurers.manage'],
+  expenses: ['expenses.read'],
+  reports: ['dashboard.read'],
+  users: ['users.create', 'users.update', 'users.delete', 'roles.manage'],
+  security: ['sessions.manage'],
+  audit: ['audit.read'],
+  encryption: ['encryption.manage'],
+  backup: ['backup.create', 'backup.restore'],
+  'recycle-bin': ['recycle_bin.manage'],
+  sync: ['sync.read', 'sync.update'],
+  conflicts: ['sync.read'],
+  schema: ['system.read'],
+  health: ['system.read']
+};
+
+function hasPermission(permission) {
+  return currentUser?.permissions?.includes(permission) || false;
+}
+
+function hasAnyPermission(permissions) {
+  return permissions.some(permission => hasPermission(permission));
+}
+
 function checkScreenPermission(screenName) {
-  const permissions = {
-    dashboard: ['admin', 'doctor', 'receptionist', 'accountant'],
-    patients: ['admin', 'doctor', 'receptionist'],
-    appointments: ['admin', 'doctor', 'receptionist'],
-    accounting: ['admin', 'accountant'],
-    admin: ['admin']
-  };
+  return hasAnyPermission(SCREEN_PERMISSIONS[screenName] || []);
+}
+
+// Hide navigation, tabs and sections the signed-in user's role does not grant
+function applyPermissionVisibility() {
+  navBtns.forEach(btn => {
+    btn.style.display = checkScreenPermission(btn.dataset.screen) ? '' : 'none';
+  });
+
+  document.querySelectorAll('.accounting-tabs .tab-btn, .admin-tabs .tab-btn').forEach(btn => {
+    const permissions = TAB_PERMISSIONS[btn.dataset.tab];
+    btn.style.display = !permissions || hasAnyPermission(permissions) ? '' : 'none';
+  });
+
+  const rolesSection = document.getElementById('roles-section');
+  if (rolesSection) {
+    rolesSection.style.display = hasPermission('roles.manage') ? '' : 'none';
+  }
+  document.getElementById('add-user-btn').style.display = hasPermission('users.create') ? '' : 'none';
+  document.getElementById('clear-invoices-btn').style.display = hasPermission('invoices.delete') ? '' : 'none';
+  document.getElementById('invoice-numbering-form').style.display = hasPermission('invoices.settings') ? '' : 'none';
+  document.getElementById('tax-settings-form').style.display = hasPermission('tax.manage') ? '' : 'none';
+  document.getElementById('tax-rate-form').style.display = hasPermission('tax.manage') ? '' : 'none';
+  document.getElementById('repair-orphans-btn').style.display = hasPermission('system.repair') ? '' : 'none';
+  document.getElementById('maintenance-actions').style.display = hasPermission('system.maintain') ? '' : 'none';
+  document.getElementById('maintenance-settings-form').style.display = hasPermission('system.maintain') ? '' : 'none';
+
+  // Roles without clinical access never receive clinical fields
+  const medicalTabBtn = document.querySelector('.form-tab-btn[data-tab="medical"]');
+  if (medicalTabBtn) {
+    medicalTabBtn.style.display = hasPermission('patients.clinical.read') ? '' : 'none';
+  }
+}
 
-  return permissions[screenName]?.includes(currentUser.role) || false;
+// Open the first tab of a screen the user may see
+function openFirstPermittedTab(section) {
+  const firstTab = Array.from(document.querySelectorAll(`.${section}-tabs .tab-btn`))
+    .find(btn => btn.style.display !== 'none');
+  if (firstTab) {
+    switchTab(section, firstTab.dataset.tab);
+  }
 }
 
 // Dashboard functions
@@ -962,6 +1435,8 @@ function renderPatientsTable(patients) {
                 aria-label="View details for ${patient.first_name} ${patient.last_name}">View</button>
         <button class="action-btn edit" onclick="editPatient(${patient.id})"
                 aria-label="Edit patient ${patient.first_name} ${patient.last_name}">Edit</button>
+        ${hasPermission('invoices.read') ? `<button class="action-btn view" onclick="viewPatientAccount(${patient.id})"
+                aria-label="Account for ${escapeHtml(patient.first_name)} ${escapeHtml(patient.last_name)}">Account</button>` : ''}
         ${currentUser.role === 'admin' ? `<button class="action-btn delete" onclick="deletePatient(${patient.id})"
                 aria-label="Delete patient ${patient.first_name} ${patient.last_name}">Delete</button>` : ''}
       </td>
@@ -1015,19 +1490,44 @@ function openPatientModal(patientId = null) {
     title.textContent = 'Add Patient';
     form.reset();
     delete form.dataset.patientId; // Remove edit mode
+    delete form.dataset.patientVersion;
+    setSensitiveInputsLocked(form, false);
     // Switch to basic tab for new patients
     switchFormTab('basic');
   }
 
+  loadInsurerOptions();
   modal.classList.add('active');
 }
 
+// Suggest known insurers for the insurance provider, so claims find them
+async function loadInsurerOptions() {
+  try {
+    const insurers = await window.electronAPI.getInsurers({ activeOnly: true });
+    document.getElementById('insurer-options').innerHTML = insurers
+      .map(insurer => `<option value="${escapeHtml(insurer.name)}"></option>`).join('');
+  } catch (error) {
+    console.error('Error loading insurers:', error);
+  }
+}
+
+// Sensitive inputs stay locked on the edit form until the glass has been
+// broken for the patient from its details; the main process ignores them too
+function setSensitiveInputsLocked(form, locked) {
+  form.querySelectorAll('[data-sensitive]').forEach(input => {
+    input.disabled = locked;
+    input.placeholder = locked ? 'Restricted: open the patient details and use Break the Glass to view' : '';
+  });
+}
+
 async function loadPatientForEdit(patientId) {
   try {
-    const patient = await window.electronAPI.getPatientById(patientId);
+    const patient = await window.electronAPI.getPatientById(patientId, 'edit');
     // Populate form
     const form = document.getElementById('patient-form');
     form.dataset.patientId = patientId;
+    form.dataset.patientVersion = patient.version;
+    setSensitiveInputsLocked(form, !!patient.sensitive_fields_withheld);
 
     // Map database fields to form field names
     const fieldMapping = {
@@ -1185,6 +1685,9 @@ async function handlePatientSubmit(e) {
     }
 
     if (isEdit) {
+      if (e.target.dataset.patientVersion) {
+        patientData.version = parseInt(e.target.dataset.patientVersion);
+      }
       const result = await window.electronAPI.updatePatient(parseInt(isEdit), patientData);
       if (result && result.success) {
         showSuccess('Patient updated successfully');
@@ -1216,7 +1719,7 @@ async function handlePatientSubmit(e) {
 
 async function viewPatientDetails(patientId) {
   try {
-    const patient = await window.electronAPI.getPatientById(patientId);
+    const patient = await window.electronAPI.getPatientById(patientId, 'details');
     showPatientDetailsModal(patient);
   } catch (error) {
     showError('Error loading patient details: ' + error.message);
@@ -1337,9 +1840,6 @@ function showPatientDetailsModal(patient) {
               <div class="detail-row">
                 <strong>Medical History:</strong> ${patient.medical_history || 'Not specified'}
               </div>
-              <div class="detail-row">
-                <strong>Family Medical History:</strong> ${patient.family_medical_history || 'Not specified'}
-              </div>
               <div class="detail-row">
                 <strong>Chronic Conditions:</strong> ${patient.chronic_conditions || 'Not specified'}
               </div>
@@ -1368,6 +1868,10 @@ function showPatientDetailsModal(patient) {
                 <strong>Immunization History:</strong> ${patient.immunization_history || 'Not specified'}
               </div>
             </div>
+            ${hasPermission('patients.clinical.read') ? `
+            <div class="detail-section" id="sensitive-fields-section">
+              ${renderSensitiveFields(patient)}
+            </div>` : ''}
           </div>
         </div>
 
@@ -1458,6 +1962,9 @@ function showPatientDetailsModal(patient) {
       </div>
       <div class="form-actions">
         <button type="button" class="btn btn-secondary" onclick="closeModal('patient-details-modal')">Close</button>
+        ${hasPermission('audit.read')
+          ? `<button type="button" class="btn btn-secondary" onclick="showPatientAccessReport('${escapeHtml(patient.patient_id)}')">Access Report</button>`
+          : ''}
         <button type="button" class="btn btn-primary" onclick="editPatient(${patient.id})">Edit Patient</button>
       </div>
     </div>
@@ -1479,6 +1986,11 @@ function showPatientDetailsModal(patient) {
     });
   });
 
+  const breakGlassBtn = modal.querySelector('#break-glass-btn');
+  if (breakGlassBtn) {
+    breakGlassBtn.addEventListener('click', () => openBreakGlassModal(patient));
+  }
+
   // Close modal functionality
   modal.querySelector('.modal-close').addEventListener('click', () => {
     modal.remove();
@@ -1500,57 +2012,228 @@ function showPatientDetailsModal(patient) {
   });
 }
 
-async function deletePatientRecord(patientId) {
-  if (!confirm('Are you sure you want to delete this patient? This action cannot be undone.')) {
-    return;
+const SENSITIVE_FIELD_LABELS = {
+  family_medical_history: 'Family Medical History',
+  mental_health_screening: 'Mental Health Screening',
+  genetic_testing_results: 'Genetic Testing Results',
+  hereditary_conditions: 'Hereditary Conditions',
+  consanguinity: 'Consanguinity'
+};
+
+function renderSensitiveFields(patient) {
+  if (patient.sensitive_fields_withheld) {
+    return `
+      <h4><i class="fas fa-lock"></i> Restricted</h4>
+      <p>${Object.values(SENSITIVE_FIELD_LABELS).join(', ')} are restricted.
+        Viewing them requires a reason, which is recorded.</p>
+      <button type="button" class="btn btn-secondary" id="break-glass-btn">Break the Glass</button>
+    `;
   }
 
-  try {
-    const result = await window.electronAPI.deletePatient(parseInt(patientId));
-    if (result && result.success) {
-      // Clear patient cache to ensure fresh data is loaded
-      clearPatientCache();
-      // Force reload patients list to show immediate changes
-      loadPatients('', {}, true);
-      showSuccess('Patient deleted successfully');
-    } else {
-      showError('Error deleting patient: ' + (result?.error || 'Unknown error'));
+  return `
+    <h4><i class="fas fa-lock-open"></i> Restricted</h4>
+    ${Object.entries(SENSITIVE_FIELD_LABELS).map(([field, label]) => `
+      <div class="detail-row">
+        <strong>${label}:</strong> ${escapeHtml(patient[field] || 'Not specified')}
+      </div>
+    `).join('')}
+  `;
+}
+
+// Ask for the reason before showing a patient's restricted fields
+function openBreakGlassModal(patient) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'break-glass-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 480px;">
+      <div class="modal-header">
+        <h3>Break the Glass</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <p>You are about to view restricted information for ${escapeHtml(patient.first_name)} ${escapeHtml(patient.last_name)}
+        (${escapeHtml(patient.patient_id)}). Your name, the time and your reason are recorded for review.</p>
+      <form id="break-glass-form">
+        <div class="form-group">
+          <label for="break-glass-reason">Reason for access *</label>
+          <textarea id="break-glass-reason" rows="3" required></textarea>
+        </div>
+        <div id="break-glass-error" class="error-message" role="alert" aria-live="polite"></div>
+        <div class="form-actions">
+          <button type="button" class="btn btn-secondary" id="break-glass-cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary">View Restricted Fields</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+  modal.querySelector('#break-glass-reason').focus();
+
+  modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+  modal.querySelector('#break-glass-cancel').addEventListener('click', () => modal.remove());
+
+  modal.querySelector('#break-glass-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = modal.querySelector('#break-glass-error');
+    errorDiv.textContent = '';
+
+    try {
+      const fields = await window.electronAPI.breakGlassPatient(
+        patient.id, modal.querySelector('#break-glass-reason').value, 'details');
+      modal.remove();
+
+      const section = document.getElementById('sensitive-fields-section');
+      if (section) {
+        section.innerHTML = renderSensitiveFields({ ...patient, ...fields, sensitive_fields_withheld: false });
+      }
+    } catch (error) {
+      errorDiv.textContent = remoteErrorMessage(error);
     }
-  } catch (error) {
-    showError('Error deleting patient: ' + error.message);
-  }
+  });
 }
 
-// Appointment functions
-async function loadAppointments() {
-  try {
-    const status = document.getElementById('appointment-status-filter').value;
-    const filters = status ? { status } : {};
-    const appointments = await window.electronAPI.getAppointments(filters);
-    renderAppointmentsTable(appointments);
-  } catch (error) {
-    console.error('Error loading appointments:', error);
+function accessUserLabel(access) {
+  if (access.username) {
+    return `${escapeHtml(access.userName)} (${escapeHtml(access.username)})`;
   }
+  return access.userId ? `#${access.userId}` : 'System';
 }
 
-async function renderAppointmentsTable(appointments) {
-  const tbody = document.getElementById('appointments-tbody');
-  tbody.innerHTML = '';
+// Who opened a patient's record, when and from which screen
+async function showPatientAccessReport(patientRef) {
+  try {
+    const report = await window.electronAPI.getPatientAccessReport(patientRef);
 
-  // Get billing information for each appointment
-  const appointmentsWithBilling = await Promise.all(
-    appointments.map(async (appointment) => {
-      try {
-        const billings = await window.electronAPI.getAppointmentBillings(appointment.id);
-        const totalBilled = billings.reduce((sum, billing) => sum + billing.total_price, 0);
-        const hasInvoice = billings.some(billing => billing.invoice_id);
-        return { ...appointment, billings, totalBilled, hasInvoice };
-      } catch (error) {
-        console.error('Error loading billing for appointment:', appointment.id, error);
-        return { ...appointment, billings: [], totalBilled: 0, hasInvoice: false };
-      }
-    })
-  );
+    const existing = document.getElementById('access-report-modal');
+    if (existing) {
+      existing.remove();
+    }
+
+    const breakGlassCount = report.accesses.filter(access => access.breakGlass).length;
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'access-report-modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 900px;">
+        <div class="modal-header">
+          <h3>Access Report: ${escapeHtml(report.patient.patientId)}${report.patient.name ? ` - ${escapeHtml(report.patient.name)}` : ''}</h3>
+          <span class="modal-close">&times;</span>
+        </div>
+        <p>${report.accesses.length} accesses by ${report.users.length} users, ${breakGlassCount} with Break the Glass.</p>
+        ${report.users.length > 0 ? `
+        <h4>By User</h4>
+        <div class="data-table">
+          <table>
+            <thead>
+              <tr><th>User</th><th>Views</th><th>Break the Glass</th><th>Last Access</th></tr>
+            </thead>
+            <tbody>
+              ${report.users.map(user => `
+                <tr>
+                  <td>${accessUserLabel(user)}</td>
+                  <td>${user.views}</td>
+                  <td>${user.breakGlass}</td>
+                  <td>${new Date(user.lastAccess + 'Z').toLocaleString()}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <h4>All Accesses</h4>
+        <div class="data-table">
+          <table>
+            <thead>
+              <tr><th>Timestamp</th><th>User</th><th>Screen</th><th>Access</th><th>Reason</th></tr>
+            </thead>
+            <tbody>
+              ${report.accesses.map(access => `
+                <tr>
+                  <td>${new Date(access.timestamp + 'Z').toLocaleString()}</td>
+                  <td>${accessUserLabel(access)}</td>
+                  <td>${escapeHtml(access.contextLabel)}</td>
+                  <td>${access.breakGlass
+                    ? '<span class="status-failed">Break the Glass</span>'
+                    : (access.clinical ? 'Clinical' : 'Demographics')}</td>
+                  <td>${escapeHtml(access.reason || '')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>` : '<p>No one has opened this record yet.</p>'}
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+
+    modal.querySelector('.modal-close').addEventListener('click', () => {
+      modal.remove();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  } catch (error) {
+    console.error('Error loading access report:', error);
+    showError('Error loading access report: ' + remoteErrorMessage(error));
+  }
+}
+
+async function deletePatientRecord(patientId) {
+  if (!confirm('Move this patient to the recycle bin? An administrator can restore it until it is purged.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.deletePatient(parseInt(patientId));
+    if (result && result.success) {
+      // Clear patient cache to ensure fresh data is loaded
+      clearPatientCache();
+      // Force reload patients list to show immediate changes
+      loadPatients('', {}, true);
+      showSuccess('Patient moved to the recycle bin');
+    } else {
+      showError('Error deleting patient: ' + (result?.error || 'Unknown error'));
+    }
+  } catch (error) {
+    showError('Error deleting patient: ' + error.message);
+  }
+}
+
+// Appointment functions
+async function loadAppointments() {
+  try {
+    const status = document.getElementById('appointment-status-filter').value;
+    const filters = status ? { status } : {};
+    const appointments = await window.electronAPI.getAppointments(filters);
+    renderAppointmentsTable(appointments);
+  } catch (error) {
+    console.error('Error loading appointments:', error);
+  }
+}
+
+async function renderAppointmentsTable(appointments) {
+  const tbody = document.getElementById('appointments-tbody');
+  tbody.innerHTML = '';
+
+  // Get billing information for each appointment
+  const appointmentsWithBilling = await Promise.all(
+    appointments.map(async (appointment) => {
+      try {
+        const billings = await window.electronAPI.getAppointmentBillings(appointment.id);
+        const totalBilled = billings.reduce((sum, billing) => sum + billing.total_price, 0);
+        const hasInvoice = billings.some(billing => billing.invoice_id);
+        return { ...appointment, billings, totalBilled, hasInvoice };
+      } catch (error) {
+        console.error('Error loading billing for appointment:', appointment.id, error);
+        return { ...appointment, billings: [], totalBilled: 0, hasInvoice: false };
+      }
+    })
+  );
 
   appointmentsWithBilling.forEach(appointment => {
     const row = document.createElement('tr');
@@ -1567,6 +2250,8 @@ async function renderAppointmentsTable(appointments) {
         <button class="action-btn edit" onclick="editAppointment(${appointment.id})">Edit</button>
         ${appointment.status === 'completed' && appointment.totalBilled > 0 && !appointment.hasInvoice ?
           `<button class="action-btn primary" onclick="createInvoiceFromAppointment(${appointment.id})">Create Invoice</button>` : ''}
+        ${appointment.status === 'completed' && appointment.totalBilled > 0 && hasPermission('claims.manage') ?
+          `<button class="action-btn view" onclick="claimAppointment(${appointment.id})">Claim Insurance</button>` : ''}
         ${currentUser.role === 'admin' ? `<button class="action-btn delete" onclick="deleteAppointment(${appointment.id})">Delete</button>` : ''}
       </td>
     `;
@@ -1606,6 +2291,112 @@ async function loadDoctorsForAppointment() {
   }
 }
 
+// The co-payment and insurer portion expected for an appointment, from the
+// services already billed to it or those the receptionist expects, under
+// the tariff of the patient's insurer
+async function initializeAppointmentEstimate(modal, appointmentId) {
+  const estimateServices = [];
+  const codeSelect = modal.querySelector('#estimate-billing-code');
+
+  const refresh = () => updateAppointmentEstimate(modal, estimateServices);
+  modal.querySelector('#appointment-patient').addEventListener('change', refresh);
+  modal.querySelector('#appointment-date').addEventListener('change', refresh);
+  modal.querySelector('#estimate-add-btn').addEventListener('click', () => {
+    const quantity = parseInt(modal.querySelector('#estimate-quantity').value);
+    if (!codeSelect.value || !(quantity > 0)) {
+      return;
+    }
+    estimateServices.push({ billingCodeId: parseInt(codeSelect.value), quantity });
+    codeSelect.value = '';
+    modal.querySelector('#estimate-quantity').value = 1;
+    refresh();
+  });
+  modal.querySelector('#appointment-estimate').addEventListener('click', (e) => {
+    const index = e.target.dataset.removeService;
+    if (index !== undefined) {
+      estimateServices.splice(parseInt(index), 1);
+      refresh();
+    }
+  });
+
+  try {
+    const billingCodes = await window.electronAPI.getBillingCodes({ active: true });
+    codeSelect.innerHTML += billingCodes.map(code =>
+      `<option value="${code.id}">${escapeHtml(code.code)} - ${escapeHtml(code.description)} ($${code.default_price.toFixed(2)})</option>`).join('');
+
+    if (appointmentId) {
+      const billings = await window.electronAPI.getAppointmentBillings(appointmentId);
+      estimateServices.push(...billings.map(billing => ({
+        billingCodeId: billing.billing_code_id,
+        quantity: billing.quantity,
+        unitPrice: billing.unit_price
+      })));
+    }
+  } catch (error) {
+    console.error('Error loading services for the estimate:', error);
+  }
+  refresh();
+}
+
+async function updateAppointmentEstimate(modal, estimateServices) {
+  const container = modal.querySelector('#appointment-estimate');
+  const patientId = parseInt(modal.querySelector('#appointment-patient').value);
+  if (!patientId) {
+    container.innerHTML = '<p><small>Select a patient to estimate what their insurer covers.</small></p>';
+    return;
+  }
+
+  try {
+    const estimate = await window.electronAPI.estimateCoverage({
+      patientId,
+      items: estimateServices,
+      date: modal.querySelector('#appointment-date').value
+    });
+
+    let insurerNote;
+    if (estimate.insurer) {
+      insurerNote = `Insured with ${escapeHtml(estimate.insurer.name)}${estimate.policyNumber ? `, policy ${escapeHtml(estimate.policyNumber)}` : ''}`;
+    } else if (estimate.insuranceProvider) {
+      insurerNote = `${escapeHtml(estimate.insuranceProvider)} is not a known insurer; the patient pays in full`;
+    } else {
+      insurerNote = 'No insurance on file; the patient pays in full';
+    }
+
+    container.innerHTML = `
+      <p>${insurerNote}</p>
+      ${estimate.lines.length > 0 ? `
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr>
+              <th>Service</th>
+              <th>Qty</th>
+              <th>Price</th>
+              <th>Insurer</th>
+              <th>Patient</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${estimate.lines.map((line, index) => `
+              <tr>
+                <td>${escapeHtml(line.description)}${line.limitReached ? '<br><small>Annual limit reached</small>' : ''}</td>
+                <td>${line.quantity}</td>
+                <td>$${line.amount.toFixed(2)}</td>
+                <td>$${line.insurerAmount.toFixed(2)}</td>
+                <td>$${line.patientAmount.toFixed(2)}</td>
+                <td><button type="button" class="action-btn delete" data-remove-service="${index}">Remove</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p><strong>Insurer pays: $${estimate.insurerAmount.toFixed(2)}</strong> &middot; <strong>Co-payment: $${estimate.patientAmount.toFixed(2)}</strong> of $${estimate.total.toFixed(2)}</p>
+      ` : '<p><small>Add the services expected at this appointment to see the estimate.</small></p>'}
+    `;
+  } catch (error) {
+    container.innerHTML = `<p class="message error">${escapeHtml(remoteErrorMessage(error))}</p>`;
+  }
+}
+
 async function loadAppointmentForEdit(appointmentId) {
   try {
     const appointments = await window.electronAPI.getAppointments({ id: appointmentId });
@@ -1613,6 +2404,7 @@ async function loadAppointmentForEdit(appointmentId) {
       const appointment = appointments[0];
 
       document.getElementById('appointment-patient').value = appointment.patient_id;
+      document.getElementById('appointment-patient').dispatchEvent(new Event('change'));
       document.getElementById('appointment-doctor').value = appointment.doctor_id;
       document.getElementById('appointment-date').value = new Date(appointment.appointment_date).toISOString().slice(0, 16);
       document.getElementById('appointment-type').value = appointment.appointment_type;
@@ -1817,6 +2609,28 @@ function openAppointmentModal(appointmentId = null) {
             <textarea id="appointment-notes" name="notes" rows="3" placeholder="Appointment notes"></textarea>
           </div>
         </div>
+        ${hasPermission('billing.read') ? `
+          <div class="detail-section" id="appointment-estimate-section">
+            <h4>Insurance Estimate</h4>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="estimate-billing-code">Expected service</label>
+                <select id="estimate-billing-code">
+                  <option value="">Select Service</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label for="estimate-quantity">Quantity</label>
+                <input type="number" id="estimate-quantity" min="1" step="1" value="1">
+              </div>
+              <div class="form-group">
+                <label>&nbsp;</label>
+                <button type="button" class="btn btn-secondary" id="estimate-add-btn">Add</button>
+              </div>
+            </div>
+            <div id="appointment-estimate"></div>
+          </div>
+        ` : ''}
         <div class="form-actions">
           <button type="button" class="btn btn-secondary" onclick="closeModal('appointment-modal')">Cancel</button>
           <button type="submit" class="btn btn-primary">${appointmentId ? 'Update' : 'Schedule'} Appointment</button>
@@ -1837,6 +2651,10 @@ function openAppointmentModal(appointmentId = null) {
     loadAppointmentForEdit(appointmentId);
   }
 
+  if (hasPermission('billing.read')) {
+    initializeAppointmentEstimate(modal, appointmentId);
+  }
+
   // Add form submit handler
     modal.querySelector('#appointment-form').addEventListener('submit', handleAppointmentSubmit);
 
@@ -1983,17 +2801,63 @@ function renderInvoicesTable(invoices) {
       <td>${invoice.invoice_number}</td>
       <td>${invoice.first_name} ${invoice.last_name}</td>
       <td>$${invoice.total_amount.toFixed(2)}</td>
+      <td>$${invoice.balance_due.toFixed(2)}</td>
       <td><span class="status-${invoice.status}">${invoice.status}</span></td>
       <td>${new Date(invoice.due_date).toLocaleDateString()}</td>
       <td>
         <button class="action-btn view" onclick="viewInvoice(${invoice.id})">View</button>
         <button class="action-btn edit" onclick="editInvoice(${invoice.id})">Edit</button>
+        ${hasPermission('invoices.credit') && invoice.balance_due > 0
+          ? `<button class="action-btn edit" onclick="issueCreditNote(${invoice.id}, ${invoice.balance_due})">Credit</button>` : ''}
+        ${hasPermission('invoices.void') && ['unpaid', 'overdue'].includes(invoice.status)
+          ? `<button class="action-btn delete" onclick="voidInvoice(${invoice.id})">Void</button>` : ''}
       </td>
     `;
     tbody.appendChild(row);
   });
 }
 
+async function loadInvoiceNumberingSettings() {
+  try {
+    const settings = await window.electronAPI.getNumberingSettings();
+    document.getElementById('invoice-number-prefix').value = settings.prefix;
+    document.getElementById('invoice-number-yearly').checked = !!settings.yearly;
+    document.getElementById('invoice-number-workstation').value = settings.workstation;
+    updateInvoiceNumberExample();
+  } catch (error) {
+    console.error('Error loading invoice numbering settings:', error);
+    showError('Error loading invoice numbering settings: ' + remoteErrorMessage(error));
+  }
+}
+
+// Shows what the next number in a new sequence would look like
+function updateInvoiceNumberExample() {
+  const prefix = document.getElementById('invoice-number-prefix').value.trim().toUpperCase() || 'INV';
+  const yearly = document.getElementById('invoice-number-yearly').checked;
+  const workstation = document.getElementById('invoice-number-workstation').value.trim().toUpperCase();
+  const parts = [prefix, yearly ? new Date().getFullYear() : null, workstation, '00001'].filter(Boolean);
+  document.getElementById('invoice-number-example').textContent = `e.g. ${parts.join('-')}`;
+}
+
+async function handleInvoiceNumberingSubmit(e) {
+  e.preventDefault();
+
+  const settings = {
+    prefix: document.getElementById('invoice-number-prefix').value,
+    yearly: document.getElementById('invoice-number-yearly').checked,
+    workstation: document.getElementById('invoice-number-workstation').value
+  };
+
+  try {
+    await window.electronAPI.updateNumberingSettings(settings);
+    showSuccess('Invoice numbering saved');
+    loadInvoiceNumberingSettings();
+  } catch (error) {
+    console.error('Error saving invoice numbering settings:', error);
+    showError('Error saving invoice numbering settings: ' + remoteErrorMessage(error));
+  }
+}
+
 async function loadExpenses() {
   try {
     const expenses = await window.electronAPI.getExpenses();
@@ -2034,6 +2898,76 @@ async function loadFinancialReports() {
   }
 }
 
+// One line of the create and edit invoice forms
+function invoiceItemHtml(item = {}) {
+  return `
+    <div class="invoice-item" data-item-id="${item.id || Date.now()}">
+      <div class="form-row">
+        <div class="form-group">
+          <label>Billing Code *</label>
+          <select name="billingCodeId" required>
+            <option value="">Select Billing Code</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Quantity *</label>
+          <input type="number" name="quantity" min="1" value="${item.quantity || 1}" required>
+        </div>
+        <div class="form-group">
+          <label>Unit Price *</label>
+          <input type="number" name="unitPrice" step="0.01" min="0" value="${item.unit_price ?? ''}" required>
+        </div>
+        <div class="form-group">
+          <label>Total</label>
+          <input type="number" name="totalPrice" step="0.01" value="${item.total_price ?? ''}" readonly>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" name="taxExempt" ${item.tax_exempt ? 'checked' : ''}> Tax exempt</label>
+        </div>
+        <div class="form-group">
+          <button type="button" class="btn btn-danger btn-sm remove-item" style="margin-top: 24px;">Remove</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Totals are worked out by the main process as saving would, so tax rates,
+// exempt categories and tax-inclusive pricing match the saved invoice
+let invoicePreviewRequest = 0;
+
+async function previewInvoiceTotals(container, prefix, invoiceId = null) {
+  const request = ++invoicePreviewRequest;
+  const items = [];
+  container.querySelectorAll('.invoice-item').forEach(item => {
+    const billingCodeId = parseInt(item.querySelector('select[name="billingCodeId"]').value);
+    const quantity = parseInt(item.querySelector('input[name="quantity"]').value);
+    const unitPrice = parseFloat(item.querySelector('input[name="unitPrice"]').value);
+    if (billingCodeId && quantity && unitPrice >= 0) {
+      items.push({ billingCodeId, quantity, unitPrice, taxExempt: item.querySelector('input[name="taxExempt"]').checked });
+    }
+  });
+
+  let totals = { amount: 0, taxAmount: 0, totalAmount: 0, inclusive: false };
+  if (items.length > 0) {
+    try {
+      totals = await window.electronAPI.previewInvoice(items, invoiceId);
+    } catch (error) {
+      console.error('Error calculating invoice totals:', error);
+      return;
+    }
+  }
+
+  // A later change has already asked for newer totals
+  if (request !== invoicePreviewRequest) {
+    return;
+  }
+  document.getElementById(`${prefix}-subtotal`).textContent = totals.amount.toFixed(2);
+  document.getElementById(`${prefix}-tax-label`).textContent = totals.inclusive ? 'Tax (included in prices)' : 'Tax';
+  document.getElementById(`${prefix}-tax`).textContent = totals.taxAmount.toFixed(2);
+  document.getElementById(`${prefix}-total`).textContent = totals.totalAmount.toFixed(2);
+}
+
 function openInvoiceModal() {
   // Create modal HTML
   const modal = document.createElement('div');
@@ -2067,41 +3001,17 @@ function openInvoiceModal() {
         <div class="invoice-items-section">
           <h4>Invoice Items</h4>
           <div id="invoice-items">
-            <div class="invoice-item" data-item-id="1">
-              <div class="form-row">
-                <div class="form-group">
-                  <label>Billing Code *</label>
-                  <select name="billingCodeId" required>
-                    <option value="">Select Billing Code</option>
-                  </select>
-                </div>
-                <div class="form-group">
-                  <label>Quantity *</label>
-                  <input type="number" name="quantity" min="1" value="1" required>
-                </div>
-                <div class="form-group">
-                  <label>Unit Price *</label>
-                  <input type="number" name="unitPrice" step="0.01" min="0" required>
-                </div>
-                <div class="form-group">
-                  <label>Total</label>
-                  <input type="number" name="totalPrice" step="0.01" readonly>
-                </div>
-                <div class="form-group">
-                  <button type="button" class="btn btn-danger btn-sm remove-item" style="margin-top: 24px;">Remove</button>
-                </div>
-              </div>
-            </div>
+            ${invoiceItemHtml()}
           </div>
           <button type="button" id="add-invoice-item" class="btn btn-secondary">Add Item</button>
         </div>
 
         <div class="invoice-totals">
           <div class="total-row">
-            <strong>Subtotal: $<span id="invoice-subtotal">0.00</span></strong>
+            <strong>Subtotal (excl. tax): $<span id="invoice-subtotal">0.00</span></strong>
           </div>
           <div class="total-row">
-            <strong>Tax (15%): $<span id="invoice-tax">0.00</span></strong>
+            <strong><span id="invoice-tax-label">Tax</span>: $<span id="invoice-tax">0.00</span></strong>
           </div>
           <div class="total-row">
             <strong>Total: $<span id="invoice-total">0.00</span></strong>
@@ -2170,7 +3080,6 @@ async function loadBillingCodesForInvoice() {
         option.value = code.id;
         option.textContent = `${code.code} - ${code.description} ($${code.default_price.toFixed(2)})`;
         option.dataset.price = code.default_price;
-        option.dataset.taxRate = code.tax_rate;
         select.appendChild(option);
       });
     });
@@ -2184,34 +3093,7 @@ function setupInvoiceItemManagement(modal) {
   const addItemBtn = modal.querySelector('#add-invoice-item');
 
   addItemBtn.addEventListener('click', () => {
-    const itemCount = itemsContainer.children.length + 1;
-    const itemHtml = `
-      <div class="invoice-item" data-item-id="${itemCount}">
-        <div class="form-row">
-          <div class="form-group">
-            <label>Billing Code *</label>
-            <select name="billingCodeId" required>
-              <option value="">Select Billing Code</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Quantity *</label>
-            <input type="number" name="quantity" min="1" value="1" required>
-          </div>
-          <div class="form-group">
-            <label>Unit Price *</label>
-            <input type="number" name="unitPrice" step="0.01" min="0" required>
-          </div>
-          <div class="form-group">
-            <label>Total</label>
-            <input type="number" name="totalPrice" step="0.01" readonly>
-          </div>
-          <div class="form-group">
-            <button type="button" class="btn btn-danger btn-sm remove-item" style="margin-top: 24px;">Remove</button>
-          </div>
-        </div>
-      </div>
-    `;
+    const itemHtml = invoiceItemHtml();
 
     itemsContainer.insertAdjacentHTML('beforeend', itemHtml);
 
@@ -2243,6 +3125,7 @@ function setupInvoiceItemManagement(modal) {
 
     quantityInput.addEventListener('input', () => calculateItemTotal(item));
     unitPriceInput.addEventListener('input', () => calculateItemTotal(item));
+    item.querySelector('input[name="taxExempt"]').addEventListener('change', calculateInvoiceTotals);
 
     removeBtn.addEventListener('click', () => {
       if (itemsContainer.children.length > 1) {
@@ -2264,20 +3147,7 @@ function setupInvoiceItemManagement(modal) {
 }
 
 function calculateInvoiceTotals() {
-  const items = document.querySelectorAll('.invoice-item');
-  let subtotal = 0;
-
-  items.forEach(item => {
-    const total = parseFloat(item.querySelector('input[name="totalPrice"]').value) || 0;
-    subtotal += total;
-  });
-
-  const tax = subtotal * 0.15;
-  const total = subtotal + tax;
-
-  document.getElementById('invoice-subtotal').textContent = subtotal.toFixed(2);
-  document.getElementById('invoice-tax').textContent = tax.toFixed(2);
-  document.getElementById('invoice-total').textContent = total.toFixed(2);
+  previewInvoiceTotals(document.getElementById('invoice-items'), 'invoice');
 }
 
 async function handleInvoiceSubmit(e) {
@@ -2287,7 +3157,7 @@ async function handleInvoiceSubmit(e) {
   const items = [];
 
   // Collect invoice items
-  document.querySelectorAll('.invoice-item').forEach(item => {
+  document.querySelectorAll('#invoice-items .invoice-item').forEach(item => {
     const billingCodeSelect = item.querySelector('select[name="billingCodeId"]');
     const billingCodeId = billingCodeSelect.value;
     const quantity = parseInt(item.querySelector('input[name="quantity"]').value);
@@ -2303,7 +3173,8 @@ async function handleInvoiceSubmit(e) {
         description: description,
         quantity: quantity,
         unitPrice: unitPrice,
-        totalPrice: totalPrice
+        totalPrice: totalPrice,
+        taxExempt: item.querySelector('input[name="taxExempt"]').checked
       });
     }
   });
@@ -2329,7 +3200,7 @@ async function handleInvoiceSubmit(e) {
     closeModal('invoice-modal');
     loadInvoices();
   } catch (error) {
-    showError('Error creating invoice: ' + error.message);
+    showError('Error creating invoice: ' + remoteErrorMessage(error));
   }
 }
 
@@ -2443,6 +3314,7 @@ function renderBillingCodesTable(billingCodes) {
       <td>${code.description}</td>
       <td>${code.category}</td>
       <td>$${code.default_price.toFixed(2)}</td>
+      <td>${code.tax_name ? `${escapeHtml(code.tax_name)} (${formatTaxRate(code.current_tax_rate)})` : escapeHtml(code.tax_code)}</td>
       <td><span class="status-${code.active ? 'active' : 'inactive'}">${code.active ? 'Active' : 'Inactive'}</span></td>
       <td>
         <button class="action-btn edit" onclick="editBillingCode(${code.id})">Edit</button>
@@ -2454,61 +3326,304 @@ function renderBillingCodesTable(billingCodes) {
   });
 }
 
-async function loadPayments() {
+// Tax
+async function loadTaxSettings() {
   try {
-    const payments = await window.electronAPI.getPayments();
-    renderPaymentsTable(payments);
+    const [settings, billingCodes] = await Promise.all([
+      window.electronAPI.getTaxSettings(),
+      hasPermission('billing.read') ? window.electronAPI.getBillingCodes() : Promise.resolve([])
+    ]);
+    document.getElementById('tax-prices-include-tax').checked = !!settings.pricesIncludeTax;
+
+    const categories = [...new Set([...billingCodes.map(code => code.category), ...settings.exemptCategories])].sort();
+    document.getElementById('tax-exempt-categories').innerHTML = categories.map(category => `
+      <label>
+        <input type="checkbox" name="exemptCategory" value="${escapeHtml(category)}"
+               ${settings.exemptCategories.includes(category) ? 'checked' : ''}> ${escapeHtml(category)}
+      </label>
+    `).join('') || 'No billing code categories yet';
   } catch (error) {
-    console.error('Error loading payments:', error);
+    console.error('Error loading tax settings:', error);
+    showError('Error loading tax settings: ' + remoteErrorMessage(error));
   }
 }
 
-function renderPaymentsTable(payments) {
-  const tbody = document.getElementById('payments-tbody');
-  tbody.innerHTML = '';
+async function handleTaxSettingsSubmit(e) {
+  e.preventDefault();
 
-  payments.forEach(payment => {
-    const row = document.createElement('tr');
-    row.innerHTML = `
-      <td>${new Date(payment.payment_date).toLocaleDateString()}</td>
-      <td>${payment.invoice_number}</td>
-      <td>${payment.first_name} ${payment.last_name}</td>
-      <td>$${payment.amount.toFixed(2)}</td>
-      <td>${payment.payment_method}</td>
-      <td>${payment.reference_number || ''}</td>
-    `;
-    tbody.appendChild(row);
-  });
+  const settings = {
+    pricesIncludeTax: document.getElementById('tax-prices-include-tax').checked,
+    exemptCategories: Array.from(document.querySelectorAll('#tax-exempt-categories input[name="exemptCategory"]:checked'))
+      .map(input => input.value)
+  };
+
+  try {
+    await window.electronAPI.updateTaxSettings(settings);
+    showSuccess('Tax settings saved');
+    loadTaxSettings();
+  } catch (error) {
+    console.error('Error saving tax settings:', error);
+    showError('Error saving tax settings: ' + remoteErrorMessage(error));
+  }
 }
 
-function openBillingCodeModal(billingCodeId = null) {
-  // Create modal HTML
-  const modal = document.createElement('div');
-  modal.className = 'modal';
-  modal.id = 'billing-code-modal';
-  modal.innerHTML = `
-    <div class="modal-content">
-      <div class="modal-header">
-        <h3>${billingCodeId ? 'Edit' : 'Add'} Billing Code</h3>
-        <span class="modal-close">&times;</span>
-      </div>
-      <form id="billing-code-form">
-        <div class="form-row">
-          <div class="form-group">
-            <label for="billing-code">Code *</label>
-            <input type="text" id="billing-code" name="code" required placeholder="e.g., CONSULT">
-          </div>
-          <div class="form-group">
-            <label for="billing-category">Category *</label>
-            <select id="billing-category" name="category" required>
-              <option value="">Select Category</option>
-              <option value="Consultation">Consultation</option>
-              <option value="Diagnostic">Diagnostic</option>
-              <option value="Therapy">Therapy</option>
-              <option value="Emergency">Emergency</option>
-              <option value="Preventive">Preventive</option>
-              <option value="Medication">Medication</option>
-              <option value="Other">Other</option>
+async function loadTaxRates() {
+  try {
+    const rates = await window.electronAPI.getTaxRates();
+    const today = new Date().toISOString().split('T')[0];
+    const tbody = document.getElementById('tax-rates-tbody');
+
+    tbody.innerHTML = rates.map(rate => {
+      const scheduled = rate.effective_from > today;
+      const status = rate.in_effect ? 'In effect' : scheduled ? 'Scheduled' : 'Superseded';
+      return `
+        <tr>
+          <td>${escapeHtml(rate.code)}</td>
+          <td>${escapeHtml(rate.name)}</td>
+          <td>${formatTaxRate(rate.rate)}</td>
+          <td>${new Date(rate.effective_from).toLocaleDateString()}</td>
+          <td><span class="status-${rate.in_effect ? 'active' : 'inactive'}">${status}</span></td>
+          <td>
+            ${scheduled && hasPermission('tax.manage')
+              ? `<button class="action-btn delete" onclick="deleteTaxRate(${rate.id})">Delete</button>` : ''}
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    document.getElementById('tax-rate-code-options').innerHTML = [...new Set(rates.map(rate => rate.code))]
+      .map(code => `<option value="${escapeHtml(code)}">`).join('');
+  } catch (error) {
+    console.error('Error loading tax rates:', error);
+    showError('Error loading tax rates: ' + remoteErrorMessage(error));
+  }
+}
+
+async function handleTaxRateSubmit(e) {
+  e.preventDefault();
+
+  const rateData = {
+    code: document.getElementById('tax-rate-code').value,
+    name: document.getElementById('tax-rate-name').value,
+    rate: parseFloat(document.getElementById('tax-rate-percent').value) / 100,
+    effectiveFrom: document.getElementById('tax-rate-effective-from').value
+  };
+
+  try {
+    await window.electronAPI.addTaxRate(rateData);
+    showSuccess('Tax rate added');
+    e.target.reset();
+    loadTaxRates();
+  } catch (error) {
+    console.error('Error adding tax rate:', error);
+    showError('Error adding tax rate: ' + remoteErrorMessage(error));
+  }
+}
+
+async function deleteTaxRate(id) {
+  if (!confirm('Delete this scheduled tax rate?')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.deleteTaxRate(id);
+    showSuccess('Tax rate deleted');
+    loadTaxRates();
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    showError('Error deleting tax rate: ' + remoteErrorMessage(error));
+  }
+}
+
+// The VAT return defaults to the current quarter so far
+function setDefaultVatReportDates() {
+  const from = document.getElementById('vat-report-from');
+  const to = document.getElementById('vat-report-to');
+  if (!from.value || !to.value) {
+    const now = new Date();
+    const quarterStart = new Date(Date.UTC(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1));
+    from.value = quarterStart.toISOString().split('T')[0];
+    to.value = now.toISOString().split('T')[0];
+  }
+}
+
+async function handleVatReportSubmit(e) {
+  e.preventDefault();
+
+  try {
+    const report = await window.electronAPI.getVatReport({
+      dateFrom: document.getElementById('vat-report-from').value,
+      dateTo: document.getElementById('vat-report-to').value,
+      period: document.getElementById('vat-report-period').value
+    });
+    renderVatReport(report);
+  } catch (error) {
+    console.error('Error running VAT report:', error);
+    showError('Error running VAT report: ' + remoteErrorMessage(error));
+  }
+}
+
+function renderVatReport(report) {
+  const tbody = document.getElementById('vat-report-tbody');
+  if (report.periods.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5">No invoices were raised in this period</td></tr>';
+    return;
+  }
+
+  const totalRow = (label, summary) => `
+    <tr>
+      <td></td>
+      <td colspan="2"><strong>${label}</strong><br>
+        Taxable $${summary.taxableNet.toFixed(2)}, zero rated $${summary.zeroRatedNet.toFixed(2)}, exempt $${summary.exemptNet.toFixed(2)}${summary.creditedNet ? `, credit notes $${summary.creditedNet.toFixed(2)}` : ''}
+      </td>
+      <td><strong>$${(summary.taxableNet + summary.zeroRatedNet + summary.exemptNet + summary.creditedNet).toFixed(2)}</strong></td>
+      <td><strong>$${summary.outputTax.toFixed(2)}</strong></td>
+    </tr>
+  `;
+
+  tbody.innerHTML = report.periods.map(summary => summary.lines.map((line, index) => `
+    <tr>
+      <td>${index === 0 ? escapeHtml(summary.period) : ''}</td>
+      <td>${escapeHtml(line.name)}</td>
+      <td>${['exempt', 'credit'].includes(line.kind) ? '-' : formatTaxRate(line.rate)}</td>
+      <td>$${line.net.toFixed(2)}</td>
+      <td>$${line.tax.toFixed(2)}</td>
+    </tr>
+  `).join('') + totalRow(`${summary.period} total`, summary)).join('') + totalRow('Total for the return', report.totals);
+}
+
+async function loadAgingReport() {
+  try {
+    const report = await window.electronAPI.getAgingReport({ groupBy: document.getElementById('aging-group-by').value });
+    renderAgingReport(report);
+  } catch (error) {
+    console.error('Error loading aging report:', error);
+    showError('Error loading aging report: ' + remoteErrorMessage(error));
+  }
+}
+
+function renderAgingReport(report) {
+  const byPatient = report.groupBy === 'patient';
+  document.getElementById('aging-group-heading').innerHTML = byPatient
+    ? '<i class="fas fa-user"></i> Patient'
+    : '<i class="fas fa-building"></i> Insurer';
+  document.getElementById('aging-report-summary').textContent =
+    `${report.invoiceCount} open invoices aged on ${new Date(report.asOf).toLocaleDateString()} by days past their due date. Invoices past their due date are marked overdue every hour.`;
+
+  const amounts = aging => report.buckets.map(bucket => `<td>$${aging[bucket.key].toFixed(2)}</td>`).join('')
+    + `<td><strong>$${aging.total.toFixed(2)}</strong></td>`;
+
+  const tbody = document.getElementById('aging-report-tbody');
+  if (report.groups.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9">Nothing is owed</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = report.groups.map(group => `
+    <tr>
+      <td>${byPatient
+        ? `<a href="#" onclick="viewPatientAccount(${group.key}); return false;">${escapeHtml(group.name)}</a> (${escapeHtml(group.reference)})`
+        : `${escapeHtml(group.name)} <small>(${group.patientCount} ${group.patientCount === 1 ? 'patient' : 'patients'})</small>`}</td>
+      <td>${group.invoiceCount}</td>
+      ${amounts(group.aging)}
+    </tr>
+  `).join('') + `
+    <tr>
+      <td><strong>Total</strong></td>
+      <td><strong>${report.invoiceCount}</strong></td>
+      ${amounts(report.totals)}
+    </tr>
+  `;
+}
+
+async function exportAgingReport(format) {
+  try {
+    const result = await window.electronAPI.exportAgingReport({ groupBy: document.getElementById('aging-group-by').value }, format);
+    if (result.success) {
+      showSuccess(`Exported the aging report to ${result.path.split(/[/\\]/).pop()}`);
+    }
+  } catch (error) {
+    console.error('Error exporting aging report:', error);
+    showError('Error exporting aging report: ' + remoteErrorMessage(error));
+  }
+}
+
+async function loadPayments() {
+  try {
+    const payments = await window.electronAPI.getPayments();
+    renderPaymentsTable(payments);
+  } catch (error) {
+    console.error('Error loading payments:', error);
+  }
+}
+
+// What became patient credit, and what has been refunded, of a payment
+function paymentAdjustmentsText(payment) {
+  const notes = [];
+  if (payment.overpayment > 0) {
+    notes.push(`$${payment.overpayment.toFixed(2)} to patient credit`);
+  }
+  if (payment.refunded > 0) {
+    notes.push(`$${payment.refunded.toFixed(2)} refunded`);
+  }
+  return notes.length > 0 ? `<br><small>${notes.join(', ')}</small>` : '';
+}
+
+function refundPaymentButton(payment) {
+  const refundable = Math.round((payment.amount - payment.overpayment - payment.refunded) * 100) / 100;
+  if (!hasPermission('payments.refund') || refundable <= 0) {
+    return '';
+  }
+  return `<button class="action-btn delete" onclick="refundPayment(${payment.id}, ${refundable}, '${payment.payment_method}')">Refund</button>`;
+}
+
+function renderPaymentsTable(payments) {
+  const tbody = document.getElementById('payments-tbody');
+  tbody.innerHTML = '';
+
+  payments.forEach(payment => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${new Date(payment.payment_date).toLocaleDateString()}</td>
+      <td>${payment.invoice_number}</td>
+      <td>${payment.first_name} ${payment.last_name}</td>
+      <td>$${payment.amount.toFixed(2)}${paymentAdjustmentsText(payment)}</td>
+      <td>${payment.payment_method}</td>
+      <td>${escapeHtml(payment.reference_number || '')}</td>
+      <td>${refundPaymentButton(payment)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+function openBillingCodeModal(billingCodeId = null) {
+  // Create modal HTML
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'billing-code-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>${billingCodeId ? 'Edit' : 'Add'} Billing Code</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <form id="billing-code-form">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="billing-code">Code *</label>
+            <input type="text" id="billing-code" name="code" required placeholder="e.g., CONSULT">
+          </div>
+          <div class="form-group">
+            <label for="billing-category">Category *</label>
+            <select id="billing-category" name="category" required>
+              <option value="">Select Category</option>
+              <option value="Consultation">Consultation</option>
+              <option value="Diagnostic">Diagnostic</option>
+              <option value="Therapy">Therapy</option>
+              <option value="Emergency">Emergency</option>
+              <option value="Preventive">Preventive</option>
+              <option value="Medication">Medication</option>
+              <option value="Other">Other</option>
             </select>
           </div>
         </div>
@@ -2522,8 +3637,8 @@ function openBillingCodeModal(billingCodeId = null) {
             <input type="number" id="billing-price" name="defaultPrice" step="0.01" min="0" required placeholder="0.00">
           </div>
           <div class="form-group">
-            <label for="billing-tax-rate">Tax Rate (%)</label>
-            <input type="number" id="billing-tax-rate" name="taxRate" step="0.01" min="0" max="100" value="15.00" placeholder="15.00">
+            <label for="billing-tax-code">Tax</label>
+            <select id="billing-tax-code" name="taxCode" required></select>
           </div>
         </div>
         <div class="form-group">
@@ -2542,10 +3657,12 @@ function openBillingCodeModal(billingCodeId = null) {
   document.body.appendChild(modal);
   modal.classList.add('active');
 
-  // Load data if editing
-  if (billingCodeId) {
-    loadBillingCodeForEdit(billingCodeId);
-  }
+  // Load tax codes, then the code's data if editing
+  loadTaxCodesForBillingCode().then(() => {
+    if (billingCodeId) {
+      loadBillingCodeForEdit(billingCodeId);
+    }
+  });
 
   // Add form submit handler
   modal.querySelector('#billing-code-form').addEventListener('submit', handleBillingCodeSubmit);
@@ -2563,6 +3680,21 @@ function openBillingCodeModal(billingCodeId = null) {
   });
 }
 
+async function loadTaxCodesForBillingCode() {
+  try {
+    const taxCodes = await window.electronAPI.getTaxCodes();
+    const select = document.getElementById('billing-tax-code');
+    select.innerHTML = taxCodes.map(taxCode => `
+      <option value="${escapeHtml(taxCode.code)}" ${taxCode.code === 'standard' ? 'selected' : ''}>
+        ${escapeHtml(taxCode.name)} (${formatTaxRate(taxCode.rate)})
+      </option>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading tax codes:', error);
+    showError('Error loading tax codes: ' + remoteErrorMessage(error));
+  }
+}
+
 async function loadBillingCodeForEdit(billingCodeId) {
   try {
     const billingCodes = await window.electronAPI.getBillingCodes();
@@ -2572,7 +3704,7 @@ async function loadBillingCodeForEdit(billingCodeId) {
       document.getElementById('billing-description').value = code.description;
       document.getElementById('billing-category').value = code.category;
       document.getElementById('billing-price').value = code.default_price;
-      document.getElementById('billing-tax-rate').value = (code.tax_rate * 100).toFixed(2);
+      document.getElementById('billing-tax-code').value = code.tax_code;
       document.getElementById('billing-active').checked = code.active === 1;
 
       // Store ID for update
@@ -2592,7 +3724,7 @@ async function handleBillingCodeSubmit(e) {
     description: formData.get('description'),
     category: formData.get('category'),
     defaultPrice: parseFloat(formData.get('defaultPrice')),
-    taxRate: parseFloat(formData.get('taxRate')) / 100,
+    taxCode: formData.get('taxCode'),
     active: formData.has('active')
   };
 
@@ -2700,9 +3832,18 @@ async function loadInvoicesForPayment() {
     invoices.forEach(invoice => {
       const option = document.createElement('option');
       option.value = invoice.id;
-      option.textContent = `${invoice.invoice_number} - ${invoice.first_name} ${invoice.last_name} ($${invoice.total_amount.toFixed(2)})`;
+      option.dataset.balanceDue = invoice.balance_due;
+      option.textContent = `${invoice.invoice_number} - ${invoice.first_name} ${invoice.last_name} ($${invoice.balance_due.toFixed(2)} due of $${invoice.total_amount.toFixed(2)})`;
       select.appendChild(option);
     });
+
+    // Suggest paying the balance in full
+    select.addEventListener('change', () => {
+      const option = select.selectedOptions[0];
+      if (option && option.dataset.balanceDue) {
+        document.getElementById('payment-amount').value = Number(option.dataset.balanceDue).toFixed(2);
+      }
+    });
   } catch (error) {
     console.error('Error loading invoices for payment:', error);
   }
@@ -2722,13 +3863,15 @@ async function handlePaymentSubmit(e) {
   };
 
   try {
-    await window.electronAPI.recordPayment(paymentData);
-    showSuccess('Payment recorded successfully');
+    const result = await window.electronAPI.recordPayment(paymentData);
+    showSuccess(result.overpayment > 0
+      ? `Payment recorded; $${result.overpayment.toFixed(2)} over the balance due is kept as patient credit`
+      : 'Payment recorded successfully');
     closeModal('payment-modal');
     loadPayments();
     loadInvoices(); // Refresh invoices to show updated status
   } catch (error) {
-    showError('Error recording payment: ' + error.message);
+    showError('Error recording payment: ' + remoteErrorMessage(error));
   }
 }
 
@@ -2739,7 +3882,9 @@ async function createInvoiceFromAppointment(appointmentId) {
 
   try {
     const result = await window.electronAPI.generateInvoiceFromAppointment(appointmentId);
-    showSuccess(`Invoice ${result.invoiceNumber} created successfully`);
+    showSuccess(result.claim
+      ? `Invoice ${result.invoiceNumber} created; $${result.claim.amount.toFixed(2)} is claimed from the insurer on draft claim ${result.claim.claimNumber} and $${(result.totalAmount - result.claim.amount).toFixed(2)} is due from the patient`
+      : `Invoice ${result.invoiceNumber} created successfully`);
     loadAppointments(); // Refresh to show updated billing status
     loadInvoices(); // Refresh invoices list
   } catch (error) {
@@ -2747,6 +3892,21 @@ async function createInvoiceFromAppointment(appointmentId) {
   }
 }
 
+async function claimAppointment(appointmentId) {
+  if (!confirm('Claim this appointment from the patient\'s insurer? Services not yet invoiced will be invoiced first.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.createClaimFromAppointment(appointmentId, {});
+    showSuccess(`Draft claim ${result.claimNumber} for $${result.amount.toFixed(2)} created`);
+    loadAppointments();
+    loadInvoices();
+  } catch (error) {
+    showError('Error creating claim: ' + remoteErrorMessage(error));
+  }
+}
+
 async function clearAllInvoices() {
   if (!confirm('Are you sure you want to delete ALL invoices, payments, and related billing data? This action cannot be undone.')) {
     return;
@@ -2764,7 +3924,7 @@ async function clearAllInvoices() {
     loadFinancialReports(); // Refresh financial stats
     loadDashboard(); // Refresh dashboard to update financial stats display
   } catch (error) {
-    showError('Error clearing invoices: ' + error.message);
+    showError('Error clearing invoices: ' + remoteErrorMessage(error));
   }
 }
 
@@ -2789,92 +3949,127 @@ function renderUsersTable(users) {
       <td>${user.name}</td>
       <td>${user.role}</td>
       <td>${user.email || ''}</td>
+      <td>${user.is_locked
+        ? '<span class="status-failed">Locked</span>'
+        : (user.must_change_password ? '<span class="status-running">Must change password</span>' : '<span class="status-success">Active</span>')}</td>
       <td>
-        <button class="action-btn edit" onclick="editUser(${user.id})">Edit</button>
-        ${currentUser.role === 'admin' ? `<button class="action-btn delete" onclick="deleteUser(${user.id})">Delete</button>` : ''}
+        ${hasPermission('users.update') && user.is_locked ? `<button class="action-btn edit" onclick="unlockUser(${user.id})">Unlock</button>` : ''}
+        ${hasPermission('users.update') && user.totp_enabled ? `<button class="action-btn edit" onclick="resetTwoFactor(${user.id})">Reset 2FA</button>` : ''}
+        ${hasPermission('users.update') ? `<button class="action-btn edit" onclick="editUser(${user.id})">Edit</button>` : ''}
+        ${hasPermission('users.delete') ? `<button class="action-btn delete" onclick="deleteUser(${user.id})">Delete</button>` : ''}
       </td>
     `;
     tbody.appendChild(row);
   });
 }
 
-async function loadAuditLog() {
+async function loadRolesForUserForm() {
   try {
-    const logs = await window.electronAPI.getAuditLog();
-    renderAuditTable(logs);
+    const roles = await window.electronAPI.getRoles();
+    const select = document.getElementById('user-role');
+
+    roles.forEach(role => {
+      const option = document.createElement('option');
+      option.value = role.name;
+      option.textContent = role.name.charAt(0).toUpperCase() + role.name.slice(1);
+      select.appendChild(option);
+    });
   } catch (error) {
-    console.error('Error loading audit log:', error);
+    console.error('Error loading roles for user form:', error);
   }
 }
 
-function renderAuditTable(logs) {
-  const tbody = document.getElementById('audit-tbody');
+async function loadRoles() {
+  try {
+    const roles = await window.electronAPI.getRoles();
+    renderRolesTable(roles);
+  } catch (error) {
+    console.error('Error loading roles:', error);
+  }
+}
+
+function renderRolesTable(roles) {
+  const tbody = document.getElementById('roles-tbody');
   tbody.innerHTML = '';
 
-  logs.forEach(log => {
+  roles.forEach(role => {
     const row = document.createElement('tr');
+    const editable = role.name !== 'admin';
     row.innerHTML = `
-      <td>${new Date(log.timestamp).toLocaleString()}</td>
-      <td>${log.user_id || 'System'}</td>
-      <td>${log.action}</td>
-      <td>${log.table_name}</td>
-      <td>${log.record_id}</td>
+      <td>${escapeHtml(role.name)}${role.is_system ? ' <small>(built-in)</small>' : ''}</td>
+      <td>${escapeHtml(role.description || '')}</td>
+      <td>${role.user_count}</td>
+      <td>${role.name === 'admin' ? 'All' : role.permissions.length}</td>
+      <td>
+        ${editable ? `<button class="action-btn edit" onclick="editRole(${role.id})">Edit</button>` : ''}
+        ${!role.is_system ? `<button class="action-btn delete" onclick="deleteRole(${role.id})">Delete</button>` : ''}
+      </td>
     `;
     tbody.appendChild(row);
   });
 }
 
-window.openUserModal = function(userId = null) {
-  // Create modal HTML
+async function openRoleModal(roleId = null) {
+  let catalog;
+  let role = null;
+  try {
+    const [permissionCatalog, roles] = await Promise.all([
+      window.electronAPI.getPermissionCatalog(),
+      window.electronAPI.getRoles()
+    ]);
+    catalog = permissionCatalog;
+    if (roleId) {
+      role = roles.find(r => r.id === roleId);
+    }
+  } catch (error) {
+    showError('Error loading permissions: ' + error.message);
+    return;
+  }
+
+  const granted = new Set(role ? role.permissions : []);
+  const groups = {};
+  catalog.forEach(permission => {
+    (groups[permission.group] = groups[permission.group] || []).push(permission);
+  });
+
+  const groupsHtml = Object.entries(groups).map(([group, permissions]) => `
+    <fieldset class="form-group">
+      <legend>${escapeHtml(group)}</legend>
+      ${permissions.map(permission => `
+        <label>
+          <input type="checkbox" name="permissions" value="${permission.key}" ${granted.has(permission.key) ? 'checked' : ''}>
+          ${escapeHtml(permission.description)} <small>(${permission.key})</small>
+        </label>
+      `).join('')}
+    </fieldset>
+  `).join('');
+
   const modal = document.createElement('div');
   modal.className = 'modal';
-  modal.id = 'user-modal';
+  modal.id = 'role-modal';
   modal.innerHTML = `
     <div class="modal-content">
       <div class="modal-header">
-        <h3>${userId ? 'Edit' : 'Add'} User</h3>
+        <h3>${role ? 'Edit' : 'Add'} Role</h3>
         <span class="modal-close">&times;</span>
       </div>
-      <form id="user-form">
-        <div class="form-row">
-          <div class="form-group">
-            <label for="user-username">Username *</label>
-            <input type="text" id="user-username" name="username" required placeholder="Username">
-          </div>
-          <div class="form-group">
-            <label for="user-name">Full Name *</label>
-            <input type="text" id="user-name" name="name" required placeholder="Full name">
-          </div>
-        </div>
-        <div class="form-row">
-          <div class="form-group">
-            <label for="user-email">Email</label>
-            <input type="email" id="user-email" name="email" placeholder="user@example.com">
-          </div>
-          <div class="form-group">
-            <label for="user-phone">Phone</label>
-            <input type="tel" id="user-phone" name="phone" placeholder="Phone number">
-          </div>
-        </div>
+      <form id="role-form">
         <div class="form-row">
           <div class="form-group">
-            <label for="user-role">Role *</label>
-            <select id="user-role" name="role" required>
-              <option value="">Select Role</option>
-              <option value="admin">Administrator</option>
-              <option value="doctor">Doctor</option>
-              <option value="receptionist">Receptionist</option>
-              <option value="accountant">Accountant</option>
-            </select>
+            <label for="role-name">Name *</label>
+            <input type="text" id="role-name" name="name" required placeholder="e.g. billing-clerk"
+              value="${role ? escapeHtml(role.name) : ''}" ${role && role.is_system ? 'readonly' : ''}>
           </div>
           <div class="form-group">
-            <label for="user-password">Password ${userId ? '(leave blank to keep current)' : '*'}</label>
-            <input type="password" id="user-password" name="password" ${userId ? '' : 'required'} placeholder="Password">
+            <label for="role-description">Description</label>
+            <input type="text" id="role-description" name="description" placeholder="What this role is for"
+              value="${role ? escapeHtml(role.description || '') : ''}">
           </div>
         </div>
+        ${groupsHtml}
         <div class="form-actions">
-          <button type="button" class="btn btn-secondary" onclick="closeModal('user-modal')">Cancel</button>
-          <button type="submit" class="btn btn-primary">${userId ? 'Update' : 'Create'} User</button>
+          <button type="button" class="btn btn-secondary" onclick="closeModal('role-modal')">Cancel</button>
+          <button type="submit" class="btn btn-primary">${role ? 'Update' : 'Create'} Role</button>
         </div>
       </form>
     </div>
@@ -2883,20 +4078,12 @@ window.openUserModal = function(userId = null) {
   document.body.appendChild(modal);
   modal.classList.add('active');
 
-  // Load data if editing
-  if (userId) {
-    loadUserForEdit(userId);
-  }
-
-  // Add form submit handler
-  modal.querySelector('#user-form').addEventListener('submit', (e) => handleUserSubmit(e, userId));
+  modal.querySelector('#role-form').addEventListener('submit', (e) => handleRoleSubmit(e, roleId));
 
-  // Close modal functionality
   modal.querySelector('.modal-close').addEventListener('click', () => {
     modal.remove();
   });
 
-  // Close modal when clicking outside content
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
       modal.remove();
@@ -2904,65 +4091,463 @@ window.openUserModal = function(userId = null) {
   });
 }
 
-async function createBackup() {
+async function handleRoleSubmit(e, roleId) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const roleData = {
+    name: formData.get('name'),
+    description: formData.get('description') || null,
+    permissions: formData.getAll('permissions')
+  };
+
   try {
-    const result = await window.electronAPI.createBackup();
-    if (result.success) {
-      const fileName = result.path.split(/[/\\]/).pop();
-      showSuccess(`Backup created successfully: ${fileName}`);
-      // Update backup status
-      document.getElementById('backup-status').innerHTML = `
-        <i class="fas fa-check-circle"></i>
-        <span>Last backup: ${new Date().toLocaleString()}</span>
-      `;
+    if (roleId) {
+      await window.electronAPI.updateRole(roleId, roleData);
+      showSuccess('Role updated successfully');
     } else {
-      showError('Failed to create backup');
+      await window.electronAPI.createRole(roleData);
+      showSuccess('Role created successfully');
     }
+    closeModal('role-modal');
+    loadRoles();
+    loadUsers();
   } catch (error) {
-    showError('Error creating backup: ' + error.message);
+    showError('Error saving role: ' + error.message);
   }
 }
 
-async function restoreBackup() {
-  if (!confirm('Are you sure you want to restore from backup? This will replace all current data.')) {
-    return;
-  }
+let auditPage = 1;
 
-  if (!confirm('This action cannot be undone. All current data will be lost. Continue?')) {
-    return;
+function getAuditFilters() {
+  return {
+    userId: document.getElementById('audit-user-filter').value,
+    action: document.getElementById('audit-action-filter').value,
+    tableName: document.getElementById('audit-table-filter').value,
+    recordId: document.getElementById('audit-record-filter').value.trim(),
+    dateFrom: document.getElementById('audit-date-from').value,
+    dateTo: document.getElementById('audit-date-to').value
+  };
+}
+
+function clearAuditFilters() {
+  ['audit-user-filter', 'audit-action-filter', 'audit-table-filter', 'audit-record-filter',
+    'audit-date-from', 'audit-date-to'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  loadAuditLog(1);
+}
+
+async function loadAuditFilterOptions() {
+  try {
+    const options = await window.electronAPI.getAuditFilterOptions();
+    const fill = (selectId, allLabel, items) => {
+      const select = document.getElementById(selectId);
+      const selected = select.value;
+      select.innerHTML = `<option value="">${allLabel}</option>` + items
+        .map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(item.label)}</option>`)
+        .join('');
+      select.value = selected;
+    };
+
+    fill('audit-user-filter', 'All Users', options.users.map(user => ({ value: user.id, label: `${user.name} (${user.username})` })));
+    fill('audit-action-filter', 'All Actions', options.actions.map(action => ({ value: action, label: action })));
+    fill('audit-table-filter', 'All Tables', options.tables.map(table => ({ value: table, label: table })));
+  } catch (error) {
+    console.error('Error loading audit filter options:', error);
   }
+}
 
+async function loadAuditLog(page = auditPage) {
   try {
-    const result = await window.electronAPI.restoreBackup();
-    if (result && result.success) {
-      showSuccess('Database restored successfully. The application will restart.');
-      // Reload the app
-      setTimeout(() => {
-        window.location.reload();
-      }, 2000);
-    } else {
-      showError('Restore cancelled or failed');
-    }
+    const result = await window.electronAPI.getAuditLog({ ...getAuditFilters(), page });
+    auditPage = result.page;
+    renderAuditTable(result.rows);
+
+    document.getElementById('audit-page-info').textContent =
+      `Page ${result.page} of ${result.totalPages} (${result.total} entries)`;
+    document.getElementById('audit-prev-btn').disabled = result.page <= 1;
+    document.getElementById('audit-next-btn').disabled = result.page >= result.totalPages;
   } catch (error) {
-    showError('Error restoring backup: ' + error.message);
+    console.error('Error loading audit log:', error);
+    showError('Error loading audit log: ' + error.message);
   }
 }
 
-// Utility functions
-function closeModal(modalId) {
-  const modal = document.getElementById(modalId);
-  if (modal) {
-    modal.classList.remove('active');
-    // Remove modal from DOM after transition
-    setTimeout(() => {
-      if (modal && !modal.classList.contains('active')) {
-        modal.remove();
-      }
-    }, 300);
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<em>empty</em>';
   }
+  return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
 }
 
-function showError(message) {
+function renderAuditChanges(changes) {
+  if (changes.length === 0) {
+    return '';
+  }
+  return `<ul class="audit-changes">${changes.map(change => `
+    <li><strong>${escapeHtml(change.field)}</strong>:
+      ${change.oldValue !== null ? `<span class="old-value">${formatAuditValue(change.oldValue)}</span> &rarr;` : ''}
+      <span class="new-value">${formatAuditValue(change.newValue)}</span></li>
+  `).join('')}</ul>`;
+}
+
+function auditUserLabel(log) {
+  if (log.username) {
+    return escapeHtml(log.username);
+  }
+  return log.user_id ? `#${log.user_id}` : 'System';
+}
+
+function renderAuditTable(logs) {
+  const tbody = document.getElementById('audit-tbody');
+  tbody.innerHTML = '';
+
+  if (logs.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No audit entries match these filters</td></tr>';
+    return;
+  }
+
+  logs.forEach(log => {
+    const row = document.createElement('tr');
+    const canShowHistory = log.table_name && log.record_id !== null;
+    row.innerHTML = `
+      <td>${new Date(log.timestamp + 'Z').toLocaleString()}</td>
+      <td>${auditUserLabel(log)}</td>
+      <td>${escapeHtml(log.action)}</td>
+      <td>${escapeHtml(log.table_name || '')}</td>
+      <td>${canShowHistory
+        ? `<button class="action-btn edit" onclick="showRecordHistory('${escapeHtml(log.table_name)}', '${escapeHtml(log.record_id)}')">${escapeHtml(log.record_id)}</button>`
+        : ''}</td>
+      <td>${renderAuditChanges(log.changes)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+function showAuditRecordHistory() {
+  const { tableName, recordId } = getAuditFilters();
+  if (!tableName || !recordId) {
+    showError('Choose a table and enter a record to show its history');
+    return;
+  }
+  showRecordHistory(tableName, recordId);
+}
+
+// Every change to one record, oldest first, e.g. all changes to patient P12345678
+async function showRecordHistory(tableName, recordRef) {
+  try {
+    const history = await window.electronAPI.getRecordHistory(tableName, recordRef);
+
+    const existing = document.getElementById('record-history-modal');
+    if (existing) {
+      existing.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'record-history-modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 800px;">
+        <div class="modal-header">
+          <h3>History: ${escapeHtml(history.tableName)} ${escapeHtml(history.recordRef)}</h3>
+          <span class="modal-close">&times;</span>
+        </div>
+        ${history.entries.length === 0 ? '<p>No audit entries for this record.</p>' : history.entries.map(entry => `
+          <div class="audit-history-entry">
+            <div><strong>${escapeHtml(entry.action)}</strong> by ${auditUserLabel(entry)}
+              on ${new Date(entry.timestamp + 'Z').toLocaleString()}</div>
+            ${renderAuditChanges(entry.changes)}
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+
+    modal.querySelector('.modal-close').addEventListener('click', () => {
+      modal.remove();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  } catch (error) {
+    console.error('Error loading record history:', error);
+    showError('Error loading record history: ' + error.message);
+  }
+}
+
+async function exportAuditLog(format) {
+  try {
+    const result = await window.electronAPI.exportAuditLog(getAuditFilters(), format);
+    if (result.success) {
+      showSuccess(`Exported ${result.count} audit entries to ${result.path.split(/[/\\]/).pop()}`);
+    }
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    showError('Error exporting audit log: ' + error.message);
+  }
+}
+
+async function verifyAuditLog() {
+  const status = document.getElementById('audit-integrity-status');
+  try {
+    const result = await window.electronAPI.verifyAuditLog();
+    status.className = result.valid ? 'message success' : 'message error';
+    status.textContent = result.valid
+      ? `Audit log intact: hash chain verified over ${result.checked} entries.`
+      : `Audit log integrity check failed: ${result.reason}.`;
+    status.style.display = '';
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    showError('Error verifying audit log: ' + error.message);
+  }
+}
+
+window.openUserModal = function(userId = null) {
+  // Create modal HTML
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'user-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>${userId ? 'Edit' : 'Add'} User</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <form id="user-form">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="user-username">Username *</label>
+            <input type="text" id="user-username" name="username" required placeholder="Username">
+          </div>
+          <div class="form-group">
+            <label for="user-name">Full Name *</label>
+            <input type="text" id="user-name" name="name" required placeholder="Full name">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="user-email">Email</label>
+            <input type="email" id="user-email" name="email" placeholder="user@example.com">
+          </div>
+          <div class="form-group">
+            <label for="user-phone">Phone</label>
+            <input type="tel" id="user-phone" name="phone" placeholder="Phone number">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="user-role">Role *</label>
+            <select id="user-role" name="role" required>
+              <option value="">Select Role</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="user-password">Password ${userId ? '(leave blank to keep current)' : '*'}</label>
+            <input type="password" id="user-password" name="password" ${userId ? '' : 'required'} placeholder="Password">
+          </div>
+        </div>
+        <div class="form-actions">
+          <button type="button" class="btn btn-secondary" onclick="closeModal('user-modal')">Cancel</button>
+          <button type="submit" class="btn btn-primary">${userId ? 'Update' : 'Create'} User</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  // Roles must be listed before an edited user's role can be selected
+  loadRolesForUserForm().then(() => {
+    if (userId) {
+      loadUserForEdit(userId);
+    }
+  });
+
+  // Add form submit handler
+  modal.querySelector('#user-form').addEventListener('submit', (e) => handleUserSubmit(e, userId));
+
+  // Close modal functionality
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+
+  // Close modal when clicking outside content
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+}
+
+async function createBackup() {
+  const button = document.getElementById('backup-btn');
+  button.disabled = true;
+  try {
+    const result = await window.electronAPI.createBackup();
+    if (result.success) {
+      showSuccess(`Backup created and verified: ${result.backup.file_name}`);
+    } else {
+      showError('Failed to create backup');
+    }
+  } catch (error) {
+    showError('Error creating backup: ' + remoteErrorMessage(error));
+  } finally {
+    button.disabled = false;
+    loadBackupStatus();
+    loadBackupHistory();
+  }
+}
+
+async function restoreBackup(backupId = null) {
+  try {
+    const preview = await window.electronAPI.previewRestore(backupId);
+    if (preview) {
+      showRestorePreview(preview);
+    }
+  } catch (error) {
+    showError('Error reading backup: ' + remoteErrorMessage(error));
+  }
+}
+
+function formatRestoreSummary(entry) {
+  if (!entry || entry.count === null) {
+    return '-';
+  }
+  return `${entry.count}${entry.latest ? ` <small>(latest ${escapeHtml(String(entry.latest))})</small>` : ''}`;
+}
+
+// What a backup holds next to the live database, before anything is replaced
+function showRestorePreview(preview) {
+  const existing = document.getElementById('restore-preview-modal');
+  if (existing) {
+    existing.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'restore-preview-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 760px;">
+      <div class="modal-header">
+        <h3>Restore ${escapeHtml(preview.fileName)}</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <p>Schema version ${preview.schemaVersion ?? 'unknown'} (this application: ${preview.currentSchemaVersion}).
+        Integrity check: ${escapeHtml(preview.integrityCheck || 'not run')}.</p>
+      ${preview.problems.map(problem => `<p class="status-failed">${escapeHtml(problem)}</p>`).join('')}
+      ${preview.notes.map(note => `<p>${escapeHtml(note)}</p>`).join('')}
+      <div class="data-table">
+        <table>
+          <thead>
+            <tr><th>Records</th><th>In Backup</th><th>Current Database</th></tr>
+          </thead>
+          <tbody>
+            ${Object.keys(preview.current).map(table => `
+              <tr>
+                <td>${escapeHtml(preview.current[table].label)}</td>
+                <td>${formatRestoreSummary(preview.backup && preview.backup[table])}</td>
+                <td>${formatRestoreSummary(preview.current[table])}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${preview.valid ? `<p>The current database is saved as a snapshot first, so this restore can be rolled back
+        from the Backup tab. Everyone is signed out afterwards.</p>` : ''}
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="restore-cancel-btn">Cancel</button>
+        <button type="button" class="btn btn-danger" id="restore-confirm-btn" ${preview.valid ? '' : 'disabled'}>
+          <i class="fas fa-upload"></i> Restore
+        </button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  const cancel = () => {
+    modal.remove();
+    window.electronAPI.cancelRestore().catch(() => {});
+  };
+  modal.querySelector('.modal-close').addEventListener('click', cancel);
+  modal.querySelector('#restore-cancel-btn').addEventListener('click', cancel);
+
+  modal.querySelector('#restore-confirm-btn').addEventListener('click', async (e) => {
+    if (!confirm('Replace the current database with this backup?')) {
+      return;
+    }
+
+    e.target.disabled = true;
+    try {
+      const result = await window.electronAPI.restoreBackup(preview.token);
+      modal.remove();
+      showSuccess(`Restored ${result.restored}. The previous database was saved as ${result.snapshot.file_name}. Please log in again.`);
+      setTimeout(() => {
+        window.location.reload();
+      }, 2000);
+    } catch (error) {
+      e.target.disabled = false;
+      showError(remoteErrorMessage(error));
+    }
+  });
+}
+
+async function rollbackRestore() {
+  if (!confirm('Put back the database as it was before the last restore? Changes made since the restore will be lost.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.rollbackRestore();
+    showSuccess(`Restore rolled back. The database being replaced was saved as ${result.snapshot.file_name}. Please log in again.`);
+    setTimeout(() => {
+      window.location.reload();
+    }, 2000);
+  } catch (error) {
+    showError(remoteErrorMessage(error));
+  }
+}
+
+// Utility functions
+function closeModal(modalId) {
+  const modal = document.getElementById(modalId);
+  if (modal) {
+    modal.classList.remove('active');
+    // Remove modal from DOM after transition
+    setTimeout(() => {
+      if (modal && !modal.classList.contains('active')) {
+        modal.remove();
+      }
+    }, 300);
+  }
+}
+
+// Permission denials from the main process arrive as
+// "Error invoking remote method '<channel>': PermissionError: <reason>"
+const PERMISSION_ERROR_PATTERN = /PermissionError: (.*)$/;
+
+// Message of an error thrown in the main process, without the
+// "Error invoking remote method '<channel>': Error: " prefix Electron adds
+const REMOTE_ERROR_PATTERN = /^Error invoking remote method '[^']+': (?:\w*Error: )?/;
+
+function remoteErrorMessage(error) {
+  return error.message.replace(REMOTE_ERROR_PATTERN, '');
+}
+
+function showError(message) {
+  const permissionDenied = PERMISSION_ERROR_PATTERN.exec(message);
+  if (permissionDenied) {
+    message = permissionDenied[1];
+  }
+
   const errorDiv = document.getElementById('login-error') || document.createElement('div');
   errorDiv.className = 'message error';
   errorDiv.textContent = message;
@@ -2981,6 +4566,20 @@ function showSuccess(message) {
   setTimeout(() => successDiv.remove(), 3000);
 }
 
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 0.15 as "15%", 0.125 as "12.5%"
+function formatTaxRate(rate) {
+  return `${Math.round(rate * 10000) / 100}%`;
+}
+
 function debounce(func, wait) {
   let timeout;
   return function executedFunction(...args) {
@@ -3504,10 +5103,10 @@ function showWarning(message) {
 
 // Additional helper functions for missing features
 function deleteInvoice(id) {
-  if (confirm('Are you sure you want to delete this invoice?')) {
+  if (confirm('Move this invoice to the recycle bin?')) {
     window.electronAPI.deleteInvoice(id).then(() => {
       loadInvoices();
-      showSuccess('Invoice deleted successfully');
+      showSuccess('Invoice moved to the recycle bin');
     }).catch(error => {
       showError('Error deleting invoice: ' + error.message);
     });
@@ -4275,7 +5874,7 @@ function updateBulkControlsVisibility() {
 async function bulkExportPatients() {
   try {
     const patientIds = Array.from(selectedPatients);
-    const patients = await Promise.all(patientIds.map(id => window.electronAPI.getPatientById(id)));
+    const patients = await Promise.all(patientIds.map(id => window.electronAPI.getPatientById(id, 'export')));
 
     // Create CSV content
     const headers = ['Patient ID', 'First Name', 'Last Name', 'Phone', 'Email', 'Insurance', 'Smoking Status'];
@@ -4320,7 +5919,7 @@ function bulkPrintLabels() {
 }
 
 async function bulkDeletePatients() {
-  if (!confirm(`Are you sure you want to delete ${selectedPatients.size} patients? This action cannot be undone.`)) {
+  if (!confirm(`Move ${selectedPatients.size} patients to the recycle bin? An administrator can restore them until they are purged.`)) {
     return;
   }
 
@@ -4331,7 +5930,7 @@ async function bulkDeletePatients() {
     selectedPatients.clear();
     updateBulkControlsVisibility();
     loadPatients();
-    showSuccess('Selected patients deleted successfully');
+    showSuccess('Selected patients moved to the recycle bin');
   } catch (error) {
     showError('Failed to delete patients: ' + error.message);
   }
@@ -4484,7 +6083,7 @@ window.deletePatient = (id) => deletePatientRecord(id);
 window.editAppointment = (id) => editAppointment(id);
 window.updatePatientSelection = (patientId, selected) => updatePatientSelection(patientId, selected);
 window.deleteAppointment = async (id) => {
-  if (confirm('Are you sure you want to delete this appointment?')) {
+  if (confirm('Move this appointment to the recycle bin?')) {
     try {
       const result = await window.electronAPI.deleteAppointment(parseInt(id));
       if (result && result.success) {
@@ -4492,7 +6091,7 @@ window.deleteAppointment = async (id) => {
         clearExpiredCache();
         // Force reload appointments list to show immediate changes
         loadAppointments();
-        showSuccess('Appointment deleted successfully');
+        showSuccess('Appointment moved to the recycle bin');
       } else {
         showError('Error deleting appointment: ' + (result?.error || 'Unknown error'));
       }
@@ -4502,6 +6101,7 @@ window.deleteAppointment = async (id) => {
   }
 };
 window.createInvoiceFromAppointment = (id) => createInvoiceFromAppointment(id);
+window.claimAppointment = (id) => claimAppointment(id);
 async function viewInvoice(invoiceId) {
   try {
     const invoice = await window.electronAPI.getInvoiceWithDetails(invoiceId);
@@ -4511,6 +6111,13 @@ async function viewInvoice(invoiceId) {
   }
 }
 
+// What the invoice's claims not rejected ask insurers to pay
+function invoiceInsurerPortion(invoice) {
+  return invoice.claims
+    .filter(claim => claim.status !== 'rejected')
+    .reduce((sum, claim) => sum + claim.claimed_amount, 0);
+}
+
 function showInvoiceDetailsModal(invoice) {
   const modal = document.createElement('div');
   modal.className = 'modal';
@@ -4545,6 +6152,7 @@ function showInvoiceDetailsModal(invoice) {
                 <th>Description</th>
                 <th>Quantity</th>
                 <th>Unit Price</th>
+                <th>Tax</th>
                 <th>Total</th>
               </tr>
             </thead>
@@ -4554,6 +6162,7 @@ function showInvoiceDetailsModal(invoice) {
                   <td>${item.description}</td>
                   <td>${item.quantity}</td>
                   <td>$${item.unit_price.toFixed(2)}</td>
+                  <td>${item.tax_exempt ? 'Exempt' : `$${(item.tax_amount || 0).toFixed(2)}`}</td>
                   <td>$${item.total_price.toFixed(2)}</td>
                 </tr>
               `).join('')}
@@ -4566,11 +6175,22 @@ function showInvoiceDetailsModal(invoice) {
             <strong>Subtotal: $${invoice.amount.toFixed(2)}</strong>
           </div>
           <div class="total-row">
-            <strong>Tax (15%): $${invoice.tax_amount.toFixed(2)}</strong>
+            <strong>Tax: $${invoice.tax_amount.toFixed(2)}</strong>
           </div>
           <div class="total-row">
             <strong>Total: $${invoice.total_amount.toFixed(2)}</strong>
           </div>
+          ${invoice.amount_credited > 0 ? `<div class="total-row">Credit notes: -$${invoice.amount_credited.toFixed(2)}</div>` : ''}
+          ${invoice.amount_paid > 0 ? `<div class="total-row">Paid: -$${invoice.amount_paid.toFixed(2)}</div>` : ''}
+          ${invoice.amount_refunded > 0 ? `<div class="total-row">Refunded: $${invoice.amount_refunded.toFixed(2)}</div>` : ''}
+          <div class="total-row">
+            <strong>Balance Due: $${invoice.balance_due.toFixed(2)}</strong>
+          </div>
+          ${invoiceInsurerPortion(invoice) > 0 ? `
+            <div class="total-row">Insurer portion (claimed): $${invoiceInsurerPortion(invoice).toFixed(2)}</div>
+            <div class="total-row">Patient portion: $${(invoice.total_amount - invoiceInsurerPortion(invoice)).toFixed(2)}</div>
+          ` : ''}
+          ${invoice.patient_credit > 0 ? `<div class="total-row">The patient holds $${invoice.patient_credit.toFixed(2)} of credit</div>` : ''}
         </div>
 
         ${invoice.payments && invoice.payments.length > 0 ? `
@@ -4583,15 +6203,17 @@ function showInvoiceDetailsModal(invoice) {
                   <th>Amount</th>
                   <th>Method</th>
                   <th>Reference</th>
+                  <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 ${invoice.payments.map(payment => `
                   <tr>
                     <td>${new Date(payment.payment_date).toLocaleDateString()}</td>
-                    <td>$${payment.amount.toFixed(2)}</td>
+                    <td>$${payment.amount.toFixed(2)}${paymentAdjustmentsText(payment)}</td>
                     <td>${payment.payment_method}</td>
-                    <td>${payment.reference_number || ''}</td>
+                    <td>${escapeHtml(payment.reference_number || '')}</td>
+                    <td>${refundPaymentButton(payment)}</td>
                   </tr>
                 `).join('')}
               </tbody>
@@ -4599,18 +6221,112 @@ function showInvoiceDetailsModal(invoice) {
           </div>
         ` : ''}
 
-        ${invoice.notes ? `
-          <div class="invoice-notes" style="margin-top: 2rem;">
-            <h4>Notes</h4>
-            <p>${invoice.notes}</p>
+        ${invoice.refunds.length > 0 ? `
+          <div class="invoice-payments-section">
+            <h4>Refunds</h4>
+            <table class="data-table" style="width: 100%;">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Amount</th>
+                  <th>Method</th>
+                  <th>Reason</th>
+                  <th>By</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${invoice.refunds.map(refund => `
+                  <tr>
+                    <td>${new Date(refund.refund_date).toLocaleDateString()}</td>
+                    <td>$${refund.amount.toFixed(2)}</td>
+                    <td>${refund.refund_method}</td>
+                    <td>${escapeHtml(refund.reason)}</td>
+                    <td>${escapeHtml(refund.created_by_name || '')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+
+        ${invoice.creditNotes.length > 0 ? `
+          <div class="invoice-payments-section">
+            <h4>Credit Notes</h4>
+            <table class="data-table" style="width: 100%;">
+              <thead>
+                <tr>
+                  <th>Number</th>
+                  <th>Date</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>By</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${invoice.creditNotes.map(note => `
+                  <tr>
+                    <td>${escapeHtml(note.credit_note_number)}</td>
+                    <td>${new Date(note.created_at).toLocaleDateString()}</td>
+                    <td>$${note.amount.toFixed(2)}</td>
+                    <td>${escapeHtml(note.reason)}</td>
+                    <td>${escapeHtml(note.created_by_name || '')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+
+        ${invoice.claims.length > 0 ? `
+          <div class="invoice-payments-section">
+            <h4>Insurance Claims</h4>
+            <table class="data-table" style="width: 100%;">
+              <thead>
+                <tr>
+                  <th>Claim</th>
+                  <th>Insurer</th>
+                  <th>Date</th>
+                  <th>Claimed</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${invoice.claims.map(claim => `
+                  <tr>
+                    <td>${hasPermission('claims.read')
+                      ? `<a href="#" onclick="viewClaim(${claim.id}); return false;">${escapeHtml(claim.claim_number)}</a>`
+                      : escapeHtml(claim.claim_number)}</td>
+                    <td>${escapeHtml(claim.insurer_name)}</td>
+                    <td>${new Date(claim.created_at).toLocaleDateString()}</td>
+                    <td>$${claim.claimed_amount.toFixed(2)}</td>
+                    <td><span class="status-${claim.status}">${CLAIM_STATUS_LABELS[claim.status]}</span></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+
+        ${invoice.notes ? `
+          <div class="invoice-notes" style="margin-top: 2rem;">
+            <h4>Notes</h4>
+            <p>${invoice.notes}</p>
           </div>
         ` : ''}
       </div>
-      <div class="form-actions">
-        <button type="button" class="btn btn-secondary" onclick="closeModal('invoice-details-modal')">Close</button>
-        <button type="button" class="btn btn-primary" onclick="window.electronAPI.generateInvoicePDF(${invoice.id})">Download PDF</button>
-        <button type="button" class="btn btn-primary" onclick="editInvoice(${invoice.id})">Edit Invoice</button>
-      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" onclick="closeModal('invoice-details-modal')">Close</button>
+        <button type="button" class="btn btn-primary" onclick="window.electronAPI.generateInvoicePDF(${invoice.id})">Download PDF</button>
+        <button type="button" class="btn btn-primary" onclick="editInvoice(${invoice.id})">Edit Invoice</button>
+        ${hasPermission('payments.create') && invoice.patient_credit > 0 && invoice.balance_due > 0
+          ? `<button type="button" class="btn btn-secondary" onclick="applyPatientCredit(${invoice.id})">Apply Patient Credit</button>` : ''}
+        ${hasPermission('invoices.credit') && invoice.balance_due > 0
+          ? `<button type="button" class="btn btn-secondary" onclick="issueCreditNote(${invoice.id}, ${invoice.balance_due})">Issue Credit Note</button>` : ''}
+        ${hasPermission('payments.refund') && invoice.patient_credit > 0
+          ? `<button type="button" class="btn btn-secondary" onclick="refundPatientCredit(${invoice.patient_record_id}, ${invoice.patient_credit})">Refund Patient Credit</button>` : ''}
+        ${hasPermission('claims.manage') && invoice.balance_due > 0 && !invoice.claims.some(claim => claim.status !== 'rejected')
+          ? `<button type="button" class="btn btn-secondary" onclick="createClaim(${invoice.id}, ${invoice.balance_due})">Claim from Insurer</button>` : ''}
+      </div>
     </div>
   `;
 
@@ -4687,10 +6403,10 @@ function openEditInvoiceModal(invoice) {
 
         <div class="invoice-totals">
           <div class="total-row">
-            <strong>Subtotal: $<span id="edit-invoice-subtotal">0.00</span></strong>
+            <strong>Subtotal (excl. tax): $<span id="edit-invoice-subtotal">0.00</span></strong>
           </div>
           <div class="total-row">
-            <strong>Tax (15%): $<span id="edit-invoice-tax">0.00</span></strong>
+            <strong><span id="edit-invoice-tax-label">Tax</span>: $<span id="edit-invoice-tax">0.00</span></strong>
           </div>
           <div class="total-row">
             <strong>Total: $<span id="edit-invoice-total">0.00</span></strong>
@@ -4713,7 +6429,7 @@ function openEditInvoiceModal(invoice) {
   loadBillingCodesForEditInvoice(invoice);
 
   // Add form submit handler
-  modal.querySelector('#edit-invoice-form').addEventListener('submit', (e) => handleEditInvoiceSubmit(e, invoice.id));
+  modal.querySelector('#edit-invoice-form').addEventListener('submit', (e) => handleEditInvoiceSubmit(e, invoice.id, invoice.version));
 
   // Add item management
   setupEditInvoiceItemManagement(modal, invoice);
@@ -4762,7 +6478,6 @@ async function loadBillingCodesForEditInvoice(invoice) {
         option.value = code.id;
         option.textContent = `${code.code} - ${code.description} ($${code.default_price.toFixed(2)})`;
         option.dataset.price = code.default_price;
-        option.dataset.taxRate = code.tax_rate;
         select.appendChild(option);
       });
     });
@@ -4773,37 +6488,12 @@ async function loadBillingCodesForEditInvoice(invoice) {
 
 function setupEditInvoiceItemManagement(modal, invoice) {
   const itemsContainer = modal.querySelector('#edit-invoice-items');
+  itemsContainer.dataset.invoiceId = invoice.id;
   const addItemBtn = modal.querySelector('#edit-add-invoice-item');
 
   // Populate existing items
   invoice.items.forEach(item => {
-    const itemHtml = `
-      <div class="invoice-item" data-item-id="${item.id || Date.now()}">
-        <div class="form-row">
-          <div class="form-group">
-            <label>Billing Code *</label>
-            <select name="billingCodeId" required>
-              <option value="">Select Billing Code</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Quantity *</label>
-            <input type="number" name="quantity" min="1" value="${item.quantity}" required>
-          </div>
-          <div class="form-group">
-            <label>Unit Price *</label>
-            <input type="number" name="unitPrice" step="0.01" min="0" value="${item.unit_price}" required>
-          </div>
-          <div class="form-group">
-            <label>Total</label>
-            <input type="number" name="totalPrice" step="0.01" value="${item.total_price}" readonly>
-          </div>
-          <div class="form-group">
-            <button type="button" class="btn btn-danger btn-sm remove-item" style="margin-top: 24px;">Remove</button>
-          </div>
-        </div>
-      </div>
-    `;
+    const itemHtml = invoiceItemHtml(item);
 
     itemsContainer.insertAdjacentHTML('beforeend', itemHtml);
   });
@@ -4819,37 +6509,11 @@ function setupEditInvoiceItemManagement(modal, invoice) {
         }
       }
     });
+    calculateEditInvoiceTotals();
   });
 
   addItemBtn.addEventListener('click', () => {
-    const itemCount = itemsContainer.children.length + 1;
-    const itemHtml = `
-      <div class="invoice-item" data-item-id="${Date.now()}">
-        <div class="form-row">
-          <div class="form-group">
-            <label>Billing Code *</label>
-            <select name="billingCodeId" required>
-              <option value="">Select Billing Code</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Quantity *</label>
-            <input type="number" name="quantity" min="1" value="1" required>
-          </div>
-          <div class="form-group">
-            <label>Unit Price *</label>
-            <input type="number" name="unitPrice" step="0.01" min="0" required>
-          </div>
-          <div class="form-group">
-            <label>Total</label>
-            <input type="number" name="totalPrice" step="0.01" readonly>
-          </div>
-          <div class="form-group">
-            <button type="button" class="btn btn-danger btn-sm remove-item" style="margin-top: 24px;">Remove</button>
-          </div>
-        </div>
-      </div>
-    `;
+    const itemHtml = invoiceItemHtml();
 
     itemsContainer.insertAdjacentHTML('beforeend', itemHtml);
 
@@ -4881,6 +6545,7 @@ function setupEditInvoiceItemManagement(modal, invoice) {
 
     quantityInput.addEventListener('input', () => calculateEditItemTotal(item));
     unitPriceInput.addEventListener('input', () => calculateEditItemTotal(item));
+    item.querySelector('input[name="taxExempt"]').addEventListener('change', calculateEditInvoiceTotals);
 
     removeBtn.addEventListener('click', () => {
       if (itemsContainer.children.length > 1) {
@@ -4905,23 +6570,11 @@ function setupEditInvoiceItemManagement(modal, invoice) {
 }
 
 function calculateEditInvoiceTotals() {
-  const items = document.querySelectorAll('#edit-invoice-items .invoice-item');
-  let subtotal = 0;
-
-  items.forEach(item => {
-    const total = parseFloat(item.querySelector('input[name="totalPrice"]').value) || 0;
-    subtotal += total;
-  });
-
-  const tax = subtotal * 0.15;
-  const total = subtotal + tax;
-
-  document.getElementById('edit-invoice-subtotal').textContent = subtotal.toFixed(2);
-  document.getElementById('edit-invoice-tax').textContent = tax.toFixed(2);
-  document.getElementById('edit-invoice-total').textContent = total.toFixed(2);
+  const container = document.getElementById('edit-invoice-items');
+  previewInvoiceTotals(container, 'edit-invoice', parseInt(container.dataset.invoiceId));
 }
 
-async function handleEditInvoiceSubmit(e, invoiceId) {
+async function handleEditInvoiceSubmit(e, invoiceId, version) {
   e.preventDefault();
 
   const formData = new FormData(e.target);
@@ -4944,7 +6597,8 @@ async function handleEditInvoiceSubmit(e, invoiceId) {
         description: description,
         quantity: quantity,
         unitPrice: unitPrice,
-        totalPrice: totalPrice
+        totalPrice: totalPrice,
+        taxExempt: item.querySelector('input[name="taxExempt"]').checked
       });
     }
   });
@@ -4961,6 +6615,7 @@ async function handleEditInvoiceSubmit(e, invoiceId) {
     totalAmount: parseFloat(document.getElementById('edit-invoice-total').textContent),
     dueDate: formData.get('dueDate'),
     notes: formData.get('notes'),
+    version: version,
     items: items
   };
 
@@ -4970,127 +6625,2244 @@ async function handleEditInvoiceSubmit(e, invoiceId) {
     closeModal('edit-invoice-modal');
     loadInvoices();
   } catch (error) {
-    showError('Error updating invoice: ' + error.message);
+    showError('Error updating invoice: ' + remoteErrorMessage(error));
   }
 }
 
 window.viewInvoice = (id) => viewInvoice(id);
 window.editInvoice = (id) => editInvoice(id);
-window.editBillingCode = (id) => openBillingCodeModal(id);
-window.deleteBillingCode = async (id) => {
-  if (!confirm('Are you sure you want to delete this billing code?')) {
-    return;
-  }
-  
-  try {
-    const result = await window.electronAPI.deleteBillingCode(id);
-    if (result && result.success) {
-      showSuccess('Billing code deleted successfully');
-      loadBillingCodes();
-    } else {
-      showError('Error deleting billing code: ' + (result?.error || 'Unknown error'));
+window.voidInvoice = (id) => {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'void-invoice-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Void Invoice</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <form id="void-invoice-form">
+        <div class="form-group">
+          <label for="void-reason">Reason *</label>
+          <textarea id="void-reason" name="reason" rows="3" required placeholder="Why is this invoice being voided?"></textarea>
+        </div>
+        <div class="form-actions">
+          <button type="button" class="btn btn-secondary" onclick="closeModal('void-invoice-modal')">Cancel</button>
+          <button type="submit" class="btn btn-danger">Void Invoice</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  modal.querySelector('#void-invoice-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await window.electronAPI.voidInvoice(id, new FormData(e.target).get('reason'));
+      showSuccess('Invoice voided');
+      closeModal('void-invoice-modal');
+      loadInvoices();
+    } catch (error) {
+      showError('Error voiding invoice: ' + error.message);
     }
-  } catch (error) {
-    showError('Error deleting billing code: ' + error.message);
-  }
+  });
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
 };
-window.editExpense = (id) => openExpenseModal(id);
-window.deleteExpense = async (id) => {
-  if (!confirm('Are you sure you want to delete this expense?')) {
-    return;
-  }
-  
-  try {
-    const result = await window.electronAPI.deleteExpense(id);
-    if (result && result.success) {
-      showSuccess('Expense deleted successfully');
-      loadExpenses();
-      loadFinancialReports(); // Refresh financial stats
-    } else {
-      showError('Error deleting expense: ' + (result?.error || 'Unknown error'));
+// Small form modals for refunds, credit notes and patient credit. onSubmit
+// receives the form data; the modal closes and invoices and payments reload
+// when it succeeds.
+function openAdjustmentModal({ id, title, fields, submitLabel, errorLabel, onSubmit, onDone = refreshAfterAdjustment }) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = id;
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>${title}</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <form>
+        ${fields}
+        <div class="form-actions">
+          <button type="button" class="btn btn-secondary" onclick="closeModal('${id}')">Cancel</button>
+          <button type="submit" class="btn btn-primary">${submitLabel}</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  modal.querySelector('form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      showSuccess(await onSubmit(new FormData(e.target)));
+      closeModal(id);
+      onDone();
+    } catch (error) {
+      showError(`${errorLabel}: ${remoteErrorMessage(error)}`);
     }
-  } catch (error) {
-    showError('Error deleting expense: ' + error.message);
+  });
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+}
+
+function refreshAfterAdjustment() {
+  loadInvoices();
+  loadPayments();
+  closeModal('invoice-details-modal');
+}
+
+function refundMethodOptions(selected) {
+  return [['cash', 'Cash'], ['card', 'Card'], ['bank_transfer', 'Bank Transfer'], ['check', 'Check'], ['insurance', 'Insurance'], ['other', 'Other']]
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+function adjustmentFields({ amount, amountLabel, method = null, reasonPlaceholder }) {
+  return `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="adjustment-amount">${amountLabel} *</label>
+        <input type="number" id="adjustment-amount" name="amount" step="0.01" min="0.01" max="${amount}" value="${amount.toFixed(2)}" required>
+      </div>
+      ${method ? `
+        <div class="form-group">
+          <label for="adjustment-method">Refund Method *</label>
+          <select id="adjustment-method" name="refundMethod" required>${refundMethodOptions(method)}</select>
+        </div>
+      ` : ''}
+    </div>
+    <div class="form-group">
+      <label for="adjustment-reason">Reason *</label>
+      <textarea id="adjustment-reason" name="reason" rows="2" required placeholder="${reasonPlaceholder}"></textarea>
+    </div>
+  `;
+}
+
+window.issueCreditNote = (invoiceId, balanceDue) => openAdjustmentModal({
+  id: 'credit-note-modal',
+  title: 'Issue Credit Note',
+  fields: adjustmentFields({ amount: balanceDue, amountLabel: 'Amount to credit', reasonPlaceholder: 'Why is this invoice being credited?' }),
+  submitLabel: 'Issue Credit Note',
+  errorLabel: 'Error issuing credit note',
+  onSubmit: async (formData) => {
+    const result = await window.electronAPI.createCreditNote(invoiceId, {
+      amount: parseFloat(formData.get('amount')),
+      reason: formData.get('reason')
+    });
+    return `Credit note ${result.creditNoteNumber} issued`;
   }
-};
-window.editUser = (id) => window.openUserModal(id);
-window.deleteUser = async (id) => {
-  if (!confirm('Are you sure you want to delete this user?')) {
-    return;
+});
+
+// Payments made from patient credit are refunded to that credit
+window.refundPayment = (paymentId, refundable, paymentMethod) => openAdjustmentModal({
+  id: 'refund-payment-modal',
+  title: 'Refund Payment',
+  fields: adjustmentFields({
+    amount: refundable,
+    amountLabel: paymentMethod === 'patient_credit' ? 'Amount to return to patient credit' : 'Amount to refund',
+    method: paymentMethod === 'patient_credit' ? null : paymentMethod,
+    reasonPlaceholder: 'Why is this payment being refunded?'
+  }),
+  submitLabel: 'Refund',
+  errorLabel: 'Error refunding payment',
+  onSubmit: async (formData) => {
+    const result = await window.electronAPI.refundPayment(paymentId, {
+      amount: parseFloat(formData.get('amount')),
+      refundMethod: formData.get('refundMethod') || undefined,
+      reason: formData.get('reason')
+    });
+    return `$${result.amount.toFixed(2)} refunded`;
   }
-  
-  try {
-    const result = await window.electronAPI.deleteUser(id);
-    if (result && result.success) {
-      showSuccess('User deleted successfully');
-      loadUsers();
-    } else {
-      showError('Error deleting user: ' + (result?.error || 'Unknown error'));
-    }
-  } catch (error) {
-    showError('Error deleting user: ' + error.message);
+});
+
+window.refundPatientCredit = (patientId, credit) => openAdjustmentModal({
+  id: 'refund-credit-modal',
+  title: 'Refund Patient Credit',
+  fields: adjustmentFields({ amount: credit, amountLabel: 'Amount to refund', method: 'cash', reasonPlaceholder: 'Why is credit being paid back?' }),
+  submitLabel: 'Refund',
+  errorLabel: 'Error refunding patient credit',
+  onSubmit: async (formData) => {
+    const result = await window.electronAPI.refundPatientCredit(patientId, {
+      amount: parseFloat(formData.get('amount')),
+      refundMethod: formData.get('refundMethod'),
+      reason: formData.get('reason')
+    });
+    return `$${result.amount.toFixed(2)} refunded; $${result.creditRemaining.toFixed(2)} of credit remains`;
   }
-};
-window.removeFilter = (key) => removeFilter(key);
-window.startTour = startTour;
-window.nextTourStep = nextTourStep;
-window.endTour = endTour;
-window.showKeyboardShortcutsHelp = showKeyboardShortcutsHelp;
+});
 
-// Sync settings functions
-async function loadSyncSettings() {
-  try {
-    const credentials = await window.electronAPI.invoke('sync:loadCredentials');
-    if (credentials) {
-      document.getElementById('db-host').value = credentials.host || '';
-      document.getElementById('db-port').value = credentials.port || '5432';
-      document.getElementById('db-name').value = credentials.database || '';
-      document.getElementById('db-user').value = credentials.user || '';
-      document.getElementById('ssl-enabled').checked = credentials.ssl !== false;
-    }
-  } catch (error) {
-    console.error('Failed to load sync settings:', error);
+window.applyPatientCredit = async (invoiceId) => {
+  if (!confirm('Pay as much of this invoice as possible from the patient\'s credit?')) {
+    return;
   }
-}
 
-async function saveSyncSettings(credentials) {
   try {
-    await window.electronAPI.invoke('sync:saveCredentials', credentials);
-    showSuccess('Sync settings saved successfully!');
+    const result = await window.electronAPI.applyPatientCredit(invoiceId);
+    showSuccess(`$${result.amount.toFixed(2)} of patient credit applied`);
+    refreshAfterAdjustment();
   } catch (error) {
-    showError('Failed to save settings: ' + error.message);
+    showError('Error applying patient credit: ' + remoteErrorMessage(error));
   }
-}
+};
+// Patient account: ledger with running balance, aging and statement of account
+const AGING_LABELS = [
+  ['current', 'Current'], ['days30', '1-30 days'], ['days60', '31-60 days'],
+  ['days90', '61-90 days'], ['days120', '91-120 days'], ['over120', 'Over 120 days']
+];
 
-async function testConnection(credentials) {
+async function viewPatientAccount(patientId, options = {}) {
   try {
-    const result = await window.electronAPI.invoke('sync:testConnection', credentials);
-    if (result.success) {
-      showSuccess('Connection successful!');
-    } else {
-      showError('Connection failed: ' + result.error);
-    }
+    const ledger = await window.electronAPI.getPatientLedger(patientId, options);
+    closeModal('patient-account-modal');
+    showPatientAccountModal(ledger);
   } catch (error) {
-    showError('Test failed: ' + error.message);
+    showError('Error loading patient account: ' + remoteErrorMessage(error));
   }
 }
 
-// Initialize sync settings when admin tab is activated
-document.addEventListener('DOMContentLoaded', () => {
-  // ... existing code ...
+function ledgerAmount(value) {
+  return value ? `$${value.toFixed(2)}` : '';
+}
 
-  // Add sync settings event listeners
-  const syncForm = document.getElementById('sync-form');
-  if (syncForm) {
-    syncForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
+function showPatientAccountModal(ledger) {
+  const { patient } = ledger;
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'patient-account-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 900px;">
+      <div class="modal-header">
+        <h3>Account: ${escapeHtml(`${patient.first_name} ${patient.last_name}`)} (${escapeHtml(patient.patient_id)})</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <div style="padding: 1.5rem;">
+        <form id="patient-account-filter" class="form-row" style="align-items: flex-end;">
+          <div class="form-group">
+            <label for="ledger-date-from">From</label>
+            <input type="date" id="ledger-date-from" name="dateFrom" value="${ledger.dateFrom || ''}">
+          </div>
+          <div class="form-group">
+            <label for="ledger-date-to">To</label>
+            <input type="date" id="ledger-date-to" name="dateTo" value="${ledger.dateTo || ''}">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-secondary">Apply</button>
+          </div>
+        </form>
 
-      const credentials = {
-        host: document.getElementById('db-host').value,
-        port: parseInt(document.getElementById('db-port').value),
-        database: document.getElementById('db-name').value,
-        user: document.getElementById('db-user').value,
-        password: document.getElementById('db-password').value,
+        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin: 1rem 0; padding: 1rem; background: var(--bg-secondary); border-radius: 8px;">
+          <p><strong>${ledger.closingBalance < 0 ? 'In Credit' : 'Balance Due'}:</strong> $${Math.abs(ledger.closingBalance).toFixed(2)}</p>
+          <p><strong>Unapplied Credit:</strong> $${ledger.creditBalance.toFixed(2)}</p>
+          <p><strong>Open Invoices:</strong> ${ledger.openInvoices.length}</p>
+        </div>
+
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Reference</th>
+              <th>Description</th>
+              <th>Charges</th>
+              <th>Credits</th>
+              <th>Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${ledger.dateFrom ? `
+              <tr>
+                <td>${new Date(ledger.dateFrom).toLocaleDateString()}</td>
+                <td></td>
+                <td><em>Balance brought forward</em></td>
+                <td></td>
+                <td></td>
+                <td>$${ledger.openingBalance.toFixed(2)}</td>
+              </tr>
+            ` : ''}
+            ${ledger.entries.map(entry => `
+              <tr>
+                <td>${new Date(entry.date).toLocaleDateString()}</td>
+                <td>${entry.invoice_id
+                  ? `<a href="#" onclick="viewInvoice(${entry.invoice_id}); return false;">${escapeHtml(entry.reference)}</a>`
+                  : escapeHtml(entry.reference || '')}</td>
+                <td>${escapeHtml(entry.description)}</td>
+                <td>${ledgerAmount(entry.debit)}</td>
+                <td>${ledgerAmount(entry.credit)}</td>
+                <td>$${entry.balance.toFixed(2)}</td>
+              </tr>
+            `).join('')}
+            ${ledger.entries.length === 0 ? '<tr><td colspan="6" class="text-center">No transactions in this period</td></tr>' : ''}
+          </tbody>
+        </table>
+
+        <h4 style="margin-top: 1.5rem;">Aging on ${new Date(ledger.asOf).toLocaleDateString()}</h4>
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr>${AGING_LABELS.map(([, label]) => `<th>${label}</th>`).join('')}<th>Total</th></tr>
+          </thead>
+          <tbody>
+            <tr>${AGING_LABELS.map(([key]) => `<td>$${ledger.aging[key].toFixed(2)}</td>`).join('')}<td><strong>$${ledger.aging.total.toFixed(2)}</strong></td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" onclick="closeModal('patient-account-modal')">Close</button>
+        ${hasPermission('payments.refund') && ledger.creditBalance > 0
+          ? `<button type="button" class="btn btn-secondary" onclick="refundPatientCredit(${patient.id}, ${ledger.creditBalance})">Refund Patient Credit</button>` : ''}
+        <button type="button" class="btn btn-primary" id="download-statement-btn">Download Statement</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  const currentFilter = () => {
+    const formData = new FormData(modal.querySelector('#patient-account-filter'));
+    return { dateFrom: formData.get('dateFrom') || null, dateTo: formData.get('dateTo') || null };
+  };
+
+  modal.querySelector('#patient-account-filter').addEventListener('submit', (e) => {
+    e.preventDefault();
+    viewPatientAccount(patient.id, currentFilter());
+  });
+
+  modal.querySelector('#download-statement-btn').addEventListener('click', async () => {
+    try {
+      const result = await window.electronAPI.exportStatement(patient.id, currentFilter());
+      if (result.success) {
+        showSuccess(`Statement saved to ${result.path}`);
+      }
+    } catch (error) {
+      showError('Error exporting statement: ' + remoteErrorMessage(error));
+    }
+  });
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+}
+
+window.viewPatientAccount = (id) => viewPatientAccount(id);
+// Insurance claims worklist and insurers
+const CLAIM_STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  partially_paid: 'Partially paid',
+  rejected: 'Rejected',
+  paid: 'Paid'
+};
+
+// Fill an insurer select, keeping what was chosen
+async function fillInsurerSelect(select, firstOption) {
+  const selected = select.value;
+  const insurers = await window.electronAPI.getInsurers();
+  select.innerHTML = `<option value="">${firstOption}</option>` + insurers
+    .map(insurer => `<option value="${insurer.id}">${escapeHtml(insurer.name)}${insurer.active ? '' : ' (inactive)'}</option>`).join('');
+  select.value = selected;
+}
+
+async function loadClaimsWorklist() {
+  try {
+    const insurerSelect = document.getElementById('claims-insurer-filter');
+    await fillInsurerSelect(insurerSelect, 'All insurers');
+    const worklist = await window.electronAPI.getClaimsWorklist({
+      status: document.getElementById('claims-status-filter').value || undefined,
+      insurerId: insurerSelect.value || undefined
+    });
+    renderClaimsSummary(worklist);
+    renderClaimsTable(worklist.claims);
+  } catch (error) {
+    console.error('Error loading claims:', error);
+    showError('Error loading claims: ' + remoteErrorMessage(error));
+  }
+}
+
+function renderClaimsSummary(worklist) {
+  document.getElementById('claims-summary').innerHTML = Object.entries(CLAIM_STATUS_LABELS).map(([status, label]) => `
+    <div class="stat-card" style="cursor: pointer;" onclick="filterClaims('${status}')">
+      <div class="stat-content">
+        <h3>${label}</h3>
+        <div class="stat-value">${worklist.summary[status].count}</div>
+        <small>$${worklist.summary[status].claimed.toFixed(2)} claimed</small>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderClaimsTable(claims) {
+  const tbody = document.getElementById('claims-tbody');
+  if (claims.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="11">No claims</td></tr>';
+    return;
+  }
+
+  const manage = hasPermission('claims.manage');
+  tbody.innerHTML = claims.map(claim => `
+    <tr>
+      <td>${escapeHtml(claim.claim_number)}</td>
+      <td><a href="#" onclick="viewInvoice(${claim.invoice_id}); return false;">${escapeHtml(claim.invoice_number)}</a></td>
+      <td>${escapeHtml(`${claim.first_name} ${claim.last_name}`)}</td>
+      <td>${escapeHtml(claim.insurer_name)}</td>
+      <td><span class="status-${claim.status}">${CLAIM_STATUS_LABELS[claim.status]}</span></td>
+      <td>$${claim.claimed_amount.toFixed(2)}</td>
+      <td>$${claim.insurer_paid.toFixed(2)}</td>
+      <td>$${claim.patient_responsibility.toFixed(2)}</td>
+      <td>$${claim.outstanding.toFixed(2)}</td>
+      <td>${claim.age_days} days</td>
+      <td>
+        <button class="action-btn view" onclick="viewClaim(${claim.id})">View</button>
+        ${manage ? claimActionButtons(claim) : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+function claimActionButtons(claim) {
+  return [
+    ['draft', 'rejected'].includes(claim.status)
+      ? `<button class="action-btn edit" onclick="submitClaim(${claim.id})">${claim.status === 'rejected' ? 'Resubmit' : 'Submit'}</button>` : '',
+    ['submitted', 'partially_paid'].includes(claim.status)
+      ? `<button class="action-btn edit" onclick="postRemittance(${claim.id}, ${claim.outstanding})">Remittance</button>
+         <button class="action-btn delete" onclick="rejectClaim(${claim.id})">Reject</button>` : '',
+    claim.status === 'draft'
+      ? `<button class="action-btn delete" onclick="deleteClaim(${claim.id})">Delete</button>` : ''
+  ].join('');
+}
+
+function refreshAfterClaimChange() {
+  closeModal('claim-details-modal');
+  refreshAfterAdjustment();
+  if (hasPermission('claims.read')) {
+    loadClaimsWorklist();
+  }
+}
+
+async function viewClaim(claimId) {
+  try {
+    const claim = await window.electronAPI.getClaim(claimId);
+    showClaimDetailsModal(claim);
+  } catch (error) {
+    showError('Error loading claim: ' + remoteErrorMessage(error));
+  }
+}
+
+function showClaimDetailsModal(claim) {
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'claim-details-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 800px;">
+      <div class="modal-header">
+        <h3>Claim ${escapeHtml(claim.claim_number)}</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <div style="padding: 1.5rem;">
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1.5rem; padding: 1rem; background: var(--bg-secondary); border-radius: 8px;">
+          <div>
+            <p><strong>Insurer:</strong> ${escapeHtml(claim.insurer_name)}</p>
+            <p><strong>Patient:</strong> ${escapeHtml(`${claim.first_name} ${claim.last_name}`)} (${escapeHtml(claim.patient_number)})</p>
+            <p><strong>Policy:</strong> ${escapeHtml(claim.policy_number || 'Not specified')}
+              ${claim.group_id ? `, group ${escapeHtml(claim.group_id)}` : ''}${claim.subscriber_id ? `, subscriber ${escapeHtml(claim.subscriber_id)}` : ''}</p>
+            <p><strong>Invoice:</strong> <a href="#" onclick="viewInvoice(${claim.invoice_id}); return false;">${escapeHtml(claim.invoice_number)}</a></p>
+          </div>
+          <div>
+            <p><strong>Status:</strong> <span class="status-${claim.status}">${CLAIM_STATUS_LABELS[claim.status]}</span></p>
+            <p><strong>Submitted:</strong> ${claim.submitted_at ? new Date(claim.submitted_at).toLocaleDateString() : 'Not yet'}</p>
+            <p><strong>Claimed:</strong> $${claim.claimed_amount.toFixed(2)}</p>
+            <p><strong>Insurer Paid:</strong> $${claim.insurer_paid.toFixed(2)}, adjusted $${claim.adjustment.toFixed(2)}</p>
+            <p><strong>Patient Owes:</strong> $${claim.patient_responsibility.toFixed(2)}</p>
+            <p><strong>Outstanding:</strong> $${claim.outstanding.toFixed(2)}</p>
+          </div>
+        </div>
+
+        ${claim.rejection_reason ? `<p class="message error"><strong>Rejected:</strong> ${escapeHtml(claim.rejection_reason)}</p>` : ''}
+
+        <h4>Services Claimed</h4>
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Description</th>
+              <th>Quantity</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${claim.items.map(item => `
+              <tr>
+                <td>${escapeHtml(item.code || '')}</td>
+                <td>${escapeHtml(item.description)}</td>
+                <td>${item.quantity}</td>
+                <td>$${item.amount.toFixed(2)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        ${claim.remittances.length > 0 ? `
+          <h4 style="margin-top: 1.5rem;">Remittances</h4>
+          <table class="data-table" style="width: 100%;">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Reference</th>
+                <th>Insurer Paid</th>
+                <th>Adjustment</th>
+                <th>Patient Owes</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${claim.remittances.map(remittance => `
+                <tr>
+                  <td>${new Date(remittance.remittance_date).toLocaleDateString()}</td>
+                  <td>${escapeHtml(remittance.reference_number || '')}</td>
+                  <td>$${remittance.insurer_paid.toFixed(2)}</td>
+                  <td>$${remittance.adjustment.toFixed(2)}${remittance.credit_note_number ? `<br><small>${escapeHtml(remittance.credit_note_number)}</small>` : ''}</td>
+                  <td>$${remittance.patient_responsibility.toFixed(2)}</td>
+                  <td>${escapeHtml(remittance.created_by_name || '')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" onclick="closeModal('claim-details-modal')">Close</button>
+        ${hasPermission('claims.manage') ? claimActionButtons(claim).replace(/action-btn (edit|delete)/g, 'btn btn-secondary') : ''}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+}
+
+window.viewClaim = (id) => viewClaim(id);
+window.filterClaims = (status) => {
+  document.getElementById('claims-status-filter').value = status;
+  loadClaimsWorklist();
+};
+
+window.createClaim = async (invoiceId, balanceDue) => {
+  let insurerOptions = '';
+  try {
+    const insurers = await window.electronAPI.getInsurers({ activeOnly: true });
+    insurerOptions = insurers.map(insurer => `<option value="${insurer.id}">${escapeHtml(insurer.name)}</option>`).join('');
+  } catch (error) {
+    showError('Error loading insurers: ' + remoteErrorMessage(error));
+    return;
+  }
+
+  openAdjustmentModal({
+    id: 'create-claim-modal',
+    title: 'Claim from Insurer',
+    fields: `
+      <div class="form-row">
+        <div class="form-group">
+          <label for="claim-insurer">Insurer</label>
+          <select id="claim-insurer" name="insurerId">
+            <option value="">The patient's insurance provider</option>
+            ${insurerOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="claim-amount">Amount to claim *</label>
+          <input type="number" id="claim-amount" name="amount" step="0.01" min="0.01" max="${balanceDue}" value="${balanceDue.toFixed(2)}" required>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="claim-notes">Notes</label>
+        <textarea id="claim-notes" name="notes" rows="2"></textarea>
+      </div>
+    `,
+    submitLabel: 'Create Draft Claim',
+    errorLabel: 'Error creating claim',
+    onSubmit: async (formData) => {
+      const result = await window.electronAPI.createClaimFromInvoice(invoiceId, {
+        insurerId: formData.get('insurerId') ? parseInt(formData.get('insurerId')) : undefined,
+        amount: parseFloat(formData.get('amount')),
+        notes: formData.get('notes') || undefined
+      });
+      return `Draft claim ${result.claimNumber} created`;
+    },
+    onDone: refreshAfterClaimChange
+  });
+};
+
+window.submitClaim = async (claimId) => {
+  if (!confirm('Mark this claim as submitted to the insurer?')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.submitClaim(claimId);
+    showSuccess('Claim submitted');
+    refreshAfterClaimChange();
+  } catch (error) {
+    showError('Error submitting claim: ' + remoteErrorMessage(error));
+  }
+};
+
+window.rejectClaim = (claimId) => openAdjustmentModal({
+  id: 'reject-claim-modal',
+  title: 'Reject Claim',
+  fields: `
+    <div class="form-group">
+      <label for="claim-rejection-reason">Reason given by the insurer *</label>
+      <textarea id="claim-rejection-reason" name="reason" rows="2" required></textarea>
+    </div>
+  `,
+  submitLabel: 'Reject Claim',
+  errorLabel: 'Error rejecting claim',
+  onSubmit: async (formData) => {
+    await window.electronAPI.rejectClaim(claimId, formData.get('reason'));
+    return 'Claim rejected; what it did not settle is due from the patient';
+  },
+  onDone: refreshAfterClaimChange
+});
+
+// The insurer's payment is recorded on the invoice and its adjustment
+// credited; what the patient owes stays due on the invoice
+window.postRemittance = (claimId, outstanding) => openAdjustmentModal({
+  id: 'remittance-modal',
+  title: 'Post Remittance',
+  fields: `
+    <p>$${outstanding.toFixed(2)} of the claim is outstanding.</p>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="remittance-date">Date *</label>
+        <input type="date" id="remittance-date" name="remittanceDate" value="${new Date().toISOString().split('T')[0]}" required>
+      </div>
+      <div class="form-group">
+        <label for="remittance-reference">Reference</label>
+        <input type="text" id="remittance-reference" name="referenceNumber" placeholder="Remittance advice or EFT number">
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="remittance-paid">Insurer paid</label>
+        <input type="number" id="remittance-paid" name="insurerPaid" step="0.01" min="0" max="${outstanding}" value="${outstanding.toFixed(2)}">
+      </div>
+      <div class="form-group">
+        <label for="remittance-adjustment">Adjustment (written off)</label>
+        <input type="number" id="remittance-adjustment" name="adjustment" step="0.01" min="0" max="${outstanding}" value="0.00">
+      </div>
+      <div class="form-group">
+        <label for="remittance-patient">Patient responsibility</label>
+        <input type="number" id="remittance-patient" name="patientResponsibility" step="0.01" min="0" max="${outstanding}" value="0.00">
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="remittance-notes">Notes</label>
+      <textarea id="remittance-notes" name="notes" rows="2"></textarea>
+    </div>
+  `,
+  submitLabel: 'Post Remittance',
+  errorLabel: 'Error posting remittance',
+  onSubmit: async (formData) => {
+    const result = await window.electronAPI.postRemittance(claimId, {
+      remittanceDate: formData.get('remittanceDate'),
+      referenceNumber: formData.get('referenceNumber') || undefined,
+      insurerPaid: parseFloat(formData.get('insurerPaid') || 0),
+      adjustment: parseFloat(formData.get('adjustment') || 0),
+      patientResponsibility: parseFloat(formData.get('patientResponsibility') || 0),
+      notes: formData.get('notes') || undefined
+    });
+    return result.status === 'paid'
+      ? 'Remittance posted; the claim is settled'
+      : `Remittance posted; $${result.outstanding.toFixed(2)} of the claim is outstanding`;
+  },
+  onDone: refreshAfterClaimChange
+});
+
+window.deleteClaim = async (claimId) => {
+  if (!confirm('Delete this draft claim?')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.deleteClaim(claimId);
+    showSuccess('Draft claim deleted');
+    refreshAfterClaimChange();
+  } catch (error) {
+    showError('Error deleting claim: ' + remoteErrorMessage(error));
+  }
+};
+
+async function loadInsurers() {
+  try {
+    const insurers = await window.electronAPI.getInsurers();
+    const tbody = document.getElementById('insurers-tbody');
+    if (insurers.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7">No insurers yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = insurers.map(insurer => `
+      <tr>
+        <td>${escapeHtml(insurer.name)}</td>
+        <td>${escapeHtml(insurer.payer_code || '')}</td>
+        <td>${escapeHtml(insurer.phone || '')}</td>
+        <td>${escapeHtml(insurer.email || '')}</td>
+        <td>${insurer.open_claims}</td>
+        <td>${insurer.active ? 'Yes' : 'No'}</td>
+        <td>
+          <button class="action-btn edit" onclick="editInsurer(${insurer.id})">Edit</button>
+          <button class="action-btn view" onclick="viewTariff(${insurer.id})">Tariff</button>
+          <button class="action-btn ${insurer.active ? 'delete' : 'edit'}" onclick="setInsurerActive(${insurer.id}, ${!insurer.active})">${insurer.active ? 'Deactivate' : 'Activate'}</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading insurers:', error);
+    showError('Error loading insurers: ' + remoteErrorMessage(error));
+  }
+}
+
+async function handleInsurerSubmit(e) {
+  e.preventDefault();
+
+  try {
+    await window.electronAPI.createInsurer({
+      name: document.getElementById('insurer-name').value,
+      payerCode: document.getElementById('insurer-payer-code').value,
+      phone: document.getElementById('insurer-phone').value,
+      email: document.getElementById('insurer-email').value
+    });
+    showSuccess('Insurer added');
+    e.target.reset();
+    loadInsurers();
+  } catch (error) {
+    showError('Error adding insurer: ' + remoteErrorMessage(error));
+  }
+}
+
+window.editInsurer = async (id) => {
+  let insurer;
+  try {
+    insurer = (await window.electronAPI.getInsurers()).find(row => row.id === id);
+  } catch (error) {
+    showError('Error loading insurer: ' + remoteErrorMessage(error));
+    return;
+  }
+
+  const field = (name, label, value, type = 'text') => `
+    <div class="form-group">
+      <label for="edit-insurer-${name}">${label}</label>
+      <input type="${type}" id="edit-insurer-${name}" name="${name}" value="${escapeHtml(value || '')}" ${name === 'name' ? 'required' : ''}>
+    </div>
+  `;
+
+  openAdjustmentModal({
+    id: 'edit-insurer-modal',
+    title: 'Edit Insurer',
+    fields: `
+      <div class="form-row">${field('name', 'Name *', insurer.name)}${field('payerCode', 'Payer code', insurer.payer_code)}</div>
+      <div class="form-row">${field('phone', 'Phone', insurer.phone, 'tel')}${field('email', 'Claims email', insurer.email, 'email')}</div>
+      <div class="form-group">
+        <label for="edit-insurer-address">Address</label>
+        <textarea id="edit-insurer-address" name="address" rows="2">${escapeHtml(insurer.address || '')}</textarea>
+      </div>
+      <div class="form-group">
+        <label for="edit-insurer-notes">Notes</label>
+        <textarea id="edit-insurer-notes" name="notes" rows="2">${escapeHtml(insurer.notes || '')}</textarea>
+      </div>
+    `,
+    submitLabel: 'Save',
+    errorLabel: 'Error saving insurer',
+    onSubmit: async (formData) => {
+      await window.electronAPI.updateInsurer(id, Object.fromEntries(
+        ['name', 'payerCode', 'phone', 'email', 'address', 'notes'].map(name => [name, formData.get(name)])
+      ));
+      return 'Insurer saved';
+    },
+    onDone: loadInsurers
+  });
+};
+
+window.setInsurerActive = async (id, active) => {
+  try {
+    await window.electronAPI.updateInsurer(id, { active });
+    showSuccess(active ? 'Insurer activated' : 'Insurer deactivated; no new claims can be made to it');
+    loadInsurers();
+  } catch (error) {
+    showError('Error updating insurer: ' + remoteErrorMessage(error));
+  }
+};
+
+// An insurer's tariff: its coverage rules, and a form to set the rule for a
+// billing code, or for all other services
+async function viewTariff(insurerId) {
+  let insurer, tariffs, billingCodes;
+  try {
+    [insurer, tariffs, billingCodes] = await Promise.all([
+      window.electronAPI.getInsurers().then(insurers => insurers.find(row => row.id === insurerId)),
+      window.electronAPI.getTariffs(insurerId),
+      window.electronAPI.getBillingCodes({ active: true })
+    ]);
+  } catch (error) {
+    showError('Error loading tariff: ' + remoteErrorMessage(error));
+    return;
+  }
+
+  document.getElementById('tariff-modal')?.remove();
+  const modal = document.createElement('div');
+  modal.className = 'modal active';
+  modal.id = 'tariff-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 800px;">
+      <div class="modal-header">
+        <h3>${escapeHtml(insurer.name)} Tariff</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <div style="padding: 1.5rem;">
+        <p><small>The patient pays the co-payment of each service; the insurer covers its percentage of the rest, up to the annual limit per patient. Services without a rule of their own follow the rule for all other services; with no such rule the patient pays them in full.</small></p>
+        <table class="data-table" style="width: 100%;">
+          <thead>
+            <tr>
+              <th>Service</th>
+              <th>Covered</th>
+              <th>Co-payment</th>
+              <th>Annual Limit</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${tariffs.length === 0 ? '<tr><td colspan="5">No rules; the insurer covers nothing</td></tr>' : tariffs.map(tariff => `
+              <tr>
+                <td>${tariff.billing_code_id ? `${escapeHtml(tariff.code)} - ${escapeHtml(tariff.description)}` : '<em>All other services</em>'}</td>
+                <td>${tariff.coverage_percent}%</td>
+                <td>$${tariff.copay_amount.toFixed(2)}</td>
+                <td>${tariff.annual_limit === null ? 'No limit' : `$${tariff.annual_limit.toFixed(2)}`}</td>
+                <td><button class="action-btn delete" onclick="deleteTariff(${insurerId}, ${tariff.id})">Delete</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <form id="tariff-form" style="margin-top: 1.5rem;">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="tariff-billing-code">Service</label>
+              <select id="tariff-billing-code" name="billingCodeId">
+                <option value="">All other services</option>
+                ${billingCodes.map(code => `<option value="${code.id}">${escapeHtml(code.code)} - ${escapeHtml(code.description)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="tariff-coverage">Covered (%) *</label>
+              <input type="number" id="tariff-coverage" name="coveragePercent" min="0" max="100" step="0.01" value="100" required>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="tariff-copay">Co-payment per service</label>
+              <input type="number" id="tariff-copay" name="copayAmount" min="0" step="0.01" value="0.00">
+            </div>
+            <div class="form-group">
+              <label for="tariff-limit">Annual limit per patient</label>
+              <input type="number" id="tariff-limit" name="annualLimit" min="0.01" step="0.01" placeholder="No limit">
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary" onclick="closeModal('tariff-modal')">Close</button>
+            <button type="submit" class="btn btn-primary">Save Rule</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+
+  modal.querySelector('#tariff-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    try {
+      await window.electronAPI.saveTariff(insurerId, {
+        billingCodeId: formData.get('billingCodeId') ? parseInt(formData.get('billingCodeId')) : null,
+        coveragePercent: parseFloat(formData.get('coveragePercent')),
+        copayAmount: parseFloat(formData.get('copayAmount') || 0),
+        annualLimit: formData.get('annualLimit') ? parseFloat(formData.get('annualLimit')) : null
+      });
+      showSuccess('Tariff rule saved');
+      viewTariff(insurerId);
+    } catch (error) {
+      showError('Error saving tariff rule: ' + remoteErrorMessage(error));
+    }
+  });
+}
+
+window.viewTariff = (id) => viewTariff(id);
+window.deleteTariff = async (insurerId, tariffId) => {
+  if (!confirm('Delete this tariff rule?')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.deleteTariff(tariffId);
+    showSuccess('Tariff rule deleted');
+    viewTariff(insurerId);
+  } catch (error) {
+    showError('Error deleting tariff rule: ' + remoteErrorMessage(error));
+  }
+};
+
+window.editBillingCode = (id) => openBillingCodeModal(id);
+window.deleteBillingCode = async (id) => {
+  if (!confirm('Are you sure you want to delete this billing code?')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.deleteBillingCode(id);
+    if (result && result.success) {
+      showSuccess('Billing code deleted successfully');
+      loadBillingCodes();
+    } else {
+      showError('Error deleting billing code: ' + (result?.error || 'Unknown error'));
+    }
+  } catch (error) {
+    showError('Error deleting billing code: ' + error.message);
+  }
+};
+window.deleteTaxRate = (id) => deleteTaxRate(id);
+window.editExpense = (id) => openExpenseModal(id);
+window.deleteExpense = async (id) => {
+  if (!confirm('Are you sure you want to delete this expense?')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.deleteExpense(id);
+    if (result && result.success) {
+      showSuccess('Expense deleted successfully');
+      loadExpenses();
+      loadFinancialReports(); // Refresh financial stats
+    } else {
+      showError('Error deleting expense: ' + (result?.error || 'Unknown error'));
+    }
+  } catch (error) {
+    showError('Error deleting expense: ' + error.message);
+  }
+};
+window.editUser = (id) => window.openUserModal(id);
+window.resetTwoFactor = async (id) => {
+  if (!confirm('Turn off two-factor authentication for this user? They will log in with their password only until they enrol again.')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.resetTwoFactor(id);
+    showSuccess('Two-factor authentication reset');
+    loadUsers();
+  } catch (error) {
+    showError('Error resetting two-factor authentication: ' + error.message);
+  }
+};
+window.unlockUser = async (id) => {
+  try {
+    await window.electronAPI.unlockUser(id);
+    showSuccess('User unlocked');
+    loadUsers();
+  } catch (error) {
+    showError('Error unlocking user: ' + error.message);
+  }
+};
+window.editRole = (id) => openRoleModal(id);
+window.deleteRole = async (id) => {
+  if (!confirm('Are you sure you want to delete this role?')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.deleteRole(id);
+    showSuccess('Role deleted successfully');
+    loadRoles();
+  } catch (error) {
+    showError('Error deleting role: ' + error.message);
+  }
+};
+window.deleteUser = async (id) => {
+  if (!confirm('Delete this user? They are signed out and can no longer log in. An administrator can restore the account from the recycle bin.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.deleteUser(id);
+    if (result && result.success) {
+      showSuccess('User moved to the recycle bin');
+      loadUsers();
+    } else {
+      showError('Error deleting user: ' + (result?.error || 'Unknown error'));
+    }
+  } catch (error) {
+    showError('Error deleting user: ' + error.message);
+  }
+};
+window.removeFilter = (key) => removeFilter(key);
+window.startTour = startTour;
+window.nextTourStep = nextTourStep;
+window.endTour = endTour;
+window.showKeyboardShortcutsHelp = showKeyboardShortcutsHelp;
+
+// Sync settings functions
+async function loadSyncSettings() {
+  try {
+    const credentials = await window.electronAPI.sync.loadCredentials();
+    if (credentials) {
+      document.getElementById('db-host').value = credentials.host || '';
+      document.getElementById('db-port').value = credentials.port || '5432';
+      document.getElementById('db-name').value = credentials.database || '';
+      document.getElementById('db-user').value = credentials.user || '';
+      document.getElementById('ssl-enabled').checked = credentials.ssl !== false;
+    }
+  } catch (error) {
+    console.error('Failed to load sync settings:', error);
+  }
+}
+
+async function saveSyncSettings(credentials) {
+  try {
+    await window.electronAPI.sync.saveCredentials(credentials);
+    showSuccess('Sync settings saved successfully!');
+  } catch (error) {
+    showError('Failed to save settings: ' + error.message);
+  }
+}
+
+async function testConnection(credentials) {
+  try {
+    const result = await window.electronAPI.sync.testConnection(credentials);
+    if (result.success) {
+      showSuccess('Connection successful!');
+    } else {
+      showError('Connection failed: ' + result.error);
+    }
+  } catch (error) {
+    showError('Test failed: ' + error.message);
+  }
+}
+
+async function loadSyncStatus() {
+  try {
+    const [status, log] = await Promise.all([
+      window.electronAPI.sync.getStatus(),
+      window.electronAPI.sync.getLog()
+    ]);
+
+    const statusText = document.getElementById('sync-status-text');
+    const pendingText = `${status.pendingChanges} local change(s) waiting to be pushed, ${status.openConflicts} open conflict(s).`;
+    if (status.lastRun) {
+      statusText.textContent = `Last sync: ${new Date(status.lastRun.started_at).toLocaleString()} (${status.lastRun.status}). ${pendingText}`;
+    } else {
+      statusText.textContent = `Never synced. ${pendingText}`;
+    }
+
+    renderSyncLogTable(log);
+  } catch (error) {
+    console.error('Failed to load sync status:', error);
+  }
+}
+
+function renderSyncLogTable(log) {
+  const tbody = document.getElementById('sync-log-tbody');
+  tbody.innerHTML = '';
+
+  log.forEach(entry => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${new Date(entry.started_at).toLocaleString()}</td>
+      <td>${entry.user_name || 'System'}</td>
+      <td><span class="status-${entry.status}">${entry.status}</span></td>
+      <td>${entry.pushed_count}</td>
+      <td>${entry.pulled_count}</td>
+      <td>${entry.error_message || entry.skipped_count}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function performSync() {
+  const syncBtn = document.getElementById('sync-now-btn');
+  syncBtn.disabled = true;
+
+  try {
+    const result = await window.electronAPI.sync.performSync();
+    showSuccess(`Sync complete: ${result.pushed} pushed, ${result.pulled} pulled, ${result.skipped} skipped, ${result.conflicts} conflict(s)`);
+    dataCache.clear();
+    cacheExpiry.clear();
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    syncBtn.disabled = false;
+    loadSyncStatus();
+  }
+}
+
+// Sync conflict review
+async function loadConflicts() {
+  try {
+    const conflicts = await window.electronAPI.sync.getConflicts('open');
+    renderConflictsTable(conflicts);
+  } catch (error) {
+    console.error('Error loading sync conflicts:', error);
+  }
+}
+
+function renderConflictsTable(conflicts) {
+  const tbody = document.getElementById('conflicts-tbody');
+  tbody.innerHTML = '';
+
+  if (conflicts.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5">No open conflicts</td></tr>';
+    return;
+  }
+
+  conflicts.forEach(conflict => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${new Date(conflict.detected_at).toLocaleString()}</td>
+      <td>${conflict.table_name}</td>
+      <td>${conflict.record_id || conflict.sync_id}</td>
+      <td>${conflict.local_version ?? '-'} / ${conflict.remote_version ?? '-'}</td>
+      <td>
+        <button class="action-btn edit" onclick="reviewConflict(${conflict.id})">Review</button>
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function loadMigrations() {
+  try {
+    const status = await window.electronAPI.getMigrations();
+    document.getElementById('schema-version-text').textContent =
+      `Database schema version ${status.currentVersion} (latest available: ${status.latestVersion})`;
+    renderMigrationsTable(status.migrations);
+  } catch (error) {
+    console.error('Error loading schema migrations:', error);
+    showError('Error loading schema migrations: ' + error.message);
+  }
+}
+
+function renderMigrationsTable(migrations) {
+  const tbody = document.getElementById('migrations-tbody');
+  tbody.innerHTML = '';
+
+  migrations.forEach(migration => {
+    const row = document.createElement('tr');
+    const statusClass = migration.status === 'applied' ? 'status-success' : 'status-running';
+    row.innerHTML = `
+      <td>${migration.version}</td>
+      <td>${escapeHtml(migration.name)}</td>
+      <td><span class="${statusClass}">${migration.status}</span></td>
+      <td>${migration.applied_at ? new Date(migration.applied_at + 'Z').toLocaleString() : '-'}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// How each relation's orphans are repaired, by the repair the service reports
+const ORPHAN_REPAIR_LABELS = {
+  delete: 'Deleted',
+  clear: 'Reference cleared',
+  reassign: 'Moved to placeholder patient',
+  keep: 'Kept for review'
+};
+
+async function loadForeignKeyCheck() {
+  try {
+    const result = await window.electronAPI.checkForeignKeys();
+    const enforcement = result.enforced ? 'Foreign keys are enforced.' : 'Foreign keys are NOT enforced.';
+    document.getElementById('foreign-keys-status').textContent = result.totalOrphans === 0
+      ? `${enforcement} No orphaned records found.`
+      : `${enforcement} ${result.totalOrphans} orphaned record(s) point at rows that no longer exist.`;
+    renderForeignKeyTable(result.relations);
+  } catch (error) {
+    console.error('Error checking foreign keys:', error);
+    showError('Error checking foreign keys: ' + remoteErrorMessage(error));
+  }
+}
+
+function renderForeignKeyTable(relations) {
+  const tbody = document.getElementById('foreign-keys-tbody');
+  tbody.innerHTML = '';
+
+  relations.forEach(relation => {
+    const row = document.createElement('tr');
+    const orphans = relation.orphanCount > 0
+      ? `<span class="status-failed" title="Row ids: ${escapeHtml(relation.sampleIds.join(', '))}">${relation.orphanCount}</span>`
+      : '<span class="status-success">0</span>';
+    row.innerHTML = `
+      <td>${escapeHtml(relation.table)}</td>
+      <td>${escapeHtml(relation.column)}</td>
+      <td>${escapeHtml(relation.parent)}</td>
+      <td>${escapeHtml(relation.onDelete)}</td>
+      <td>${orphans}</td>
+      <td>${ORPHAN_REPAIR_LABELS[relation.repair]}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function repairOrphans() {
+  if (!confirm('Repair orphaned records? Rows that only existed for a missing parent are deleted, missing references are cleared, and records of missing patients are moved to a placeholder patient.')) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.repairOrphans();
+    const repairedCount = Object.values(result.repaired).reduce((sum, entry) => sum + entry.count, 0);
+    if (repairedCount === 0) {
+      showSuccess('Nothing to repair');
+    } else {
+      showSuccess(`Repaired ${repairedCount} orphaned record(s)${result.remaining.totalOrphans > 0
+        ? `; ${result.remaining.totalOrphans} are kept for review` : ''}`);
+    }
+    loadForeignKeyCheck();
+  } catch (error) {
+    showError('Error repairing orphaned records: ' + remoteErrorMessage(error));
+  }
+}
+
+// Database maintenance
+const MAINTENANCE_TASK_LABELS = {
+  integrity_check: 'Integrity check',
+  analyze: 'ANALYZE',
+  vacuum: 'VACUUM',
+  checkpoint: 'WAL checkpoint'
+};
+
+async function loadMaintenanceSettings() {
+  try {
+    const settings = await window.electronAPI.getMaintenanceSettings();
+    document.getElementById('maintenance-schedule').value = settings.schedule;
+    document.getElementById('maintenance-vacuum').checked = !!settings.vacuum;
+  } catch (error) {
+    console.error('Error loading maintenance settings:', error);
+    showError('Error loading maintenance settings: ' + remoteErrorMessage(error));
+  }
+}
+
+async function loadMaintenanceStatus() {
+  try {
+    const status = await window.electronAPI.getMaintenanceStatus();
+    const { stats } = status;
+    const wal = stats.wal.enabled
+      ? `WAL mode on, WAL file ${formatFileSize(stats.wal.fileSize || 0)}, checkpoint every ${stats.wal.autocheckpointPages} pages`
+      : `WAL mode off (journal mode ${stats.wal.journalMode})`;
+    const lastCheck = status.lastRuns.find(run => run.task === 'integrity_check');
+    const integrity = lastCheck
+      ? `Last integrity check ${new Date(lastCheck.created_at + 'Z').toLocaleString()}: ${lastCheck.status === 'completed' ? 'ok' : 'FAILED'}`
+      : 'No integrity check run yet';
+    const nextRun = status.nextScheduledAt
+      ? new Date(status.nextScheduledAt).toLocaleString()
+      : 'Not scheduled';
+
+    document.getElementById('maintenance-status').innerHTML = `
+      <i class="fas ${lastCheck && lastCheck.status === 'failed' ? 'fa-exclamation-triangle' : 'fa-info-circle'}"></i>
+      <span>Database ${formatFileSize(stats.fileSize)} (${formatFileSize(stats.reclaimableBytes)} reclaimable by VACUUM).
+        ${escapeHtml(wal)}. ${escapeHtml(integrity)}. Next scheduled maintenance: ${escapeHtml(nextRun)}.
+        ${status.running ? `${escapeHtml(MAINTENANCE_TASK_LABELS[status.running])} is running.` : ''}</span>
+    `;
+    renderTableSizes(stats.tables);
+  } catch (error) {
+    console.error('Error loading maintenance status:', error);
+    showError('Error loading database statistics: ' + remoteErrorMessage(error));
+  }
+}
+
+function renderTableSizes(tables) {
+  const tbody = document.getElementById('table-sizes-tbody');
+  tbody.innerHTML = '';
+
+  tables.forEach(table => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(table.table)}</td>
+      <td>${table.rows.toLocaleString()}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function loadMaintenanceHistory() {
+  const tbody = document.getElementById('maintenance-history-tbody');
+  try {
+    const runs = await window.electronAPI.getMaintenanceHistory();
+    tbody.innerHTML = '';
+
+    if (runs.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No maintenance has been run yet</td></tr>';
+      return;
+    }
+
+    runs.forEach(run => {
+      const status = run.status === 'completed'
+        ? '<span class="status-success">Completed</span>'
+        : '<span class="status-failed">Failed</span>';
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(run.created_at + 'Z').toLocaleString()}</td>
+        <td>${escapeHtml(MAINTENANCE_TASK_LABELS[run.task] || run.task)}</td>
+        <td>${run.trigger === 'scheduled' ? 'Scheduled' : 'Manual'}${run.created_by_username
+          ? ` (${escapeHtml(run.created_by_username)})` : ''}</td>
+        <td>${status}</td>
+        <td>${escapeHtml(run.error || run.result || '-')}</td>
+        <td>${formatFileSize(run.size_before)} / ${formatFileSize(run.size_after)}</td>
+        <td>${(run.duration_ms / 1000).toFixed(1)} s</td>
+      `;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading maintenance history:', error);
+    showError('Error loading maintenance history: ' + remoteErrorMessage(error));
+  }
+}
+
+function setMaintenanceButtonsDisabled(disabled) {
+  document.querySelectorAll('#maintenance-actions button').forEach(btn => {
+    btn.disabled = disabled;
+  });
+}
+
+function refreshMaintenance() {
+  loadMaintenanceStatus();
+  loadMaintenanceHistory();
+}
+
+async function runMaintenanceTask(task) {
+  if (task === 'vacuum' && !confirm('VACUUM rewrites the whole database file and blocks other work until it finishes. Run it now?')) {
+    return;
+  }
+
+  setMaintenanceButtonsDisabled(true);
+  try {
+    const run = await window.electronAPI.runMaintenanceTask(task);
+    if (run.status === 'completed') {
+      showSuccess(`${MAINTENANCE_TASK_LABELS[task]} completed: ${run.result}`);
+    } else {
+      showError(`${MAINTENANCE_TASK_LABELS[task]} failed: ${run.error}`);
+    }
+  } catch (error) {
+    showError('Error running maintenance: ' + remoteErrorMessage(error));
+  } finally {
+    setMaintenanceButtonsDisabled(false);
+    refreshMaintenance();
+  }
+}
+
+async function runMaintenance() {
+  if (!confirm('Run the integrity check, ANALYZE, VACUUM and a WAL checkpoint now? Other work waits until they finish.')) {
+    return;
+  }
+
+  setMaintenanceButtonsDisabled(true);
+  try {
+    const runs = await window.electronAPI.runMaintenance();
+    const failed = runs.filter(run => run.status === 'failed');
+    if (failed.length === 0) {
+      showSuccess('Maintenance completed');
+    } else {
+      showError(`Maintenance finished with errors: ${failed.map(run =>
+        `${MAINTENANCE_TASK_LABELS[run.task]}: ${run.error}`).join('; ')}`);
+    }
+  } catch (error) {
+    showError('Error running maintenance: ' + remoteErrorMessage(error));
+  } finally {
+    setMaintenanceButtonsDisabled(false);
+    refreshMaintenance();
+  }
+}
+
+async function handleMaintenanceSettingsSubmit(e) {
+  e.preventDefault();
+
+  const settings = {
+    schedule: document.getElementById('maintenance-schedule').value,
+    vacuum: document.getElementById('maintenance-vacuum').checked
+  };
+
+  try {
+    await window.electronAPI.updateMaintenanceSettings(settings);
+    showSuccess('Maintenance settings saved');
+    loadMaintenanceStatus();
+  } catch (error) {
+    console.error('Error saving maintenance settings:', error);
+    showError('Error saving maintenance settings: ' + remoteErrorMessage(error));
+  }
+}
+
+async function loadSessions() {
+  try {
+    const [sessions, settings] = await Promise.all([
+      window.electronAPI.session.getActive(),
+      window.electronAPI.session.getSettings()
+    ]);
+    document.getElementById('idle-timeout-minutes').value = settings.idleTimeoutMinutes;
+    renderSessionsTable(sessions);
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    showError('Error loading sessions: ' + error.message);
+  }
+}
+
+function renderSessionsTable(sessions) {
+  const tbody = document.getElementById('sessions-tbody');
+  tbody.innerHTML = '';
+
+  if (sessions.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No active sessions</td></tr>';
+    return;
+  }
+
+  sessions.forEach(session => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(session.name)} (${escapeHtml(session.username)})${session.current ? ' <em>(this window)</em>' : ''}</td>
+      <td>${escapeHtml(session.role)}</td>
+      <td>${new Date(session.createdAt).toLocaleString()}</td>
+      <td>${new Date(session.lastActivityAt).toLocaleString()}</td>
+      <td><span class="${session.locked ? 'status-running' : 'status-success'}">${session.locked ? 'Locked' : 'Active'}</span></td>
+      <td>
+        ${session.current ? '' : `<button class="action-btn delete" onclick="revokeSession('${session.id}')">Revoke</button>`}
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function revokeSession(sessionId) {
+  if (!confirm('End this session? The user will be signed out immediately.')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.session.revoke(sessionId);
+    showSuccess('Session ended');
+    loadSessions();
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    showError('Error revoking session: ' + error.message);
+  }
+}
+
+async function handleSessionSettingsSubmit(e) {
+  e.preventDefault();
+
+  try {
+    const minutes = parseInt(document.getElementById('idle-timeout-minutes').value, 10);
+    await window.electronAPI.session.updateSettings({ idleTimeoutMinutes: minutes });
+    showSuccess(minutes === 0 ? 'Idle lock disabled' : `Idle sessions will lock after ${minutes} minute(s)`);
+  } catch (error) {
+    console.error('Error saving session settings:', error);
+    showError('Error saving session settings: ' + error.message);
+  }
+}
+
+// Two-factor enrolment for the signed-in user. Only accounts the main process
+// reports as eligible see the header button.
+async function updateTwoFactorButton() {
+  const button = document.getElementById('two-factor-btn');
+  button.style.display = 'none';
+
+  try {
+    const status = await window.electronAPI.getTwoFactorStatus();
+    button.style.display = status.eligible || status.enabled ? '' : 'none';
+  } catch (error) {
+    // Not available until a required password change is made
+    console.error('Error loading two-factor status:', error);
+  }
+}
+
+function renderRecoveryCodes(codes) {
+  return `
+    <p><strong>Recovery codes</strong> &mdash; each can be used once instead of an authenticator code.
+      Store them somewhere safe; they will not be shown again.</p>
+    <pre class="recovery-codes">${codes.map(escapeHtml).join('\n')}</pre>
+  `;
+}
+
+async function openTwoFactorModal() {
+  const existing = document.getElementById('two-factor-modal');
+  if (existing) {
+    existing.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'two-factor-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 560px;">
+      <div class="modal-header">
+        <h3>Two-Factor Authentication</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      <div id="two-factor-body"><p>Loading...</p></div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+
+  const body = modal.querySelector('#two-factor-body');
+
+  const showCodeForm = (html, buttonLabel, onSubmit) => {
+    body.innerHTML = `
+      ${html}
+      <form id="two-factor-code-form">
+        <div class="form-group">
+          <label for="two-factor-enrol-code">Authenticator Code *</label>
+          <input type="text" id="two-factor-enrol-code" required autocomplete="one-time-code" inputmode="numeric" pattern="[0-9 ]{6,7}">
+        </div>
+        <div id="two-factor-modal-error" class="error-message" role="alert" aria-live="polite"></div>
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${buttonLabel}</button>
+        </div>
+      </form>
+    `;
+    body.querySelector('#two-factor-code-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await onSubmit(body.querySelector('#two-factor-enrol-code').value);
+      } catch (error) {
+        body.querySelector('#two-factor-modal-error').textContent = remoteErrorMessage(error);
+      }
+    });
+  };
+
+  const showCodes = (message, codes) => {
+    body.innerHTML = `
+      <p class="message success">${message}</p>
+      ${renderRecoveryCodes(codes)}
+      <div class="form-actions">
+        <button type="button" class="btn btn-primary" id="two-factor-done">Done</button>
+      </div>
+    `;
+    body.querySelector('#two-factor-done').addEventListener('click', () => modal.remove());
+  };
+
+  try {
+    const status = await window.electronAPI.getTwoFactorStatus();
+
+    if (status.enabled) {
+      showCodeForm(`
+        <p><span class="status-success">Enabled</span>
+          since ${new Date(status.enrolledAt + 'Z').toLocaleDateString()}.
+          You have ${status.recoveryCodesRemaining} unused recovery code(s).</p>
+        <p>To replace your recovery codes, enter a code from your authenticator app.
+          Ask an administrator if you have lost your device.</p>
+      `, 'Generate New Recovery Codes', async (code) => {
+        const result = await window.electronAPI.regenerateRecoveryCodes(code);
+        showCodes('New recovery codes generated. The old ones no longer work.', result.recoveryCodes);
+      });
+      return;
+    }
+
+    body.innerHTML = `
+      <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+      <div class="form-actions">
+        <button type="button" class="btn btn-primary" id="two-factor-start">Set Up Authenticator App</button>
+      </div>
+    `;
+    body.querySelector('#two-factor-start').addEventListener('click', async () => {
+      try {
+        const enrollment = await window.electronAPI.beginTwoFactorEnrollment();
+        showCodeForm(`
+          <p>Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <div style="text-align: center;">
+            <img src="${enrollment.qrCodeDataUrl}" alt="Two-factor enrolment QR code" width="200" height="200">
+          </div>
+          <p>Can't scan it? Enter this key instead: <code>${escapeHtml(enrollment.secret)}</code></p>
+        `, 'Enable Two-Factor', async (code) => {
+          const result = await window.electronAPI.confirmTwoFactorEnrollment(code);
+          showCodes('Two-factor authentication is now enabled.', result.recoveryCodes);
+        });
+      } catch (error) {
+        body.innerHTML = `<p class="message error">${escapeHtml(remoteErrorMessage(error))}</p>`;
+      }
+    });
+  } catch (error) {
+    body.innerHTML = `<p class="message error">${escapeHtml(remoteErrorMessage(error))}</p>`;
+  }
+}
+
+const SECURITY_SETTING_FIELDS = {
+  maxFailedAttempts: 'max-failed-attempts',
+  lockoutMinutes: 'lockout-minutes',
+  minLength: 'password-min-length',
+  historyCount: 'password-history-count',
+  maxAgeDays: 'password-max-age-days',
+  requireUppercase: 'password-require-uppercase',
+  requireLowercase: 'password-require-lowercase',
+  requireNumber: 'password-require-number',
+  requireSymbol: 'password-require-symbol'
+};
+
+async function loadSecuritySettings() {
+  try {
+    const settings = await window.electronAPI.getSecuritySettings();
+    Object.entries(SECURITY_SETTING_FIELDS).forEach(([name, fieldId]) => {
+      const field = document.getElementById(fieldId);
+      if (field.type === 'checkbox') {
+        field.checked = !!settings[name];
+      } else {
+        field.value = settings[name];
+      }
+    });
+  } catch (error) {
+    console.error('Error loading security settings:', error);
+    showError('Error loading security settings: ' + error.message);
+  }
+}
+
+async function handleSecuritySettingsSubmit(e) {
+  e.preventDefault();
+
+  const settings = {};
+  Object.entries(SECURITY_SETTING_FIELDS).forEach(([name, fieldId]) => {
+    const field = document.getElementById(fieldId);
+    settings[name] = field.type === 'checkbox' ? field.checked : parseInt(field.value, 10);
+  });
+
+  try {
+    await window.electronAPI.updateSecuritySettings(settings);
+    showSuccess('Login and password policy saved');
+  } catch (error) {
+    console.error('Error saving security settings:', error);
+    showError('Error saving security settings: ' + error.message);
+  }
+}
+
+// Backups
+async function loadBackupSettings() {
+  try {
+    const settings = await window.electronAPI.getBackupSettings();
+    document.getElementById('backup-schedule').value = settings.schedule;
+    document.getElementById('backup-retention-count').value = settings.retentionCount;
+    document.getElementById('backup-destination').value = settings.destination;
+    document.getElementById('backup-compress').checked = !!settings.compress;
+    document.getElementById('backup-encrypt').checked = !!settings.encrypt;
+  } catch (error) {
+    console.error('Error loading backup settings:', error);
+    showError('Error loading backup settings: ' + error.message);
+  }
+}
+
+async function loadBackupStatus() {
+  try {
+    const status = await window.electronAPI.getBackupStatus();
+    const destinationField = document.getElementById('backup-destination');
+    destinationField.placeholder = status.defaultDestination;
+    document.getElementById('backup-encrypt').disabled = !status.encryptionAvailable;
+
+    const lastBackup = status.lastBackup
+      ? new Date(status.lastBackup.created_at + 'Z').toLocaleString()
+      : 'Never';
+    const nextBackup = status.nextScheduledAt
+      ? new Date(status.nextScheduledAt).toLocaleString()
+      : 'Not scheduled';
+    document.getElementById('backup-status').innerHTML = `
+      <i class="fas ${status.lastBackup ? 'fa-check-circle' : 'fa-info-circle'}"></i>
+      <span>Last backup: ${escapeHtml(lastBackup)}. Next scheduled backup: ${escapeHtml(nextBackup)}.
+        Saved to ${escapeHtml(status.destination)}</span>
+    `;
+
+    const restoreInfo = document.getElementById('last-restore-info');
+    if (status.lastRestore) {
+      const restore = status.lastRestore;
+      document.getElementById('last-restore-text').textContent =
+        `Last restore: ${restore.restore_source} on ${new Date(restore.created_at + 'Z').toLocaleString()}` +
+        `${restore.created_by_username ? ` by ${restore.created_by_username}` : ''}. ` +
+        `The database it replaced was saved as ${restore.file_name}.`;
+      restoreInfo.style.display = '';
+    } else {
+      restoreInfo.style.display = 'none';
+    }
+  } catch (error) {
+    console.error('Error loading backup status:', error);
+  }
+}
+
+function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '-';
+  }
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+async function loadBackupHistory() {
+  const tbody = document.getElementById('backup-history-tbody');
+  try {
+    const backups = await window.electronAPI.getBackupHistory();
+    tbody.innerHTML = '';
+
+    if (backups.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No backups yet</td></tr>';
+      return;
+    }
+
+    backups.forEach(backup => {
+      const options = [backup.compressed ? 'Compressed' : null, backup.encrypted ? 'Encrypted' : null]
+        .filter(Boolean).join(', ') || '-';
+      let status = '<span class="status-success">Kept</span>';
+      if (backup.status === 'failed') {
+        status = `<span class="status-failed" title="${escapeHtml(backup.error || '')}">Failed</span>`;
+      } else if (backup.removed_at) {
+        status = `<span class="status-running">Removed ${new Date(backup.removed_at + 'Z').toLocaleDateString()}</span>`;
+      }
+      const integrity = backup.integrity_check
+        ? `${escapeHtml(backup.integrity_check)}${backup.verified_at
+          ? `<br><small>Verified ${new Date(backup.verified_at + 'Z').toLocaleString()}</small>` : ''}`
+        : '-';
+      const canVerify = backup.status === 'completed' && !backup.removed_at;
+      const triggerLabels = { scheduled: 'Scheduled', pre_restore: 'Before restore' };
+
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(backup.created_at + 'Z').toLocaleString()}</td>
+        <td>${triggerLabels[backup.trigger] || 'Manual'}${backup.created_by_username
+          ? ` (${escapeHtml(backup.created_by_username)})` : ''}</td>
+        <td title="${escapeHtml(backup.file_path || '')}">${escapeHtml(backup.file_name || '-')}</td>
+        <td>${formatFileSize(backup.size_bytes)}</td>
+        <td>${options}</td>
+        <td>${integrity}</td>
+        <td>${status}</td>
+        <td>
+          ${canVerify ? `<button class="action-btn edit" onclick="verifyBackup(${backup.id})">Verify</button>
+            <button class="action-btn delete" onclick="restoreBackupFromHistory(${backup.id})">Restore</button>` : ''}
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading backup history:', error);
+    showError('Error loading backup history: ' + error.message);
+  }
+}
+
+async function handleBackupSettingsSubmit(e) {
+  e.preventDefault();
+
+  const settings = {
+    schedule: document.getElementById('backup-schedule').value,
+    retentionCount: parseInt(document.getElementById('backup-retention-count').value, 10),
+    destination: document.getElementById('backup-destination').value,
+    compress: document.getElementById('backup-compress').checked,
+    encrypt: document.getElementById('backup-encrypt').checked
+  };
+
+  try {
+    await window.electronAPI.updateBackupSettings(settings);
+    showSuccess('Backup settings saved');
+    loadBackupStatus();
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    showError('Error saving backup settings: ' + remoteErrorMessage(error));
+  }
+}
+
+async function chooseBackupDestination() {
+  try {
+    const folder = await window.electronAPI.chooseBackupDestination();
+    if (folder) {
+      document.getElementById('backup-destination').value = folder;
+    }
+  } catch (error) {
+    showError('Error choosing backup folder: ' + error.message);
+  }
+}
+
+async function verifyBackup(id) {
+  try {
+    const backup = await window.electronAPI.verifyBackup(id);
+    if (backup.integrity_check === 'ok') {
+      showSuccess(`${backup.file_name} passed verification`);
+    } else {
+      showError(`${backup.file_name} failed verification: ${backup.integrity_check}`);
+    }
+  } catch (error) {
+    showError('Error verifying backup: ' + remoteErrorMessage(error));
+  } finally {
+    loadBackupHistory();
+  }
+}
+
+// Point-in-time recovery
+const JOURNAL_OPERATION_LABELS = { INSERT: 'Created', UPDATE: 'Edited', DELETE: 'Deleted' };
+
+async function loadJournalCoverage() {
+  try {
+    const coverage = await window.electronAPI.getJournalCoverage();
+    document.getElementById('journal-coverage').textContent = coverage.since
+      ? `Changes to patients, appointments and billing records can be recovered back to ${new Date(coverage.since + 'Z').toLocaleString()}. Users, settings and the audit log are not rewound.`
+      : 'The change journal has not been started.';
+  } catch (error) {
+    console.error('Error loading change journal coverage:', error);
+  }
+}
+
+// Local time from a datetime-local field, sent as UTC
+function pointInTimeValue(inputId) {
+  const value = document.getElementById(inputId).value;
+  return value ? new Date(value).toISOString() : null;
+}
+
+function describeJournalRow(row) {
+  if (!row) {
+    return '<em>Did not exist</em>';
+  }
+  return Object.entries(row)
+    .filter(([, value]) => value !== null && value !== '')
+    .map(([column, value]) => `<strong>${escapeHtml(column)}</strong>: ${escapeHtml(String(value))}`)
+    .join('<br>');
+}
+
+async function showRecordVersions(tableName, recordRef) {
+  try {
+    const history = await window.electronAPI.getRecordVersions(tableName, recordRef);
+
+    const existing = document.getElementById('record-versions-modal');
+    if (existing) {
+      existing.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'record-versions-modal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 900px;">
+        <div class="modal-header">
+          <h3>Versions: ${escapeHtml(tableName)} #${history.recordId}</h3>
+          <span class="modal-close">&times;</span>
+        </div>
+        <p>${history.current ? 'The record currently exists.' : '<span class="status-failed">The record is currently deleted.</span>'}</p>
+        <form id="record-restore-at-form" class="inline-form">
+          <label for="record-restore-at">Restore this record to</label>
+          <input type="datetime-local" id="record-restore-at" step="1" required>
+          <button type="submit" class="btn btn-primary"><i class="fas fa-undo"></i> Restore</button>
+        </form>
+        ${history.entries.length > 0 ? `
+        <div class="data-table">
+          <table>
+            <thead>
+              <tr><th>Changed</th><th>Change</th><th>Before</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+              ${history.entries.map(entry => `
+                <tr>
+                  <td>${new Date(entry.changedAt + 'Z').toLocaleString()}</td>
+                  <td>${JOURNAL_OPERATION_LABELS[entry.operation]}${entry.changedFields.length > 0
+                    ? `<br><small>${entry.changedFields.map(escapeHtml).join(', ')}</small>` : ''}</td>
+                  <td><small>${entry.operation === 'UPDATE'
+                    ? entry.changedFields.map(field => `<strong>${escapeHtml(field)}</strong>: ${escapeHtml(String(entry.oldRow[field] ?? ''))}`).join('<br>')
+                    : describeJournalRow(entry.oldRow)}</small></td>
+                  <td><button class="action-btn edit" data-entry-id="${entry.id}">Undo to before this</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>` : '<p>No changes to this record have been journaled.</p>'}
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.classList.add('active');
+
+    const restore = async (target, description) => {
+      if (!confirm(`Restore this record ${description}? Later changes to it are undone.`)) {
+        return;
+      }
+      try {
+        const result = await window.electronAPI.restoreRecord(tableName, history.recordId, target);
+        modal.remove();
+        showSuccess(result.deleted
+          ? `The record did not exist ${description} and has been removed`
+          : `Record restored ${description}`);
+      } catch (error) {
+        showError('Error restoring record: ' + remoteErrorMessage(error));
+      }
+    };
+
+    modal.querySelector('#record-restore-at-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const at = pointInTimeValue('record-restore-at');
+      restore({ at }, `to ${new Date(at).toLocaleString()}`);
+    });
+    modal.querySelectorAll('[data-entry-id]').forEach(button => {
+      button.addEventListener('click', () => {
+        restore({ beforeEntryId: Number(button.dataset.entryId) }, 'to how it was before this change');
+      });
+    });
+
+    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  } catch (error) {
+    showError('Error loading record versions: ' + remoteErrorMessage(error));
+  }
+}
+
+async function previewPointInTimeRestore(e) {
+  e.preventDefault();
+  const at = pointInTimeValue('point-in-time-at');
+
+  try {
+    const preview = await window.electronAPI.previewPointInTimeRestore(at);
+    const lines = Object.entries(preview.tables).map(([table, counts]) =>
+      `${table}: ${counts.INSERT} created, ${counts.UPDATE} edited, ${counts.DELETE} deleted`);
+
+    if (preview.total === 0) {
+      showSuccess('Nothing has changed since then');
+      return;
+    }
+
+    const message = `Restore all patient, appointment and billing records to ${new Date(at).toLocaleString()}?\n\n` +
+      `${preview.total} changes made since then will be undone:\n${lines.join('\n')}\n\n` +
+      'The current database is saved as a snapshot first, so this can be rolled back.';
+    if (!confirm(message)) {
+      return;
+    }
+
+    const result = await window.electronAPI.restoreDatabaseToPointInTime(at);
+    showSuccess(`Undid ${result.undone} changes. The previous database was saved as ${result.snapshot.file_name}.`);
+    loadBackupStatus();
+    loadBackupHistory();
+  } catch (error) {
+    showError('Error restoring to point in time: ' + remoteErrorMessage(error));
+  }
+}
+
+// Recycle bin
+async function loadRecycleBinSettings() {
+  try {
+    const settings = await window.electronAPI.getRecycleBinSettings();
+    document.getElementById('recycle-bin-retention-days').value = settings.retentionDays;
+  } catch (error) {
+    console.error('Error loading recycle bin settings:', error);
+    showError('Error loading recycle bin settings: ' + remoteErrorMessage(error));
+  }
+}
+
+async function handleRecycleBinSettingsSubmit(e) {
+  e.preventDefault();
+
+  try {
+    await window.electronAPI.updateRecycleBinSettings({
+      retentionDays: parseInt(document.getElementById('recycle-bin-retention-days').value, 10)
+    });
+    showSuccess('Recycle bin retention saved');
+    loadRecycleBin();
+  } catch (error) {
+    console.error('Error saving recycle bin settings:', error);
+    showError('Error saving recycle bin settings: ' + remoteErrorMessage(error));
+  }
+}
+
+async function loadRecycleBin() {
+  const tbody = document.getElementById('recycle-bin-tbody');
+  try {
+    const items = await window.electronAPI.getRecycleBinItems(document.getElementById('recycle-bin-type-filter').value);
+    tbody.innerHTML = '';
+
+    if (items.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">The recycle bin is empty</td></tr>';
+      return;
+    }
+
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${escapeHtml(item.type_label)}</td>
+        <td>${escapeHtml(item.description || `#${item.id}`)}</td>
+        <td>${new Date(item.deleted_at + 'Z').toLocaleString()}</td>
+        <td>${escapeHtml(item.deleted_by_name || '-')}</td>
+        <td>${item.purge_after ? new Date(item.purge_after + 'Z').toLocaleDateString() : 'Never'}</td>
+        <td>
+          <button class="action-btn edit" onclick="restoreDeletedRecord('${item.type}', ${item.id})">Restore</button>
+          <button class="action-btn delete" onclick="purgeDeletedRecord('${item.type}', ${item.id})">Purge</button>
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading recycle bin:', error);
+    showError('Error loading recycle bin: ' + remoteErrorMessage(error));
+  }
+}
+
+async function restoreDeletedRecord(type, id) {
+  try {
+    await window.electronAPI.restoreDeletedRecord(type, id);
+    showSuccess('Record restored');
+    loadRecycleBin();
+  } catch (error) {
+    showError('Error restoring record: ' + remoteErrorMessage(error));
+  }
+}
+
+async function purgeDeletedRecord(type, id) {
+  if (!confirm('Permanently delete this record? This action cannot be undone.')) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.purgeDeletedRecord(type, id);
+    showSuccess('Record permanently deleted');
+    loadRecycleBin();
+  } catch (error) {
+    showError('Error purging record: ' + remoteErrorMessage(error));
+  }
+}
+
+// Database encryption
+function showDatabaseUnlockStep() {
+  document.getElementById('login-error').textContent = '';
+  loginForm.style.display = 'none';
+  document.getElementById('two-factor-form').style.display = 'none';
+  const form = document.getElementById('database-unlock-form');
+  form.reset();
+  form.style.display = '';
+  document.getElementById('database-passphrase').focus();
+}
+
+async function handleDatabaseUnlock(e) {
+  e.preventDefault();
+
+  try {
+    await window.electronAPI.unlockDatabase(document.getElementById('database-passphrase').value);
+    showPasswordStep();
+    document.getElementById('username').focus();
+  } catch (error) {
+    document.getElementById('database-passphrase').select();
+    showError(remoteErrorMessage(error));
+  }
+}
+
+async function loadEncryptionStatus() {
+  try {
+    const status = await window.electronAPI.getEncryptionStatus();
+    const statusText = document.getElementById('encryption-status');
+
+    if (status.enabled) {
+      statusText.innerHTML = `<span class="status-success">Encrypted</span>
+        Key in use since ${new Date(status.activeKeyCreatedAt).toLocaleString()}
+        (${status.keyCount} ${status.keyCount === 1 ? 'key' : 'keys'} in the keystore).
+        Passphrase last changed ${new Date(status.passphraseChangedAt).toLocaleString()}.`;
+    } else {
+      statusText.innerHTML = '<span class="status-failed">Not encrypted</span> Clinical fields are stored as plain text.';
+    }
+
+    document.getElementById('enable-encryption-form').style.display = status.enabled ? 'none' : '';
+    document.getElementById('encryption-manage-section').style.display = status.enabled ? '' : 'none';
+  } catch (error) {
+    console.error('Error loading encryption status:', error);
+    showError('Error loading encryption status: ' + error.message);
+  }
+}
+
+async function handleEnableEncryption(e) {
+  e.preventDefault();
+
+  const passphrase = document.getElementById('encryption-passphrase').value;
+  if (passphrase !== document.getElementById('encryption-passphrase-confirm').value) {
+    showError('The passphrases do not match');
+    return;
+  }
+
+  try {
+    await window.electronAPI.enableEncryption(passphrase);
+    e.target.reset();
+    showSuccess('Database encryption turned on');
+    loadEncryptionStatus();
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    showError('Error enabling encryption: ' + remoteErrorMessage(error));
+  }
+}
+
+async function handleRotateEncryptionKey(e) {
+  e.preventDefault();
+
+  try {
+    await window.electronAPI.rotateEncryptionKey(document.getElementById('rotate-key-passphrase').value);
+    e.target.reset();
+    showSuccess('Encryption key rotated');
+    loadEncryptionStatus();
+  } catch (error) {
+    console.error('Error rotating encryption key:', error);
+    showError('Error rotating encryption key: ' + remoteErrorMessage(error));
+  }
+}
+
+async function handleChangeEncryptionPassphrase(e) {
+  e.preventDefault();
+
+  const newPassphrase = document.getElementById('new-encryption-passphrase').value;
+  if (newPassphrase !== document.getElementById('confirm-encryption-passphrase').value) {
+    showError('The new passphrases do not match');
+    return;
+  }
+
+  try {
+    await window.electronAPI.changeEncryptionPassphrase(
+      document.getElementById('current-encryption-passphrase').value, newPassphrase);
+    e.target.reset();
+    showSuccess('Encryption passphrase changed');
+    loadEncryptionStatus();
+  } catch (error) {
+    console.error('Error changing encryption passphrase:', error);
+    showError('Error changing encryption passphrase: ' + remoteErrorMessage(error));
+  }
+}
+
+async function reviewConflict(conflictId) {
+  try {
+    const conflict = await window.electronAPI.sync.getConflictDetails(conflictId);
+    openConflictModal(conflict);
+  } catch (error) {
+    showError('Error loading conflict: ' + error.message);
+  }
+}
+
+function openConflictModal(conflict) {
+  const formatValue = (value) => value === null || value === '' ? '<em>empty</em>' : escapeHtml(value);
+  const differing = conflict.fields.filter(field => field.differs);
+  const canMerge = !conflict.localDeleted && !conflict.remoteDeleted;
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'conflict-modal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 900px;">
+      <div class="modal-header">
+        <h3>Conflict: ${conflict.table_name} #${conflict.record_id || conflict.sync_id}</h3>
+        <span class="modal-close">&times;</span>
+      </div>
+      ${conflict.localDeleted ? '<p class="message error">This record was deleted on this workstation.</p>' : ''}
+      ${conflict.remoteDeleted ? '<p class="message error">This record was deleted on another workstation.</p>' : ''}
+      <div class="data-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Mine (v${conflict.local_version ?? '-'})</th>
+              <th>Theirs (v${conflict.remote_version ?? '-'})</th>
+              ${canMerge ? '<th>Use theirs</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${differing.map(field => `
+              <tr>
+                <td>${field.name}</td>
+                <td>${formatValue(field.local)}</td>
+                <td>${formatValue(field.remote)}</td>
+                ${canMerge ? `<td><input type="checkbox" name="theirs-field" value="${field.name}"></td>` : ''}
+              </tr>
+            `).join('') || '<tr><td colspan="4">No field differences</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" data-resolution="mine">Keep Mine</button>
+        <button type="button" class="btn btn-secondary" data-resolution="theirs">Keep Theirs</button>
+        ${canMerge ? '<button type="button" class="btn btn-primary" data-resolution="merge">Merge Selected Fields</button>' : ''}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  modal.classList.add('active');
+
+  modal.querySelectorAll('[data-resolution]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const resolution = btn.dataset.resolution;
+      const theirsFields = Array.from(modal.querySelectorAll('input[name="theirs-field"]:checked')).map(input => input.value);
+
+      try {
+        await window.electronAPI.sync.resolveConflict(conflict.id, resolution, theirsFields);
+        showSuccess('Conflict resolved. The result will be sent on the next sync.');
+        modal.remove();
+        dataCache.clear();
+        cacheExpiry.clear();
+        loadConflicts();
+      } catch (error) {
+        showError('Error resolving conflict: ' + error.message);
+      }
+    });
+  });
+
+  // Close modal functionality
+  modal.querySelector('.modal-close').addEventListener('click', () => {
+    modal.remove();
+  });
+
+  // Close modal when clicking outside content
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+}
+
+window.reviewConflict = (id) => reviewConflict(id);
+window.showRecordHistory = (tableName, recordRef) => showRecordHistory(tableName, recordRef);
+window.showPatientAccessReport = (patientRef) => showPatientAccessReport(patientRef);
+window.revokeSession = (id) => revokeSession(id);
+window.verifyBackup = (id) => verifyBackup(id);
+window.restoreBackupFromHistory = (id) => restoreBackup(id);
+window.restoreDeletedRecord = (type, id) => restoreDeletedRecord(type, id);
+window.purgeDeletedRecord = (type, id) => purgeDeletedRecord(type, id);
+
+// Initialize sync settings when admin tab is activated
+document.addEventListener('DOMContentLoaded', () => {
+  // ... existing code ...
+
+  // Add sync settings event listeners
+  const syncForm = document.getElementById('sync-form');
+  if (syncForm) {
+    syncForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const credentials = {
+        host: document.getElementById('db-host').value,
+        port: parseInt(document.getElementById('db-port').value),
+        database: document.getElementById('db-name').value,
+        user: document.getElementById('db-user').value,
+        password: document.getElementById('db-password').value,
         ssl: document.getElementById('ssl-enabled').checked
       };
 
@@ -5112,6 +8884,11 @@ document.addEventListener('DOMContentLoaded', () => {
         await testConnection(credentials);
       });
     }
+
+    const syncNowBtn = document.getElementById('sync-now-btn');
+    if (syncNowBtn) {
+      syncNowBtn.addEventListener('click', performSync);
+    }
   }
 
   // Load sync settings when admin screen is shown
@@ -5119,6 +8896,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (document.getElementById('admin-screen').classList.contains('active') &&
         document.getElementById('sync-tab').classList.contains('active')) {
       loadSyncSettings();
+      loadSyncStatus();
     }
   });
 
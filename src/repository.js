@@ -0,0 +1,167 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('./database');
+
+// Shared data access for the services: promise versions of the sqlite3
+// calls, transactions, and prepared statements that are kept and reused.
+//
+// Every service shares one connection, so whatever runs while a transaction
+// is open would become part of it. withTransaction therefore runs one
+// transaction at a time, and queries made outside a transaction wait until
+// the open one has committed or rolled back. Audit entries are written after
+// withTransaction returns, never inside it.
+
+// Prepared statements kept for reuse, least recently used first
+const MAX_STATEMENTS = 200;
+const statements = new Map();
+
+// The transaction the current async call chain is running in, if any
+const transactionContext = new AsyncLocalStorage();
+
+// Settles once every transaction started so far has finished
+let transactionQueue = Promise.resolve();
+
+function getStatement(sql) {
+  let statement = statements.get(sql);
+  if (statement) {
+    statements.delete(sql);
+    statements.set(sql, statement);
+    return statement;
+  }
+
+  statement = db.prepare(sql, (err) => {
+    if (err && statements.get(sql) === statement) {
+      statements.delete(sql);
+    }
+  });
+  statements.set(sql, statement);
+
+  if (statements.size > MAX_STATEMENTS) {
+    const [oldestSql, oldest] = statements.entries().next().value;
+    statements.delete(oldestSql);
+    oldest.finalize();
+  }
+  return statement;
+}
+
+// Prepared statements belong to the connection, so they are finalized
+// before a restore closes it
+function finalizeStatements() {
+  const finalizing = Array.from(statements.values()).map(statement =>
+    new Promise((resolve) => statement.finalize(() => resolve())));
+  statements.clear();
+  return Promise.all(finalizing);
+}
+
+db.onClose(finalizeStatements);
+
+async function waitOutsideTransaction() {
+  if (!transactionContext.getStore()) {
+    await transactionQueue;
+  }
+}
+
+async function run(sql, params = []) {
+  await waitOutsideTransaction();
+  const statement = getStatement(sql);
+  return new Promise((resolve, reject) => {
+    statement.run(params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+async function get(sql, params = []) {
+  await waitOutsideTransaction();
+  const statement = getStatement(sql);
+  return new Promise((resolve, reject) => {
+    statement.get(params, (err, row) => {
+      // A statement left on a row keeps its read open, which blocks VACUUM
+      // and DROP TABLE, so it is reset before the next caller
+      statement.reset(() => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  });
+}
+
+async function all(sql, params = []) {
+  await waitOutsideTransaction();
+  const statement = getStatement(sql);
+  return new Promise((resolve, reject) => {
+    statement.all(params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Transaction control is not worth keeping prepared
+function control(sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Run callback in a transaction: committed when it resolves, rolled back
+// when it throws, and the error rethrown. Called inside another transaction
+// it uses a savepoint, so only its own changes are undone on failure.
+async function withTransaction(callback) {
+  const current = transactionContext.getStore();
+  if (current) {
+    const savepoint = `sp_${current.depth + 1}`;
+    await control(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await transactionContext.run({ depth: current.depth + 1 }, callback);
+      await control(`RELEASE ${savepoint}`);
+      return result;
+    } catch (error) {
+      await control(`ROLLBACK TO ${savepoint}`).catch(() => {});
+      await control(`RELEASE ${savepoint}`).catch(() => {});
+      throw error;
+    }
+  }
+
+  const previous = transactionQueue;
+  let finished;
+  transactionQueue = new Promise((resolve) => {
+    finished = resolve;
+  });
+
+  try {
+    await previous;
+    await control('BEGIN TRANSACTION');
+    try {
+      const result = await transactionContext.run({ depth: 0 }, callback);
+      await control('COMMIT');
+      return result;
+    } catch (error) {
+      await control('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  } finally {
+    finished();
+  }
+}
+
+function inTransaction() {
+  return !!transactionContext.getStore();
+}
+
+module.exports = { run, get, all, withTransaction, inTransaction };
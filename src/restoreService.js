@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const Auth = require('./auth');
+const Migrator = require('./migrator');
+const BackupService = require('./backupService');
+const EncryptionService = require('./encryptionService');
+
+// Restoring a backup happens in two steps. prepareRestore unpacks the backup
+// to a staging file next to the database, validates it and returns a
+// preview; restore then snapshots the live database, swaps the staged file in
+// and reopens the connection. If the restored database cannot be opened the
+// snapshot is put back, and rollbackLastRestore undoes a restore later.
+
+const STAGING_PATH = path.join(path.dirname(db.path), 'clinic.restore.db');
+
+// Tables summarized in the preview, with the column holding each one's latest date
+const PREVIEW_TABLES = {
+  patients: { label: 'Patients', dateColumn: 'created_at' },
+  appointments: { label: 'Appointments', dateColumn: 'appointment_date' },
+  invoices: { label: 'Invoices', dateColumn: 'created_at' },
+  payments: { label: 'Payments', dateColumn: 'payment_date' },
+  expenses: { label: 'Expenses', dateColumn: 'expense_date' },
+  users: { label: 'Users', dateColumn: 'created_at' },
+  audit_log: { label: 'Audit entries', dateColumn: 'timestamp' }
+};
+
+const REQUIRED_TABLES = ['schema_migrations', 'users', 'patients'];
+
+// The backup staged by the last preview, waiting for confirmation
+let pendingRestore = null;
+let restoring = false;
+
+async function summarize(read) {
+  const tables = (await read('all', "SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+  const summary = {};
+
+  for (const [table, { label, dateColumn }] of Object.entries(PREVIEW_TABLES)) {
+    if (!tables.includes(table)) {
+      summary[table] = { label, count: null, latest: null };
+      continue;
+    }
+    const row = await read('get', `SELECT COUNT(*) as count, MAX(${dateColumn}) as latest FROM ${table}`);
+    summary[table] = { label, count: row.count, latest: row.latest };
+  }
+
+  return { tables, summary };
+}
+
+async function discardPending() {
+  pendingRestore = null;
+  await fs.promises.rm(STAGING_PATH, { force: true }).catch(() => {});
+}
+
+// Moved into place with a rename, so the database file is never half written
+async function replaceDatabaseFile(dbPath, data) {
+  const tempPath = `${dbPath}.restore.tmp`;
+  await fs.promises.writeFile(tempPath, data, { mode: 0o600 });
+  await fs.promises.rename(tempPath, dbPath);
+  for (const suffix of ['-journal', '-wal', '-shm']) {
+    await fs.promises.rm(`${dbPath}${suffix}`, { force: true });
+  }
+}
+
+class RestoreService {
+  static isRestoring() {
+    return restoring;
+  }
+
+  // Unpack and validate a backup, given as a backup history id or a file
+  // path, and describe it next to the live database
+  static async prepareRestore({ backupId = null, filePath = null } = {}) {
+    if (restoring) {
+      throw new Error('A restore is already in progress');
+    }
+
+    let sourcePath = filePath;
+    if (backupId) {
+      const backup = await BackupService.getBackup(backupId);
+      if (!backup || backup.status !== 'completed' || backup.removed_at) {
+        throw new Error('That backup is not available to restore');
+      }
+      sourcePath = backup.file_path;
+    }
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error('Backup file not found');
+    }
+
+    await discardPending();
+
+    const problems = [];
+    const notes = [];
+    let inspection = { integrityCheck: null, schemaVersion: null };
+    let backupSummary = null;
+
+    try {
+      await fs.promises.writeFile(STAGING_PATH, await BackupService.readBackupFile(sourcePath), { mode: 0o600 });
+      inspection = await BackupService.inspectDatabase(STAGING_PATH);
+      const { tables, summary } = await BackupService.readDatabaseFile(STAGING_PATH, summarize);
+      backupSummary = summary;
+
+      const missing = REQUIRED_TABLES.filter(table => !tables.includes(table));
+      if (missing.length > 0) {
+        problems.push(`Not a clinic database: missing ${missing.join(', ')}`);
+      }
+    } catch (error) {
+      problems.push(`The file could not be read as a database: ${error.message}`);
+    }
+
+    if (inspection.integrityCheck && inspection.integrityCheck !== 'ok') {
+      problems.push(`Integrity check failed: ${inspection.integrityCheck}`);
+    }
+    if (inspection.schemaVersion > Migrator.latestVersion) {
+      problems.push(`The backup has schema version ${inspection.schemaVersion}, newer than this application supports (${Migrator.latestVersion})`);
+    } else if (inspection.schemaVersion && inspection.schemaVersion < Migrator.latestVersion) {
+      notes.push(`The backup will be upgraded from schema version ${inspection.schemaVersion} to ${Migrator.latestVersion}`);
+    }
+
+    const current = await summarize((method, sql, params = []) => new Promise((resolve, reject) => {
+      db[method](sql, params, (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    }));
+
+    const valid = problems.length === 0;
+    pendingRestore = valid ? { token: crypto.randomBytes(16).toString('hex'), sourcePath, backupId } : null;
+    if (!valid) {
+      await discardPending();
+    }
+
+    return {
+      token: valid ? pendingRestore.token : null,
+      valid,
+      problems,
+      notes,
+      filePath: sourcePath,
+      fileName: path.basename(sourcePath),
+      integrityCheck: inspection.integrityCheck,
+      schemaVersion: inspection.schemaVersion,
+      currentSchemaVersion: Migrator.latestVersion,
+      backup: backupSummary,
+      current: current.summary
+    };
+  }
+
+  static async cancelRestore() {
+    if (!restoring) {
+      await discardPending();
+    }
+  }
+
+  // Replace the live database with the staged backup. The database it
+  // replaces is kept as a pre-restore snapshot first.
+  static async restore(token, userId, { rollback = false } = {}) {
+    if (restoring) {
+      throw new Error('A restore is already in progress');
+    }
+    if (!pendingRestore || pendingRestore.token !== token) {
+      throw new Error('Preview the backup again before restoring it');
+    }
+
+    const { sourcePath } = pendingRestore;
+    const fileName = path.basename(sourcePath);
+    const user = userId ? await Auth.getUserRow(userId) : null;
+    restoring = true;
+
+    try {
+      const snapshot = await BackupService.createBackup({ trigger: 'pre_restore', userId, restoreSource: fileName });
+      if (snapshot.status !== 'completed') {
+        throw new Error(`The pre-restore snapshot failed, nothing was restored: ${snapshot.error}`);
+      }
+
+      const history = await BackupService.exportHistory();
+      const staged = await fs.promises.readFile(STAGING_PATH);
+
+      try {
+        await db.reopen(dbPath => replaceDatabaseFile(dbPath, staged));
+      } catch (error) {
+        const previous = await BackupService.readBackupFile(snapshot.file_path);
+        await db.reopen(dbPath => replaceDatabaseFile(dbPath, previous));
+        await BackupService.importHistory(history);
+        throw new Error(`The restored database could not be opened, so the previous one was put back: ${error.message}`);
+      }
+
+      await BackupService.importHistory(history);
+
+      // A backup from before encryption was turned on holds plaintext
+      if (EncryptionService.isEnabled() && EncryptionService.isUnlocked()) {
+        await EncryptionService.encryptStoredData();
+      }
+
+      await Auth.logAudit(userId, rollback ? 'ROLLBACK_RESTORE' : 'RESTORE_BACKUP', 'backups', snapshot.id, null, {
+        restored: fileName,
+        snapshot: snapshot.file_name,
+        restored_by: user ? user.username : null
+      });
+
+      return { restored: fileName, snapshot };
+    } finally {
+      restoring = false;
+      await discardPending();
+    }
+  }
+
+  // Put back the database as it was before the most recent restore. The
+  // rollback is itself a restore, so it can be undone the same way.
+  static async rollbackLastRestore(userId) {
+    const lastRestore = await BackupService.getLastRestore();
+    if (!lastRestore) {
+      throw new Error('There is no restore to roll back');
+    }
+
+    const preview = await RestoreService.prepareRestore({ backupId: lastRestore.id });
+    if (!preview.valid) {
+      throw new Error(`The pre-restore snapshot cannot be restored: ${preview.problems.join('; ')}`);
+    }
+    return RestoreService.restore(preview.token, userId, { rollback: true });
+  }
+}
+
+module.exports = RestoreService;
@@ -1,87 +1,156 @@
-const fs = require('fs').promises;
 const crypto = require('crypto');
-const path = require('path');
 
-// Session Manager for user authentication state
+// In-memory sessions, one per BrowserWindow. Nothing is written to disk, so a
+// session never outlives the app and cannot be picked up by another window.
 class SessionManager {
-  constructor(userDataPath) {
-    // Use provided path or fallback to current directory
-    const basePath = userDataPath || process.cwd();
-    this.sessionPath = path.join(basePath, 'session.enc');
-    this.keyPath = path.join(basePath, 'session-key');
-  }
-
-  // Generate encryption key (done once)
-  async generateKey() {
-    const key = crypto.randomBytes(32);
-    await fs.writeFile(this.keyPath, key.toString('hex'));
-    return key;
-  }
-
-  // Load encryption key
-  async loadKey() {
-    try {
-      const keyHex = await fs.readFile(this.keyPath, 'utf8');
-      return Buffer.from(keyHex, 'hex');
-    } catch {
-      return await this.generateKey();
-    }
+  constructor(idleTimeoutMinutes = 10) {
+    this.sessions = new Map(); // token -> session
+    this.idleTimeoutMinutes = idleTimeoutMinutes;
   }
 
-  // Encrypt and save session
-  async saveSession(sessionData) {
-    const key = await this.loadKey();
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  // 0 disables the idle lock
+  setIdleTimeout(minutes) {
+    this.idleTimeoutMinutes = minutes;
+  }
 
-    let encrypted = cipher.update(JSON.stringify(sessionData), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+  // Start a session for a window, replacing any session it already had
+  createSession(webContentsId, user) {
+    this.revokeForWindow(webContentsId);
 
-    const data = {
-      iv: iv.toString('hex'),
-      encrypted: encrypted,
-      timestamp: Date.now()
+    const now = Date.now();
+    const session = {
+      // Secret key for the session; never leaves the main process
+      token: crypto.randomBytes(32).toString('hex'),
+      // Public identifier shown in the admin session list
+      id: crypto.randomBytes(8).toString('hex'),
+      webContentsId,
+      user,
+      createdAt: now,
+      lastActivityAt: now,
+      locked: false,
+      // Patients whose sensitive fields this session has broken the glass for
+      sensitiveAccess: new Set()
     };
 
-    await fs.writeFile(this.sessionPath, JSON.stringify(data));
+    this.sessions.set(session.token, session);
+    return session;
   }
 
-  // Load and decrypt session
-  async loadSession() {
-    try {
-      const key = await this.loadKey();
-      const data = JSON.parse(await fs.readFile(this.sessionPath, 'utf8'));
+  getSessionForWindow(webContentsId) {
+    for (const session of this.sessions.values()) {
+      if (session.webContentsId === webContentsId) {
+        return session;
+      }
+    }
+    return null;
+  }
 
-      // Check if session is expired (24 hours)
-      if (Date.now() - data.timestamp > 24 * 60 * 60 * 1000) {
-        await this.clearSession();
-        return null;
+  getSessionById(id) {
+    for (const session of this.sessions.values()) {
+      if (session.id === id) {
+        return session;
       }
+    }
+    return null;
+  }
 
-      const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(data.iv, 'hex'));
-      let decrypted = decipher.update(data.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
+  isIdle(session, now = Date.now()) {
+    return this.idleTimeoutMinutes > 0 &&
+      now - session.lastActivityAt > this.idleTimeoutMinutes * 60 * 1000;
+  }
 
-      return JSON.parse(decrypted);
-    } catch {
-      return null; // No session saved yet or invalid
+  // Record user activity. An idle session is locked instead of refreshed.
+  touch(session) {
+    if (session.locked) {
+      return false;
     }
+
+    if (this.isIdle(session)) {
+      session.locked = true;
+      return false;
+    }
+
+    session.lastActivityAt = Date.now();
+    return true;
+  }
+
+  lock(session) {
+    session.locked = true;
   }
 
-  // Clear session
-  async clearSession() {
-    try {
-      await fs.unlink(this.sessionPath);
-    } catch {
-      // File doesn't exist, ignore
+  unlock(session) {
+    session.locked = false;
+    session.lastActivityAt = Date.now();
+  }
+
+  // Lock every session that has been idle past the timeout and return them
+  lockIdleSessions() {
+    const now = Date.now();
+    const locked = [];
+    for (const session of this.sessions.values()) {
+      if (!session.locked && this.isIdle(session, now)) {
+        session.locked = true;
+        locked.push(session);
+      }
     }
+    return locked;
+  }
+
+  lockAll() {
+    const locked = [];
+    for (const session of this.sessions.values()) {
+      if (!session.locked) {
+        session.locked = true;
+        locked.push(session);
+      }
+    }
+    return locked;
+  }
+
+  grantSensitiveAccess(session, patientId) {
+    session.sensitiveAccess.add(Number(patientId));
+  }
+
+  hasSensitiveAccess(session, patientId) {
+    return session.sensitiveAccess.has(Number(patientId));
+  }
+
+  revoke(session) {
+    this.sessions.delete(session.token);
+  }
+
+  revokeForWindow(webContentsId) {
+    const session = this.getSessionForWindow(webContentsId);
+    if (session) {
+      this.revoke(session);
+    }
+    return session;
+  }
+
+  revokeForUser(userId) {
+    const revoked = Array.from(this.sessions.values()).filter(session => session.user.id === Number(userId));
+    revoked.forEach(session => this.revoke(session));
+    return revoked;
+  }
+
+  revokeAll() {
+    const revoked = Array.from(this.sessions.values());
+    this.sessions.clear();
+    return revoked;
   }
 
-  // Get current user from session
-  async getCurrentUser() {
-    const session = await this.loadSession();
-    return session ? session.user : null;
+  listSessions() {
+    return Array.from(this.sessions.values()).map(session => ({
+      id: session.id,
+      userId: session.user.id,
+      username: session.user.username,
+      name: session.user.name,
+      role: session.user.role,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+      locked: session.locked
+    }));
   }
 }
 
-module.exports = SessionManager;
\ No newline at end of file
+module.exports = SessionManager;
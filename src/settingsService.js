@@ -0,0 +1,56 @@
+const { run, get } = require('./repository');
+
+// Defaults for settings that have never been saved
+const DEFAULT_SETTINGS = {
+  'session.idle_timeout_minutes': 10,
+  'login.max_failed_attempts': 5,
+  'login.lockout_minutes': 15,
+  'password.min_length': 10,
+  'password.require_uppercase': true,
+  'password.require_lowercase': true,
+  'password.require_number': true,
+  'password.require_symbol': false,
+  'password.history_count': 5,
+  'password.max_age_days': 90,
+  'backup.schedule': 'daily',
+  'backup.destination': '',
+  'backup.retention_count': 14,
+  'backup.compress': true,
+  'backup.encrypt': false,
+  'recycle_bin.retention_days': 30,
+  'maintenance.schedule': 'weekly',
+  'maintenance.vacuum': true,
+  'invoice.number_prefix': 'INV',
+  'invoice.number_yearly': true,
+  'tax.exempt_categories': [],
+  'tax.prices_include_tax': false
+};
+
+class SettingsService {
+  static async get(key) {
+    const row = await get('SELECT value FROM app_settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : (DEFAULT_SETTINGS[key] ?? null);
+  }
+
+  static async set(key, value, userId) {
+    const oldValue = await SettingsService.get(key);
+
+    await run(`
+      INSERT INTO app_settings (key, value, updated_at, updated_by)
+      VALUES (?, ?, CURRENT_TIMESTAMP, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = excluded.updated_at,
+        updated_by = excluded.updated_by
+    `, [key, JSON.stringify(value), userId]);
+
+    // Required here because Auth reads its policies through this service
+    const Auth = require('./auth');
+    Auth.logAudit(userId, 'UPDATE_SETTING', 'app_settings', null, { key, value: oldValue }, { key, value });
+    return value;
+  }
+}
+
+SettingsService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = SettingsService;
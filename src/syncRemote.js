@@ -0,0 +1,194 @@
+// Remote stores used by SyncService.
+//
+// The central database keeps one generic row per synced record, keyed by
+// (table_name, sync_id). Every write takes the next value of a global revision
+// sequence, and workstations pull everything above their last seen revision.
+//
+// Each pushed record carries its row version and the base version it was edited
+// from. A push whose base version no longer matches the stored version is not
+// applied and is returned as a conflict instead.
+
+const REMOTE_SCHEMA = [
+  'CREATE SEQUENCE IF NOT EXISTS sync_revision_seq',
+  `CREATE TABLE IF NOT EXISTS sync_records (
+    table_name TEXT NOT NULL,
+    sync_id TEXT NOT NULL,
+    data JSONB,
+    deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    origin_device TEXT NOT NULL,
+    revision BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (table_name, sync_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS sync_records_revision_idx ON sync_records (table_name, revision)',
+  'ALTER TABLE sync_records ADD COLUMN IF NOT EXISTS version INTEGER'
+];
+
+// Arbitrary key for pg_advisory_xact_lock so that pushes from different
+// workstations commit in revision order
+const PUSH_LOCK_KEY = 7263001;
+
+class PostgresRemote {
+  constructor(credentials) {
+    this.credentials = credentials;
+    this.client = null;
+  }
+
+  async connect() {
+    const { Client } = require('pg');
+    this.client = new Client({
+      host: this.credentials.host,
+      port: this.credentials.port || 5432,
+      database: this.credentials.database,
+      user: this.credentials.user,
+      password: this.credentials.password,
+      ssl: this.credentials.ssl ? { rejectUnauthorized: false } : false,
+      connectionTimeoutMillis: 10000
+    });
+    await this.client.connect();
+  }
+
+  async ensureSchema() {
+    for (const sql of REMOTE_SCHEMA) {
+      await this.client.query(sql);
+    }
+  }
+
+  async push(records, deviceId) {
+    const result = { pushed: 0, conflicts: [] };
+    if (records.length === 0) {
+      return result;
+    }
+
+    try {
+      await this.client.query('BEGIN');
+      await this.client.query('SELECT pg_advisory_xact_lock($1)', [PUSH_LOCK_KEY]);
+
+      for (const record of records) {
+        const current = await this.client.query(
+          'SELECT data, deleted, version FROM sync_records WHERE table_name = $1 AND sync_id = $2',
+          [record.table, record.syncId]
+        );
+        const existing = current.rows[0];
+
+        if (existing && existing.version !== record.baseVersion) {
+          result.conflicts.push({
+            table: record.table,
+            syncId: record.syncId,
+            data: existing.data,
+            deleted: existing.deleted,
+            version: existing.version
+          });
+          continue;
+        }
+
+        await this.client.query(`
+          INSERT INTO sync_records (table_name, sync_id, data, deleted, origin_device, version, revision)
+          VALUES ($1, $2, $3, $4, $5, $6, nextval('sync_revision_seq'))
+          ON CONFLICT (table_name, sync_id) DO UPDATE SET
+            data = EXCLUDED.data,
+            deleted = EXCLUDED.deleted,
+            origin_device = EXCLUDED.origin_device,
+            version = EXCLUDED.version,
+            revision = EXCLUDED.revision,
+            updated_at = now()
+        `, [record.table, record.syncId, JSON.stringify(record.data), record.deleted, deviceId, record.version]);
+        result.pushed++;
+      }
+
+      await this.client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await this.client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async pull(table, sinceRevision, deviceId, limit = 500) {
+    const result = await this.client.query(`
+      SELECT table_name, sync_id, data, deleted, origin_device, version, revision
+      FROM sync_records
+      WHERE table_name = $1 AND revision > $2
+      ORDER BY revision
+      LIMIT $3
+    `, [table, sinceRevision, limit]);
+
+    return result.rows.map(row => ({
+      table: row.table_name,
+      syncId: row.sync_id,
+      data: row.data,
+      deleted: row.deleted,
+      originDevice: row.origin_device,
+      version: row.version,
+      // BIGINT comes back as a string
+      revision: Number(row.revision)
+    }));
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+// In-process stand-in with the same behaviour as PostgresRemote. Several
+// workstations can share one instance to exercise two-way sync without a server.
+class MemoryRemote {
+  constructor() {
+    this.records = new Map();
+    this.revision = 0;
+  }
+
+  async connect() {}
+
+  async ensureSchema() {}
+
+  async push(records, deviceId) {
+    const result = { pushed: 0, conflicts: [] };
+
+    records.forEach(record => {
+      const key = `${record.table}:${record.syncId}`;
+      const existing = this.records.get(key);
+
+      if (existing && existing.version !== record.baseVersion) {
+        result.conflicts.push({
+          table: record.table,
+          syncId: record.syncId,
+          data: JSON.parse(JSON.stringify(existing.data)),
+          deleted: existing.deleted,
+          version: existing.version
+        });
+        return;
+      }
+
+      this.revision++;
+      this.records.set(key, {
+        table: record.table,
+        syncId: record.syncId,
+        // Round-trip through JSON like the JSONB column does
+        data: JSON.parse(JSON.stringify(record.data)),
+        deleted: record.deleted,
+        originDevice: deviceId,
+        version: record.version,
+        revision: this.revision
+      });
+      result.pushed++;
+    });
+
+    return result;
+  }
+
+  async pull(table, sinceRevision, deviceId, limit = 500) {
+    return Array.from(this.records.values())
+      .filter(record => record.table === table && record.revision > sinceRevision)
+      .sort((a, b) => a.revision - b.revision)
+      .slice(0, limit)
+      .map(record => ({ ...record, data: JSON.parse(JSON.stringify(record.data)) }));
+  }
+
+  async close() {}
+}
+
+module.exports = { PostgresRemote, MemoryRemote };
@@ -0,0 +1,596 @@
+const { run, get, all } = require('./repository');
+const Auth = require('./auth');
+const EncryptionService = require('./encryptionService');
+const PatientService = require('./patientService');
+
+// Synced tables in dependency order (parents before children). `references`
+// maps foreign key columns to the table they point at. Local ids differ per
+// workstation, so references travel as the parent's sync_id (username for users).
+// Each workstation has its own data key, so the clinical fields of an
+// `encrypted` table travel as plaintext and are encrypted with the local key
+// when written here.
+const SYNC_TABLES = [
+  { name: 'patients', references: {}, encrypted: true },
+  { name: 'appointments', references: { patient_id: 'patients', doctor_id: 'users' } },
+  { name: 'invoices', references: { patient_id: 'patients' } },
+  { name: 'payments', references: { invoice_id: 'invoices' } },
+  { name: 'refunds', references: { payment_id: 'payments' } },
+  { name: 'credit_notes', references: { invoice_id: 'invoices' } },
+  { name: 'patient_credits', references: { patient_id: 'patients', payment_id: 'payments', refund_id: 'refunds' } },
+  { name: 'expenses', references: {} }
+];
+
+// Column that identifies a referenced row on every workstation
+const REFERENCE_KEYS = {
+  users: 'username'
+};
+
+// Columns that are never copied between workstations. Who created or
+// deleted a record is a local user id; the deletion itself travels as
+// deleted_at.
+const LOCAL_ONLY_COLUMNS = ['id', 'sync_id', 'created_by', 'deleted_by'];
+
+// While the database is locked, pulled values stay plaintext until unlock()
+// encrypts them
+function sealFields(table, fields) {
+  return table.encrypted && EncryptionService.isUnlocked() ? PatientService.encryptClinicalFields(fields) : fields;
+}
+
+function sealData(table, data) {
+  return data ? { ...data, fields: sealFields(table, data.fields || {}) } : data;
+}
+
+// Whether a record we pushed and the central copy it conflicted with differ
+// in nothing but their version, as when two workstations each mark the same
+// invoice overdue
+function sameChange(local, remote) {
+  if (!local.data || remote.deleted) {
+    return !local.data && remote.deleted;
+  }
+  const differs = (mine, theirs, ignored) => [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+    .some(key => key !== ignored && JSON.stringify(mine[key]) !== JSON.stringify(theirs[key]));
+  return !differs(local.data.fields || {}, remote.data.fields || {}, 'version') &&
+    !differs(local.data.refs || {}, remote.data.refs || {}, null);
+}
+
+class SyncService {
+  // Push local changes to the remote store, then pull changes made elsewhere.
+  // `remote` is a PostgresRemote or MemoryRemote from syncRemote.js.
+  static async performSync(remote, userId) {
+    if (SyncService.syncInProgress) {
+      throw new Error('A sync is already in progress');
+    }
+
+    SyncService.syncInProgress = true;
+    const summary = { pushed: 0, pulled: 0, skipped: 0, conflicts: 0 };
+    const log = await run('INSERT INTO sync_log (user_id) VALUES (?)', [userId]);
+
+    try {
+      await remote.connect();
+      await remote.ensureSchema();
+
+      const deviceId = await SyncService.getDeviceId();
+
+      for (const table of SYNC_TABLES) {
+        await SyncService.seedTable(table.name);
+      }
+
+      for (const table of SYNC_TABLES) {
+        const result = await SyncService.pushTable(remote, table, deviceId);
+        summary.pushed += result.pushed;
+        summary.conflicts += result.conflicts;
+      }
+
+      for (const table of SYNC_TABLES) {
+        const result = await SyncService.pullTable(remote, table, deviceId);
+        summary.pulled += result.pulled;
+        summary.skipped += result.skipped;
+      }
+
+      await run(`
+        UPDATE sync_log
+        SET status = 'success', finished_at = CURRENT_TIMESTAMP, pushed_count = ?, pulled_count = ?, skipped_count = ?, conflict_count = ?
+        WHERE id = ?
+      `, [summary.pushed, summary.pulled, summary.skipped, summary.conflicts, log.lastID]);
+
+      Auth.logAudit(userId, 'SYNC', 'sync_log', log.lastID, null, summary);
+      return { success: true, ...summary };
+    } catch (error) {
+      await run(`
+        UPDATE sync_log
+        SET status = 'failed', finished_at = CURRENT_TIMESTAMP, pushed_count = ?, pulled_count = ?, skipped_count = ?, conflict_count = ?, error_message = ?
+        WHERE id = ?
+      `, [summary.pushed, summary.pulled, summary.skipped, summary.conflicts, error.message, log.lastID]);
+      throw error;
+    } finally {
+      SyncService.syncInProgress = false;
+      try {
+        await remote.close();
+      } catch (closeError) {
+        console.error('Error closing sync connection:', closeError);
+      }
+    }
+  }
+
+  static async getDeviceId() {
+    const row = await get("SELECT value FROM sync_meta WHERE key = 'device_id'");
+    return row.value;
+  }
+
+  // Queue every existing row the first time a table is synced, so records
+  // created before sync was set up reach the central database too
+  static async seedTable(tableName) {
+    const state = await get('SELECT table_name FROM sync_state WHERE table_name = ?', [tableName]);
+    if (state) {
+      return;
+    }
+
+    await run(`
+      INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+      SELECT ?, id, sync_id, 'upsert' FROM ${tableName}
+    `, [tableName]);
+    await run('INSERT INTO sync_state (table_name) VALUES (?)', [tableName]);
+  }
+
+  static async pushTable(remote, table, deviceId) {
+    const result = { pushed: 0, conflicts: 0 };
+    const changes = await all('SELECT * FROM sync_changes WHERE table_name = ? ORDER BY id', [table.name]);
+    if (changes.length === 0) {
+      return result;
+    }
+
+    // Records with an unresolved conflict wait until an admin picks a side
+    const openConflicts = await all(
+      "SELECT sync_id FROM sync_conflicts WHERE table_name = ? AND status = 'open'",
+      [table.name]
+    );
+    const blocked = new Set(openConflicts.map(conflict => conflict.sync_id));
+
+    // Collapse to the latest operation per record
+    const latest = new Map();
+    changes.forEach(change => {
+      if (change.sync_id && !blocked.has(change.sync_id)) {
+        latest.set(change.sync_id, change);
+      }
+    });
+
+    const records = [];
+    for (const change of latest.values()) {
+      const baseVersion = await SyncService.getSyncedVersion(table.name, change.sync_id);
+
+      if (change.operation === 'delete') {
+        records.push({
+          table: table.name,
+          syncId: change.sync_id,
+          recordId: change.record_id,
+          data: null,
+          deleted: true,
+          version: (baseVersion || 0) + 1,
+          baseVersion
+        });
+        continue;
+      }
+
+      const row = await get(`SELECT * FROM ${table.name} WHERE sync_id = ?`, [change.sync_id]);
+      if (row) {
+        records.push({
+          table: table.name,
+          syncId: change.sync_id,
+          recordId: row.id,
+          data: await SyncService.serializeRow(table, row),
+          deleted: false,
+          version: row.version,
+          baseVersion
+        });
+      }
+    }
+
+    const pushResult = await remote.push(records, deviceId);
+    const conflicted = new Map(pushResult.conflicts.map(conflict => [conflict.syncId, conflict]));
+
+    for (const record of records) {
+      const conflict = conflicted.get(record.syncId);
+      if (!conflict) {
+        await SyncService.setSyncedVersion(table.name, record.syncId, record.version);
+      } else if (sameChange(record, conflict)) {
+        await SyncService.adoptVersion(table, record, conflict.version);
+      } else {
+        await SyncService.recordConflict(table, record, conflict);
+        result.conflicts++;
+      }
+    }
+
+    // The changes held back by a conflict stay queued for after it is resolved
+    const lastChangeId = changes[changes.length - 1].id;
+    const held = Array.from(blocked);
+    await run(`
+      DELETE FROM sync_changes
+      WHERE table_name = ? AND id <= ? AND (sync_id IS NULL OR sync_id NOT IN (${held.map(() => '?').join(', ')}))
+    `, [table.name, lastChangeId, ...held]);
+    await run(`
+      UPDATE sync_state SET last_pushed_change_id = ?, last_synced_at = CURRENT_TIMESTAMP
+      WHERE table_name = ?
+    `, [lastChangeId, table.name]);
+
+    result.pushed = pushResult.pushed;
+    return result;
+  }
+
+  // The same change was already made elsewhere: nothing to resolve, the
+  // record just takes the central copy's version
+  static async adoptVersion(table, record, version) {
+    if (record.data) {
+      const marker = await get('SELECT COALESCE(MAX(id), 0) AS max_id FROM sync_changes');
+      await run(`UPDATE ${table.name} SET version = ? WHERE sync_id = ? AND version IS NOT ?`, [version, record.syncId, version]);
+      await run(
+        'DELETE FROM sync_changes WHERE table_name = ? AND sync_id = ? AND id > ?',
+        [table.name, record.syncId, marker.max_id]
+      );
+    }
+    await SyncService.setSyncedVersion(table.name, record.syncId, version);
+  }
+
+  static async getSyncedVersion(tableName, syncId) {
+    const row = await get('SELECT version FROM sync_versions WHERE table_name = ? AND sync_id = ?', [tableName, syncId]);
+    return row ? row.version : null;
+  }
+
+  static async setSyncedVersion(tableName, syncId, version) {
+    await run(`
+      INSERT INTO sync_versions (table_name, sync_id, version) VALUES (?, ?, ?)
+      ON CONFLICT (table_name, sync_id) DO UPDATE SET version = excluded.version
+    `, [tableName, syncId, version]);
+  }
+
+  // `local` is the record we tried to push, `remote` the newer copy held centrally
+  static async recordConflict(table, local, remote) {
+    const values = [
+      local.recordId,
+      local.data ? JSON.stringify(sealData(table, local.data)) : null,
+      remote.deleted ? null : JSON.stringify(sealData(table, remote.data)),
+      local.version,
+      remote.version
+    ];
+
+    const existing = await get(
+      "SELECT id FROM sync_conflicts WHERE table_name = ? AND sync_id = ? AND status = 'open'",
+      [table.name, local.syncId]
+    );
+
+    if (existing) {
+      await run(`
+        UPDATE sync_conflicts
+        SET record_id = ?, local_data = ?, remote_data = ?, local_version = ?, remote_version = ?, detected_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...values, existing.id]);
+    } else {
+      await run(`
+        INSERT INTO sync_conflicts (record_id, local_data, remote_data, local_version, remote_version, table_name, sync_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [...values, table.name, local.syncId]);
+    }
+  }
+
+  static async serializeRow(table, row) {
+    const fields = {};
+    const refs = {};
+
+    Object.keys(row).forEach(column => {
+      if (!LOCAL_ONLY_COLUMNS.includes(column) && !table.references[column]) {
+        fields[column] = row[column];
+      }
+    });
+
+    for (const [column, refTable] of Object.entries(table.references)) {
+      if (row[column] === null || row[column] === undefined) {
+        refs[column] = null;
+        continue;
+      }
+
+      const keyColumn = REFERENCE_KEYS[refTable] || 'sync_id';
+      const parent = await get(`SELECT ${keyColumn} AS ref_key FROM ${refTable} WHERE id = ?`, [row[column]]);
+      refs[column] = parent ? parent.ref_key : null;
+    }
+
+    return { fields: table.encrypted ? PatientService.decryptClinicalFields(fields) : fields, refs };
+  }
+
+  static async pullTable(remote, table, deviceId) {
+    const state = await get('SELECT last_pulled_revision FROM sync_state WHERE table_name = ?', [table.name]);
+    const columns = await SyncService.getColumns(table.name);
+    const result = { pulled: 0, skipped: 0 };
+    let since = state.last_pulled_revision || 0;
+    // The saved revision stops before the first skipped record, so the next
+    // sync pulls it again, once its parent may have arrived
+    let watermark = since;
+    let skipping = false;
+
+    for (;;) {
+      const records = await remote.pull(table.name, since, deviceId);
+      if (records.length === 0) {
+        break;
+      }
+
+      for (const record of records) {
+        // Our own pushes come back from the remote store; nothing to apply
+        if (record.originDevice !== deviceId) {
+          const conflict = await get(
+            "SELECT id FROM sync_conflicts WHERE table_name = ? AND sync_id = ? AND status = 'open'",
+            [table.name, record.syncId]
+          );
+
+          if (conflict) {
+            // Keep the conflict's remote side current instead of overwriting local edits
+            await run(
+              'UPDATE sync_conflicts SET remote_data = ?, remote_version = ? WHERE id = ?',
+              [record.deleted ? null : JSON.stringify(sealData(table, record.data)), record.version, conflict.id]
+            );
+          } else if (await SyncService.isApplied(table.name, record)) {
+            // Pulled again after an earlier sync stopped at a skipped record
+          } else if (await SyncService.applyRecord(table, columns, record)) {
+            await SyncService.setSyncedVersion(table.name, record.syncId, record.version);
+            result.pulled++;
+          } else {
+            result.skipped++;
+            skipping = true;
+          }
+        }
+        since = record.revision;
+        if (!skipping) {
+          watermark = record.revision;
+        }
+      }
+
+      await run(`
+        UPDATE sync_state SET last_pulled_revision = ?, last_synced_at = CURRENT_TIMESTAMP
+        WHERE table_name = ?
+      `, [watermark, table.name]);
+    }
+
+    return result;
+  }
+
+  static async isApplied(tableName, record) {
+    const syncedVersion = await SyncService.getSyncedVersion(tableName, record.syncId);
+    return syncedVersion !== null && record.version !== null && record.version !== undefined &&
+      record.version <= syncedVersion;
+  }
+
+  static async getColumns(tableName) {
+    return (await all(`PRAGMA table_info(${tableName})`)).map(column => column.name);
+  }
+
+  static async applyRecord(table, columns, record) {
+    try {
+      const marker = await get('SELECT COALESCE(MAX(id), 0) AS max_id FROM sync_changes');
+      const existing = await get(`SELECT id FROM ${table.name} WHERE sync_id = ?`, [record.syncId]);
+
+      if (record.deleted) {
+        if (existing) {
+          await run(`DELETE FROM ${table.name} WHERE id = ?`, [existing.id]);
+        }
+      } else {
+        const values = await SyncService.deserializeRow(table, columns, record);
+        if (!values) {
+          return false;
+        }
+
+        const names = Object.keys(values);
+        if (existing) {
+          await run(
+            `UPDATE ${table.name} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...names.map(name => values[name]), existing.id]
+          );
+        } else {
+          await run(
+            `INSERT INTO ${table.name} (sync_id, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`,
+            [record.syncId, ...names.map(name => values[name])]
+          );
+        }
+      }
+
+      // The triggers recorded this write as a local change; it must not be pushed back
+      await run(
+        'DELETE FROM sync_changes WHERE table_name = ? AND sync_id = ? AND id > ?',
+        [table.name, record.syncId, marker.max_id]
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error applying remote ${table.name} record ${record.syncId}:`, error);
+      return false;
+    }
+  }
+
+  static async deserializeRow(table, columns, record) {
+    const values = {};
+    const fields = (record.data && record.data.fields) || {};
+    const refs = (record.data && record.data.refs) || {};
+
+    Object.keys(fields).forEach(column => {
+      if (columns.includes(column) && !LOCAL_ONLY_COLUMNS.includes(column)) {
+        values[column] = fields[column];
+      }
+    });
+
+    for (const [column, refTable] of Object.entries(table.references)) {
+      if (refs[column] === null || refs[column] === undefined) {
+        values[column] = null;
+        continue;
+      }
+
+      const keyColumn = REFERENCE_KEYS[refTable] || 'sync_id';
+      const parent = await get(`SELECT id FROM ${refTable} WHERE ${keyColumn} = ?`, [refs[column]]);
+      if (!parent) {
+        console.warn(`Skipping remote ${table.name} record ${record.syncId}: ${refTable} ${refs[column]} not found locally`);
+        return null;
+      }
+      values[column] = parent.id;
+    }
+
+    return sealFields(table, values);
+  }
+
+  static async getConflicts(status = 'open') {
+    return all(`
+      SELECT sc.id, sc.table_name, sc.sync_id, sc.record_id, sc.local_version, sc.remote_version,
+             sc.status, sc.resolution, sc.detected_at, sc.resolved_at, u.name AS resolved_by_name
+      FROM sync_conflicts sc
+      LEFT JOIN users u ON sc.resolved_by = u.id
+      WHERE sc.status = ?
+      ORDER BY sc.detected_at DESC
+    `, [status]);
+  }
+
+  // Side-by-side view of a conflict. The local side is read from the current
+  // row so edits made after the conflict was detected are shown.
+  static async getConflictDetails(conflictId) {
+    const conflict = await get('SELECT * FROM sync_conflicts WHERE id = ?', [conflictId]);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+
+    const table = SYNC_TABLES.find(t => t.name === conflict.table_name);
+    const row = await get(`SELECT * FROM ${table.name} WHERE sync_id = ?`, [conflict.sync_id]);
+    const local = row ? await SyncService.serializeRow(table, row) : null;
+    const remote = conflict.remote_data ? JSON.parse(conflict.remote_data) : null;
+
+    const fieldNames = new Set([
+      ...Object.keys((local && local.fields) || {}),
+      ...Object.keys((remote && remote.fields) || {})
+    ]);
+    const fields = Array.from(fieldNames)
+      .filter(name => name !== 'version')
+      .map(name => {
+        // Encrypted clinical values are shown and compared as plaintext
+        const localValue = local ? EncryptionService.revealValue(local.fields[name]) : undefined;
+        const remoteValue = remote ? EncryptionService.revealValue(remote.fields[name]) : undefined;
+        return {
+          name,
+          local: localValue === undefined ? null : localValue,
+          remote: remoteValue === undefined ? null : remoteValue,
+          differs: JSON.stringify(localValue) !== JSON.stringify(remoteValue)
+        };
+      });
+
+    return {
+      ...conflict,
+      localDeleted: !local,
+      remoteDeleted: !remote,
+      fields
+    };
+  }
+
+  // resolution: 'mine' keeps the local record, 'theirs' takes the remote one,
+  // 'merge' keeps the local record except for the fields listed in
+  // `theirsFields`, which are taken from the remote copy.
+  static async resolveConflict(conflictId, resolution, theirsFields, userId) {
+    if (!['mine', 'theirs', 'merge'].includes(resolution)) {
+      throw new Error('Invalid conflict resolution');
+    }
+
+    const conflict = await get("SELECT * FROM sync_conflicts WHERE id = ? AND status = 'open'", [conflictId]);
+    if (!conflict) {
+      throw new Error('Conflict not found or already resolved');
+    }
+
+    const table = SYNC_TABLES.find(t => t.name === conflict.table_name);
+    const remote = conflict.remote_data ? JSON.parse(conflict.remote_data) : null;
+    const local = await get(`SELECT * FROM ${table.name} WHERE sync_id = ?`, [conflict.sync_id]);
+    // The next push must carry a version above both sides
+    const nextVersion = Math.max(conflict.remote_version || 0, local ? local.version : 0) + 1;
+    let resultValues = null;
+
+    if (resolution === 'theirs') {
+      const applied = await SyncService.applyRecord(table, await SyncService.getColumns(table.name), {
+        syncId: conflict.sync_id,
+        data: remote,
+        deleted: !remote,
+        version: conflict.remote_version
+      });
+      if (!applied) {
+        throw new Error('Could not apply the remote version of this record');
+      }
+      await run('DELETE FROM sync_changes WHERE table_name = ? AND sync_id = ?', [table.name, conflict.sync_id]);
+      resultValues = remote ? remote.fields : null;
+    } else if (resolution === 'mine') {
+      if (local) {
+        // The version trigger stays quiet; the sync trigger queues the push
+        await run(`UPDATE ${table.name} SET version = ? WHERE id = ?`, [nextVersion, local.id]);
+      } else {
+        await run(`
+          INSERT INTO sync_changes (table_name, record_id, sync_id, operation)
+          VALUES (?, ?, ?, 'delete')
+        `, [table.name, conflict.record_id, conflict.sync_id]);
+      }
+      resultValues = local;
+    } else {
+      if (!local || !remote) {
+        throw new Error('A deleted record cannot be merged field by field');
+      }
+
+      const columns = await SyncService.getColumns(table.name);
+      const values = {};
+      (theirsFields || []).forEach(name => {
+        if (columns.includes(name) && !LOCAL_ONLY_COLUMNS.includes(name) && name !== 'version' &&
+            !table.references[name] && Object.prototype.hasOwnProperty.call(remote.fields, name)) {
+          values[name] = remote.fields[name];
+        }
+      });
+      values.version = nextVersion;
+
+      const names = Object.keys(values);
+      const sealed = sealFields(table, values);
+      await run(
+        `UPDATE ${table.name} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(name => sealed[name]), local.id]
+      );
+      resultValues = sealed;
+    }
+
+    await SyncService.setSyncedVersion(table.name, conflict.sync_id, conflict.remote_version);
+    await run(`
+      UPDATE sync_conflicts
+      SET status = 'resolved', resolution = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+      WHERE id = ?
+    `, [resolution, userId, conflictId]);
+
+    Auth.logAudit(userId, 'RESOLVE_CONFLICT', table.name, conflict.record_id,
+      { local, remote: remote ? remote.fields : null },
+      { resolution, values: resultValues });
+
+    return { success: true };
+  }
+
+  static async getSyncStatus() {
+    const [deviceId, pending, conflicts, tables, lastRun] = await Promise.all([
+      SyncService.getDeviceId(),
+      get('SELECT COUNT(*) AS count FROM sync_changes'),
+      get("SELECT COUNT(*) AS count FROM sync_conflicts WHERE status = 'open'"),
+      all('SELECT * FROM sync_state ORDER BY table_name'),
+      get('SELECT * FROM sync_log ORDER BY id DESC LIMIT 1')
+    ]);
+
+    return {
+      deviceId,
+      pendingChanges: pending.count,
+      openConflicts: conflicts.count,
+      tables,
+      lastRun: lastRun || null
+    };
+  }
+
+  static async getSyncLog(limit = 50) {
+    return all(`
+      SELECT sl.*, u.name AS user_name
+      FROM sync_log sl
+      LEFT JOIN users u ON sl.user_id = u.id
+      ORDER BY sl.id DESC
+      LIMIT ?
+    `, [limit]);
+  }
+}
+
+SyncService.syncInProgress = false;
+SyncService.SYNC_TABLES = SYNC_TABLES;
+
+module.exports = SyncService;
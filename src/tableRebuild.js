@@ -0,0 +1,41 @@
+// SQLite cannot change a table's constraints in place. rebuildTable follows
+// its documented procedure instead: create the new definition under a
+// temporary name, copy the rows, drop the old table, rename the new one and
+// recreate the old table's indexes and triggers. Run it from a migration,
+// which the Migrator runs with foreign key enforcement off.
+
+// transform receives the table's CREATE TABLE statement and returns the new one
+async function rebuildTable(db, table, transform) {
+  const definition = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+  if (!definition) {
+    throw new Error(`Table ${table} does not exist`);
+  }
+
+  // Indexes SQLite creates for UNIQUE constraints have no SQL and come back on their own
+  const dependents = await db.all(`
+    SELECT sql FROM sqlite_master
+    WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL
+  `, [table]);
+  const sequence = await db.get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]).catch(() => null);
+
+  const tempName = `${table}_rebuild`;
+  const createSql = transform(definition.sql)
+    .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?("?\w+"?)/i, `CREATE TABLE ${tempName}`);
+
+  await db.run(createSql);
+  await db.run(`INSERT INTO ${tempName} SELECT * FROM ${table}`);
+  await db.run(`DROP TABLE ${table}`);
+  await db.run(`ALTER TABLE ${tempName} RENAME TO ${table}`);
+
+  // Keep AUTOINCREMENT from handing out ids of rows deleted before the rebuild
+  if (sequence) {
+    await db.run('DELETE FROM sqlite_sequence WHERE name = ?', [table]);
+    await db.run('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)', [table, sequence.seq]);
+  }
+
+  for (const { sql } of dependents) {
+    await db.run(sql);
+  }
+}
+
+module.exports = { rebuildTable };
@@ -0,0 +1,268 @@
+const { run, get, all } = require('./repository');
+const Auth = require('./auth');
+const SettingsService = require('./settingsService');
+
+// VAT as configuration. Each tax code has rates with the date they take
+// effect, and an invoice is taxed at the rates in effect on its date. Lines
+// whose billing code is in an exempt category carry no tax, and prices are
+// entered either before tax or with tax included.
+
+const TAX_SETTINGS = {
+  exemptCategories: { key: 'tax.exempt_categories' },
+  pricesIncludeTax: { key: 'tax.prices_include_tax' }
+};
+
+const TAX_CODE_PATTERN = /^[a-z0-9_]{1,30}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const REPORT_PERIODS = ['month', 'quarter'];
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Amounts are kept in cents precision, rounding half away from zero
+function roundMoney(value) {
+  return Math.sign(value) * Math.round(Math.abs(value) * 100 + Number.EPSILON) / 100;
+}
+
+// '2026-05' becomes '2026-05' by month or '2026-Q2' by quarter
+function periodOf(month, period) {
+  if (period === 'quarter') {
+    const [year, monthNumber] = month.split('-');
+    return `${year}-Q${Math.ceil(Number(monthNumber) / 3)}`;
+  }
+  return month;
+}
+
+class TaxService {
+  static async getSettings() {
+    const settings = {};
+    for (const [name, { key }] of Object.entries(TAX_SETTINGS)) {
+      settings[name] = await SettingsService.get(key);
+    }
+    return settings;
+  }
+
+  static async updateSettings(settings, userId) {
+    const current = await TaxService.getSettings();
+    const updates = {};
+
+    if (settings.exemptCategories !== undefined) {
+      if (!Array.isArray(settings.exemptCategories)) {
+        throw new Error('Exempt categories must be a list of billing code categories');
+      }
+      updates.exemptCategories = [...new Set(settings.exemptCategories.map(category => String(category).trim()).filter(Boolean))].sort();
+    }
+    if (settings.pricesIncludeTax !== undefined) {
+      updates.pricesIncludeTax = !!settings.pricesIncludeTax;
+    }
+
+    for (const [name, value] of Object.entries(updates)) {
+      if (JSON.stringify(value) !== JSON.stringify(current[name])) {
+        await SettingsService.set(TAX_SETTINGS[name].key, value, userId);
+      }
+    }
+
+    return { ...current, ...updates };
+  }
+
+  // Every configured rate, newest first within each tax code. in_effect marks
+  // the rate that applies today; later ones are scheduled changes.
+  static async getTaxRates() {
+    const rates = await all(`
+      SELECT t.*, u.name as created_by_name
+      FROM tax_rates t
+      LEFT JOIN users u ON u.id = t.created_by
+      ORDER BY t.code, t.effective_from DESC
+    `);
+    const current = new Set((await TaxService.getTaxCodes()).map(rate => rate.id));
+    return rates.map(rate => ({ ...rate, in_effect: current.has(rate.id) }));
+  }
+
+  // The rate of each tax code in effect on a date
+  static async getTaxCodes(date = today()) {
+    return all(`
+      SELECT t.*
+      FROM tax_rates t
+      WHERE t.effective_from = (
+        SELECT MAX(effective_from) FROM tax_rates WHERE code = t.code AND effective_from <= ?
+      )
+      ORDER BY t.code
+    `, [date]);
+  }
+
+  static async resolveRate(code, date = today()) {
+    const rate = await get(`
+      SELECT * FROM tax_rates WHERE code = ? AND effective_from <= ?
+      ORDER BY effective_from DESC LIMIT 1
+    `, [code, date]);
+    if (!rate) {
+      throw new Error(`No ${code} tax rate is in effect on ${date}`);
+    }
+    return rate;
+  }
+
+  static async requireTaxCode(code) {
+    if (!(await get('SELECT id FROM tax_rates WHERE code = ? LIMIT 1', [code]))) {
+      throw new Error(`Unknown tax code: ${code}`);
+    }
+  }
+
+  // Add a rate to a tax code, or start a new code. Rates are never edited:
+  // a change is a new rate from the date it applies.
+  static async addTaxRate(rateData, userId) {
+    const code = String(rateData.code || '').trim().toLowerCase();
+    const name = String(rateData.name || '').trim();
+    const rate = Number(rateData.rate);
+
+    if (!TAX_CODE_PATTERN.test(code)) {
+      throw new Error('Tax code must be 1 to 30 lowercase letters, digits or underscores');
+    }
+    if (!name) {
+      throw new Error('Tax rate name is required');
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+      throw new Error('Tax rate must be at least 0% and below 100%');
+    }
+    if (!DATE_PATTERN.test(rateData.effectiveFrom || '')) {
+      throw new Error('Effective date must be a date (YYYY-MM-DD)');
+    }
+
+    let lastID;
+    try {
+      ({ lastID } = await run(`
+        INSERT INTO tax_rates (code, name, rate, effective_from, created_by) VALUES (?, ?, ?, ?, ?)
+      `, [code, name, rate, rateData.effectiveFrom, userId]));
+    } catch (error) {
+      if (/UNIQUE/.test(error.message)) {
+        throw new Error(`The ${code} tax code already has a rate from ${rateData.effectiveFrom}`);
+      }
+      throw error;
+    }
+
+    await Auth.logAudit(userId, 'CREATE_TAX_RATE', 'tax_rates', lastID, null, { code, name, rate, effectiveFrom: rateData.effectiveFrom });
+    return lastID;
+  }
+
+  // Only rates that have not taken effect yet can be removed; invoices may
+  // already have been taxed at the others
+  static async deleteTaxRate(id, userId) {
+    const rate = await get('SELECT * FROM tax_rates WHERE id = ?', [id]);
+    if (!rate) {
+      throw new Error('Tax rate not found');
+    }
+    if (rate.effective_from <= today()) {
+      throw new Error('Rates already in effect cannot be deleted; add a new rate from the date it changes instead');
+    }
+
+    const { changes } = await run('DELETE FROM tax_rates WHERE id = ?', [id]);
+    await Auth.logAudit(userId, 'DELETE_TAX_RATE', 'tax_rates', id, rate, null);
+    return changes;
+  }
+
+  // VAT return: the net value of supplies and the output tax on them, per
+  // month or quarter, split into each taxable rate, zero-rated and exempt
+  // supplies, less credit notes. Invoices and credit notes count on the date
+  // they were raised; voided and deleted invoices do not count.
+  static async getVatReport({ dateFrom, dateTo, period = 'month' } = {}) {
+    if (!DATE_PATTERN.test(dateFrom || '') || !DATE_PATTERN.test(dateTo || '')) {
+      throw new Error('The report needs a start and end date (YYYY-MM-DD)');
+    }
+    if (dateFrom > dateTo) {
+      throw new Error('The report start date must not be after its end date');
+    }
+    if (!REPORT_PERIODS.includes(period)) {
+      throw new Error(`Report period must be one of: ${REPORT_PERIODS.join(', ')}`);
+    }
+
+    const rows = await all(`
+      SELECT strftime('%Y-%m', i.created_at) as month, ii.tax_code, ii.tax_rate, ii.tax_exempt,
+             SUM(CASE WHEN i.tax_inclusive THEN ii.total_price - ii.tax_amount ELSE ii.total_price END) as net,
+             SUM(ii.tax_amount) as tax
+      FROM invoice_items ii
+      JOIN invoices i ON i.id = ii.invoice_id
+      WHERE i.deleted_at IS NULL AND i.status != 'cancelled'
+        AND DATE(i.created_at) BETWEEN ? AND ?
+      GROUP BY month, ii.tax_code, ii.tax_rate, ii.tax_exempt
+      ORDER BY month
+    `, [dateFrom, dateTo]);
+
+    const creditRows = await all(`
+      SELECT strftime('%Y-%m', cn.created_at) as month, SUM(cn.amount - cn.tax_amount) as net, SUM(cn.tax_amount) as tax
+      FROM credit_notes cn
+      JOIN invoices i ON i.id = cn.invoice_id
+      WHERE i.deleted_at IS NULL AND i.status != 'cancelled'
+        AND DATE(cn.created_at) BETWEEN ? AND ?
+      GROUP BY month
+    `, [dateFrom, dateTo]);
+
+    const names = new Map((await all(`
+      SELECT code, name FROM tax_rates t
+      WHERE effective_from = (SELECT MAX(effective_from) FROM tax_rates WHERE code = t.code)
+    `)).map(rate => [rate.code, rate.name]));
+
+    const periods = new Map();
+    const totals = { taxableNet: 0, zeroRatedNet: 0, exemptNet: 0, creditedNet: 0, outputTax: 0 };
+    const summaryOf = month => {
+      const key = periodOf(month, period);
+      if (!periods.has(key)) {
+        periods.set(key, { period: key, lines: [], taxableNet: 0, zeroRatedNet: 0, exemptNet: 0, creditedNet: 0, outputTax: 0 });
+      }
+      return periods.get(key);
+    };
+
+    for (const row of rows) {
+      const summary = summaryOf(row.month);
+
+      const kind = row.tax_exempt ? 'exempt' : row.tax_rate > 0 ? 'taxable' : 'zero_rated';
+      const name = kind === 'exempt' ? 'Exempt' : names.get(row.tax_code) || `VAT ${Math.round(row.tax_rate * 10000) / 100}%`;
+      const line = summary.lines.find(existing => existing.kind === kind && existing.name === name && existing.rate === row.tax_rate);
+      if (line) {
+        line.net += row.net;
+        line.tax += row.tax;
+      } else {
+        summary.lines.push({ kind, name, taxCode: row.tax_code, rate: kind === 'exempt' ? 0 : row.tax_rate, net: row.net, tax: row.tax });
+      }
+
+      const field = { taxable: 'taxableNet', zero_rated: 'zeroRatedNet', exempt: 'exemptNet' }[kind];
+      summary[field] += row.net;
+      summary.outputTax += row.tax;
+      totals[field] += row.net;
+      totals.outputTax += row.tax;
+    }
+
+    for (const row of creditRows) {
+      const summary = summaryOf(row.month);
+      const line = summary.lines.find(existing => existing.kind === 'credit');
+      if (line) {
+        line.net -= row.net;
+        line.tax -= row.tax;
+      } else {
+        summary.lines.push({ kind: 'credit', name: 'Credit notes', taxCode: null, rate: null, net: -row.net, tax: -row.tax });
+      }
+      summary.creditedNet -= row.net;
+      summary.outputTax -= row.tax;
+      totals.creditedNet -= row.net;
+      totals.outputTax -= row.tax;
+    }
+
+    const roundAll = (object, fields) => fields.forEach(field => {
+      object[field] = roundMoney(object[field]);
+    });
+    const summaryFields = ['taxableNet', 'zeroRatedNet', 'exemptNet', 'creditedNet', 'outputTax'];
+    for (const summary of periods.values()) {
+      summary.lines.forEach(line => roundAll(line, ['net', 'tax']));
+      roundAll(summary, summaryFields);
+    }
+    roundAll(totals, summaryFields);
+
+    const sorted = Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period));
+    return { dateFrom, dateTo, period, periods: sorted, totals };
+  }
+}
+
+TaxService.today = today;
+TaxService.roundMoney = roundMoney;
+
+module.exports = TaxService;
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, get, all } = require('../src/repository');
+const AccountingService = require('../src/accountingService');
+const AppointmentService = require('../src/appointmentService');
+const AuditService = require('../src/auditService');
+const ClaimsService = require('../src/claimsService');
+const PatientService = require('../src/patientService');
+
+const ADMIN_ID = 1;
+
+let appointmentId;
+
+// Audit entries are written in order, so once this one is in, so are the
+// entries logged before it
+const flushAudit = () => AuditService.log(ADMIN_ID, 'TEST_FLUSH', null, null, null, null);
+
+test.before(async () => {
+  await db.ready;
+  const insurerId = await ClaimsService.createInsurer({ name: 'Acme Health' }, ADMIN_ID);
+  await ClaimsService.saveTariff(insurerId, { coveragePercent: 80 }, ADMIN_ID);
+
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee', insuranceProvider: 'Acme Health' }, ADMIN_ID);
+  appointmentId = await AppointmentService.createAppointment({ patientId, doctorId: ADMIN_ID, appointmentDate: '2026-11-02 09:00' }, ADMIN_ID);
+  const code = await get('SELECT id FROM billing_codes ORDER BY id LIMIT 1');
+  await AccountingService.createAppointmentBilling(appointmentId, { billingCodeId: code.id, quantity: 1, unitPrice: 100 }, ADMIN_ID);
+});
+
+test('an appointment invoice whose claim fails is not audited', async () => {
+  await run(`
+    CREATE TRIGGER test_block_claims BEFORE INSERT ON claims
+    BEGIN SELECT RAISE(ABORT, 'blocked by test'); END
+  `);
+  await assert.rejects(AccountingService.generateInvoiceFromAppointment(appointmentId, ADMIN_ID), /blocked by test/);
+  await run('DROP TRIGGER test_block_claims');
+  await flushAudit();
+
+  assert.strictEqual((await get('SELECT COUNT(*) AS count FROM invoices')).count, 0);
+  assert.deepStrictEqual(await all("SELECT id FROM audit_log WHERE action IN ('CREATE_INVOICE', 'CREATE_CLAIM')"), []);
+});
+
+test('an appointment invoice and its claim are audited once committed', async () => {
+  const invoice = await AccountingService.generateInvoiceFromAppointment(appointmentId, ADMIN_ID);
+  assert.ok(invoice.claim);
+  await flushAudit();
+
+  const entries = await all("SELECT action, record_id FROM audit_log WHERE action IN ('CREATE_INVOICE', 'CREATE_CLAIM') ORDER BY id");
+  assert.deepStrictEqual(entries.map(entry => ({ ...entry })), [
+    { action: 'CREATE_INVOICE', record_id: invoice.id },
+    { action: 'CREATE_CLAIM', record_id: invoice.claim.id }
+  ]);
+});
+
+test('a remittance is audited with its payment and credit note once committed', async () => {
+  const { id: claimId } = await get("SELECT id FROM claims WHERE status = 'draft' ORDER BY id LIMIT 1");
+  await ClaimsService.submitClaim(claimId, ADMIN_ID);
+  const remittance = { insurerPaid: 10, adjustment: 5, patientResponsibility: 0 };
+
+  await run(`
+    CREATE TRIGGER test_block_remittances BEFORE INSERT ON claim_remittances
+    BEGIN SELECT RAISE(ABORT, 'blocked by test'); END
+  `);
+  await assert.rejects(ClaimsService.postRemittance(claimId, remittance, ADMIN_ID), /blocked by test/);
+  await run('DROP TRIGGER test_block_remittances');
+  await flushAudit();
+
+  const audited = "SELECT action FROM audit_log WHERE action IN ('RECORD_PAYMENT', 'CREATE_CREDIT_NOTE', 'POST_REMITTANCE') ORDER BY id";
+  assert.deepStrictEqual(await all(audited), []);
+
+  const posted = await ClaimsService.postRemittance(claimId, remittance, ADMIN_ID);
+  assert.ok(posted.paymentId && posted.creditNoteId);
+  await flushAudit();
+  assert.deepStrictEqual((await all(audited)).map(entry => entry.action), ['RECORD_PAYMENT', 'CREATE_CREDIT_NOTE', 'POST_REMITTANCE']);
+});
+
+test('part payments, credit notes, refunds and patient credit settle an invoice', async () => {
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+  const { id: invoiceId } = await AccountingService.createInvoice({
+    patientId, items: [{ description: 'Procedure', unitPrice: 100, taxExempt: true }], dueDate: '2099-12-31'
+  }, ADMIN_ID);
+  const pay = amount => AccountingService.recordPayment({ invoiceId, amount, paymentDate: '2026-03-02', paymentMethod: 'cash' }, ADMIN_ID);
+  const balance = async () => {
+    const invoice = await AccountingService.getInvoiceWithDetails(invoiceId);
+    return [invoice.balance_due, invoice.status, invoice.patient_credit];
+  };
+
+  const first = await pay(40);
+  assert.deepStrictEqual(await balance(), [60, 'partial', 0]);
+
+  await assert.rejects(AccountingService.createCreditNote(invoiceId, { amount: 61, reason: 'Goodwill' }, ADMIN_ID),
+    /cannot be more than the \$60.00 due/);
+  await AccountingService.createCreditNote(invoiceId, { amount: 10, reason: 'Goodwill' }, ADMIN_ID);
+  assert.deepStrictEqual(await balance(), [50, 'partial', 0]);
+
+  const second = await pay(70);
+  assert.strictEqual(second.overpayment, 20);
+  assert.deepStrictEqual(await balance(), [0, 'paid', 20]);
+
+  await assert.rejects(AccountingService.refundPayment(second.id, { amount: 51, reason: 'Charged twice' }, ADMIN_ID),
+    /Only \$50.00 of this payment can be refunded/);
+  await assert.rejects(AccountingService.refundPayment(first.id, { amount: 10 }, ADMIN_ID), /A reason for the refund is required/);
+  await AccountingService.refundPayment(first.id, { amount: 30, reason: 'Charged twice' }, ADMIN_ID);
+  assert.deepStrictEqual(await balance(), [30, 'partial', 20]);
+
+  const applied = await AccountingService.applyPatientCredit(invoiceId, null, ADMIN_ID);
+  assert.deepStrictEqual([applied.amount, applied.creditRemaining], [20, 0]);
+  assert.deepStrictEqual(await balance(), [10, 'partial', 0]);
+
+  // Refunding a payment made from credit gives the credit back
+  const refund = await AccountingService.refundPayment(applied.paymentId, { amount: 5, reason: 'Applied too much' }, ADMIN_ID);
+  assert.strictEqual(refund.refundMethod, 'patient_credit');
+  assert.deepStrictEqual(await balance(), [15, 'partial', 5]);
+
+  await assert.rejects(AccountingService.refundPatientCredit(patientId, { amount: 6, reason: 'Closing account', refundMethod: 'cash' }, ADMIN_ID),
+    /only has \$5.00 of credit/);
+  await AccountingService.refundPatientCredit(patientId, { amount: 5, reason: 'Closing account', refundMethod: 'cash' }, ADMIN_ID);
+  const credit = await AccountingService.getPatientCredit(patientId);
+  assert.strictEqual(credit.balance, 0);
+  assert.deepStrictEqual(credit.entries.map(entry => entry.kind), ['refunded', 'restored', 'applied', 'overpayment']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, get, withTransaction } = require('../src/repository');
+const AuditService = require('../src/auditService');
+
+const ADMIN_ID = 1;
+
+test.before(() => db.ready);
+
+test('an entry logged while another transaction fails is kept', async () => {
+  const { count: before } = await get('SELECT COUNT(*) AS count FROM audit_log');
+
+  let started;
+  let release;
+  const running = new Promise((resolve) => {
+    started = resolve;
+  });
+  const failing = withTransaction(async () => {
+    await run("INSERT INTO app_settings (key, value) VALUES ('test.setting', '1')");
+    started();
+    await new Promise((resolve) => {
+      release = resolve;
+    });
+    throw new Error('rolled back by test');
+  });
+
+  await running;
+  const logged = AuditService.log(ADMIN_ID, 'TEST_ENTRY', null, null, null, { during: 'transaction' });
+  // Time for the entry to be written, were it not held back until the transaction ends
+  await new Promise(resolve => setTimeout(resolve, 100));
+  release();
+  await assert.rejects(failing, /rolled back by test/);
+  await logged;
+
+  assert.strictEqual((await get('SELECT COUNT(*) AS count FROM audit_log')).count, before + 1);
+  assert.strictEqual(await get("SELECT value FROM app_settings WHERE key = 'test.setting'"), undefined);
+  assert.strictEqual((await AuditService.verifyChain()).valid, true);
+});
+
+test('entries are filtered by action and list only the fields that changed', async () => {
+  await AuditService.log(ADMIN_ID, 'TEST_FILTER', 'patients', 7, { phone: '555-0100', city: 'Ely' }, { phone: '555-0199', city: 'Ely' });
+  await AuditService.log(ADMIN_ID, 'TEST_OTHER', 'patients', 7, null, null);
+
+  const { rows, total } = await AuditService.query({ action: 'TEST_FILTER' });
+  assert.strictEqual(total, 1);
+  assert.deepStrictEqual(rows[0].changes, [{ field: 'phone', oldValue: '555-0100', newValue: '555-0199' }]);
+});
+
+// Last, as it leaves the chain broken
+test('the chain reports an entry that was edited or deleted', async () => {
+  const ids = [];
+  for (const action of ['TEST_FIRST', 'TEST_SECOND', 'TEST_THIRD']) {
+    ids.push(await AuditService.log(ADMIN_ID, action, null, null, null, { action }));
+  }
+  assert.strictEqual((await AuditService.verifyChain()).valid, true);
+
+  await run('UPDATE audit_log SET new_values = ? WHERE id = ?', ['{"action":"TEST_EDITED"}', ids[1]]);
+  const edited = await AuditService.verifyChain();
+  assert.strictEqual(edited.valid, false);
+  assert.strictEqual(edited.brokenAt, ids[1]);
+  assert.match(edited.reason, /modified/);
+
+  await run('DELETE FROM audit_log WHERE id = ?', [ids[1]]);
+  const deleted = await AuditService.verifyChain();
+  assert.strictEqual(deleted.brokenAt, ids[2]);
+  assert.match(deleted.reason, /deleted or reordered/);
+});
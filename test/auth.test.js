@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { get } = require('../src/repository');
+const Auth = require('../src/auth');
+const totp = require('../src/totp');
+
+const ADMIN_ID = 1;
+const PASSWORD = 'Correct-Horse-42';
+
+let userCount = 0;
+async function createUser(role = 'receptionist') {
+  userCount++;
+  return Auth.createUser(`user${userCount}`, PASSWORD, role, `User ${userCount}`, null, null, ADMIN_ID);
+}
+
+test.before(async () => {
+  await db.ready;
+  await Auth.updateSecuritySettings({ maxFailedAttempts: 3, lockoutMinutes: 15 }, ADMIN_ID);
+});
+
+test('wrong unlock passwords count towards the lockout', async () => {
+  const userId = await createUser();
+
+  assert.deepStrictEqual(await Auth.verifyUnlock(userId, 'wrong'), { success: false, locked: false, error: 'Incorrect password' });
+  assert.strictEqual((await Auth.verifyUnlock(userId, 'wrong')).locked, false);
+  const third = await Auth.verifyUnlock(userId, 'wrong');
+  assert.strictEqual(third.locked, true);
+  assert.match(third.error, /locked/);
+
+  // Locked, so even the right password ends the session
+  assert.strictEqual((await Auth.verifyUnlock(userId, PASSWORD)).locked, true);
+  const user = await get('SELECT locked_until FROM users WHERE id = ?', [userId]);
+  assert.ok(user.locked_until);
+});
+
+test('unlocking with the right password clears the failed attempts', async () => {
+  const userId = await createUser();
+
+  await Auth.verifyUnlock(userId, 'wrong');
+  await Auth.verifyUnlock(userId, 'wrong');
+  assert.deepStrictEqual(await Auth.verifyUnlock(userId, PASSWORD), { success: true, locked: false });
+  assert.strictEqual((await get('SELECT failed_login_attempts FROM users WHERE id = ?', [userId])).failed_login_attempts, 0);
+});
+
+test('roles grant their own permissions, and the administrator every one', async () => {
+  const catalog = Auth.getPermissionCatalog().map(permission => permission.key);
+  assert.deepStrictEqual((await Auth.getUserPermissions(ADMIN_ID)).sort(), [...catalog].sort());
+
+  const receptionistId = await createUser('receptionist');
+  assert.strictEqual(await Auth.checkPermission(receptionistId, 'patients.read'), true);
+  assert.strictEqual(await Auth.checkPermission(receptionistId, 'patients.clinical.read'), false);
+  assert.strictEqual(await Auth.checkPermission(receptionistId, 'invoices.read'), false);
+});
+
+test('a custom role applies to its users at once, and deleted users hold none', async () => {
+  await assert.rejects(Auth.createRole({ name: 'clerk', permissions: ['invoices.everything'] }, ADMIN_ID), /Unknown permissions/);
+
+  const roleId = await Auth.createRole({ name: 'clerk', permissions: ['invoices.read'] }, ADMIN_ID);
+  const userId = await createUser('clerk');
+  assert.strictEqual(await Auth.checkPermission(userId, 'invoices.read'), true);
+  assert.strictEqual(await Auth.checkPermission(userId, 'payments.create'), false);
+
+  await Auth.updateRole(roleId, { name: 'clerk', permissions: ['payments.create'] }, ADMIN_ID);
+  assert.deepStrictEqual(await Auth.getUserPermissions(userId), ['payments.create']);
+
+  await Auth.deleteUser(userId, ADMIN_ID);
+  assert.deepStrictEqual(await Auth.getUserPermissions(userId), []);
+});
+
+test('failed logins lock the account until an administrator unlocks it', async () => {
+  const userId = await createUser();
+  const { username } = await get('SELECT username FROM users WHERE id = ?', [userId]);
+
+  assert.strictEqual(await Auth.login(username, 'wrong'), null);
+  assert.strictEqual(await Auth.login(username, 'wrong'), null);
+  await assert.rejects(Auth.login(username, 'wrong'), /locked/);
+  await assert.rejects(Auth.login(username, PASSWORD), /locked/);
+
+  await Auth.unlockUser(userId, ADMIN_ID);
+  assert.strictEqual((await Auth.login(username, PASSWORD)).id, userId);
+});
+
+test('logins are rate limited per username, known or not', async () => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    assert.strictEqual(await Auth.login('nobody', 'wrong'), null);
+  }
+  await assert.rejects(Auth.login('nobody', 'wrong'), /Too many login attempts/);
+});
+
+test('new passwords must meet the policy and differ from recent ones', async () => {
+  await assert.rejects(Auth.validatePassword('short'),
+    { message: 'Password must be at least 10 characters long, contain an uppercase letter, contain a number' });
+  await Auth.updateSecuritySettings({ requireSymbol: true }, ADMIN_ID);
+  await assert.rejects(Auth.validatePassword('Longenough42'), { message: 'Password must contain a symbol' });
+  await Auth.updateSecuritySettings({ requireSymbol: false }, ADMIN_ID);
+
+  const userId = await createUser();
+  await assert.rejects(Auth.changePassword(userId, 'wrong', 'Another-Pass-43'), /Current password is incorrect/);
+  await assert.rejects(Auth.changePassword(userId, PASSWORD, PASSWORD), /must differ from your current password/);
+  await Auth.changePassword(userId, PASSWORD, 'Another-Pass-43');
+  await assert.rejects(Auth.changePassword(userId, 'Another-Pass-43', PASSWORD), /and the previous 5/);
+});
+
+test('two-factor logins accept each authenticator and recovery code once', async () => {
+  const userId = await createUser('accountant');
+  const { username } = await get('SELECT username FROM users WHERE id = ?', [userId]);
+  const { secret } = await Auth.beginTwoFactorEnrollment(userId);
+  const step = Math.floor(Date.now() / 30000);
+  const { recoveryCodes } = await Auth.confirmTwoFactorEnrollment(userId, totp.generateCode(secret, step));
+
+  const { challenge } = await Auth.login(username, PASSWORD);
+  assert.strictEqual(await Auth.verifyTwoFactorLogin(challenge, totp.generateCode(secret, step)), null,
+    'the code used to enrol is spent');
+  assert.strictEqual((await Auth.verifyTwoFactorLogin(challenge, totp.generateCode(secret, step + 1))).id, userId);
+
+  const second = await Auth.login(username, PASSWORD);
+  assert.strictEqual((await Auth.verifyTwoFactorLogin(second.challenge, recoveryCodes[0])).id, userId);
+  assert.strictEqual((await Auth.getTwoFactorStatus(userId)).recoveryCodesRemaining, recoveryCodes.length - 1);
+
+  const third = await Auth.login(username, PASSWORD);
+  assert.strictEqual(await Auth.verifyTwoFactorLogin(third.challenge, recoveryCodes[0]), null);
+  await assert.rejects(Auth.verifyTwoFactorLogin('made-up', recoveryCodes[1]), /expired/);
+});
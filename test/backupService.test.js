@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const BackupService = require('../src/backupService');
+
+const ADMIN_ID = 1;
+
+test.before(() => db.ready);
+
+test('a backup passes verification until its file is changed', async () => {
+  const backup = await BackupService.createBackup({ userId: ADMIN_ID });
+  assert.strictEqual(backup.status, 'completed');
+  assert.strictEqual(backup.integrity_check, 'ok');
+  assert.strictEqual(backup.compressed, 1);
+
+  assert.strictEqual((await BackupService.verifyBackup(backup.id, ADMIN_ID)).integrity_check, 'ok');
+
+  await fs.promises.appendFile(backup.file_path, 'tampered');
+  const verified = await BackupService.verifyBackup(backup.id, ADMIN_ID);
+  assert.match(verified.integrity_check, /Checksum mismatch/);
+});
+
+test('retention removes the oldest backups but keeps pre-restore snapshots', async () => {
+  await BackupService.updateSettings({ retentionCount: 2 }, ADMIN_ID);
+  const snapshot = await BackupService.createBackup({ trigger: 'pre_restore', userId: ADMIN_ID });
+  const backups = [];
+  for (let i = 0; i < 3; i++) {
+    backups.push(await BackupService.createBackup({ userId: ADMIN_ID }));
+  }
+
+  const kept = (await BackupService.getHistory())
+    .filter(backup => backup.status === 'completed' && !backup.removed_at)
+    .map(backup => backup.id);
+  assert.deepStrictEqual(kept.sort(), [snapshot.id, backups[1].id, backups[2].id].sort());
+  assert.strictEqual(fs.existsSync(backups[0].file_path), false);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const AccountingService = require('../src/accountingService');
+const AppointmentService = require('../src/appointmentService');
+const ClaimsService = require('../src/claimsService');
+const PatientService = require('../src/patientService');
+
+const ADMIN_ID = 1;
+
+let insurerId;
+let patientId;
+const codes = {};
+
+const estimate = items => ClaimsService.estimateCoverage({ patientId, items, date: '2026-11-02' });
+
+test.before(async () => {
+  await db.ready;
+  // Zero rated, so the amounts claimed are the prices
+  for (const [name, price] of [['consultation', 100], ['xray', 50]]) {
+    codes[name] = await AccountingService.createBillingCode(
+      { code: `T-${name}`, description: name, category: 'consultation', defaultPrice: price, taxCode: 'zero' }, ADMIN_ID);
+  }
+  insurerId = await ClaimsService.createInsurer({ name: 'Medix' }, ADMIN_ID);
+  await ClaimsService.saveTariff(insurerId, { coveragePercent: 80, copayAmount: 10, annualLimit: 200 }, ADMIN_ID);
+  await ClaimsService.saveTariff(insurerId, { billingCodeId: codes.xray }, ADMIN_ID);
+  ({ id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee', insuranceProvider: ' Medix ' }, ADMIN_ID));
+});
+
+test('tariff rules are validated and saved once per billing code', async () => {
+  await assert.rejects(ClaimsService.saveTariff(insurerId, { coveragePercent: 120 }, ADMIN_ID), /Percentage covered must be between 0 and 100/);
+  await assert.rejects(ClaimsService.saveTariff(insurerId, { copayAmount: -5 }, ADMIN_ID), /Co-payment cannot be negative/);
+  await assert.rejects(ClaimsService.saveTariff(insurerId, { annualLimit: 0 }, ADMIN_ID), /Annual limit must be more than zero/);
+
+  const [fallback, xray] = await ClaimsService.getTariffs(insurerId);
+  assert.strictEqual(fallback.billing_code_id, null);
+  assert.deepStrictEqual([xray.billing_code_id, xray.coverage_percent, xray.copay_amount, xray.annual_limit], [codes.xray, 100, 0, null]);
+  assert.strictEqual(await ClaimsService.saveTariff(insurerId, { billingCodeId: codes.xray, coveragePercent: 100 }, ADMIN_ID), xray.id);
+});
+
+test('the insurer pays its percentage after the co-payment, by the rule for each code', async () => {
+  const result = await estimate([{ billingCodeId: codes.consultation }, { billingCodeId: codes.xray }]);
+  assert.strictEqual(result.insurer.name, 'Medix');
+  assert.deepStrictEqual(result.lines.map(line => [line.amount, line.insurerAmount, line.patientAmount]), [[100, 72, 28], [50, 50, 0]]);
+  assert.deepStrictEqual([result.total, result.insurerAmount, result.patientAmount], [150, 122, 28]);
+});
+
+test('patients without an active known insurer pay everything', async () => {
+  const { id: uninsuredId } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim', insuranceProvider: 'Unknown Health' }, ADMIN_ID);
+  const uninsured = await ClaimsService.estimateCoverage({ patientId: uninsuredId, items: [{ billingCodeId: codes.consultation }] });
+  assert.deepStrictEqual([uninsured.insurer, uninsured.insurerAmount, uninsured.patientAmount], [null, 0, 100]);
+
+  await ClaimsService.updateInsurer(insurerId, { active: false }, ADMIN_ID);
+  assert.strictEqual((await estimate([{ billingCodeId: codes.consultation }])).patientAmount, 100);
+  await ClaimsService.updateInsurer(insurerId, { active: true }, ADMIN_ID);
+});
+
+test('claims made this year count towards the annual limit', async () => {
+  const appointmentId = await AppointmentService.createAppointment({ patientId, doctorId: ADMIN_ID, appointmentDate: '2026-11-02 09:00' }, ADMIN_ID);
+  await AccountingService.createAppointmentBilling(appointmentId, { billingCodeId: codes.consultation, quantity: 1, unitPrice: 100 }, ADMIN_ID);
+  const invoice = await AccountingService.generateInvoiceFromAppointment(appointmentId, ADMIN_ID);
+  assert.strictEqual(invoice.claim.amount, 72);
+
+  // 80% of 390 is 312, but only 200 - 72 of the limit is left
+  const [line] = (await ClaimsService.estimateCoverage({ patientId, items: [{ billingCodeId: codes.consultation, quantity: 4 }] })).lines;
+  assert.deepStrictEqual([line.insurerAmount, line.patientAmount, line.limitReached], [128, 272, true]);
+});
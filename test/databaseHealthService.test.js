@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, get, all } = require('../src/repository');
+const AccountingService = require('../src/accountingService');
+const AppointmentService = require('../src/appointmentService');
+const AuditService = require('../src/auditService');
+const DatabaseHealthService = require('../src/databaseHealthService');
+const PatientService = require('../src/patientService');
+
+const ADMIN_ID = 1;
+const MISSING_ID = 9999;
+
+// Audit entries are written in order, so once this one is in, so are the
+// entries logged before it
+const flushAudit = () => AuditService.log(ADMIN_ID, 'TEST_FLUSH', null, null, null, null);
+
+const orphansOf = (report, key) => report.relations.find(relation => `${relation.table}.${relation.column}` === key).orphanCount;
+
+test.before(() => db.ready);
+
+test('orphans are repaired by the delete policy of their relation', async () => {
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee' }, ADMIN_ID);
+  const appointmentId = await AppointmentService.createAppointment({ patientId, doctorId: ADMIN_ID, appointmentDate: '2026-11-02 09:00' }, ADMIN_ID);
+  const code = await get('SELECT id FROM billing_codes ORDER BY id LIMIT 1');
+  await AccountingService.createAppointmentBilling(appointmentId, { billingCodeId: code.id, quantity: 1, unitPrice: 100 }, ADMIN_ID);
+  const { id: invoiceId } = await AccountingService.createInvoice({ patientId, items: [{ description: 'Consultation', unitPrice: 50 }] }, ADMIN_ID);
+  const { id: otherId } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+
+  // Deletes made before foreign keys were enforced
+  await run('PRAGMA foreign_keys = OFF');
+  await run('DELETE FROM patients WHERE id = ?', [patientId]);
+  await run('UPDATE patients SET deleted_by = ? WHERE id = ?', [MISSING_ID, otherId]);
+  await run('UPDATE invoice_items SET billing_code_id = ? WHERE invoice_id = ?', [MISSING_ID, invoiceId]);
+  await run('PRAGMA foreign_keys = ON');
+
+  const report = await DatabaseHealthService.checkForeignKeys();
+  assert.strictEqual(report.enforced, true);
+  assert.strictEqual(report.totalOrphans, 4);
+  assert.deepStrictEqual(['appointments.patient_id', 'invoices.patient_id', 'patients.deleted_by', 'invoice_items.billing_code_id']
+    .map(key => orphansOf(report, key)), [1, 1, 1, 1]);
+
+  const { repaired, placeholderPatientId, remaining } = await DatabaseHealthService.repairOrphans(ADMIN_ID);
+  assert.deepStrictEqual(repaired, {
+    'appointments.patient_id': { repair: 'delete', count: 1 },
+    'invoices.patient_id': { repair: 'reassign', count: 1 },
+    'patients.deleted_by': { repair: 'clear', count: 1 }
+  });
+  // Restricted relations to anything but patients are left for someone to look into
+  assert.strictEqual(remaining.totalOrphans, 1);
+  assert.strictEqual(orphansOf(remaining, 'invoice_items.billing_code_id'), 1);
+
+  assert.strictEqual(await get('SELECT id FROM appointments WHERE id = ?', [appointmentId]), undefined);
+  assert.deepStrictEqual(await all('SELECT id FROM appointment_billings WHERE appointment_id = ?', [appointmentId]), []);
+  const placeholder = await get('SELECT patient_id, first_name, last_name FROM patients WHERE id = ?', [placeholderPatientId]);
+  assert.deepStrictEqual({ ...placeholder }, { patient_id: 'P00000000', first_name: 'Unknown', last_name: 'Patient' });
+  assert.strictEqual((await get('SELECT patient_id FROM invoices WHERE id = ?', [invoiceId])).patient_id, placeholderPatientId);
+  assert.strictEqual((await get('SELECT deleted_by FROM patients WHERE id = ?', [otherId])).deleted_by, null);
+
+  await flushAudit();
+  assert.strictEqual((await all("SELECT id FROM audit_log WHERE action = 'REPAIR_ORPHANS'")).length, 1);
+});
+
+test('repairing again changes nothing and is not audited', async () => {
+  const { repaired, remaining } = await DatabaseHealthService.repairOrphans(ADMIN_ID);
+  assert.deepStrictEqual(repaired, {});
+  assert.strictEqual(remaining.totalOrphans, 1);
+
+  await flushAudit();
+  assert.strictEqual((await all("SELECT id FROM audit_log WHERE action = 'REPAIR_ORPHANS'")).length, 1);
+});
+
+test('maintenance runs every task in order and records each in the history', async () => {
+  const runs = await DatabaseHealthService.runMaintenance({ userId: ADMIN_ID });
+  assert.deepStrictEqual(runs.map(entry => [entry.task, entry.trigger, entry.status]), [
+    ['integrity_check', 'manual', 'completed'],
+    ['analyze', 'manual', 'completed'],
+    ['vacuum', 'manual', 'completed'],
+    ['checkpoint', 'manual', 'completed']
+  ]);
+  assert.strictEqual(runs[0].result, 'ok');
+
+  const history = await DatabaseHealthService.getMaintenanceHistory(4);
+  assert.deepStrictEqual(history.map(entry => entry.id), runs.map(entry => entry.id).reverse());
+  assert.strictEqual(history[0].created_by_username, 'admin');
+  assert.strictEqual(DatabaseHealthService.isRunning(), false);
+  await assert.rejects(DatabaseHealthService.runTask('reindex'), /Unknown maintenance task: reindex/);
+});
+
+test('scheduled maintenance runs once per interval and follows its settings', async () => {
+  await assert.rejects(DatabaseHealthService.updateMaintenanceSettings({ schedule: 'hourly' }, ADMIN_ID), /Schedule must be one of/);
+  await DatabaseHealthService.updateMaintenanceSettings({ schedule: 'daily', vacuum: false }, ADMIN_ID);
+
+  const runs = await DatabaseHealthService.runScheduledMaintenanceIfDue();
+  assert.deepStrictEqual(runs.map(entry => [entry.task, entry.trigger]), [
+    ['integrity_check', 'scheduled'],
+    ['analyze', 'scheduled'],
+    ['checkpoint', 'scheduled']
+  ]);
+  assert.strictEqual(await DatabaseHealthService.runScheduledMaintenanceIfDue(), null);
+
+  const { nextScheduledAt } = await DatabaseHealthService.getMaintenanceStatus();
+  assert.ok(new Date(nextScheduledAt).getTime() > Date.now() + 23 * 60 * 60 * 1000);
+
+  await DatabaseHealthService.updateMaintenanceSettings({ schedule: 'off' }, ADMIN_ID);
+  assert.strictEqual((await DatabaseHealthService.getMaintenanceStatus()).nextScheduledAt, null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, get } = require('../src/repository');
+const EncryptionService = require('../src/encryptionService');
+const PatientService = require('../src/patientService');
+
+const PASSPHRASE = 'correct horse battery';
+const ADMIN_ID = 1;
+
+test.before(() => db.ready);
+
+test('a failed enable leaves encryption off and the data as it was', async () => {
+  const { id } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee', allergies: 'Penicillin' }, ADMIN_ID);
+  await run(`
+    CREATE TRIGGER test_block_encryption BEFORE UPDATE OF allergies ON patients
+    BEGIN SELECT RAISE(ABORT, 'blocked by test'); END
+  `);
+
+  await assert.rejects(EncryptionService.enable(PASSPHRASE), /blocked by test/);
+  await run('DROP TRIGGER test_block_encryption');
+
+  assert.strictEqual(EncryptionService.getStatus().enabled, false);
+  assert.strictEqual(EncryptionService.isUnlocked(), false);
+  assert.ok(!fs.existsSync(`${EncryptionService.KEYSTORE_PATH}.tmp`));
+  assert.strictEqual((await get('SELECT allergies FROM patients WHERE id = ?', [id])).allergies, 'Penicillin');
+});
+
+test('enabling encrypts clinical columns already stored', async () => {
+  const { id } = await PatientService.createPatient({ firstName: 'Bob', lastName: 'Ray', medicalHistory: 'Asthma' }, ADMIN_ID);
+  assert.ok(await EncryptionService.enable(PASSPHRASE) >= 1);
+
+  assert.strictEqual(EncryptionService.getStatus().enabled, true);
+  const stored = await get('SELECT medical_history FROM patients WHERE id = ?', [id]);
+  assert.ok(EncryptionService.isEncryptedValue(stored.medical_history));
+  assert.strictEqual((await PatientService.getPatientById(id)).medical_history, 'Asthma');
+});
+
+test('pain level is saved while encryption is on', async () => {
+  const { id } = await PatientService.createPatient({ firstName: 'Cy', lastName: 'Ode' }, ADMIN_ID);
+  await PatientService.updatePatient(id, { painLevel: 7, currentCondition: 'Knee pain' }, ADMIN_ID);
+
+  const stored = await get('SELECT pain_level, current_condition FROM patients WHERE id = ?', [id]);
+  assert.strictEqual(stored.pain_level, 7);
+  assert.ok(EncryptionService.isEncryptedValue(stored.current_condition));
+
+  const patient = await PatientService.getPatientById(id);
+  assert.strictEqual(patient.pain_level, 7);
+  assert.strictEqual(patient.current_condition, 'Knee pain');
+});
+
+test('rotating the key re-encrypts values under the new key', async () => {
+  const { keyId, reencrypted } = await EncryptionService.rotateKey(PASSPHRASE);
+  assert.ok(reencrypted >= 1);
+
+  const stored = await get("SELECT medical_history FROM patients WHERE first_name = 'Bob'");
+  assert.ok(stored.medical_history.startsWith(`enc:v1:${keyId}:`));
+  assert.strictEqual(EncryptionService.decryptValue(stored.medical_history), 'Asthma');
+});
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// A scratch directory for the database, keystore and backups of one test
+// file. src/database.js opens clinic.db in process.resourcesPath, so this
+// must be called before any service is required.
+function useScratchResources() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blakistone-test-'));
+  process.resourcesPath = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function openDatabase(file = ':memory:') {
+  return new sqlite3.Database(file);
+}
+
+function query(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, result) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+      }
+    });
+  });
+}
+
+module.exports = {
+  useScratchResources,
+  openDatabase,
+  run: (db, sql, params) => query(db, 'run', sql, params),
+  get: (db, sql, params) => query(db, 'get', sql, params),
+  all: (db, sql, params) => query(db, 'all', sql, params)
+};
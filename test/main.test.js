@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const Auth = require('../src/auth');
+
+// main.js needs Electron, so its handlers are read as source
+const MAIN_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'src', 'main.js'), 'utf8');
+
+// Used before signing in, or by any signed-in user on their own account and
+// session; each checks the session itself
+const SESSION_CHANNELS = [
+  'auth:login', 'auth:logout', 'auth:verifyTwoFactor', 'auth:changePassword', 'auth:getCurrentUser',
+  'auth:getTwoFactorStatus', 'auth:beginTwoFactorEnrollment', 'auth:confirmTwoFactorEnrollment', 'auth:regenerateRecoveryCodes',
+  'session:heartbeat', 'session:lock', 'session:unlock',
+  'encryption:getStatus', 'encryption:unlock'
+];
+
+function channelPermissions() {
+  const start = MAIN_SOURCE.indexOf('const CHANNEL_PERMISSIONS = {');
+  const block = MAIN_SOURCE.slice(start, MAIN_SOURCE.indexOf('};', start));
+  return Object.fromEntries([...block.matchAll(/'([^']+)': '([^']+)'/g)].map(([, channel, permission]) => [channel, permission]));
+}
+
+function handlers() {
+  return MAIN_SOURCE.split(/(?=ipcMain\.handle\()/).slice(1).map(source => ({
+    channel: source.match(/^ipcMain\.handle\('([^']+)'/)[1],
+    authorized: (source.match(/await authorize\(event, '([^']+)'\)/) || [])[1]
+  }));
+}
+
+test('every IPC handler but the session ones authorizes its own channel', () => {
+  const unauthorized = handlers().filter(handler => !handler.authorized).map(handler => handler.channel);
+  assert.deepStrictEqual(unauthorized.sort(), [...SESSION_CHANNELS].sort());
+
+  handlers().filter(handler => handler.authorized).forEach(({ channel, authorized }) => {
+    assert.strictEqual(authorized, channel, `${channel} authorizes as ${authorized}`);
+  });
+});
+
+test('every authorized channel requires a permission from the catalog', () => {
+  const permissions = channelPermissions();
+  const catalog = Auth.getPermissionCatalog().map(permission => permission.key);
+
+  handlers().filter(handler => handler.authorized).forEach(({ channel }) => {
+    assert.ok(permissions[channel], `${channel} has no permission and is always denied`);
+    assert.ok(catalog.includes(permissions[channel]), `${channel} requires unknown permission ${permissions[channel]}`);
+  });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Migrator = require('../src/migrator');
+const migrations = require('../src/migrations');
+const { JOURNAL_TABLES } = require('../src/changeJournal');
+const { openDatabase, run, get, all } = require('./helpers');
+
+test('migrations run on an empty database', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+
+  const { version } = await get(db, 'SELECT MAX(version) as version FROM schema_migrations');
+  assert.strictEqual(version, Migrator.latestVersion);
+
+  const triggers = await all(db, "SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE '%_journal_%'");
+  assert.strictEqual(triggers.length, JOURNAL_TABLES.length * 3);
+  assert.deepStrictEqual(await all(db, 'PRAGMA foreign_key_check'), []);
+});
+
+test('the journal keeps every column of wide tables, NULLs included', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+
+  const columns = (await all(db, 'PRAGMA table_info(patients)')).map(info => info.name);
+  assert.ok(columns.length > 60, 'patients is wide enough to need more than one JSON call');
+
+  const { lastID } = await run(db, "INSERT INTO patients (patient_id, first_name, last_name) VALUES ('P1', 'Ann', 'Lee')");
+  await run(db, "UPDATE patients SET last_name = 'Ray' WHERE id = ?", [lastID]);
+
+  const entry = await get(db, "SELECT old_row, new_row FROM change_journal WHERE table_name = 'patients' AND operation = 'UPDATE'");
+  const oldRow = JSON.parse(entry.old_row);
+  const newRow = JSON.parse(entry.new_row);
+  assert.deepStrictEqual(Object.keys(newRow).sort(), [...columns].sort());
+  assert.strictEqual(oldRow.last_name, 'Lee');
+  assert.strictEqual(newRow.last_name, 'Ray');
+  assert.strictEqual(newRow[columns[columns.length - 1]], null);
+});
+
+test('migrations roll back and apply again', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+  await Migrator.rollback(db, 11);
+  assert.strictEqual((await get(db, 'SELECT MAX(version) as version FROM schema_migrations')).version, 11);
+  const { currentVersion, migrations: status } = await Migrator.getStatus(db);
+  assert.strictEqual(currentVersion, 11);
+  assert.deepStrictEqual(status.filter(migration => migration.status === 'pending').map(migration => migration.version),
+    migrations.map(migration => migration.version).filter(version => version > 11));
+
+  await Migrator.migrate(db);
+  assert.strictEqual((await get(db, 'SELECT MAX(version) as version FROM schema_migrations')).version, Migrator.latestVersion);
+});
+
+test('migrating an up-to-date database applies nothing', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+  assert.deepStrictEqual(await Migrator.migrate(db), []);
+  assert.ok((await Migrator.getStatus(db)).migrations.every(migration => migration.status === 'applied'));
+});
+
+test('a failing migration is rolled back and not recorded', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+
+  const version = Migrator.latestVersion + 1;
+  migrations.push({
+    version,
+    name: 'test_failing',
+    async up(runner) {
+      await runner.run('CREATE TABLE test_items (id INTEGER PRIMARY KEY)');
+      throw new Error('failed by test');
+    },
+    async down() {}
+  });
+  try {
+    await assert.rejects(Migrator.migrate(db), new RegExp(`Migration ${version} \\(test_failing\\) failed: failed by test`));
+  } finally {
+    migrations.pop();
+  }
+
+  assert.strictEqual(await get(db, "SELECT name FROM sqlite_master WHERE name = 'test_items'"), undefined);
+  assert.strictEqual((await get(db, 'SELECT MAX(version) as version FROM schema_migrations')).version, Migrator.latestVersion);
+});
+
+test('a database from a newer version of the application is not migrated', async () => {
+  const db = openDatabase();
+  await Migrator.migrate(db);
+  await run(db, "INSERT INTO schema_migrations (version, name) VALUES (?, 'from_the_future')", [Migrator.latestVersion + 1]);
+
+  await assert.rejects(Migrator.migrate(db), /is newer than this application supports/);
+});
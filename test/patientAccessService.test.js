@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const AuditService = require('../src/auditService');
+const PatientAccessService = require('../src/patientAccessService');
+const PatientService = require('../src/patientService');
+
+const ADMIN_ID = 1;
+
+let patient;
+
+test.before(async () => {
+  await db.ready;
+  patient = await PatientService.createPatient({
+    firstName: 'Ann', lastName: 'Lee', allergies: 'Penicillin', mentalHealthScreening: 'PHQ-9: 4'
+  }, ADMIN_ID);
+});
+
+test('a viewed patient shows only the fields the user may see', async () => {
+  const front = await PatientAccessService.viewPatient(ADMIN_ID, patient.id, 'details', { clinicalAccess: false, sensitiveAccess: false });
+  assert.strictEqual(front.first_name, 'Ann');
+  assert.ok(!('allergies' in front));
+
+  const clinical = await PatientAccessService.viewPatient(ADMIN_ID, patient.id, 'edit', { clinicalAccess: true, sensitiveAccess: false });
+  assert.strictEqual(clinical.allergies, 'Penicillin');
+  assert.ok(!('mental_health_screening' in clinical));
+  assert.strictEqual(clinical.sensitive_fields_withheld, true);
+});
+
+test('breaking the glass needs a reason, and every access is in the report', async () => {
+  await assert.rejects(PatientAccessService.breakGlass(ADMIN_ID, patient.id, 'because', 'details'), /at least 10 characters/);
+  const fields = await PatientAccessService.breakGlass(ADMIN_ID, patient.id, 'Emergency admission', 'details');
+  assert.strictEqual(fields.mental_health_screening, 'PHQ-9: 4');
+  // Entries are written in order, so once this one is in, so are the ones before it
+  await AuditService.log(ADMIN_ID, 'TEST_FLUSH', null, null, null, null);
+
+  const { patient: reported, accesses, users } = await PatientAccessService.getAccessReport(patient.patientId);
+  assert.strictEqual(reported.name, 'Ann Lee');
+  assert.deepStrictEqual(accesses.map(access => [access.action, access.context, access.clinical]), [
+    ['BREAK_GLASS', 'details', true],
+    ['VIEW_PATIENT', 'edit', true],
+    ['VIEW_PATIENT', 'details', false]
+  ]);
+  assert.strictEqual(accesses[0].reason, 'Emergency admission');
+  assert.deepStrictEqual(users.map(user => [user.userId, user.views, user.breakGlass]), [[ADMIN_ID, 2, 1]]);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useScratchResources } = require('./helpers');
+
+const scratchDir = useScratchResources();
+const db = require('../src/database');
+const { run, get, all } = require('../src/repository');
+const AccountingService = require('../src/accountingService');
+const AuditService = require('../src/auditService');
+const PatientService = require('../src/patientService');
+const ReceivablesService = require('../src/receivablesService');
+const TaxService = require('../src/taxService');
+
+const ADMIN_ID = 1;
+
+const invoices = {};
+
+const daysAgo = days => {
+  const date = new Date(`${TaxService.today()}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+const statusOf = async id => (await get('SELECT status FROM invoices WHERE id = ?', [id])).status;
+
+// Audit entries are written in order, so once this one is in, so are the
+// entries logged before it
+const flushAudit = () => AuditService.log(ADMIN_ID, 'TEST_FLUSH', null, null, null, null);
+
+test.before(async () => {
+  await db.ready;
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee' }, ADMIN_ID);
+  const invoice = async (name, dueDate, payment = 0) => {
+    const items = [{ description: 'Consultation', unitPrice: 100, taxExempt: true }];
+    ({ id: invoices[name] } = await AccountingService.createInvoice({ patientId, items, dueDate: daysAgo(-30) }, ADMIN_ID));
+    if (payment) {
+      await AccountingService.recordPayment({ invoiceId: invoices[name], amount: payment, paymentDate: daysAgo(1), paymentMethod: 'cash' }, ADMIN_ID);
+    }
+    // Set afterwards, as recording a payment would already mark it overdue
+    await run('UPDATE invoices SET due_date = ? WHERE id = ?', [dueDate, invoices[name]]);
+  };
+
+  await invoice('unpaid', daysAgo(10));
+  await invoice('partial', daysAgo(45), 40);
+  await invoice('paid', daysAgo(10), 100);
+  await invoice('dueToday', daysAgo(0));
+  await invoice('notDue', daysAgo(-5));
+  await invoice('voided', daysAgo(10));
+  await AccountingService.voidInvoice(invoices.voided, 'Raised in error', ADMIN_ID);
+  await invoice('deleted', daysAgo(10));
+  await AccountingService.deleteInvoice(invoices.deleted, ADMIN_ID);
+});
+
+test('only open invoices past their due date are marked overdue', async () => {
+  assert.deepStrictEqual(await ReceivablesService.markOverdueInvoices(), { marked: 2 });
+
+  const statuses = {};
+  for (const [name, id] of Object.entries(invoices)) {
+    statuses[name] = await statusOf(id);
+  }
+  assert.deepStrictEqual(statuses, {
+    unpaid: 'overdue',
+    partial: 'overdue',
+    paid: 'paid',
+    dueToday: 'unpaid',
+    notDue: 'unpaid',
+    voided: 'cancelled',
+    deleted: 'unpaid'
+  });
+
+  await flushAudit();
+  const audited = await all("SELECT record_id FROM audit_log WHERE action = 'MARK_INVOICE_OVERDUE' ORDER BY record_id");
+  assert.deepStrictEqual(audited.map(entry => entry.record_id), [invoices.unpaid, invoices.partial]);
+});
+
+test('marking again leaves invoices already overdue alone', async () => {
+  assert.deepStrictEqual(await ReceivablesService.markOverdueInvoices(), { marked: 0 });
+});
+
+test('open balances are aged by the days past their due date', async () => {
+  const report = await ReceivablesService.getAgingReport();
+  assert.strictEqual(report.invoiceCount, 4);
+  assert.deepStrictEqual(report.totals, { current: 200, days30: 100, days60: 60, days90: 0, days120: 0, over120: 0, total: 360 });
+  assert.strictEqual(report.groups.length, 1);
+  assert.strictEqual(report.groups[0].name, 'Ann Lee');
+
+  const byInsurer = await ReceivablesService.getAgingReport({ groupBy: 'insurer' });
+  assert.strictEqual(byInsurer.groups[0].name, 'Self-pay');
+  await assert.rejects(ReceivablesService.getAgingReport({ groupBy: 'doctor' }), /can be grouped by patient or insurer/);
+});
+
+test('a patient ledger keeps a running balance of everything on the account', async () => {
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+  const items = [{ description: 'Procedure', unitPrice: 100, taxExempt: true }];
+  const { id: invoiceId, invoiceNumber } = await AccountingService.createInvoice({ patientId, items, dueDate: daysAgo(-30) }, ADMIN_ID);
+  await AccountingService.createCreditNote(invoiceId, { amount: 10, reason: 'Goodwill' }, ADMIN_ID);
+  await AccountingService.recordPayment({ invoiceId, amount: 120, paymentDate: daysAgo(0), paymentMethod: 'cash' }, ADMIN_ID);
+  await AccountingService.refundPatientCredit(patientId, { amount: 30, reason: 'Overpaid', refundMethod: 'cash' }, ADMIN_ID);
+
+  const ledger = await ReceivablesService.getPatientLedger(patientId);
+  assert.deepStrictEqual(ledger.entries.map(entry => [entry.type, entry.debit, entry.credit, entry.balance]), [
+    ['invoice', 100, 0, 100],
+    ['credit_note', 0, 10, 90],
+    ['payment', 0, 120, -30],
+    ['credit_refund', 30, 0, 0]
+  ]);
+  assert.strictEqual(ledger.entries[0].reference, invoiceNumber);
+  assert.match(ledger.entries[2].description, /30\.00 kept as credit/);
+  assert.deepStrictEqual([ledger.openingBalance, ledger.closingBalance, ledger.creditBalance, ledger.aging.total], [0, 0, 0, 0]);
+  assert.deepStrictEqual(ledger.openInvoices, []);
+
+  // Everything so far is brought forward into a statement that starts tomorrow
+  await AccountingService.createInvoice({ patientId, items, dueDate: daysAgo(-30) }, ADMIN_ID);
+  const later = await ReceivablesService.getPatientLedger(patientId, { dateFrom: daysAgo(-1) });
+  assert.deepStrictEqual([later.openingBalance, later.entries.length, later.closingBalance], [100, 0, 100]);
+  assert.strictEqual(later.aging.current, 100);
+
+  await assert.rejects(ReceivablesService.getPatientLedger(patientId, { dateFrom: daysAgo(0), dateTo: daysAgo(1) }),
+    /start date must not be after the end date/);
+  await assert.rejects(ReceivablesService.getPatientLedger(patientId, { dateTo: 'tomorrow' }), /End date must be a date/);
+  await assert.rejects(ReceivablesService.getPatientLedger(9999), /Patient not found/);
+
+  const filePath = path.join(scratchDir, 'statement.pdf');
+  const statement = await ReceivablesService.generateStatementPDF(patientId, {}, filePath);
+  assert.strictEqual(statement.closingBalance, 100);
+  assert.strictEqual(fs.readFileSync(filePath).subarray(0, 5).toString(), '%PDF-');
+});
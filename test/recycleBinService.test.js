@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, get } = require('../src/repository');
+const AccountingService = require('../src/accountingService');
+const AppointmentService = require('../src/appointmentService');
+const PatientService = require('../src/patientService');
+const RecycleBinService = require('../src/recycleBinService');
+
+const ADMIN_ID = 1;
+
+let patientId;
+let appointmentId;
+let invoiceId;
+
+test.before(async () => {
+  await db.ready;
+  ({ id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee' }, ADMIN_ID));
+  appointmentId = await AppointmentService.createAppointment({ patientId, doctorId: ADMIN_ID, appointmentDate: '2026-11-02 09:00' }, ADMIN_ID);
+  ({ id: invoiceId } = await AccountingService.createInvoice({ patientId, items: [{ description: 'Consultation', quantity: 1, unitPrice: 50 }] }, ADMIN_ID));
+});
+
+test('a deleted patient is listed and restored', async () => {
+  await PatientService.deletePatient(patientId, ADMIN_ID);
+  const items = await RecycleBinService.getItems('patients');
+  assert.deepStrictEqual(items.map(item => item.id), [patientId]);
+  assert.match(items[0].description, /Ann Lee/);
+  assert.ok(items[0].purge_after > items[0].deleted_at);
+
+  await RecycleBinService.restore('patients', patientId, ADMIN_ID);
+  assert.strictEqual((await get('SELECT deleted_at FROM patients WHERE id = ?', [patientId])).deleted_at, null);
+  await assert.rejects(RecycleBinService.restore('patients', patientId, ADMIN_ID), /Patient not found in the recycle bin/);
+});
+
+test('records are not restored while their patient is deleted', async () => {
+  await AccountingService.deleteInvoice(invoiceId, ADMIN_ID);
+  await PatientService.deletePatient(patientId, ADMIN_ID);
+
+  await assert.rejects(RecycleBinService.restore('invoices', invoiceId, ADMIN_ID), /restore the patient first/);
+  await RecycleBinService.restore('patients', patientId, ADMIN_ID);
+  await RecycleBinService.restore('invoices', invoiceId, ADMIN_ID);
+});
+
+test('a patient is purged only once nothing that must be kept refers to it', async () => {
+  await AccountingService.deleteInvoice(invoiceId, ADMIN_ID);
+  await PatientService.deletePatient(patientId, ADMIN_ID);
+  await assert.rejects(RecycleBinService.purge('patients', patientId, ADMIN_ID), /Patients with invoices cannot be permanently deleted/);
+
+  await RecycleBinService.purge('invoices', invoiceId, ADMIN_ID);
+  await RecycleBinService.purge('patients', patientId, ADMIN_ID);
+  assert.strictEqual(await get('SELECT id FROM patients WHERE id = ?', [patientId]), undefined);
+  // The appointment only existed for the patient
+  assert.strictEqual(await get('SELECT id FROM appointments WHERE id = ?', [appointmentId]), undefined);
+});
+
+test('records deleted longer ago than the retention period are purged', async () => {
+  const { id: kept } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+  const { id: expired } = await PatientService.createPatient({ firstName: 'Cy', lastName: 'Ono' }, ADMIN_ID);
+  await PatientService.deletePatient(kept, ADMIN_ID);
+  await PatientService.deletePatient(expired, ADMIN_ID);
+  await run("UPDATE patients SET deleted_at = datetime('now', '-20 days') WHERE id = ?", [expired]);
+
+  await RecycleBinService.updateSettings({ retentionDays: 14 }, ADMIN_ID);
+  assert.deepStrictEqual(await RecycleBinService.purgeExpired(), { purged: 1, kept: 0 });
+  assert.deepStrictEqual((await RecycleBinService.getItems('patients')).map(item => item.id), [kept]);
+
+  await RecycleBinService.updateSettings({ retentionDays: 0 }, ADMIN_ID);
+  await run("UPDATE patients SET deleted_at = datetime('now', '-20 days') WHERE id = ?", [kept]);
+  assert.deepStrictEqual(await RecycleBinService.purgeExpired(), { purged: 0, kept: 0 });
+});
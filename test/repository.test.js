@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const { run, all, withTransaction, inTransaction } = require('../src/repository');
+
+const names = async () => (await all('SELECT name FROM test_items ORDER BY id')).map(row => row.name);
+
+test.before(async () => {
+  await db.ready;
+  await run('CREATE TABLE test_items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+});
+
+test.beforeEach(() => run('DELETE FROM test_items'));
+
+test('a transaction is committed when its callback resolves', async () => {
+  const result = await withTransaction(async () => {
+    assert.strictEqual(inTransaction(), true);
+    await run("INSERT INTO test_items (name) VALUES ('first')");
+    return 'done';
+  });
+
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(inTransaction(), false);
+  assert.deepStrictEqual(await names(), ['first']);
+});
+
+test('a transaction is rolled back and the error rethrown when its callback throws', async () => {
+  await assert.rejects(withTransaction(async () => {
+    await run("INSERT INTO test_items (name) VALUES ('first')");
+    await run("INSERT INTO test_items (name) VALUES ('second')");
+    throw new Error('failed by test');
+  }), /failed by test/);
+
+  assert.deepStrictEqual(await names(), []);
+});
+
+test('a failed nested transaction undoes only its own changes', async () => {
+  await withTransaction(async () => {
+    await run("INSERT INTO test_items (name) VALUES ('outer')");
+    await assert.rejects(withTransaction(async () => {
+      await run("INSERT INTO test_items (name) VALUES ('inner')");
+      throw new Error('failed by test');
+    }), /failed by test/);
+    await withTransaction(() => run("INSERT INTO test_items (name) VALUES ('kept')"));
+  });
+
+  assert.deepStrictEqual(await names(), ['outer', 'kept']);
+});
+
+test('a query outside the open transaction waits until it has finished', async () => {
+  let started;
+  let release;
+  const running = new Promise((resolve) => {
+    started = resolve;
+  });
+  const failing = withTransaction(async () => {
+    await run("INSERT INTO test_items (name) VALUES ('rolled back')");
+    started();
+    await new Promise((resolve) => {
+      release = resolve;
+    });
+    throw new Error('failed by test');
+  });
+
+  await running;
+  // Run inside the transaction, the read would see its uncommitted row and
+  // the insert would be rolled back with it
+  const read = names();
+  const outside = run("INSERT INTO test_items (name) VALUES ('outside')");
+  release();
+  await assert.rejects(failing, /failed by test/);
+  await outside;
+
+  assert.ok(!(await read).includes('rolled back'));
+  assert.deepStrictEqual(await names(), ['outside']);
+});
+
+test('transactions started together run one after the other', async () => {
+  const order = [];
+  const transaction = name => withTransaction(async () => {
+    order.push(`${name} started`);
+    await run('INSERT INTO test_items (name) VALUES (?)', [name]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    order.push(`${name} finished`);
+  });
+
+  await Promise.all([transaction('first'), transaction('second')]);
+  assert.deepStrictEqual(order, ['first started', 'first finished', 'second started', 'second finished']);
+  assert.deepStrictEqual(await names(), ['first', 'second']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useScratchResources } = require('./helpers');
+
+const scratch = useScratchResources();
+const db = require('../src/database');
+const { all } = require('../src/repository');
+const BackupService = require('../src/backupService');
+const PatientService = require('../src/patientService');
+const RestoreService = require('../src/restoreService');
+
+const ADMIN_ID = 1;
+
+const lastNames = async () => (await all('SELECT last_name FROM patients ORDER BY id')).map(row => row.last_name);
+
+test.before(() => db.ready);
+
+test('a file that is not a clinic database is refused', async () => {
+  const filePath = path.join(scratch, 'not-a-backup.db');
+  await fs.promises.writeFile(filePath, 'just some text');
+
+  const preview = await RestoreService.prepareRestore({ filePath });
+  assert.strictEqual(preview.valid, false);
+  assert.strictEqual(preview.token, null);
+  assert.match(preview.problems[0], /could not be read as a database/);
+});
+
+test('a restore brings back the backed-up data, and can be rolled back', async () => {
+  await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee' }, ADMIN_ID);
+  const backup = await BackupService.createBackup({ userId: ADMIN_ID });
+  await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+
+  const preview = await RestoreService.prepareRestore({ backupId: backup.id });
+  assert.strictEqual(preview.valid, true);
+  assert.strictEqual(preview.backup.patients.count, 1);
+  assert.strictEqual(preview.current.patients.count, 2);
+  await assert.rejects(RestoreService.restore('stale', ADMIN_ID), /Preview the backup again/);
+
+  const { snapshot } = await RestoreService.restore(preview.token, ADMIN_ID);
+  assert.deepStrictEqual(await lastNames(), ['Lee']);
+  // The history outlives the restore, snapshot included
+  const history = (await BackupService.getHistory()).map(row => row.id);
+  assert.ok(history.includes(backup.id) && history.includes(snapshot.id));
+
+  await RestoreService.rollbackLastRestore(ADMIN_ID);
+  assert.deepStrictEqual(await lastNames(), ['Lee', 'Kim']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SessionManager = require('../src/sessionManager');
+
+const MINUTE = 60 * 1000;
+const user = (id, username) => ({ id, username, name: username, role: 'receptionist' });
+
+// Backdates a session's last activity
+function idleFor(session, minutes) {
+  session.lastActivityAt = Date.now() - minutes * MINUTE;
+}
+
+test('sessions idle past the timeout are locked, others are left alone', () => {
+  const sessions = new SessionManager(10);
+  const idle = sessions.createSession(1, user(1, 'ann'));
+  const active = sessions.createSession(2, user(2, 'bo'));
+  idleFor(idle, 11);
+  idleFor(active, 9);
+
+  assert.deepStrictEqual(sessions.lockIdleSessions(), [idle]);
+  assert.strictEqual(idle.locked, true);
+  assert.strictEqual(active.locked, false);
+  assert.strictEqual(sessions.touch(idle), false, 'activity does not reopen a locked session');
+
+  sessions.unlock(idle);
+  assert.strictEqual(sessions.touch(idle), true);
+});
+
+test('activity after the timeout locks the session instead of refreshing it', () => {
+  const sessions = new SessionManager(10);
+  const session = sessions.createSession(1, user(1, 'ann'));
+  idleFor(session, 11);
+
+  assert.strictEqual(sessions.touch(session), false);
+  assert.strictEqual(session.locked, true);
+});
+
+test('an idle timeout of 0 never locks', () => {
+  const sessions = new SessionManager(10);
+  sessions.setIdleTimeout(0);
+  const session = sessions.createSession(1, user(1, 'ann'));
+  idleFor(session, 24 * 60);
+
+  assert.deepStrictEqual(sessions.lockIdleSessions(), []);
+  assert.strictEqual(sessions.touch(session), true);
+});
+
+test('a window has one session, and a user\'s sessions end together', () => {
+  const sessions = new SessionManager(10);
+  const first = sessions.createSession(1, user(1, 'ann'));
+  const replaced = sessions.createSession(1, user(1, 'ann'));
+  sessions.createSession(2, user(1, 'ann'));
+  sessions.createSession(3, user(2, 'bo'));
+
+  assert.strictEqual(sessions.getSessionById(first.id), null);
+  assert.strictEqual(sessions.getSessionForWindow(1), replaced);
+  assert.strictEqual(sessions.revokeForUser(1).length, 2);
+  assert.deepStrictEqual(sessions.listSessions().map(session => session.username), ['bo']);
+});
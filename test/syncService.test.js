@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { useScratchResources } = require('./helpers');
+const { MemoryRemote } = require('../src/syncRemote');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const ADMIN_ID = 1;
+
+// Each workstation is its own copy of the services with its own database
+// and keystore. src/database.js opens the database when first required, so
+// the modules are loaded afresh for every workstation.
+function openWorkstation() {
+  useScratchResources();
+  Object.keys(require.cache)
+    .filter(file => file.startsWith(SRC_DIR))
+    .forEach(file => delete require.cache[file]);
+
+  const workstation = {
+    db: require('../src/database'),
+    repository: require('../src/repository'),
+    EncryptionService: require('../src/encryptionService'),
+    PatientService: require('../src/patientService'),
+    AccountingService: require('../src/accountingService'),
+    JournalService: require('../src/journalService'),
+    ReceivablesService: require('../src/receivablesService'),
+    SyncService: require('../src/syncService')
+  };
+  workstation.sync = remote => workstation.SyncService.performSync(remote, ADMIN_ID);
+  return workstation;
+}
+
+const first = openWorkstation();
+const second = openWorkstation();
+// Shared by the tests, since each workstation remembers what it has pulled
+const remote = new MemoryRemote();
+
+test.before(() => Promise.all([first.db.ready, second.db.ready]));
+
+test('clinical fields reach a workstation with another data key', async () => {
+  await first.EncryptionService.enable('first clinic passphrase');
+  await second.EncryptionService.enable('second clinic passphrase');
+
+  const { id } = await first.PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee', allergies: 'Penicillin' }, ADMIN_ID);
+  const { sync_id: syncId } = await first.repository.get('SELECT sync_id FROM patients WHERE id = ?', [id]);
+  await first.sync(remote);
+
+  const [sent] = await remote.pull('patients', 0, null);
+  assert.strictEqual(sent.data.fields.allergies, 'Penicillin');
+
+  const result = await second.sync(remote);
+  assert.strictEqual(result.pulled, 1);
+  const stored = await second.repository.get('SELECT id, allergies FROM patients WHERE sync_id = ?', [syncId]);
+  assert.ok(second.EncryptionService.isEncryptedValue(stored.allergies));
+  assert.strictEqual((await second.PatientService.getPatientById(stored.id)).allergies, 'Penicillin');
+
+  // And back the other way
+  await second.PatientService.updatePatient(stored.id, { allergies: 'Penicillin, latex' }, ADMIN_ID);
+  await second.sync(remote);
+  await first.sync(remote);
+  assert.strictEqual((await first.PatientService.getPatientById(id)).allergies, 'Penicillin, latex');
+});
+
+test('a record whose parent has not arrived is pulled again by the next sync', async () => {
+  const appointment = {
+    fields: { appointment_date: '2026-11-02 09:00', appointment_type: 'consultation', status: 'scheduled', version: 1 },
+    refs: { patient_id: 'late-patient', doctor_id: 'admin' }
+  };
+  await remote.push([{ table: 'appointments', syncId: 'late-appointment', data: appointment, deleted: false, version: 1, baseVersion: null }], 'elsewhere');
+  assert.strictEqual((await first.sync(remote)).skipped, 1);
+
+  const patient = { fields: { patient_id: 'P-LATE', first_name: 'Dee', last_name: 'Park', version: 1 }, refs: {} };
+  await remote.push([{ table: 'patients', syncId: 'late-patient', data: patient, deleted: false, version: 1, baseVersion: null }], 'elsewhere');
+  const result = await first.sync(remote);
+  assert.strictEqual(result.pulled, 2);
+  assert.strictEqual(result.skipped, 0);
+
+  const pulled = await first.repository.get(`
+    SELECT p.first_name FROM appointments a JOIN patients p ON p.id = a.patient_id WHERE a.sync_id = 'late-appointment'
+  `);
+  assert.strictEqual(pulled.first_name, 'Dee');
+});
+
+test('changes to a record in conflict stay queued until it is resolved', async () => {
+  const patientId = async workstation => (await workstation.repository.get("SELECT id FROM patients WHERE last_name = 'Lee'")).id;
+  const firstId = await patientId(first);
+  await second.PatientService.updatePatient(await patientId(second), { phone: '555-0100' }, ADMIN_ID);
+  await first.PatientService.updatePatient(firstId, { phone: '555-0199' }, ADMIN_ID);
+  await second.sync(remote);
+  assert.strictEqual((await first.sync(remote)).conflicts, 1);
+
+  await first.PatientService.updatePatient(firstId, { address: '1 Main Street' }, ADMIN_ID);
+  await first.sync(remote);
+  const queued = await first.repository.get('SELECT COUNT(*) AS count FROM sync_changes WHERE table_name = ? AND record_id = ?', ['patients', firstId]);
+  assert.ok(queued.count > 0);
+
+  const [conflict] = await first.SyncService.getConflicts();
+  await first.SyncService.resolveConflict(conflict.id, 'mine', [], ADMIN_ID);
+  await first.sync(remote);
+  await second.sync(remote);
+  const patient = await second.PatientService.getPatientById(await patientId(second));
+  assert.strictEqual(patient.phone, '555-0199');
+  assert.strictEqual(patient.address, '1 Main Street');
+});
+
+test('invoices numbered on two workstations both reach each of them', async () => {
+  const invoiceFor = async workstation => {
+    const patient = await workstation.repository.get("SELECT id FROM patients WHERE last_name = 'Lee'");
+    const items = [{ description: 'Consultation', quantity: 1, unitPrice: 50 }];
+    return workstation.AccountingService.createInvoice({ patientId: patient.id, items }, ADMIN_ID);
+  };
+  const firstInvoice = await invoiceFor(first);
+  const secondInvoice = await invoiceFor(second);
+  assert.notStrictEqual(firstInvoice.invoiceNumber, secondInvoice.invoiceNumber);
+
+  await first.sync(remote);
+  assert.strictEqual((await second.sync(remote)).skipped, 0);
+  assert.strictEqual((await first.sync(remote)).skipped, 0);
+
+  for (const workstation of [first, second]) {
+    const numbers = await workstation.repository.all('SELECT invoice_number FROM invoices ORDER BY invoice_number');
+    assert.deepStrictEqual(numbers.map(row => row.invoice_number), [firstInvoice.invoiceNumber, secondInvoice.invoiceNumber].sort());
+  }
+});
+
+test('a restored record reaches the other workstation', async () => {
+  const { id } = await first.PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim', phone: '555-0101' }, ADMIN_ID);
+  await first.PatientService.updatePatient(id, { phone: '555-0102' }, ADMIN_ID);
+  await first.sync(remote);
+  await second.sync(remote);
+
+  const { entries } = await first.JournalService.getRecordHistory('patients', id);
+  assert.ok(entries.every(entry => entry.changedFields.join() !== 'version'), 'version bumps are not entries of their own');
+  const edit = entries.find(entry => entry.changedFields.includes('phone'));
+  await first.JournalService.restoreRecord('patients', id, { beforeEntryId: edit.id }, ADMIN_ID);
+  await first.sync(remote);
+  await second.sync(remote);
+
+  const restored = await second.repository.get("SELECT phone FROM patients WHERE last_name = 'Kim'");
+  assert.strictEqual(restored.phone, '555-0101');
+});
+
+test('invoices marked overdue on both workstations are not a conflict', async () => {
+  await first.repository.run("UPDATE invoices SET due_date = '2020-01-31' WHERE status = 'unpaid'");
+  await first.sync(remote);
+  await second.sync(remote);
+
+  assert.ok((await first.ReceivablesService.markOverdueInvoices()).marked > 0);
+  assert.ok((await second.ReceivablesService.markOverdueInvoices()).marked > 0);
+  await first.sync(remote);
+  assert.strictEqual((await second.sync(remote)).conflicts, 0);
+  assert.strictEqual((await first.sync(remote)).conflicts, 0);
+
+  for (const workstation of [first, second]) {
+    assert.deepStrictEqual(await workstation.SyncService.getConflicts(), []);
+    const statuses = await workstation.repository.all("SELECT DISTINCT status FROM invoices WHERE due_date = '2020-01-31'");
+    assert.deepStrictEqual(statuses.map(row => row.status), ['overdue']);
+  }
+});
+
+test('refunds, credit notes and patient credit reach the other workstation', async () => {
+  const invoiceOn = async (workstation, invoiceNumber) => {
+    const { id } = await workstation.repository.get('SELECT id FROM invoices WHERE invoice_number = ?', [invoiceNumber]);
+    return workstation.AccountingService.getInvoiceWithDetails(id);
+  };
+  const { invoice_number: invoiceNumber } = await first.repository.get("SELECT invoice_number FROM invoices WHERE status = 'overdue' ORDER BY id LIMIT 1");
+  const invoice = await invoiceOn(first, invoiceNumber);
+
+  await first.AccountingService.createCreditNote(invoice.id, { amount: 5, reason: 'Goodwill' }, ADMIN_ID);
+  const payment = await first.AccountingService.recordPayment(
+    { invoiceId: invoice.id, amount: invoice.balance_due - 5 + 15, paymentDate: '2026-03-02', paymentMethod: 'cash' }, ADMIN_ID);
+  assert.strictEqual(payment.overpayment, 15);
+  await first.AccountingService.refundPayment(payment.id, { amount: 10, reason: 'Charged twice' }, ADMIN_ID);
+  await first.sync(remote);
+  assert.strictEqual((await second.sync(remote)).skipped, 0);
+
+  const [here, there] = [await invoiceOn(first, invoiceNumber), await invoiceOn(second, invoiceNumber)];
+  assert.strictEqual(here.balance_due, 10);
+  assert.strictEqual(there.balance_due, here.balance_due);
+  assert.strictEqual(there.status, here.status);
+  assert.strictEqual((await second.AccountingService.getPatientCredit(there.patient_record_id)).balance, 15);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useScratchResources } = require('./helpers');
+
+useScratchResources();
+const db = require('../src/database');
+const AccountingService = require('../src/accountingService');
+const PatientService = require('../src/patientService');
+const TaxService = require('../src/taxService');
+
+const ADMIN_ID = 1;
+
+let codes;
+
+test.before(async () => {
+  await db.ready;
+  const billingCode = (code, category, taxCode) => AccountingService.createBillingCode(
+    { code, description: code, category, defaultPrice: 100, taxCode }, ADMIN_ID);
+  codes = {
+    standard: await billingCode('T-STD', 'consultation', 'standard'),
+    zero: await billingCode('T-ZERO', 'consultation', 'zero'),
+    medication: await billingCode('T-MED', 'medication', 'standard')
+  };
+});
+
+test('lines are taxed at the rate of their tax code', async () => {
+  const preview = await AccountingService.previewInvoice([
+    { billingCodeId: codes.standard, quantity: 2, unitPrice: 50 },
+    { billingCodeId: codes.zero, unitPrice: 40 },
+    { description: 'Dressing', unitPrice: 10, taxExempt: true }
+  ]);
+
+  assert.deepStrictEqual(preview.items.map(item => [item.taxCode, item.taxRate, item.taxAmount, item.taxExempt]), [
+    ['standard', 0.15, 15, false],
+    ['zero', 0, 0, false],
+    ['standard', 0, 0, true]
+  ]);
+  assert.deepStrictEqual([preview.amount, preview.taxAmount, preview.totalAmount], [150, 15, 165]);
+});
+
+test('billing codes in an exempt category carry no tax', async () => {
+  await TaxService.updateSettings({ exemptCategories: ['medication', ' medication ', ''] }, ADMIN_ID);
+  assert.deepStrictEqual((await TaxService.getSettings()).exemptCategories, ['medication']);
+
+  const preview = await AccountingService.previewInvoice([{ billingCodeId: codes.medication, unitPrice: 100 }]);
+  assert.deepStrictEqual([preview.items[0].taxExempt, preview.taxAmount, preview.totalAmount], [true, 0, 100]);
+
+  await TaxService.updateSettings({ exemptCategories: [] }, ADMIN_ID);
+});
+
+test('prices that include tax are split into net and tax', async () => {
+  await TaxService.updateSettings({ pricesIncludeTax: true }, ADMIN_ID);
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Ann', lastName: 'Lee' }, ADMIN_ID);
+  const { id } = await AccountingService.createInvoice({ patientId, items: [{ billingCodeId: codes.standard, unitPrice: 115 }] }, ADMIN_ID);
+  await TaxService.updateSettings({ pricesIncludeTax: false }, ADMIN_ID);
+
+  const invoice = await AccountingService.getInvoiceWithDetails(id);
+  assert.strictEqual(invoice.tax_inclusive, 1);
+  assert.deepStrictEqual([invoice.amount, invoice.tax_amount, invoice.total_amount], [100, 15, 115]);
+
+  // The invoice keeps the basis it was raised on
+  const preview = await AccountingService.previewInvoice([{ billingCodeId: codes.standard, unitPrice: 115 }], id);
+  assert.deepStrictEqual([preview.amount, preview.taxAmount, preview.totalAmount], [100, 15, 115]);
+});
+
+test('a rate change applies from its effective date', async () => {
+  const today = TaxService.today();
+  const nextYear = `${Number(today.slice(0, 4)) + 1}-01-01`;
+  const rateId = await TaxService.addTaxRate({ code: 'standard', name: 'Standard VAT', rate: 0.2, effectiveFrom: nextYear }, ADMIN_ID);
+
+  assert.strictEqual((await TaxService.resolveRate('standard', today)).rate, 0.15);
+  assert.strictEqual((await TaxService.resolveRate('standard', nextYear)).rate, 0.2);
+  await assert.rejects(TaxService.resolveRate('standard', '1999-12-31'), /No standard tax rate is in effect on 1999-12-31/);
+  await assert.rejects(TaxService.addTaxRate({ code: 'standard', name: 'Standard VAT', rate: 0.2, effectiveFrom: nextYear }, ADMIN_ID),
+    /already has a rate from/);
+
+  const rates = (await TaxService.getTaxRates()).filter(rate => rate.code === 'standard');
+  assert.deepStrictEqual(rates.map(rate => [rate.rate, rate.in_effect]), [[0.2, false], [0.15, true]]);
+
+  const current = rates.find(rate => rate.in_effect);
+  await assert.rejects(TaxService.deleteTaxRate(current.id, ADMIN_ID), /Rates already in effect cannot be deleted/);
+  await TaxService.deleteTaxRate(rateId, ADMIN_ID);
+});
+
+test('the VAT report splits supplies into taxable, zero-rated and exempt', async () => {
+  const { id: patientId } = await PatientService.createPatient({ firstName: 'Bo', lastName: 'Kim' }, ADMIN_ID);
+  await AccountingService.createInvoice({
+    patientId,
+    items: [
+      { billingCodeId: codes.standard, unitPrice: 200 },
+      { billingCodeId: codes.zero, unitPrice: 40 },
+      { description: 'Dressing', unitPrice: 10, taxExempt: true }
+    ]
+  }, ADMIN_ID);
+
+  const today = TaxService.today();
+  const { totals } = await TaxService.getVatReport({ dateFrom: today, dateTo: today });
+  // With the tax-inclusive invoice of 100 net and 15 tax
+  assert.deepStrictEqual(totals, { taxableNet: 300, zeroRatedNet: 40, exemptNet: 10, creditedNet: 0, outputTax: 45 });
+  await assert.rejects(TaxService.getVatReport({ dateFrom: today, dateTo: today, period: 'year' }), /Report period must be one of/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const totp = require('../src/totp');
+
+// RFC 6238 appendix B: the SHA-1 secret "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+test('codes match the RFC 6238 test vectors', () => {
+  // The RFC lists 8 digits; authenticator apps show the last 6
+  assert.strictEqual(totp.generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(totp.generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('a code is accepted one step either side of its own, and no further', () => {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(time / STEP_MS);
+  const code = totp.generateCode(RFC_SECRET, step);
+
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, code, time), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, code, time + STEP_MS), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, code, time - STEP_MS), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, code, time + 2 * STEP_MS), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, time), step);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, 'abcdef', time), null);
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, '', time), null);
+});
+
+test('generated secrets are 160-bit base32 and appear in the enrolment URI', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(totp.buildOtpauthUrl(secret, 'ann', 'Clinic'),
+    `otpauth://totp/Clinic:ann?secret=${secret}&issuer=Clinic&algorithm=SHA1&digits=6&period=30`);
+});